@@ -0,0 +1,59 @@
+import { postJson, providerError, readSseEvents } from './http.js';
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+export const DEFAULT_ANTHROPIC_MODEL = 'claude-sonnet-4-20250514';
+
+// Anthropic Messages API
+export const createAnthropicProvider = ({ apiKey, model = DEFAULT_ANTHROPIC_MODEL }) => {
+  const headers = {
+    'x-api-key': apiKey,
+    'anthropic-version': '2023-06-01',
+  };
+  const payload = ({ system, messages, maxTokens }, stream) => ({
+    model,
+    max_tokens: maxTokens,
+    ...(system ? { system } : {}),
+    messages,
+    stream
+  });
+
+  return {
+    name: 'anthropic',
+    model,
+
+    async request(options) {
+      const response = await postJson(API_URL, { headers, body: payload(options, false), signal: options.signal });
+      const data = await response.json();
+      return {
+        text: data.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+        stopReason: data.stop_reason
+      };
+    },
+
+    async *stream(options) {
+      const response = await postJson(API_URL, { headers, body: payload(options, true), signal: options.signal });
+      let stopReason = null;
+      for await (const { data } of readSseEvents(response.body)) {
+        const event = JSON.parse(data);
+        if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          yield { type: 'text', text: event.delta.text };
+        } else if (event.type === 'message_delta') {
+          stopReason = event.delta.stop_reason;
+        } else if (event.type === 'error') {
+          throw providerError(502, event.error.message);
+        }
+      }
+      yield { type: 'stop', stopReason };
+    },
+
+    async countTokens({ system, messages, signal }) {
+      const response = await postJson(`${API_URL}/count_tokens`, {
+        headers,
+        body: { model, ...(system ? { system } : {}), messages },
+        signal
+      });
+      const data = await response.json();
+      return data.input_tokens;
+    }
+  };
+};
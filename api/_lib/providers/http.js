@@ -0,0 +1,41 @@
+import { createSseParser } from '../../../src/utils/sse.js';
+
+// Error carrying the HTTP status the proxy should answer with
+export const providerError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+export const postJson = async (url, { headers = {}, body, signal }) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal
+  });
+  if (!response.ok) {
+    const error = providerError(response.status, await response.text());
+    // Passed on to the browser so rate-limited and overloaded replies are retried on schedule
+    error.retryAfter = response.headers.get('retry-after');
+    throw error;
+  }
+  return response;
+};
+
+// Server-sent events from a fetch response body, as { event, data }
+export async function* readSseEvents(body) {
+  const queue = [];
+  const parser = createSseParser(event => queue.push(event));
+  const decoder = new TextDecoder();
+  for await (const chunk of body) {
+    parser.push(decoder.decode(chunk, { stream: true }));
+    while (queue.length > 0) yield queue.shift();
+  }
+  parser.flush();
+  while (queue.length > 0) yield queue.shift();
+}
+
+// Roughly four characters per token, for providers without a counting endpoint
+export const estimateTokens = ({ system = '', messages = [] }) =>
+  Math.ceil((system.length + messages.reduce((sum, message) => sum + message.content.length, 0)) / 4);
@@ -0,0 +1,36 @@
+import { createAnthropicProvider } from './anthropic.js';
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+import { createMockProvider } from './mock.js';
+import { providerError } from './http.js';
+
+export const PROVIDERS = ['anthropic', 'openai', 'mock'];
+
+// Provider from the proxy's environment:
+//   LLM_PROVIDER      - 'anthropic' (default), 'openai' for an OpenAI-compatible endpoint, or 'mock'
+//   LLM_MODEL         - model name (required for 'openai')
+//   ANTHROPIC_API_KEY - Anthropic key; REACT_APP_CLAUDE_API_KEY is still read for older deployments
+//   OPENAI_BASE_URL   - e.g. http://localhost:11434/v1; OPENAI_API_KEY if the endpoint needs one
+export const createProvider = (env = process.env) => {
+  const name = (env.LLM_PROVIDER || 'anthropic').toLowerCase();
+
+  if (name === 'mock') {
+    return createMockProvider();
+  }
+
+  if (name === 'openai') {
+    if (!env.OPENAI_BASE_URL || !env.LLM_MODEL) {
+      throw providerError(500, 'OPENAI_BASE_URL and LLM_MODEL must be set for the openai provider');
+    }
+    return createOpenAICompatibleProvider({ baseUrl: env.OPENAI_BASE_URL, apiKey: env.OPENAI_API_KEY, model: env.LLM_MODEL });
+  }
+
+  if (name === 'anthropic') {
+    const apiKey = env.ANTHROPIC_API_KEY || env.REACT_APP_CLAUDE_API_KEY;
+    if (!apiKey) {
+      throw providerError(500, 'API key not configured');
+    }
+    return createAnthropicProvider({ apiKey, model: env.LLM_MODEL || undefined });
+  }
+
+  throw providerError(500, `Unknown LLM_PROVIDER "${name}" (expected ${PROVIDERS.join(', ')})`);
+};
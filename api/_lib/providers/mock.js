@@ -0,0 +1,25 @@
+import { mockResponseFor, chunkText } from '../../../src/services/llm/mockFixtures.js';
+import { estimateTokens } from './http.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Deterministic fixture replies; needs no key or network
+export const createMockProvider = ({ chunkDelayMs = 15 } = {}) => ({
+  name: 'mock',
+  model: 'mock',
+
+  async request(options) {
+    return { text: mockResponseFor(options), stopReason: 'end_turn' };
+  },
+
+  async *stream(options) {
+    for (const chunk of chunkText(mockResponseFor(options))) {
+      if (options.signal && options.signal.aborted) return;
+      await wait(chunkDelayMs);
+      yield { type: 'text', text: chunk };
+    }
+    yield { type: 'stop', stopReason: 'end_turn' };
+  },
+
+  countTokens: async (options) => estimateTokens(options)
+});
@@ -0,0 +1,45 @@
+import { postJson, readSseEvents, estimateTokens } from './http.js';
+
+// OpenAI's finish reasons mapped onto Anthropic's stop reasons, which the client understands
+const toStopReason = (finishReason) => (finishReason === 'length' ? 'max_tokens' : 'end_turn');
+
+// Any OpenAI-compatible chat completions endpoint: a local Ollama, LM Studio or vLLM server, etc.
+export const createOpenAICompatibleProvider = ({ baseUrl, apiKey, model }) => {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  const payload = ({ system, messages, maxTokens }, stream) => ({
+    model,
+    max_tokens: maxTokens,
+    messages: [...(system ? [{ role: 'system', content: system }] : []), ...messages],
+    stream
+  });
+
+  return {
+    name: 'openai',
+    model,
+
+    async request(options) {
+      const response = await postJson(url, { headers, body: payload(options, false), signal: options.signal });
+      const data = await response.json();
+      const choice = data.choices[0];
+      return { text: choice.message.content || '', stopReason: toStopReason(choice.finish_reason) };
+    },
+
+    async *stream(options) {
+      const response = await postJson(url, { headers, body: payload(options, true), signal: options.signal });
+      let stopReason = 'end_turn';
+      for await (const { data } of readSseEvents(response.body)) {
+        if (data === '[DONE]') break;
+        const choice = JSON.parse(data).choices[0];
+        if (!choice) continue;
+        if (choice.delta && choice.delta.content) {
+          yield { type: 'text', text: choice.delta.content };
+        }
+        if (choice.finish_reason) stopReason = toStopReason(choice.finish_reason);
+      }
+      yield { type: 'stop', stopReason };
+    },
+
+    countTokens: async (options) => estimateTokens(options)
+  };
+};
@@ -0,0 +1,34 @@
+import { createHash } from 'crypto';
+
+// In-memory cache of completed replies, shared by warm invocations of the function. Keys hash the
+// provider, model and the full request, so a changed prompt is never served a stale answer.
+export const createResponseCache = ({ ttlMs, maxEntries = 100 }) => {
+  const entries = new Map();
+
+  return {
+    keyFor(provider, { system, messages, maxTokens }) {
+      return createHash('sha256')
+        .update(JSON.stringify([provider.name, provider.model, system || null, messages, maxTokens]))
+        .digest('hex');
+    },
+
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (Date.now() - entry.storedAt > ttlMs) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+
+    set(key, value) {
+      // Re-insert so the Map's order stays oldest-first for eviction
+      entries.delete(key);
+      entries.set(key, { storedAt: Date.now(), value });
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+  };
+};
@@ -0,0 +1,149 @@
+import { createHmac, createHash, timingSafeEqual } from 'crypto';
+
+export const SESSION_COOKIE = 'mp_session';
+
+const list = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+const positive = (value, fallback) => {
+  const number = Number(value);
+  return number > 0 ? number : fallback;
+};
+
+// Proxy limits from the environment, with defaults suitable for a small team deployment
+export const readSecurityConfig = (env = process.env) => ({
+  // Origins allowed to call the proxy from a browser, besides the proxy's own host
+  allowedOrigins: list(env.ALLOWED_ORIGINS),
+  // Bearer tokens accepted in the Authorization header
+  apiTokens: list(env.PROXY_API_TOKENS),
+  // Secret for signed session cookies issued by /api/session
+  sessionSecret: env.PROXY_SESSION_SECRET || '',
+  perUserPerMinute: positive(env.RATE_LIMIT_PER_USER, 20),
+  globalPerMinute: positive(env.RATE_LIMIT_GLOBAL, 200),
+  maxRequestBytes: positive(env.MAX_REQUEST_BYTES, 200000),
+  maxTokensCap: positive(env.MAX_TOKENS_CAP, 4000),
+  // 'template' (default) only accepts prompt template ids; 'open' also accepts raw prompts
+  promptMode: env.PROXY_PROMPT_MODE === 'open' ? 'open' : 'template',
+  // The chat template forwards the planner's questions; PROXY_CHAT=off leaves only the fixed templates
+  allowChat: env.PROXY_CHAT !== 'off'
+});
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+};
+
+// Same-host requests and requests without an Origin header (curl, server-to-server) pass; other
+// browser origins must be listed. Returns the origin to echo in CORS headers, or false to reject.
+export const checkOrigin = (req, config) => {
+  const origin = req.headers.origin;
+  if (!origin) return null;
+  if (config.allowedOrigins.includes('*') || config.allowedOrigins.includes(origin)) return origin;
+  try {
+    return new URL(origin).host === req.headers.host ? origin : false;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The caller's address as the platform saw it. Clients can send their own X-Forwarded-For, so its
+// first entry proves nothing: Vercel overwrites X-Real-IP and appends the real address as the last
+// X-Forwarded-For hop. Without a proxy in front, the socket's address is the caller's.
+export const clientAddress = (req) => {
+  const realIp = (req.headers['x-real-ip'] || '').trim();
+  if (realIp) return realIp;
+  const hops = list(req.headers['x-forwarded-for']);
+  if (hops.length > 0) return hops[hops.length - 1];
+  return (req.socket && req.socket.remoteAddress) || 'unknown';
+};
+
+const sign = (payload, secret) => createHmac('sha256', secret).update(payload).digest('base64url');
+
+export const createSessionToken = (subject, secret, ttlSeconds) => {
+  const payload = Buffer.from(JSON.stringify({ sub: subject, exp: Date.now() + ttlSeconds * 1000 })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+};
+
+const readCookie = (req, name) => {
+  const header = req.headers.cookie || '';
+  const match = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+};
+
+const verifySession = (token, secret) => {
+  const [payload, signature] = (token || '').split('.');
+  if (!payload || !signature || !safeEqual(signature, sign(payload, secret))) return null;
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return session.exp > Date.now() ? session : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Who is calling: { user } when a token or session checks out, { error } otherwise. The user id
+// keys the per-user rate limit. A proxy with neither tokens nor sessions configured serves no one.
+export const authenticate = (req, config) => {
+  if (config.apiTokens.length === 0 && !config.sessionSecret) {
+    return { error: 'The proxy requires PROXY_API_TOKENS or PROXY_SESSION_SECRET to be configured' };
+  }
+  const authorization = req.headers.authorization || '';
+
+  if (config.apiTokens.length > 0 && authorization.startsWith('Bearer ')) {
+    const token = authorization.slice('Bearer '.length).trim();
+    if (config.apiTokens.some(candidate => safeEqual(candidate, token))) {
+      return { user: `token:${createHash('sha256').update(token).digest('hex').slice(0, 16)}` };
+    }
+    return { error: 'Invalid API token' };
+  }
+
+  if (config.sessionSecret) {
+    const session = verifySession(readCookie(req, SESSION_COOKIE), config.sessionSecret);
+    if (session) return { user: `session:${session.sub}` };
+  }
+
+  return { error: 'Authentication required' };
+};
+
+// Fixed one-minute windows kept in memory. Limits apply per warm function instance; put a shared
+// store (e.g. Redis) behind this interface if exact limits across instances are needed.
+export const createRateLimiter = ({ perUserPerMinute, globalPerMinute, windowMs = 60000 }) => {
+  const windows = new Map();
+
+  const current = (key, now) => {
+    let window = windows.get(key);
+    if (!window || now - window.start >= windowMs) {
+      window = { start: now, count: 0 };
+      windows.set(key, window);
+    }
+    return window;
+  };
+
+  return {
+    // 0 when allowed (and counted), otherwise seconds until the caller may retry
+    check(user) {
+      const now = Date.now();
+      if (windows.size > 5000) {
+        windows.forEach((window, key) => {
+          if (now - window.start >= windowMs) windows.delete(key);
+        });
+      }
+
+      const limits = [[current('*', now), globalPerMinute], [current(user, now), perUserPerMinute]];
+      const exhausted = limits.filter(([window, limit]) => window.count >= limit);
+      if (exhausted.length > 0) {
+        return Math.max(...exhausted.map(([window]) => Math.ceil((window.start + windowMs - now) / 1000)));
+      }
+      limits.forEach(([window]) => { window.count++; });
+      return 0;
+    }
+  };
+};
+
+export const requestSize = (req) =>
+  Number(req.headers['content-length']) || Buffer.byteLength(JSON.stringify(req.body || {}));
+
+// maxTokens from the client, clamped to the configured cap
+export const clampMaxTokens = (value, cap) => {
+  const number = Math.floor(Number(value));
+  return number > 0 ? Math.min(number, cap) : Math.min(2000, cap);
+};
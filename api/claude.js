@@ -1,8 +1,83 @@
+import { createProvider } from './_lib/providers/index.js';
+import { createResponseCache } from './_lib/responseCache.js';
+import {
+  readSecurityConfig,
+  checkOrigin,
+  authenticate,
+  createRateLimiter,
+  requestSize,
+  clampMaxTokens
+} from './_lib/security.js';
+import { renderPromptRequest } from '../src/services/llm/promptTemplates.js';
+
+// Origin allow-list, auth, rate limits and size caps; see the README for the environment variables
+const security = readSecurityConfig();
+const rateLimiter = createRateLimiter(security);
+
+// Optional reply cache for requests that opt in with `cache: true`; off unless a TTL is configured
+const cacheTtlSeconds = Number(process.env.PROXY_CACHE_TTL_SECONDS) || 0;
+const responseCache = cacheTtlSeconds > 0 ? createResponseCache({ ttlMs: cacheTtlSeconds * 1000 }) : null;
+
+// Streamed replies always use Anthropic's event format, whichever provider produced them
+const writeEvent = (res, type, payload = {}) => {
+  res.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...payload })}\n\n`);
+};
+
+const startEventStream = (res, model) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive'
+  });
+  writeEvent(res, 'message_start', { message: { model } });
+};
+
+const sendReply = (res, { text, stopReason }, stream, model) => {
+  if (stream) {
+    startEventStream(res, model);
+    writeEvent(res, 'content_block_delta', { index: 0, delta: { type: 'text_delta', text } });
+    writeEvent(res, 'message_delta', { delta: { stop_reason: stopReason } });
+    writeEvent(res, 'message_stop');
+    return res.end();
+  }
+  return res.status(200).json({
+    model,
+    content: [{ type: 'text', text }],
+    stop_reason: stopReason
+  });
+};
+
+// The { system, messages } to send upstream. Template requests are rendered here so clients never
+// choose the prompt text; raw prompts are only accepted when PROXY_PROMPT_MODE=open.
+const buildPrompt = ({ template, data, prompt, messages, system }) => {
+  if (template !== undefined) {
+    return renderPromptRequest({ template, data, messages }, { allowChat: security.allowChat });
+  }
+  if (security.promptMode !== 'open') {
+    return { error: 'A prompt template is required' };
+  }
+  // Multi-turn callers send the whole conversation; single prompts become one user message
+  if (messages !== undefined && (!Array.isArray(messages) || messages.length === 0)) {
+    return { error: 'messages must be a non-empty array' };
+  }
+  if (messages === undefined && typeof prompt !== 'string') {
+    return { error: 'prompt must be a string' };
+  }
+  return { system, messages: messages || [{ role: 'user', content: prompt }] };
+};
+
 export default async function handler(req, res) {
-  // Enable CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
+  const origin = checkOrigin(req, security);
+  if (origin === false) {
+    return res.status(403).json({ error: 'Origin not allowed' });
+  }
+  if (origin) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Vary', 'Origin');
+  }
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -12,38 +87,96 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  try {
-    const { prompt, maxTokens = 2000 } = req.body;
-    const apiKey = process.env.REACT_APP_CLAUDE_API_KEY;
+  if (requestSize(req) > security.maxRequestBytes) {
+    return res.status(413).json({ error: `Request body exceeds ${security.maxRequestBytes} bytes` });
+  }
+
+  const { user, error: authError } = authenticate(req, security);
+  if (authError) {
+    return res.status(401).json({ error: authError });
+  }
 
-    if (!apiKey) {
-      return res.status(500).json({ error: 'API key not configured' });
+  const retryAfter = rateLimiter.check(user);
+  if (retryAfter > 0) {
+    res.setHeader('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: 'Rate limit exceeded, try again shortly' });
+  }
+
+  try {
+    const { template, maxTokens, stream = false, cache = false, refresh = false } = req.body || {};
+    const prompt = buildPrompt(req.body || {});
+    if (prompt.error) {
+      return res.status(400).json({ error: prompt.error });
     }
 
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: maxTokens,
-        messages: [{ role: 'user', content: prompt }]
-      })
+    // Anthropic by default; LLM_PROVIDER selects an OpenAI-compatible endpoint or the mock
+    const provider = createProvider();
+
+    // Stop generating upstream when the browser goes away (e.g. the user pressed Stop)
+    const upstream = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) upstream.abort();
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      return res.status(response.status).json({ error: errorText });
+    const options = {
+      template,
+      system: prompt.system,
+      messages: prompt.messages,
+      maxTokens: clampMaxTokens(maxTokens, security.maxTokensCap),
+      signal: upstream.signal
+    };
+
+    const cacheKey = responseCache && cache ? responseCache.keyFor(provider, options) : null;
+    const cachedReply = cacheKey && !refresh ? responseCache.get(cacheKey) : null;
+    if (cachedReply) {
+      res.setHeader('X-Cache', 'HIT');
+      return sendReply(res, cachedReply, stream, provider.model);
+    }
+    // Only complete answers are worth replaying
+    const remember = (reply) => {
+      if (cacheKey && reply.stopReason !== 'max_tokens') responseCache.set(cacheKey, reply);
+    };
+
+    if (stream) {
+      const events = provider.stream(options);
+      // Wait for the first event before sending headers so upstream errors keep their status code
+      let step = await events.next();
+      startEventStream(res, provider.model);
+      let text = '';
+      try {
+        for (; !step.done; step = await events.next()) {
+          const event = step.value;
+          if (event.type === 'text') {
+            text += event.text;
+            writeEvent(res, 'content_block_delta', { index: 0, delta: { type: 'text_delta', text: event.text } });
+          } else if (event.type === 'stop') {
+            writeEvent(res, 'message_delta', { delta: { stop_reason: event.stopReason } });
+            remember({ text, stopReason: event.stopReason });
+          }
+        }
+        writeEvent(res, 'message_stop');
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error('Stream error:', error);
+          writeEvent(res, 'error', { error: { message: 'Stream interrupted' } });
+        }
+      }
+      return res.end();
     }
 
-    const data = await response.json();
-    return res.status(200).json(data);
+    const result = await provider.request(options);
+    remember(result);
+    return sendReply(res, result, false, provider.model);
 
   } catch (error) {
+    if (error.name === 'AbortError') {
+      return res.end();
+    }
+    if (error.status) {
+      if (error.retryAfter) res.setHeader('Retry-After', error.retryAfter);
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Proxy error:', error);
     return res.status(500).json({ error: 'Internal server error' });
   }
-}
\ No newline at end of file
+}
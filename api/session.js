@@ -0,0 +1,59 @@
+import { timingSafeEqual, createHash } from 'crypto';
+import { readSecurityConfig, checkOrigin, clientAddress, createRateLimiter, createSessionToken, SESSION_COOKIE } from './_lib/security.js';
+
+const SESSION_TTL_SECONDS = 12 * 60 * 60;
+
+const security = readSecurityConfig();
+// Sign-in attempts share the proxy's per-user limit, keyed by client address
+const attemptLimiter = createRateLimiter(security);
+
+// Hashing first keeps the comparison constant-time whatever the code's length
+const sameCode = (a, b) => timingSafeEqual(
+  createHash('sha256').update(String(a)).digest(),
+  createHash('sha256').update(String(b)).digest()
+);
+
+// Exchanges the shared access code (PROXY_ACCESS_CODE) for a signed session cookie that
+// /api/claude accepts in place of an API token
+export default async function handler(req, res) {
+  const origin = checkOrigin(req, security);
+  if (origin === false) {
+    return res.status(403).json({ error: 'Origin not allowed' });
+  }
+  if (origin) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Vary', 'Origin');
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const accessCode = process.env.PROXY_ACCESS_CODE;
+  if (!security.sessionSecret || !accessCode) {
+    return res.status(404).json({ error: 'Sessions are not enabled' });
+  }
+
+  const address = clientAddress(req);
+  const retryAfter = attemptLimiter.check(`signin:${address}`);
+  if (retryAfter > 0) {
+    res.setHeader('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: 'Too many attempts, try again shortly' });
+  }
+
+  const { accessCode: submitted } = req.body || {};
+  if (typeof submitted !== 'string' || !sameCode(submitted, accessCode)) {
+    return res.status(401).json({ error: 'Invalid access code' });
+  }
+
+  const token = createSessionToken(address, security.sessionSecret, SESSION_TTL_SECONDS);
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${token}; Max-Age=${SESSION_TTL_SECONDS}; Path=/api; HttpOnly; Secure; SameSite=Strict`);
+  return res.status(200).json({ expiresIn: SESSION_TTL_SECONDS });
+}
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { Lock } from 'lucide-react';
+import claudeApi from '../services/claudeApi';
+
+// Shown when the proxy answers 401: trades the team's access code for the proxy's HttpOnly session
+// cookie, which the browser then sends with every AI request. The code itself is not stored.
+const AccessCodeSignIn = ({ onSignedIn }) => {
+  const [accessCode, setAccessCode] = useState('');
+  const [isSigningIn, setIsSigningIn] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const code = accessCode.trim();
+    if (!code || isSigningIn) return;
+
+    setIsSigningIn(true);
+    setError(null);
+    try {
+      await claudeApi.signIn(code);
+      setAccessCode('');
+      onSignedIn();
+    } catch (signInError) {
+      setError(signInError.status === 401 ? 'That access code was not accepted.' : signInError.message);
+    } finally {
+      setIsSigningIn(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+      <div className="flex items-start space-x-3">
+        <Lock className="h-5 w-5 text-blue-600 mt-0.5 flex-shrink-0" />
+        <div className="flex-1">
+          <h3 className="font-medium text-blue-900">Sign in to use the AI features</h3>
+          <p className="text-sm text-blue-800 mb-3">Enter the access code for this deployment. You stay signed in for 12 hours.</p>
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              type="password"
+              value={accessCode}
+              onChange={(e) => setAccessCode(e.target.value)}
+              placeholder="Access code"
+              autoComplete="current-password"
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm bg-white"
+            />
+            <button
+              type="submit"
+              disabled={isSigningIn || !accessCode.trim()}
+              className="px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {isSigningIn ? 'Signing in...' : 'Sign in'}
+            </button>
+          </div>
+          {error && <p className="text-sm text-red-700 mt-2">{error}</p>}
+        </div>
+      </div>
+    </form>
+  );
+};
+
+export default AccessCodeSignIn;
@@ -0,0 +1,249 @@
+import React, { useState, useMemo } from 'react';
+import { Calculator, Lock, AlertCircle } from 'lucide-react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { OPTIMIZER_KPIS, fitResponseCurves, optimizeBudget, predictSplit, currentSplit, aiSplit } from '../utils/budgetOptimizer';
+
+const NO_CURVES = [];
+
+const money = (value) => `$${Math.round(value).toLocaleString()}`;
+const count = (value) => Math.round(value).toLocaleString();
+
+const percentChange = (value, baseline) => (baseline > 0 ? (value - baseline) / baseline * 100 : null);
+
+const ChangeBadge = ({ value, baseline }) => {
+  const change = percentChange(value, baseline);
+  if (change === null) return null;
+  return (
+    <span className={`px-2 py-0.5 rounded text-xs font-medium ${change >= 0 ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+      {change >= 0 ? '+' : ''}{change.toFixed(1)}%
+    </span>
+  );
+};
+
+// Deterministic budget split: fits a diminishing-returns curve per channel from the uploaded rows
+// and maximizes the chosen KPI within the total budget and per-channel limits. Shown next to the
+// AI's suggested split so the two can be compared on the same curves.
+const BudgetOptimizer = ({ data, budgetReallocation, defaultBudget, constraints, onConstraintsChange }) => {
+  const curvesByKpi = useMemo(
+    () => Object.fromEntries(OPTIMIZER_KPIS.map(kpi => [kpi.id, fitResponseCurves(data, kpi.id)])),
+    [data]
+  );
+  const availableKpis = OPTIMIZER_KPIS.filter(kpi => curvesByKpi[kpi.id].length > 0);
+  const [selectedKpi, setSelectedKpi] = useState(null);
+  const [budgetInput, setBudgetInput] = useState('');
+
+  const kpi = availableKpis.find(option => option.id === selectedKpi)
+    || availableKpis.find(option => option.id === 'conversions')
+    || availableKpis[0];
+  const curves = kpi ? curvesByKpi[kpi.id] : NO_CURVES;
+  const totalBudget = budgetInput !== '' ? Number(budgetInput) : defaultBudget;
+
+  const result = useMemo(
+    () => optimizeBudget(curves, { totalBudget, constraints }),
+    [curves, totalBudget, constraints]
+  );
+  const baselineKpi = useMemo(() => predictSplit(curves, currentSplit(curves, totalBudget)), [curves, totalBudget]);
+  const suggested = useMemo(() => aiSplit(curves, budgetReallocation), [curves, budgetReallocation]);
+
+  if (!kpi) return null;
+
+  const suggestedKpi = suggested ? predictSplit(curves, suggested) : null;
+  const suggestedTotal = suggested
+    ? curves.reduce((sum, curve) => sum + (suggested[curve.channel] !== undefined ? suggested[curve.channel] : curve.currentSpend), 0)
+    : null;
+
+  const updateConstraint = (channel, changes) => {
+    onConstraintsChange({ ...constraints, [channel]: { ...(constraints[channel] || {}), ...changes } });
+  };
+
+  const chartData = result.error ? [] : result.allocations.map(allocation => ({
+    channel: allocation.channel,
+    Current: Math.round(allocation.currentSpend),
+    ...(suggested ? { 'AI suggestion': Math.round(suggested[allocation.channel] !== undefined ? suggested[allocation.channel] : allocation.currentSpend) } : {}),
+    Optimal: Math.round(allocation.optimalBudget)
+  }));
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <h2 className="text-xl font-bold text-gray-900 mb-1 flex items-center space-x-2">
+        <Calculator className="h-5 w-5" />
+        <span>Budget Optimizer</span>
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Fits a diminishing-returns curve to each channel's rows and finds the split that maximizes the KPI within your budget and limits.
+      </p>
+
+      <div className="flex flex-wrap items-end gap-4 mb-4">
+        <label className="text-sm text-gray-700">
+          <span className="block mb-1 font-medium">Maximize</span>
+          <select
+            value={kpi.id}
+            onChange={(e) => setSelectedKpi(e.target.value)}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm bg-white"
+          >
+            {availableKpis.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-gray-700">
+          <span className="block mb-1 font-medium">Total budget</span>
+          <input
+            type="number"
+            min="0"
+            value={budgetInput}
+            onChange={(e) => setBudgetInput(e.target.value)}
+            placeholder={Math.round(defaultBudget).toString()}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm w-40"
+          />
+        </label>
+      </div>
+
+      {result.error ? (
+        <p className="text-sm text-red-700 flex items-center space-x-1 mb-4">
+          <AlertCircle className="h-4 w-4" />
+          <span>{result.error}</span>
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+          <div className="border rounded-lg p-4">
+            <p className="text-xs text-gray-600">Current mix at this budget</p>
+            <p className="text-2xl font-bold text-gray-900">{count(baselineKpi)}</p>
+            <p className="text-xs text-gray-500">{kpi.label.toLowerCase()} expected</p>
+          </div>
+          <div className="border border-blue-300 bg-blue-50 rounded-lg p-4">
+            <p className="text-xs text-blue-800">Optimal split</p>
+            <p className="text-2xl font-bold text-blue-900 flex items-center space-x-2">
+              <span>{count(result.expectedKpi)}</span>
+              <ChangeBadge value={result.expectedKpi} baseline={baselineKpi} />
+            </p>
+            <p className="text-xs text-blue-700">
+              {result.unallocated > 0
+                ? `${money(result.unallocated)} left unspent: every channel is at its maximum`
+                : `${kpi.label.toLowerCase()} expected vs the current mix`}
+            </p>
+          </div>
+          <div className="border rounded-lg p-4">
+            <p className="text-xs text-gray-600">AI suggestion</p>
+            {suggested ? (
+              <>
+                <p className="text-2xl font-bold text-gray-900 flex items-center space-x-2">
+                  <span>{count(suggestedKpi)}</span>
+                  <ChangeBadge value={suggestedKpi} baseline={baselineKpi} />
+                </p>
+                <p className="text-xs text-gray-500">
+                  {Math.abs(suggestedTotal - totalBudget) > 1
+                    ? `Spends ${money(suggestedTotal)}, not the ${money(totalBudget)} budget`
+                    : suggestedKpi <= result.expectedKpi
+                      ? `${count(result.expectedKpi - suggestedKpi)} fewer ${kpi.label.toLowerCase()} than the optimal split`
+                      : 'Ahead of the optimal split only by breaking your limits'}
+                </p>
+              </>
+            ) : (
+              <p className="text-sm text-gray-500 mt-2">Run recommendations to compare the AI's budget split.</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="overflow-x-auto mb-4">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Channel</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Current spend</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Min</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Max</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Lock</th>
+              {suggested && <th className="px-3 py-2 text-left font-medium text-gray-700">AI suggestion</th>}
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Optimal</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Expected {kpi.label.toLowerCase()}</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Curve</th>
+            </tr>
+          </thead>
+          <tbody>
+            {curves.map((curve, idx) => {
+              const constraint = constraints[curve.channel] || {};
+              const allocation = result.error ? null : result.allocations[idx];
+              return (
+                <tr key={curve.channel} className="border-t">
+                  <td className="px-3 py-2 font-medium text-gray-900">{curve.channel}</td>
+                  <td className="px-3 py-2 text-gray-700">{money(curve.currentSpend)}</td>
+                  <td className="px-3 py-2">
+                    <input
+                      type="number"
+                      min="0"
+                      value={constraint.min || ''}
+                      onChange={(e) => updateConstraint(curve.channel, { min: e.target.value })}
+                      disabled={constraint.locked}
+                      className="border border-gray-300 rounded-md px-2 py-1 text-sm w-28 disabled:bg-gray-100"
+                    />
+                  </td>
+                  <td className="px-3 py-2">
+                    <input
+                      type="number"
+                      min="0"
+                      value={constraint.max || ''}
+                      onChange={(e) => updateConstraint(curve.channel, { max: e.target.value })}
+                      disabled={constraint.locked}
+                      className="border border-gray-300 rounded-md px-2 py-1 text-sm w-28 disabled:bg-gray-100"
+                    />
+                  </td>
+                  <td className="px-3 py-2">
+                    <label className="inline-flex items-center space-x-1 text-gray-600" title="Hold this line item at its current spend">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(constraint.locked)}
+                        onChange={(e) => updateConstraint(curve.channel, { locked: e.target.checked })}
+                      />
+                      {constraint.locked && <Lock className="h-3 w-3" />}
+                    </label>
+                  </td>
+                  {suggested && (
+                    <td className="px-3 py-2 text-gray-700">
+                      {suggested[curve.channel] !== undefined ? money(suggested[curve.channel]) : '—'}
+                    </td>
+                  )}
+                  <td className="px-3 py-2 font-medium text-gray-900">
+                    {allocation ? (
+                      <span className="flex items-center space-x-2">
+                        <span>{money(allocation.optimalBudget)}</span>
+                        <ChangeBadge value={allocation.optimalBudget} baseline={curve.currentSpend} />
+                      </span>
+                    ) : '—'}
+                  </td>
+                  <td className="px-3 py-2 text-gray-700">{allocation ? count(allocation.expectedKpi) : '—'}</td>
+                  <td
+                    className="px-3 py-2 text-xs text-gray-500"
+                    title={curve.fitted
+                      ? `Fitted on ${curve.points} rows (R² ${curve.r2.toFixed(2)})`
+                      : `Too few rows to fit; assumed elasticity ${curve.elasticity}`}
+                  >
+                    {curve.currentSpend > 0 ? `elasticity ${curve.elasticity.toFixed(2)}${curve.fitted ? '' : ' (assumed)'}` : 'no spend history'}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {chartData.length > 0 && (
+        <ResponsiveContainer width="100%" height={260}>
+          <BarChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="channel" />
+            <YAxis />
+            <Tooltip formatter={(value) => money(value)} />
+            <Legend />
+            <Bar dataKey="Current" fill="#9CA3AF" />
+            {suggested && <Bar dataKey="AI suggestion" fill="#8B5CF6" />}
+            <Bar dataKey="Optimal" fill="#3B82F6" />
+          </BarChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+};
+
+export default BudgetOptimizer;
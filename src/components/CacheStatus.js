@@ -0,0 +1,47 @@
+import React from 'react';
+import { Clock, RefreshCw } from 'lucide-react';
+
+const formatTimestamp = (iso) => new Date(iso).toLocaleString();
+
+// Where a result came from (cache or a fresh run), its stored versions and a way to re-run it.
+// `rerunBlockedReason` keeps the re-run button off, with the reason shown, while stored versions stay browsable.
+const CacheStatus = ({ cacheInfo, onSelectVersion, onRerun, disabled, rerunBlockedReason }) => {
+  if (!cacheInfo) return null;
+
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-2 bg-gray-50 border border-gray-200 rounded-lg px-4 py-2 text-sm">
+      <div className="flex items-center space-x-2 text-gray-700">
+        <Clock className="h-4 w-4 text-gray-500" />
+        <span>
+          {cacheInfo.cached ? 'Cached from' : 'Generated'} {formatTimestamp(cacheInfo.createdAt)}
+        </span>
+        {cacheInfo.versions.length > 1 && (
+          <select
+            value={cacheInfo.versionId}
+            onChange={(e) => onSelectVersion(e.target.value)}
+            disabled={disabled}
+            className="border border-gray-300 rounded-md px-2 py-1 bg-white"
+          >
+            {cacheInfo.versions.map((version, idx) => (
+              <option key={version.id} value={version.id}>
+                {formatTimestamp(version.createdAt)}{idx === 0 ? ' (latest)' : ''}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+      <button
+        onClick={onRerun}
+        disabled={disabled || Boolean(rerunBlockedReason)}
+        className="flex items-center space-x-1 px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+        title={rerunBlockedReason || 'Ask the model again and keep this result as an older version'}
+      >
+        <RefreshCw className="h-4 w-4" />
+        <span>Re-run</span>
+      </button>
+      {rerunBlockedReason && <p className="w-full text-xs text-yellow-700">{rerunBlockedReason}</p>}
+    </div>
+  );
+};
+
+export default CacheStatus;
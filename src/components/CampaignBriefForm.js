@@ -0,0 +1,168 @@
+import React from 'react';
+import { ClipboardList, Plus, Trash2, AlertCircle } from 'lucide-react';
+import { OBJECTIVES, KPI_TARGET_METRICS, validateBrief } from '../utils/campaignBrief';
+
+const inputClass = 'w-full border border-gray-300 rounded-md px-3 py-2 text-sm bg-white';
+
+// Objective, KPI targets, budget, flight, audience, markets and constraints for the uploaded
+// campaign. Saved with the dataset and sent with the analysis and recommendation prompts.
+const CampaignBriefForm = ({ brief, onChange }) => {
+  const errors = validateBrief(brief);
+  const usedMetrics = brief.kpiTargets.map(target => target.metric);
+  const nextMetric = KPI_TARGET_METRICS.find(metric => !usedMetrics.includes(metric.id));
+
+  const update = (changes) => onChange({ ...brief, ...changes });
+
+  const updateTarget = (idx, changes) => update({
+    kpiTargets: brief.kpiTargets.map((target, targetIdx) => (targetIdx === idx ? { ...target, ...changes } : target))
+  });
+
+  const textField = (field, label, placeholder) => (
+    <label className="text-sm text-gray-700">
+      <span className="block mb-1 font-medium">{label}</span>
+      <input
+        type="text"
+        value={brief[field]}
+        onChange={(e) => update({ [field]: e.target.value })}
+        placeholder={placeholder}
+        className={inputClass}
+      />
+    </label>
+  );
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 mb-6">
+      <h4 className="font-medium text-gray-900 mb-1 flex items-center space-x-2">
+        <ClipboardList className="h-4 w-4" />
+        <span>Campaign Brief</span>
+      </h4>
+      <p className="text-xs text-gray-600 mb-4">
+        Optional. The AI judges channels against the objective and targets you set here, and explains how each recommendation serves them.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+        {OBJECTIVES.map(objective => (
+          <button
+            key={objective.id}
+            onClick={() => update({ objective: brief.objective === objective.id ? '' : objective.id })}
+            className={`text-left rounded-lg border p-3 transition-colors ${
+              brief.objective === objective.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200 bg-white hover:border-blue-300'
+            }`}
+          >
+            <div className="font-medium text-gray-900 text-sm">{objective.label}</div>
+            <div className="text-xs text-gray-600 mt-1">{objective.description}</div>
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        {textField('vertical', 'Vertical', 'e.g. Retail, Automotive, SaaS')}
+        <label className="text-sm text-gray-700">
+          <span className="block mb-1 font-medium">Total budget</span>
+          <input
+            type="number"
+            min="0"
+            value={brief.budget}
+            onChange={(e) => update({ budget: e.target.value })}
+            placeholder="e.g. 250000"
+            className={inputClass}
+          />
+        </label>
+        <div className="grid grid-cols-2 gap-2">
+          <label className="text-sm text-gray-700">
+            <span className="block mb-1 font-medium">Flight start</span>
+            <input
+              type="date"
+              value={brief.flightStart}
+              onChange={(e) => update({ flightStart: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            <span className="block mb-1 font-medium">Flight end</span>
+            <input
+              type="date"
+              value={brief.flightEnd}
+              onChange={(e) => update({ flightEnd: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+        </div>
+        {textField('audience', 'Target audience', 'e.g. Adults 25-44, in-market for home insurance')}
+        {textField('markets', 'Markets', 'e.g. US, Canada')}
+        <label className="text-sm text-gray-700">
+          <span className="block mb-1 font-medium">Constraints</span>
+          <textarea
+            value={brief.constraints}
+            onChange={(e) => update({ constraints: e.target.value })}
+            placeholder="e.g. TV budget is committed; no TikTok; minimum 20% on Search"
+            rows={2}
+            className={inputClass}
+          />
+        </label>
+      </div>
+
+      <div className="border-t pt-3">
+        <p className="text-xs font-medium text-gray-700 mb-2">KPI targets</p>
+        <div className="space-y-2">
+          {brief.kpiTargets.map((target, idx) => (
+            <div key={idx} className="flex items-center gap-2">
+              <select
+                value={target.metric}
+                onChange={(e) => updateTarget(idx, { metric: e.target.value })}
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm bg-white"
+              >
+                {KPI_TARGET_METRICS
+                  .filter(metric => metric.id === target.metric || !usedMetrics.includes(metric.id))
+                  .map(metric => (
+                    <option key={metric.id} value={metric.id}>{metric.label}</option>
+                  ))}
+              </select>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={target.value}
+                onChange={(e) => updateTarget(idx, { value: e.target.value })}
+                placeholder="Target"
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm w-32"
+              />
+              <span className="text-xs text-gray-500">
+                {KPI_TARGET_METRICS.find(metric => metric.id === target.metric).better === 'lower' ? 'or lower' : 'or higher'}
+              </span>
+              <button
+                onClick={() => update({ kpiTargets: brief.kpiTargets.filter((_, targetIdx) => targetIdx !== idx) })}
+                className="p-1 text-gray-400 hover:text-red-600"
+                title="Remove target"
+              >
+                <Trash2 className="h-3 w-3" />
+              </button>
+            </div>
+          ))}
+        </div>
+        {nextMetric && (
+          <button
+            onClick={() => update({ kpiTargets: [...brief.kpiTargets, { metric: nextMetric.id, value: '' }] })}
+            className="mt-2 flex items-center space-x-1 px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100"
+          >
+            <Plus className="h-3 w-3" />
+            <span>Add target</span>
+          </button>
+        )}
+      </div>
+
+      {errors.length > 0 && (
+        <div className="mt-3 text-xs text-red-700 space-y-1">
+          {errors.map(problem => (
+            <p key={problem} className="flex items-center space-x-1">
+              <AlertCircle className="h-3 w-3" />
+              <span>{problem}</span>
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CampaignBriefForm;
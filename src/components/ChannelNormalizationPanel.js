@@ -0,0 +1,154 @@
+import React, { useMemo, useState } from 'react';
+import { Layers, Check, X } from 'lucide-react';
+import { channelKey, getChannelValues, normalizeChannelName, suggestChannelGroups } from '../utils/channelTaxonomy';
+
+const SOURCE_STYLES = {
+  alias: { badge: 'bg-purple-100 text-purple-800', label: 'Alias' },
+  taxonomy: { badge: 'bg-green-100 text-green-800', label: 'Taxonomy' },
+  unmatched: { badge: 'bg-gray-100 text-gray-700', label: 'Unmatched' }
+};
+
+// Map raw channel labels onto consistent channel names before any grouping happens
+const ChannelNormalizationPanel = ({ data, aliases, onAliasesChange }) => {
+  // Counted by the import worker unless the mapping or rows changed since
+  const channelValues = useMemo(() => data.channelValues || getChannelValues(data), [data]);
+  const suggestions = useMemo(() => suggestChannelGroups(channelValues, aliases), [channelValues, aliases]);
+  const [editingKey, setEditingKey] = useState(null);
+  const [draftLabel, setDraftLabel] = useState('');
+
+  if (channelValues.length === 0) return null;
+
+  const rows = channelValues.map(value => ({ ...value, ...normalizeChannelName(value.raw, aliases) }));
+  // Breakdowns group on the taxonomy channel; labels it can't place stand on their own
+  const normalizedCount = new Set(rows.map(row => row.channel || row.label)).size;
+
+  const setAliases = (changes) => {
+    const next = { ...aliases };
+    Object.entries(changes).forEach(([key, label]) => {
+      if (label) {
+        next[key] = label;
+      } else {
+        delete next[key];
+      }
+    });
+    onAliasesChange(next);
+  };
+
+  const acceptSuggestion = (suggestion) => {
+    setAliases(Object.fromEntries(suggestion.members.map(raw => [channelKey(raw), suggestion.label])));
+  };
+
+  const startEditing = (row) => {
+    setEditingKey(channelKey(row.raw));
+    setDraftLabel(row.label);
+  };
+
+  const saveEdit = () => {
+    setAliases({ [editingKey]: draftLabel.trim() });
+    setEditingKey(null);
+  };
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-medium text-gray-900 flex items-center space-x-2">
+          <Layers className="h-4 w-4" />
+          <span>Channel Names</span>
+        </h4>
+        <span className="text-xs text-gray-500">
+          {channelValues.length} raw label{channelValues.length === 1 ? '' : 's'} → {normalizedCount} channel{normalizedCount === 1 ? '' : 's'}
+        </span>
+      </div>
+
+      {suggestions.length > 0 && (
+        <div className="mb-4 space-y-2">
+          {suggestions.map(suggestion => (
+            <div key={`${suggestion.source}-${suggestion.label}`} className="flex items-center justify-between bg-blue-50 border border-blue-200 rounded-md px-3 py-2">
+              <p className="text-sm text-blue-900">
+                Group {suggestion.members.map(member => `"${member}"`).join(', ')} as <strong>{suggestion.label}</strong>
+                {suggestion.source === 'fuzzy' && <span className="text-xs text-blue-700"> (similar spelling)</span>}
+              </p>
+              <button
+                onClick={() => acceptSuggestion(suggestion)}
+                className="flex items-center space-x-1 px-2 py-1 text-xs bg-blue-600 text-white rounded-md hover:bg-blue-700 flex-shrink-0 ml-3"
+              >
+                <Check className="h-3 w-3" />
+                <span>Accept</span>
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Raw Label</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Rows</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Normalized As</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Taxonomy</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Source</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => {
+              const key = channelKey(row.raw);
+              const style = SOURCE_STYLES[row.source] || SOURCE_STYLES.unmatched;
+              return (
+                <tr key={row.raw} className="border-t">
+                  <td className="px-3 py-2 text-gray-900">{row.raw}</td>
+                  <td className="px-3 py-2 text-gray-600">{row.count.toLocaleString()}</td>
+                  <td className="px-3 py-2">
+                    {editingKey === key ? (
+                      <div className="flex items-center space-x-1">
+                        <input
+                          type="text"
+                          value={draftLabel}
+                          onChange={(e) => setDraftLabel(e.target.value)}
+                          onKeyDown={(e) => e.key === 'Enter' && saveEdit()}
+                          className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                          autoFocus
+                        />
+                        <button onClick={saveEdit} className="p-1 text-green-700 hover:bg-green-50 rounded">
+                          <Check className="h-4 w-4" />
+                        </button>
+                        <button onClick={() => setEditingKey(null)} className="p-1 text-gray-500 hover:bg-gray-100 rounded">
+                          <X className="h-4 w-4" />
+                        </button>
+                      </div>
+                    ) : (
+                      <button onClick={() => startEditing(row)} className="text-blue-700 hover:underline" title="Rename">
+                        {row.label}
+                      </button>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-xs text-gray-600">
+                    {row.channel ? [row.channel, row.subChannel, row.placement].filter(Boolean).join(' › ') : '—'}
+                  </td>
+                  <td className="px-3 py-2">
+                    <div className="flex items-center space-x-1">
+                      <span className={`px-2 py-1 rounded text-xs font-medium ${style.badge}`}>{style.label}</span>
+                      {aliases[key] && (
+                        <button
+                          onClick={() => setAliases({ [key]: null })}
+                          className="p-1 text-gray-400 hover:text-red-600"
+                          title="Remove alias"
+                        >
+                          <X className="h-3 w-3" />
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">Aliases are saved in this browser and applied to future uploads.</p>
+    </div>
+  );
+};
+
+export default ChannelNormalizationPanel;
@@ -0,0 +1,226 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { MessageSquare, Send, Square, Trash2 } from 'lucide-react';
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import claudeApi from '../services/claudeApi';
+import { parseChatReply } from '../utils/chatAssistant';
+
+const ReplyTable = ({ columns, rows }) => (
+  <div className="overflow-x-auto my-2">
+    <table className="min-w-full text-sm border border-gray-200">
+      <thead>
+        <tr className="bg-gray-100">
+          {columns.map(column => (
+            <th key={column} className="px-3 py-1 text-left font-medium text-gray-700">{column}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row, rowIdx) => (
+          <tr key={rowIdx} className="border-t">
+            {row.map((cell, cellIdx) => (
+              <td key={cellIdx} className="px-3 py-1 text-gray-800">
+                {typeof cell === 'number' ? cell.toLocaleString() : cell}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const ReplyChart = ({ chartType, title, valueLabel, data }) => (
+  <div className="my-2 bg-white rounded-lg border border-gray-200 p-3">
+    {title && <div className="text-sm font-medium text-gray-900 mb-2">{title}</div>}
+    <ResponsiveContainer width="100%" height={220}>
+      {chartType === 'line' ? (
+        <LineChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="label" />
+          <YAxis />
+          <Tooltip />
+          <Line type="monotone" dataKey="value" name={valueLabel} stroke="#3B82F6" strokeWidth={2} />
+        </LineChart>
+      ) : (
+        <BarChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="label" />
+          <YAxis />
+          <Tooltip />
+          <Bar dataKey="value" name={valueLabel} fill="#3B82F6" />
+        </BarChart>
+      )}
+    </ResponsiveContainer>
+  </div>
+);
+
+const AssistantReply = ({ message }) => {
+  const segments = parseChatReply(message.content);
+  return (
+    <div className="space-y-2">
+      {segments.map((segment, idx) => {
+        if (segment.type === 'table') return <ReplyTable key={idx} {...segment} />;
+        if (segment.type === 'chart') return <ReplyChart key={idx} {...segment} />;
+        if (segment.type === 'pending') {
+          return <p key={idx} className="text-sm text-gray-500 italic">Preparing {segment.blockType}...</p>;
+        }
+        return <p key={idx} className="text-sm text-gray-800 whitespace-pre-wrap">{segment.text}</p>;
+      })}
+      {message.status === 'streaming' && segments.length === 0 && (
+        <p className="text-sm text-gray-500 italic">Thinking...</p>
+      )}
+      {message.status === 'stopped' && <p className="text-xs text-gray-500">Stopped.</p>}
+      {message.status === 'truncated' && <p className="text-xs text-gray-500">The answer was cut off at the length limit.</p>}
+      {message.status === 'error' && <p className="text-sm text-red-700">Could not answer: {message.error}</p>}
+    </div>
+  );
+};
+
+// Follow-up questions about the uploaded data, grounded on the dataset summary and any analysis
+// and recommendations already generated. The thread lives in the parent so it survives tab switches.
+const ChatAssistant = ({ messages, onMessagesChange, context, suggestions = [], onSignInRequired }) => {
+  const [input, setInput] = useState('');
+  const controller = useRef(null);
+  const threadEnd = useRef(null);
+  // Derived from the thread so it stays right if the tab is left and reopened mid-answer
+  const isSending = messages.some(message => message.status === 'streaming');
+
+  useEffect(() => {
+    if (threadEnd.current && threadEnd.current.scrollIntoView) {
+      threadEnd.current.scrollIntoView({ block: 'nearest' });
+    }
+  }, [messages]);
+
+  const ask = async (question) => {
+    const text = question.trim();
+    if (!text || isSending || !context.data) return;
+
+    const userMessage = { id: Date.now(), role: 'user', content: text };
+    const replyId = userMessage.id + 1;
+    const history = [...messages, userMessage];
+    const updateReply = (changes) => onMessagesChange(current =>
+      current.map(message => (message.id === replyId ? { ...message, ...changes } : message))
+    );
+
+    onMessagesChange([...history, { id: replyId, role: 'assistant', content: '', status: 'streaming' }]);
+    setInput('');
+    controller.current = new AbortController();
+
+    try {
+      const reply = await claudeApi.askQuestion(history, context, {
+        signal: controller.current.signal,
+        onText: (soFar) => updateReply({ content: soFar })
+      });
+      updateReply({ content: reply.text, status: reply.stopped ? 'stopped' : reply.truncated ? 'truncated' : 'done' });
+    } catch (error) {
+      console.error('Chat error:', error);
+      if (error.status === 401 && onSignInRequired) onSignInRequired();
+      updateReply({ content: '', status: 'error', error: error.message });
+    } finally {
+      controller.current = null;
+    }
+  };
+
+  const stop = () => {
+    if (controller.current) controller.current.abort();
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    ask(input);
+  };
+
+  if (!context.data) {
+    return (
+      <div className="bg-white rounded-xl shadow-lg p-12 text-center">
+        <MessageSquare className="h-16 w-16 text-gray-400 mx-auto mb-4" />
+        <h3 className="text-lg font-medium text-gray-900 mb-2">No Data to Ask About</h3>
+        <p className="text-gray-600">Upload your campaign data to ask questions about it.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 flex flex-col">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-gray-900 flex items-center space-x-2">
+          <MessageSquare className="h-5 w-5" />
+          <span>Ask Your Data</span>
+        </h2>
+        {messages.length > 0 && (
+          <button
+            onClick={() => onMessagesChange([])}
+            disabled={isSending}
+            className="flex items-center space-x-1 text-sm text-gray-600 hover:text-gray-900 disabled:opacity-50"
+          >
+            <Trash2 className="h-4 w-4" />
+            <span>Clear conversation</span>
+          </button>
+        )}
+      </div>
+
+      {!context.analysisResults && (
+        <p className="text-sm text-gray-500 mb-4">
+          Answers use the computed dataset summary. Run the analysis first to let follow-ups build on its findings.
+        </p>
+      )}
+
+      <div className="space-y-4 max-h-[32rem] overflow-y-auto mb-4">
+        {messages.length === 0 && suggestions.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {suggestions.map(suggestion => (
+              <button
+                key={suggestion}
+                onClick={() => ask(suggestion)}
+                className="px-3 py-1 text-sm bg-blue-50 text-blue-800 rounded-full hover:bg-blue-100"
+              >
+                {suggestion}
+              </button>
+            ))}
+          </div>
+        )}
+        {messages.map(message => (
+          <div key={message.id} className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}>
+            <div className={`rounded-lg p-3 max-w-3xl ${
+              message.role === 'user' ? 'bg-blue-600 text-white text-sm whitespace-pre-wrap' : 'bg-gray-50 border border-gray-200 w-full'
+            }`}>
+              {message.role === 'user' ? message.content : <AssistantReply message={message} />}
+            </div>
+          </div>
+        ))}
+        <div ref={threadEnd}></div>
+      </div>
+
+      <form onSubmit={handleSubmit} className="flex items-center space-x-2">
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder="e.g. Why is Radio performing poorly?"
+          className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm"
+        />
+        {isSending ? (
+          <button
+            type="button"
+            onClick={stop}
+            className="flex items-center space-x-1 px-4 py-2 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100"
+          >
+            <Square className="h-4 w-4" />
+            <span>Stop</span>
+          </button>
+        ) : (
+          <button
+            type="submit"
+            disabled={!input.trim()}
+            className="flex items-center space-x-1 px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            <Send className="h-4 w-4" />
+            <span>Ask</span>
+          </button>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default ChatAssistant;
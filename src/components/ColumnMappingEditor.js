@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { Save, Trash2, Columns } from 'lucide-react';
+import { COLUMN_LABELS, IGNORED_COLUMN, describeHeaderMappings } from '../utils/dataProcessing';
+
+const confidenceBadge = (entry) => {
+  if (entry.source === 'manual') return { label: 'Manual', className: 'bg-purple-100 text-purple-800' };
+  if (entry.source === 'profile') return { label: 'Profile', className: 'bg-indigo-100 text-indigo-800' };
+  if (!entry.field) return { label: entry.source === 'ignored' ? 'Ignored' : 'Unmapped', className: 'bg-gray-100 text-gray-600' };
+
+  const percent = Math.round(entry.confidence * 100);
+  const className = entry.confidence >= 0.9 ? 'bg-green-100 text-green-800' :
+    entry.confidence >= 0.7 ? 'bg-yellow-100 text-yellow-800' : 'bg-red-100 text-red-800';
+  return { label: `${percent}%`, className };
+};
+
+// Review and override how each uploaded header maps onto the app's semantic fields
+const ColumnMappingEditor = ({ data, profiles, appliedProfileName, onOverridesChange, onSaveProfile, onApplyProfile, onDeleteProfile }) => {
+  const [profileName, setProfileName] = useState(appliedProfileName || '');
+  const entries = describeHeaderMappings(data);
+
+  const handleFieldChange = (header, value) => {
+    const overrides = { ...(data.columnOverrides || {}) };
+
+    // A field can only feed from one header, so release it from any other manual choice
+    if (value !== IGNORED_COLUMN) {
+      Object.keys(overrides).forEach(other => {
+        if (other !== header && overrides[other] === value) {
+          overrides[other] = IGNORED_COLUMN;
+        }
+      });
+    }
+    overrides[header] = value;
+    onOverridesChange(overrides);
+  };
+
+  const handleSave = () => {
+    if (!profileName.trim()) return;
+
+    const mapping = {};
+    entries.forEach(entry => {
+      mapping[entry.header] = entry.field || IGNORED_COLUMN;
+    });
+    onSaveProfile(profileName, mapping);
+  };
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-medium text-gray-900 flex items-center space-x-2">
+          <Columns className="h-4 w-4" />
+          <span>Column Mapping</span>
+        </h4>
+        {appliedProfileName && (
+          <span className="bg-indigo-100 text-indigo-800 px-2 py-1 rounded text-xs font-medium">
+            Profile applied: {appliedProfileName}
+          </span>
+        )}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Detected Header</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Sample Values</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Mapped To</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Confidence</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(entry => {
+              const badge = confidenceBadge(entry);
+              return (
+                <tr key={entry.index} className="border-t">
+                  <td className="px-3 py-2 font-medium text-gray-900">{entry.header}</td>
+                  <td className="px-3 py-2 text-gray-500 truncate max-w-xs">
+                    {entry.samples.filter(sample => sample !== '' && sample !== null && sample !== undefined).join(', ')}
+                  </td>
+                  <td className="px-3 py-2">
+                    <select
+                      value={entry.field || IGNORED_COLUMN}
+                      onChange={(e) => handleFieldChange(entry.header, e.target.value)}
+                      className="border border-gray-300 rounded-md px-2 py-1 bg-white"
+                    >
+                      <option value={IGNORED_COLUMN}>— Ignore —</option>
+                      {Object.entries(COLUMN_LABELS).map(([field, label]) => (
+                        <option key={field} value={field}>{label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="px-3 py-2">
+                    <span className={`px-2 py-1 rounded text-xs font-medium ${badge.className}`}>
+                      {badge.label}
+                    </span>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Saved mapping profiles */}
+      <div className="mt-4 flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          value={profileName}
+          onChange={(e) => setProfileName(e.target.value)}
+          placeholder='Profile name, e.g. "Meta weekly export"'
+          className="border border-gray-300 rounded-md px-3 py-1 text-sm flex-1 min-w-[200px]"
+        />
+        <button
+          onClick={handleSave}
+          disabled={!profileName.trim()}
+          className="flex items-center space-x-1 px-3 py-1 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          <Save className="h-4 w-4" />
+          <span>Save Profile</span>
+        </button>
+        {data.columnOverrides && (
+          <button
+            onClick={() => onOverridesChange(null)}
+            className="px-3 py-1 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-100"
+          >
+            Reset to Auto-Detect
+          </button>
+        )}
+      </div>
+
+      {profiles.length > 0 && (
+        <div className="mt-3 flex flex-wrap gap-2">
+          {profiles.map(profile => (
+            <span key={profile.name} className="inline-flex items-center bg-white border border-gray-200 rounded-full text-xs">
+              <button
+                onClick={() => onApplyProfile(profile.name)}
+                className="px-3 py-1 text-gray-700 hover:text-blue-700"
+                title={`Saved ${new Date(profile.savedAt).toLocaleDateString()}`}
+              >
+                {profile.name}
+              </button>
+              <button
+                onClick={() => onDeleteProfile(profile.name)}
+                className="pr-2 text-gray-400 hover:text-red-600"
+                aria-label={`Delete profile ${profile.name}`}
+              >
+                <Trash2 className="h-3 w-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ColumnMappingEditor;
@@ -0,0 +1,144 @@
+import React, { useMemo, useState } from 'react';
+import { ShieldCheck, AlertCircle, RotateCcw } from 'lucide-react';
+import { auditDataset } from '../utils/dataAudit';
+
+// How many row links we show per issue before collapsing the rest
+const MAX_ROW_LINKS = 12;
+
+const SEVERITY_STYLES = {
+  error: { badge: 'bg-red-100 text-red-800', border: 'border-red-200' },
+  warning: { badge: 'bg-yellow-100 text-yellow-800', border: 'border-yellow-200' },
+  info: { badge: 'bg-gray-100 text-gray-700', border: 'border-gray-200' }
+};
+
+const FIX_LABELS = {
+  drop: 'Drop rows',
+  impute: 'Impute values',
+  clamp: 'Clamp values'
+};
+
+// Data quality audit for the uploaded dataset, with one-click fixes that produce a cleaned copy
+const DataAuditPanel = ({ data, onApplyFix, onRestore }) => {
+  // Freshly imported files come audited by the import worker
+  const audit = useMemo(() => data.audit || auditDataset(data), [data]);
+  const [selectedRow, setSelectedRow] = useState(null);
+
+  const errorCount = audit.issues.filter(issue => issue.severity === 'error').length;
+  const warningCount = audit.issues.filter(issue => issue.severity === 'warning').length;
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-medium text-gray-900 flex items-center space-x-2">
+          <ShieldCheck className="h-4 w-4" />
+          <span>Data Quality Audit</span>
+        </h4>
+        <div className="flex items-center space-x-2 text-xs">
+          <span className="bg-red-100 text-red-800 px-2 py-1 rounded">{errorCount} errors</span>
+          <span className="bg-yellow-100 text-yellow-800 px-2 py-1 rounded">{warningCount} warnings</span>
+          <span className="text-gray-500">{audit.rowsChecked.toLocaleString()} rows checked</span>
+        </div>
+      </div>
+
+      {audit.issues.length === 0 ? (
+        <p className="text-sm text-green-700">No data quality issues found.</p>
+      ) : (
+        <div className="space-y-3">
+          {audit.issues.map(issue => {
+            const style = SEVERITY_STYLES[issue.severity];
+            return (
+              <div key={issue.id} className={`border rounded-lg p-3 ${style.border}`}>
+                <div className="flex items-start justify-between">
+                  <div className="flex items-start space-x-2">
+                    <AlertCircle className="h-4 w-4 mt-0.5 flex-shrink-0 text-gray-500" />
+                    <div>
+                      <p className="text-sm text-gray-800">{issue.message}</p>
+                      <div className="mt-1 flex flex-wrap gap-1">
+                        {issue.rowIndexes.slice(0, MAX_ROW_LINKS).map(rowIndex => (
+                          <button
+                            key={rowIndex}
+                            onClick={() => setSelectedRow(selectedRow === rowIndex ? null : rowIndex)}
+                            className={`text-xs px-1.5 py-0.5 rounded ${
+                              selectedRow === rowIndex ? 'bg-blue-600 text-white' : 'text-blue-700 hover:bg-blue-50'
+                            }`}
+                          >
+                            Row {rowIndex + 1}
+                          </button>
+                        ))}
+                        {issue.rowIndexes.length > MAX_ROW_LINKS && (
+                          <span className="text-xs text-gray-500 px-1.5 py-0.5">
+                            +{(issue.rowIndexes.length - MAX_ROW_LINKS).toLocaleString()} more
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-2 flex-shrink-0 ml-3">
+                    <span className={`px-2 py-0.5 rounded text-xs font-medium capitalize ${style.badge}`}>{issue.severity}</span>
+                    {issue.fixes.map(fix => (
+                      <button
+                        key={fix}
+                        onClick={() => {
+                          setSelectedRow(null);
+                          onApplyFix(issue, fix);
+                        }}
+                        className="px-2 py-1 text-xs border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100"
+                      >
+                        {FIX_LABELS[fix]}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Row inspector for the selected row link */}
+      {selectedRow !== null && data.rows[selectedRow] && (
+        <div className="mt-4 bg-gray-50 rounded-lg p-3 overflow-x-auto">
+          <p className="text-xs font-medium text-gray-700 mb-2">Row {selectedRow + 1}</p>
+          <table className="min-w-full text-xs">
+            <thead>
+              <tr>
+                {data.headers.map((header, idx) => (
+                  <th key={idx} className="px-2 py-1 text-left font-medium text-gray-600">{header}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                {data.rows[selectedRow].map((cell, idx) => (
+                  <td key={idx} className="px-2 py-1 text-gray-800">{cell === '' || cell === null ? '—' : String(cell)}</td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {data.auditLog && data.auditLog.length > 0 && (
+        <div className="mt-4 border-t pt-3">
+          <div className="flex items-center justify-between">
+            <p className="text-xs font-medium text-gray-700">Applied fixes ({data.rows.length.toLocaleString()} rows in cleaned dataset)</p>
+            <button
+              onClick={onRestore}
+              className="flex items-center space-x-1 text-xs text-gray-600 hover:text-gray-900"
+            >
+              <RotateCcw className="h-3 w-3" />
+              <span>Undo all fixes</span>
+            </button>
+          </div>
+          <ul className="mt-1 text-xs text-gray-600 list-disc list-inside">
+            {data.auditLog.map((entry, idx) => (
+              <li key={idx}>{FIX_LABELS[entry.fix]} ({entry.rowCount} rows): {entry.message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataAuditPanel;
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { Calculator, Plus, Trash2, AlertCircle } from 'lucide-react';
+import { CUSTOM_METRIC_VARIABLES, METRIC_UNITS, formatMetricValue, validateCustomMetric } from '../utils/derivedMetrics';
+
+const SOURCE_STYLES = {
+  computed: 'bg-green-100 text-green-800',
+  reported: 'bg-gray-100 text-gray-700'
+};
+
+// KPIs recomputed from base columns, plus the user's own calculated metrics
+const DerivedMetricsPanel = ({ derivedMetrics, customMetricResults, onAddCustomMetric, onRemoveCustomMetric }) => {
+  const [draft, setDraft] = useState({ name: '', expression: '', unit: 'number' });
+  const [draftError, setDraftError] = useState(null);
+
+  const metrics = Object.values(derivedMetrics || {});
+
+  const handleAdd = () => {
+    const problem = validateCustomMetric(draft, customMetricResults);
+    if (problem) {
+      setDraftError(problem);
+      return;
+    }
+    onAddCustomMetric({ name: draft.name.trim(), expression: draft.expression.trim(), unit: draft.unit });
+    setDraft({ name: '', expression: '', unit: 'number' });
+    setDraftError(null);
+  };
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 mb-6">
+      <h4 className="font-medium text-gray-900 mb-3 flex items-center space-x-2">
+        <Calculator className="h-4 w-4" />
+        <span>Calculated Metrics</span>
+      </h4>
+
+      {metrics.length === 0 ? (
+        <p className="text-sm text-gray-600">
+          Map impressions, clicks, cost, conversions or revenue columns to calculate CTR, CPM, CPC, CPA and ROAS.
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="px-3 py-2 text-left font-medium text-gray-700">Metric</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-700">Value</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-700">Formula</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-700">Source</th>
+              </tr>
+            </thead>
+            <tbody>
+              {metrics.map(metric => (
+                <tr key={metric.id} className="border-t">
+                  <td className="px-3 py-2 font-medium text-gray-900">{metric.label}</td>
+                  <td className="px-3 py-2 text-gray-900">
+                    {formatMetricValue(metric.value, metric.unit)}
+                    {metric.source === 'computed' && metric.reported !== undefined && (
+                      <div className="text-xs text-gray-500">Reported avg: {formatMetricValue(metric.reported, metric.unit)}</div>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-xs text-gray-600 font-mono">{metric.expression}</td>
+                  <td className="px-3 py-2">
+                    <span className={`px-2 py-1 rounded text-xs font-medium ${SOURCE_STYLES[metric.source]}`}>
+                      {metric.source === 'computed' ? 'Recomputed' : 'Reported'}
+                    </span>
+                    {metric.mismatchedRows > 0 && (
+                      <div className="text-xs text-yellow-800 mt-1 flex items-center space-x-1">
+                        <AlertCircle className="h-3 w-3" />
+                        <span>
+                          {metric.mismatchedRows.toLocaleString()} of {metric.comparedRows.toLocaleString()} rows disagree with the reported {metric.label}
+                        </span>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+              {customMetricResults.map(metric => (
+                <tr key={metric.name} className="border-t bg-blue-50">
+                  <td className="px-3 py-2 font-medium text-gray-900">{metric.name}</td>
+                  <td className="px-3 py-2 text-gray-900">
+                    {formatMetricValue(metric.value, metric.unit)}
+                    {metric.missing.length > 0 && (
+                      <div className="text-xs text-gray-500">Needs: {metric.missing.join(', ')}</div>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-xs text-gray-600 font-mono">{metric.expression}</td>
+                  <td className="px-3 py-2">
+                    <div className="flex items-center space-x-2">
+                      <span className="px-2 py-1 rounded text-xs font-medium bg-blue-100 text-blue-800">Custom</span>
+                      <button
+                        onClick={() => onRemoveCustomMetric(metric.name)}
+                        className="p-1 text-gray-400 hover:text-red-600"
+                        title="Remove metric"
+                      >
+                        <Trash2 className="h-3 w-3" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="mt-4 border-t pt-3">
+        <p className="text-xs font-medium text-gray-700 mb-2">Add a custom metric</p>
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            placeholder="Name, e.g. Cost per Lead"
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+          />
+          <input
+            type="text"
+            value={draft.expression}
+            onChange={(e) => setDraft({ ...draft, expression: e.target.value })}
+            onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+            placeholder="Formula, e.g. cost / conversions"
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm font-mono flex-1 min-w-48"
+          />
+          <select
+            value={draft.unit}
+            onChange={(e) => setDraft({ ...draft, unit: e.target.value })}
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm bg-white"
+          >
+            {Object.entries(METRIC_UNITS).map(([unit, label]) => (
+              <option key={unit} value={unit}>{label}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleAdd}
+            className="flex items-center space-x-1 px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700"
+          >
+            <Plus className="h-3 w-3" />
+            <span>Add</span>
+          </button>
+        </div>
+        {draftError && <p className="text-xs text-red-700 mt-1">{draftError}</p>}
+        <p className="text-xs text-gray-500 mt-1">
+          Use + - * / and parentheses with: {CUSTOM_METRIC_VARIABLES.join(', ')}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default DerivedMetricsPanel;
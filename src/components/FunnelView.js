@@ -0,0 +1,77 @@
+import React from 'react';
+import { Filter } from 'lucide-react';
+import { formatMetricValue } from '../utils/derivedMetrics';
+
+// Funnel stages in order; each step shows the rate from the stage before it
+const FUNNEL_STAGES = [
+  { field: 'impressions', label: 'Impressions', unit: 'number' },
+  { field: 'clicks', label: 'Clicks', unit: 'number', stepLabel: 'CTR', stepMetric: 'ctr' },
+  { field: 'conversions', label: 'Conversions', unit: 'number', stepLabel: 'CVR', stepMetric: 'conversionRate' },
+  { field: 'revenue', label: 'Revenue', unit: 'currency', stepLabel: 'ROAS', stepMetric: 'roas' }
+];
+
+const STEP_UNITS = { ctr: 'percent', conversionRate: 'percent', roas: 'ratio' };
+
+// Impressions → clicks → conversions → revenue for the whole dataset and each channel
+const FunnelView = ({ overall, groups }) => {
+  const rows = [{ key: 'All channels', ...overall }, ...groups];
+  const stages = FUNNEL_STAGES.filter(stage => rows.some(row => row[stage.field] > 0));
+  const hasOutcomes = stages.some(stage => stage.field === 'conversions' || stage.field === 'revenue');
+  if (!hasOutcomes) return null;
+
+  const maxByStage = Object.fromEntries(stages.map(stage => [
+    stage.field,
+    Math.max(...groups.map(group => group[stage.field] || 0), 0)
+  ]));
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <h3 className="text-lg font-bold text-gray-900 mb-4 flex items-center space-x-2">
+        <Filter className="h-5 w-5" />
+        <span>Conversion Funnel</span>
+      </h3>
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Channel</th>
+              {stages.map(stage => (
+                <th key={stage.field} className="px-3 py-2 text-left font-medium text-gray-700">{stage.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, rowIdx) => (
+              <tr key={row.key} className={`border-t ${rowIdx === 0 ? 'bg-blue-50' : ''}`}>
+                <td className="px-3 py-2 font-medium text-gray-900">{row.key}</td>
+                {stages.map(stage => {
+                  const value = row[stage.field];
+                  const width = rowIdx > 0 && maxByStage[stage.field] > 0 && value ? Math.max(2, value / maxByStage[stage.field] * 100) : 0;
+                  return (
+                    <td key={stage.field} className="px-3 py-2 align-top min-w-32">
+                      <div className="text-gray-900">
+                        {value ? formatMetricValue(stage.unit === 'number' ? Math.round(value) : value, stage.unit) : '—'}
+                      </div>
+                      {width > 0 && (
+                        <div className="h-1.5 bg-gray-100 rounded mt-1">
+                          <div className="h-1.5 bg-blue-500 rounded" style={{ width: `${width}%` }}></div>
+                        </div>
+                      )}
+                      {stage.stepMetric && row[stage.stepMetric] !== undefined && (
+                        <div className="text-xs text-gray-500 mt-1">
+                          {stage.stepLabel} {formatMetricValue(row[stage.stepMetric], STEP_UNITS[stage.stepMetric])}
+                        </div>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default FunnelView;
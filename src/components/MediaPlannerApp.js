@@ -1,96 +1,627 @@
-import React, { useState, useCallback } from 'react';
-import { Upload, BarChart3, Target, TrendingUp, FileText, Download, Zap, Eye, MousePointer, AlertCircle, Activity, ChevronDown } from 'lucide-react';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, LineChart, Line, PieChart, Pie, Cell } from 'recharts';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import { Upload, BarChart3, Target, TrendingUp, FileText, Download, Zap, Eye, MousePointer, AlertCircle, Activity, ChevronDown, Square, MessageSquare } from 'lucide-react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
 import claudeApi from '../services/claudeApi';
-import { processCSVFile, validateMediaData, calculateBasicMetrics } from '../utils/dataProcessing';
+import { validateMediaData, calculateBasicMetrics, findAmbiguousFormats } from '../utils/dataProcessing';
+import { SUPPORTED_EXTENSIONS } from '../utils/importers';
+import { loadDatasetInBackground, mergeDatasetsInBackground, isAbortError } from '../utils/backgroundImport';
+import { preparedViews } from '../utils/datasetLoader';
+import { loadMappingProfiles, saveMappingProfile, deleteMappingProfile, profileToOverrides } from '../utils/mappingProfiles';
+import { applyAuditFix, restoreOriginalRows } from '../utils/dataAudit';
+import { channelKey, loadChannelAliases, saveChannelAliases, normalizeDatasetChannels } from '../utils/channelTaxonomy';
+import { loadCustomMetrics, saveCustomMetrics, calculateCustomMetrics } from '../utils/derivedMetrics';
+import { aggregateByDimension, getAvailableDimensions } from '../utils/aggregation';
+import { loadCampaignBriefs, saveCampaignBrief, briefKeyForFiles, briefFor, cleanBrief } from '../utils/campaignBrief';
+import { verifyAnalysis, describeVerification } from '../utils/factCheck';
+import { loadBudgetConstraints, saveBudgetConstraints } from '../utils/budgetOptimizer';
+import { loadScenarios, saveScenarios } from '../utils/scenarioPlanner';
+import { modelReachFrequency, DEFAULT_REACH_ASSUMPTIONS } from '../utils/reachFrequency';
+import { loadPacingPlans, savePacingPlan, EMPTY_PACING_PLAN } from '../utils/pacing';
+import ColumnMappingEditor from './ColumnMappingEditor';
+import NumberFormatPanel from './NumberFormatPanel';
+import DataAuditPanel from './DataAuditPanel';
+import ChannelNormalizationPanel from './ChannelNormalizationPanel';
+import DerivedMetricsPanel from './DerivedMetricsPanel';
+import FunnelView from './FunnelView';
+import ResponseStatusNotice from './ResponseStatusNotice';
+import ChatAssistant from './ChatAssistant';
+import CacheStatus from './CacheStatus';
+import CampaignBriefForm from './CampaignBriefForm';
+import VerificationBadge, { VERIFICATION_STYLES, describeCheck } from './VerificationBadge';
+import BudgetOptimizer from './BudgetOptimizer';
+import ScenarioPlanner from './ScenarioPlanner';
+import ReachFrequencyPanel from './ReachFrequencyPanel';
+import TrendsView from './TrendsView';
+import PacingTracker from './PacingTracker';
+import AccessCodeSignIn from './AccessCodeSignIn';
+
+// Explain why an uploaded file may not be usable, or null if it looks fine
+const describeFileProblem = (entry) => {
+  if (entry.data.rows.length === 0) {
+    return `${entry.file.name}: no data rows were found below the header row. Try selecting a different sheet or header row.`;
+  }
+  const validation = validateMediaData(entry.data);
+  return validation.isValid ? null : `${entry.file.name}: ${validation.suggestions}`;
+};
+
+const PERFORMANCE_COLORS = { excellent: '#10b981', good: '#3b82f6', poor: '#ef4444' };
+const DEFAULT_BAR_COLOR = '#8884d8';
+
+const roundTo = (value, digits) =>
+  (value === undefined || value === null || !isFinite(value) ? 0 : Number(value.toFixed(digits)));
 
 const MediaPlannerApp = () => {
-  const [uploadedData, setUploadedData] = useState(null);
+  const [uploadedFiles, setUploadedFiles] = useState([]);
+  const [activeFileId, setActiveFileId] = useState(null);
   const [analysisResults, setAnalysisResults] = useState(null);
   const [recommendations, setRecommendations] = useState(null);
+  const [recommendationsError, setRecommendationsError] = useState(null);
+  const [chatMessages, setChatMessages] = useState([]);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [analysisProgress, setAnalysisProgress] = useState('');
   const [activeTab, setActiveTab] = useState('upload');
   const [error, setError] = useState(null);
-  const [validationResult, setValidationResult] = useState(null);
+  // Set when the proxy answers 401, until the planner signs in with the access code
+  const [signInRequired, setSignInRequired] = useState(false);
   const [showExportMenu, setShowExportMenu] = useState(false);
+  const [mappingProfiles, setMappingProfiles] = useState(() => loadMappingProfiles());
+  const [importProgress, setImportProgress] = useState(null);
+  const [channelAliases, setChannelAliases] = useState(() => loadChannelAliases());
+  const [customMetrics, setCustomMetrics] = useState(() => loadCustomMetrics());
+  const [campaignBriefs, setCampaignBriefs] = useState(() => loadCampaignBriefs());
+  const [budgetConstraints, setBudgetConstraints] = useState(() => loadBudgetConstraints());
+  const [savedScenarios, setSavedScenarios] = useState(() => loadScenarios());
+  const [reachAssumptions, setReachAssumptions] = useState(DEFAULT_REACH_ASSUMPTIONS);
+  const [pacingPlans, setPacingPlans] = useState(() => loadPacingPlans());
+  const [breakdownDimension, setBreakdownDimension] = useState('channel');
+  // The merged dataset for a multi-file upload, with the upload set it was built from
+  const [mergedData, setMergedData] = useState(null);
+  const nextFileId = useRef(1);
+  const importController = useRef(null);
+  const analysisController = useRef(null);
+  // Read by the merge below without re-merging on every alias edit
+  const channelAliasesRef = useRef(channelAliases);
+  channelAliasesRef.current = channelAliases;
+
+  // Several files are mapped independently and merged into one dataset in the import worker. The
+  // previous merge stays on screen until the new one arrives.
+  useEffect(() => {
+    if (uploadedFiles.length < 2) {
+      setMergedData(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    mergeDatasetsInBackground(uploadedFiles.map(entry => entry.data), { channelAliases: channelAliasesRef.current }, { signal: controller.signal })
+      .then(({ data }) => setMergedData({ files: uploadedFiles, data }))
+      .catch(mergeError => {
+        if (isAbortError(mergeError)) return;
+        console.error('File merge error:', mergeError);
+        setError(`The files could not be merged: ${mergeError.message}`);
+        setMergedData({ files: uploadedFiles, data: null });
+      });
+    return () => controller.abort();
+  }, [uploadedFiles]);
+
+  const isMerging = uploadedFiles.length > 1 && (!mergedData || mergedData.files !== uploadedFiles);
 
-  // Handle file upload and parsing
+  // One file is used as-is
+  const rawData = useMemo(() => {
+    if (uploadedFiles.length === 0) return null;
+    if (uploadedFiles.length === 1) return uploadedFiles[0].data;
+    return mergedData ? mergedData.data : null;
+  }, [uploadedFiles, mergedData]);
+
+  // Views the import worker built for the current aliases; alias and mapping edits fall back to
+  // working them out here
+  const prepared = useMemo(() => preparedViews(rawData, channelAliases), [rawData, channelAliases]);
+
+  // Channel labels are normalized before anything groups on them
+  const uploadedData = useMemo(() => {
+    if (prepared) return prepared.normalized || rawData;
+    return normalizeDatasetChannels(rawData, channelAliases);
+  }, [prepared, rawData, channelAliases]);
+
+  const validationResult = useMemo(() => (uploadedData ? validateMediaData(uploadedData) : null), [uploadedData]);
+
+  // Uploads arrive with metrics already aggregated by the import worker
+  const basicMetrics = useMemo(() => {
+    if (!uploadedData) return null;
+    return uploadedData.basicMetrics || calculateBasicMetrics(uploadedData);
+  }, [uploadedData]);
+
+  // Custom metrics only need column totals, so they never trigger a re-scan of the rows
+  const customMetricResults = useMemo(() => {
+    if (!basicMetrics || basicMetrics.error) return [];
+    return calculateCustomMetrics(basicMetrics.totals, basicMetrics.derivedMetrics, customMetrics);
+  }, [basicMetrics, customMetrics]);
+
+  // The campaign brief saved for this set of files; only its filled-in parts reach the prompts
+  const briefKey = useMemo(() => briefKeyForFiles(uploadedFiles.map(entry => entry.file)), [uploadedFiles]);
+  const campaignBrief = useMemo(() => briefFor(campaignBriefs, briefKey), [campaignBriefs, briefKey]);
+  const activeBrief = useMemo(() => cleanBrief(campaignBrief), [campaignBrief]);
+  // What-if scenarios and pacing plans are kept per set of files too
+  const scenarios = useMemo(() => (briefKey && savedScenarios[briefKey]) || [], [savedScenarios, briefKey]);
+  const pacingPlan = useMemo(() => (briefKey && pacingPlans[briefKey]) || EMPTY_PACING_PLAN, [pacingPlans, briefKey]);
+
+  // Deterministic, volume-weighted breakdowns; charts use these and the AI only adds commentary
+  const availableDimensions = useMemo(() => getAvailableDimensions(uploadedData), [uploadedData]);
+  const channelBreakdown = useMemo(
+    () => (prepared ? prepared.channel : aggregateByDimension(uploadedData, 'channel')),
+    [prepared, uploadedData]
+  );
+  const selectedBreakdown = useMemo(
+    () => (breakdownDimension === 'channel' ? channelBreakdown : aggregateByDimension(uploadedData, breakdownDimension)),
+    [uploadedData, breakdownDimension, channelBreakdown]
+  );
+
+  // Reach de-duplicated across rows and channels; basicMetrics.totalReach is a plain sum
+  const reachModel = useMemo(
+    () => (prepared && reachAssumptions === DEFAULT_REACH_ASSUMPTIONS ? prepared.reach : modelReachFrequency(uploadedData, reachAssumptions)),
+    [prepared, uploadedData, reachAssumptions]
+  );
+
+  // The analysis as displayed and exported: every number the model stated is checked against the
+  // computed metrics, and computed values replace the model's wherever the data has them
+  const verifiedAnalysis = useMemo(
+    () => verifyAnalysis(analysisResults, { basicMetrics, channelBreakdown }),
+    [analysisResults, basicMetrics, channelBreakdown]
+  );
+
+  // The optimizer plans against the brief's budget when there is one, otherwise what was spent
+  const optimizerBudget = useMemo(
+    () => (activeBrief && activeBrief.budget ? activeBrief.budget : channelBreakdown.reduce((sum, group) => sum + (group.cost || 0), 0)),
+    [activeBrief, channelBreakdown]
+  );
+
+  // Number columns we couldn't read with confidence; metrics wait until the user confirms them
+  const ambiguousFormats = useMemo(
+    () => uploadedFiles.flatMap(entry => findAmbiguousFormats(entry.data).map(format => ({ ...format, filename: entry.file.name }))),
+    [uploadedFiles]
+  );
+  // The AI reads the same numbers as the metrics panel, so it waits for the same confirmation
+  const formatConfirmationMessage = ambiguousFormats.length > 0
+    ? `Confirm the number format of ${ambiguousFormats.map(format => `${format.header} (${format.filename})`).join(', ')} on the Upload tab to see campaign metrics and run the AI analysis.`
+    : null;
+
+  // Everything the "ask your data" thread is grounded on
+  const chatContext = useMemo(() => ({
+    data: uploadedData,
+    basicMetrics,
+    customMetrics: customMetricResults,
+    brief: activeBrief,
+    analysisResults,
+    recommendations
+  }), [uploadedData, basicMetrics, customMetricResults, activeBrief, analysisResults, recommendations]);
+
+  const chatSuggestions = useMemo(() => {
+    const suggestions = [];
+    const weakest = analysisResults && analysisResults.channelAnalysis.find(channel => channel.performance === 'poor');
+    if (weakest) suggestions.push(`Why is ${weakest.channel} performing poorly?`);
+    if (channelBreakdown.length > 0) suggestions.push(`What if we cut ${channelBreakdown[0].key} by 20%?`);
+    if (channelBreakdown.length > 1) suggestions.push('Chart spend and CTR by channel');
+    suggestions.push('Which segment is the most efficient, and why?');
+    return suggestions;
+  }, [analysisResults, channelBreakdown]);
+
+  const activeFile = uploadedFiles.find(entry => entry.id === activeFileId) || uploadedFiles[0] || null;
+
+  // Parse a file (optionally with a chosen sheet/header row) into an upload entry. Parsing runs
+  // in a worker; the progress panel shows row counts and lets the user cancel.
+  const importUploadEntry = useCallback(async (file, importOptions = {}, position = null) => {
+    const controller = new AbortController();
+    importController.current = controller;
+    setImportProgress({ filename: file.name, position, rows: 0, bytes: 0, totalBytes: file.size });
+
+    try {
+      const result = await loadDatasetInBackground(
+        file,
+        { ...importOptions, profiles: mappingProfiles, channelAliases },
+        {
+          signal: controller.signal,
+          onProgress: (progress) => setImportProgress(current => (current ? { ...current, ...progress } : current))
+        }
+      );
+      return { file, ...result };
+    } finally {
+      if (importController.current === controller) {
+        importController.current = null;
+        setImportProgress(null);
+      }
+    }
+  }, [mappingProfiles, channelAliases]);
+
+  const cancelImport = () => {
+    if (importController.current) {
+      importController.current.abort();
+    }
+  };
+
+  const reportImportError = (error, filename) => {
+    if (isAbortError(error)) return;
+    console.error('File upload error:', error);
+    setError(`${filename ? `${filename}: ` : ''}${error.message || 'Error processing file. Please try again.'}`);
+  };
+
+  // Handle file upload and parsing. Files with the same name replace the earlier upload.
   const handleFileUpload = useCallback(async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    if (files.length === 0) return;
+
+    setError(null);
+
+    const loaded = [];
+    const problems = [];
+
+    // One file at a time keeps memory flat and the progress bar meaningful
+    for (let idx = 0; idx < files.length; idx++) {
+      const file = files[idx];
+      try {
+        const entry = { ...(await importUploadEntry(file, {}, { index: idx + 1, total: files.length })), id: nextFileId.current++ };
+        loaded.push(entry);
+        const problem = describeFileProblem(entry);
+        if (problem) problems.push(problem);
+      } catch (error) {
+        if (isAbortError(error)) break;
+        console.error('File upload error:', error);
+        problems.push(`${file.name}: ${error.message || 'Error processing file. Please try again.'}`);
+      }
+    }
+
+    if (loaded.length > 0) {
+      setUploadedFiles(current => [
+        ...current.filter(existing => !loaded.some(entry => entry.file.name === existing.file.name)),
+        ...loaded
+      ]);
+      setActiveFileId(loaded[0].id);
+    }
+    if (problems.length > 0) {
+      setError(problems.join(' '));
+    }
+  }, [importUploadEntry]);
+
+  const updateUploadEntry = (id, changes) => {
+    setUploadedFiles(current => current.map(entry => (entry.id === id ? { ...entry, ...changes } : entry)));
+  };
+
+  // Swap one file for a new version, keeping the rest of the upload set
+  const handleReplaceFile = async (id, event) => {
     const file = event.target.files[0];
+    event.target.value = '';
     if (!file) return;
 
     setError(null);
-    setValidationResult(null);
+    try {
+      const entry = await importUploadEntry(file);
+      updateUploadEntry(id, entry);
+      setError(describeFileProblem(entry));
+    } catch (error) {
+      reportImportError(error, file.name);
+    }
+  };
+
+  const handleRemoveFile = (id) => {
+    setUploadedFiles(current => current.filter(entry => entry.id !== id));
+    if (activeFileId === id) setActiveFileId(null);
+    setError(null);
+  };
+
+  // Re-import the active file with a different worksheet or header row
+  const handleImportOptionChange = async (changes) => {
+    if (!activeFile) return;
 
+    const { sheetName, headerRowIndex } = activeFile.data.importMeta;
+    const nextOptions = { sheetName, headerRowIndex, ...changes };
+    // A new sheet needs its own header detection
+    if (changes.sheetName !== undefined && changes.sheetName !== sheetName) {
+      delete nextOptions.headerRowIndex;
+    }
+
+    setError(null);
     try {
-      if (file.type !== 'text/csv' && !file.name.endsWith('.csv')) {
-        throw new Error('Please upload a CSV file containing your media campaign data.');
-      }
+      const entry = await importUploadEntry(activeFile.file, nextOptions);
+      updateUploadEntry(activeFile.id, entry);
+      setError(describeFileProblem(entry));
+    } catch (error) {
+      reportImportError(error, activeFile.file.name);
+    }
+  };
 
-      const processedData = await processCSVFile(file);
-      const validation = validateMediaData(processedData);
-      
-      setUploadedData(processedData);
-      setValidationResult(validation);
-      
-      if (!validation.isValid) {
-        setError(validation.suggestions);
+  // Apply column mapping overrides from the editor to the active file (null resets to auto-detection)
+  const updateColumnOverrides = (overrides, source = 'manual', profileName = null) => {
+    if (!activeFile) return;
+
+    updateUploadEntry(activeFile.id, {
+      // Metrics, audit and views from the import worker no longer match once the mapping changes
+      data: { ...activeFile.data, columnOverrides: overrides || undefined, mappingSource: source, basicMetrics: undefined, audit: undefined, channelValues: undefined, prepared: undefined },
+      appliedProfileName: profileName
+    });
+  };
+
+  // Record the user's choice of decimal separator / rate convention for the active file
+  const updateNumberFormatOverrides = (overrides) => {
+    if (!activeFile) return;
+
+    updateUploadEntry(activeFile.id, {
+      data: { ...activeFile.data, numberFormatOverrides: overrides, basicMetrics: undefined, audit: undefined, prepared: undefined }
+    });
+  };
+
+  // Audit fixes replace the active file's rows with a cleaned copy
+  const handleApplyAuditFix = (issue, fix) => {
+    if (!activeFile) return;
+    updateUploadEntry(activeFile.id, { data: applyAuditFix(activeFile.data, issue, fix) });
+  };
+
+  const handleRestoreAuditFixes = () => {
+    if (!activeFile) return;
+    updateUploadEntry(activeFile.id, { data: restoreOriginalRows(activeFile.data) });
+  };
+
+  const updateChannelAliases = (aliases) => {
+    setChannelAliases(saveChannelAliases(aliases));
+  };
+
+  const updateCampaignBrief = (brief) => {
+    setCampaignBriefs(saveCampaignBrief(briefKey, brief));
+  };
+
+  const updateBudgetConstraints = (constraints) => {
+    setBudgetConstraints(saveBudgetConstraints(constraints));
+  };
+
+  const updateScenarios = (updated) => {
+    setSavedScenarios(saveScenarios(briefKey, updated));
+  };
+
+  const updatePacingPlan = (plan) => {
+    setPacingPlans(savePacingPlan(briefKey, plan));
+  };
+
+  const handleAddCustomMetric = (metric) => {
+    setCustomMetrics(saveCustomMetrics([...customMetrics, metric]));
+  };
+
+  const handleRemoveCustomMetric = (name) => {
+    setCustomMetrics(saveCustomMetrics(customMetrics.filter(metric => metric.name !== name)));
+  };
+
+  const handleSaveMappingProfile = (name, mapping) => {
+    setMappingProfiles(saveMappingProfile(name, activeFile.data.headers, mapping));
+    updateColumnOverrides(mapping, 'profile', name.trim());
+  };
+
+  const handleApplyMappingProfile = (name) => {
+    const profile = mappingProfiles.find(p => p.name === name);
+    if (!profile) return;
+
+    updateColumnOverrides(profileToOverrides(profile, activeFile.data.headers), 'profile', profile.name);
+  };
+
+  const handleDeleteMappingProfile = (name) => {
+    setMappingProfiles(deleteMappingProfile(name));
+    setUploadedFiles(current => current.map(entry =>
+      (entry.appliedProfileName === name ? { ...entry, appliedProfileName: null } : entry)
+    ));
+  };
+
+  // Progress note while a busy or slow model request waits to be tried again
+  const showRetry = ({ attempt, retries, delayMs, error }) => {
+    const reason = error.name === 'TimeoutError' ? 'The model is taking too long' : 'The model is busy';
+    setAnalysisProgress(`${reason}; retrying in ${Math.ceil(delayMs / 1000)}s (attempt ${attempt} of ${retries})...`);
+  };
+
+  // Step 2 on its own, so a failure or cancel here keeps the analysis and the step can be resumed.
+  // Returns 'done', 'stopped' or 'failed'.
+  const runRecommendations = async (analysisData, signal, refresh = false) => {
+    setRecommendationsError(null);
+    try {
+      setAnalysisProgress('Generating strategic recommendations...');
+      const recommendationsData = await claudeApi.generateRecommendations(analysisData, {
+        brief: activeBrief,
+        signal,
+        refresh,
+        onRetry: showRetry,
+        onPartial: (partial) => {
+          setRecommendations(partial);
+          setAnalysisProgress(`Receiving recommendations... ${partial.channelRecommendations.length} channel actions so far`);
+        }
+      });
+      setRecommendations(recommendationsData);
+      if (!recommendationsData) {
+        setRecommendationsError('Cancelled before any recommendations arrived.');
       }
+      return recommendationsData && !recommendationsData.responseStatus.stopped ? 'done' : 'stopped';
     } catch (error) {
-      setError(error.message || 'Error processing file. Please try again.');
-      console.error('File upload error:', error);
+      // Cancelled while waiting to retry
+      if (error.name === 'AbortError') {
+        setRecommendationsError('Cancelled before any recommendations arrived.');
+        return 'stopped';
+      }
+      console.error('Recommendations error:', error);
+      if (error.status === 401) setSignInRequired(true);
+      setRecommendationsError(error.message);
+      return 'failed';
     }
-  }, []);
+  };
 
-  // Enhanced AI Analysis with progress tracking
-  const analyzeMediaData = async () => {
+  const finishProgress = (message) => {
+    setAnalysisProgress(message);
+    // Brief delay to show completion message
+    setTimeout(() => {
+      setAnalysisProgress('');
+    }, 2000);
+  };
+
+  // Enhanced AI Analysis; results stream into the Analysis tab as they arrive. Unchanged data is
+  // answered from the cache unless `refresh` asks for a new run (stored as a new version).
+  const analyzeMediaData = async (refresh = false) => {
     if (!uploadedData) return;
+    if (formatConfirmationMessage) {
+      setError(formatConfirmationMessage);
+      return;
+    }
     
+    const controller = new AbortController();
+    analysisController.current = controller;
     setIsAnalyzing(true);
     setActiveTab('analysis');
     setError(null);
+    setAnalysisResults(null);
+    setRecommendations(null);
+    setRecommendationsError(null);
     setAnalysisProgress('Initializing AI analysis...');
 
     try {
       // Step 1: Analyze data
       setAnalysisProgress('Analyzing campaign performance and channel metrics...');
-      const analysisData = await claudeApi.analyzeMediaData(uploadedData);
+      const analysisData = await claudeApi.analyzeMediaData(uploadedData, {
+        basicMetrics,
+        customMetrics: customMetricResults,
+        brief: activeBrief,
+        signal: controller.signal,
+        refresh,
+        onRetry: showRetry,
+        onPartial: (partial) => {
+          setAnalysisResults(partial);
+          setAnalysisProgress(`Receiving analysis... ${partial.channelAnalysis.length} channels so far`);
+        }
+      });
       setAnalysisResults(analysisData);
+      if (!analysisData || analysisData.responseStatus.stopped) {
+        finishProgress('Analysis stopped');
+        return;
+      }
       
       // Step 2: Generate recommendations
-      setAnalysisProgress('Generating strategic recommendations...');
-      const recommendationsData = await claudeApi.generateRecommendations(analysisData);
-      setRecommendations(recommendationsData);
-      
-      setAnalysisProgress('Analysis complete! ✨');
+      const outcome = await runRecommendations(analysisData, controller.signal, refresh);
       
-      // Brief delay to show completion message
-      setTimeout(() => {
-        setAnalysisProgress('');
-      }, 2000);
+      finishProgress(
+        outcome === 'done' && analysisData.cacheInfo && analysisData.cacheInfo.cached ? 'Loaded cached results ✨' :
+        outcome === 'done' ? 'Analysis complete! ✨' :
+        outcome === 'stopped' ? 'Analysis complete, recommendations stopped' :
+        'Analysis complete, recommendations failed'
+      );
       
     } catch (error) {
+      if (error.name === 'AbortError') {
+        finishProgress('Analysis stopped');
+        return;
+      }
       console.error('Analysis error:', error);
+      if (error.status === 401) setSignInRequired(true);
       setError(`Analysis failed: ${error.message}. Please check your data format and try again.`);
       setAnalysisProgress('');
     } finally {
+      analysisController.current = null;
       setIsAnalyzing(false);
     }
   };
 
-  // Generate dynamic chart data based on analysis results
+  const regenerateRecommendations = async (refresh) => {
+    if (!analysisResults) return;
+    if (formatConfirmationMessage) {
+      setError(formatConfirmationMessage);
+      return;
+    }
+    const controller = new AbortController();
+    analysisController.current = controller;
+    setIsAnalyzing(true);
+    await runRecommendations(analysisResults, controller.signal, refresh);
+    setAnalysisProgress('');
+    analysisController.current = null;
+    setIsAnalyzing(false);
+  };
+
+  const retryRecommendations = () => regenerateRecommendations(false);
+  const rerunRecommendations = () => regenerateRecommendations(true);
+
+  // Switch to another stored version; recommendations follow the analysis they were made from
+  const selectAnalysisVersion = (versionId) => {
+    const version = claudeApi.loadCachedVersion(analysisResults.cacheInfo.key, versionId);
+    if (!version) return;
+    setAnalysisResults(version);
+    setRecommendations(claudeApi.getCachedRecommendations(version, activeBrief));
+    setRecommendationsError(null);
+  };
+
+  const selectRecommendationsVersion = (versionId) => {
+    const version = claudeApi.loadCachedVersion(recommendations.cacheInfo.key, versionId);
+    if (version) setRecommendations(version);
+  };
+
+  const stopGeneration = () => {
+    if (analysisController.current) {
+      analysisController.current.abort();
+    }
+  };
+
+  // AI commentary for a computed group, matched on the normalized channel name
+  const findChannelAnalysis = (name) => {
+    if (!analysisResults) return null;
+    return analysisResults.channelAnalysis.find(channel => channelKey(channel.channel) === channelKey(name)) || null;
+  };
+
+  // Computed metrics for a channel the AI talks about, falling back to the model's own numbers
+  const channelMetricsFor = (channel) => {
+    const group = channelBreakdown.find(entry => channelKey(entry.key) === channelKey(channel.channel));
+    if (!group) return channel.metrics;
+    return {
+      ctr: roundTo(group.ctr, 2),
+      cpm: roundTo(group.cpm, 2),
+      reach: Math.round(group.reach || 0),
+      ...(group.cpa !== undefined && { cpa: roundTo(group.cpa, 2) }),
+      ...(group.roas !== undefined && { roas: roundTo(group.roas, 2) })
+    };
+  };
+
+  const toChartRow = (group) => {
+    const commentary = findChannelAnalysis(group.key);
+    return {
+      label: group.key,
+      ctr: roundTo(group.ctr, 2),
+      cpm: roundTo(group.cpm, 2),
+      cpc: roundTo(group.cpc, 2),
+      reach: Math.round(group.reach || 0),
+      cost: Math.round(group.cost || 0),
+      performance: commentary ? commentary.performance : null,
+      color: commentary ? PERFORMANCE_COLORS[commentary.performance] || DEFAULT_BAR_COLOR : DEFAULT_BAR_COLOR
+    };
+  };
+
+  // Chart data comes from the uploaded rows; the AI's rating only colours the bars
   const generateChartData = () => {
+    if (uploadedData && channelBreakdown.length > 0) {
+      const metricData = [
+        { metric: 'Avg CTR', value: basicMetrics && basicMetrics.avgCTR ? parseFloat(basicMetrics.avgCTR) : 0, benchmark: 2.5 },
+        { metric: 'Avg CPM', value: basicMetrics && basicMetrics.avgCPM ? parseFloat(basicMetrics.avgCPM) : 0, benchmark: 15.0 },
+        { metric: 'Total Reach', value: basicMetrics && basicMetrics.totalReach ? basicMetrics.totalReach : 0, benchmark: 100000 },
+        { metric: 'Avg Frequency', value: basicMetrics && basicMetrics.avgFrequency ? parseFloat(basicMetrics.avgFrequency) : 0, benchmark: 3.0 }
+      ];
+
+      return {
+        isLive: true,
+        channelPerformance: channelBreakdown.map(toChartRow),
+        breakdown: selectedBreakdown.map(toChartRow),
+        metricComparison: metricData
+      };
+    }
+
     if (!analysisResults) {
-      // Return sample data if no analysis yet
+      // Return sample data if nothing has been uploaded yet
+      const sampleChannels = [
+        { label: 'Facebook', ctr: 2.3, cpm: 15.50, reach: 45000, performance: 'good' },
+        { label: 'Google Ads', ctr: 3.1, cpm: 12.30, reach: 38000, performance: 'excellent' },
+        { label: 'TV', ctr: 1.8, cpm: 25.00, reach: 120000, performance: 'good' },
+        { label: 'Radio', ctr: 1.2, cpm: 8.50, reach: 85000, performance: 'poor' },
+        { label: 'Billboard', ctr: 0.8, cpm: 5.20, reach: 200000, performance: 'poor' }
+      ].map(channel => ({ ...channel, color: DEFAULT_BAR_COLOR }));
+
       return {
-        channelPerformance: [
-          { channel: 'Facebook', ctr: 2.3, cpm: 15.50, reach: 45000, performance: 'good' },
-          { channel: 'Google Ads', ctr: 3.1, cpm: 12.30, reach: 38000, performance: 'excellent' },
-          { channel: 'TV', ctr: 1.8, cpm: 25.00, reach: 120000, performance: 'good' },
-          { channel: 'Radio', ctr: 1.2, cpm: 8.50, reach: 85000, performance: 'poor' },
-          { channel: 'Billboard', ctr: 0.8, cpm: 5.20, reach: 200000, performance: 'poor' }
-        ],
+        isLive: false,
+        channelPerformance: sampleChannels,
+        breakdown: sampleChannels,
         metricComparison: [
           { metric: 'CTR', value: 2.1, benchmark: 2.5 },
           { metric: 'CPM', value: 15.2, benchmark: 18.0 },
@@ -100,26 +631,27 @@ const MediaPlannerApp = () => {
       };
     }
 
-    // Convert analysis results to chart-friendly format
-    const channelData = analysisResults.channelAnalysis.map(channel => ({
-      channel: channel.channel,
+    // No channel column to aggregate on: fall back to the model's channel figures
+    const channelData = verifiedAnalysis.channelAnalysis.map(channel => ({
+      label: channel.channel,
       ctr: channel.metrics.ctr || 0,
       cpm: channel.metrics.cpm || 0,
       reach: channel.metrics.reach || 0,
       performance: channel.performance,
-      color: channel.performance === 'excellent' ? '#10b981' : 
-             channel.performance === 'good' ? '#3b82f6' : '#ef4444'
+      color: PERFORMANCE_COLORS[channel.performance] || DEFAULT_BAR_COLOR
     }));
 
     const metricData = [
-      { metric: 'Avg CTR', value: analysisResults.overallPerformance.keyMetrics.avgCTR || 0, benchmark: 2.5 },
-      { metric: 'Avg CPM', value: analysisResults.overallPerformance.keyMetrics.avgCPM || 0, benchmark: 15.0 },
-      { metric: 'Total Reach', value: analysisResults.overallPerformance.keyMetrics.totalReach || 0, benchmark: 100000 },
-      { metric: 'Avg Frequency', value: analysisResults.overallPerformance.keyMetrics.avgFrequency || 0, benchmark: 3.0 }
+      { metric: 'Avg CTR', value: verifiedAnalysis.overallPerformance.keyMetrics.avgCTR || 0, benchmark: 2.5 },
+      { metric: 'Avg CPM', value: verifiedAnalysis.overallPerformance.keyMetrics.avgCPM || 0, benchmark: 15.0 },
+      { metric: 'Total Reach', value: verifiedAnalysis.overallPerformance.keyMetrics.totalReach || 0, benchmark: 100000 },
+      { metric: 'Avg Frequency', value: verifiedAnalysis.overallPerformance.keyMetrics.avgFrequency || 0, benchmark: 3.0 }
     ];
 
     return {
+      isLive: true,
       channelPerformance: channelData,
+      breakdown: channelData,
       metricComparison: metricData
     };
   };
@@ -157,20 +689,24 @@ const MediaPlannerApp = () => {
     csvContent += `Overall Performance Summary\n`;
     csvContent += `"${analysisResults.overallPerformance.summary}"\n\n`;
 
-    // Key Metrics
+    // Key Metrics, with what the AI stated where it differs from the data
+    const { verification } = verifiedAnalysis;
     csvContent += 'KEY METRICS\n';
-    csvContent += 'Metric,Value\n';
-    Object.entries(analysisResults.overallPerformance.keyMetrics).forEach(([key, value]) => {
-      csvContent += `${key.replace(/([A-Z])/g, ' $1').trim()},${value}\n`;
+    csvContent += `Fact check: ${describeVerification(verification)}\n`;
+    csvContent += 'Metric,Value,AI Stated,Verification\n';
+    Object.entries(verifiedAnalysis.overallPerformance.keyMetrics).forEach(([key, value]) => {
+      const check = verification.keyMetrics[key];
+      csvContent += `${key.replace(/([A-Z])/g, ' $1').trim()},${value},${check ? check.stated : ''},${check ? VERIFICATION_STYLES[check.status].label : ''}\n`;
     });
     csvContent += '\n';
 
     // Channel Analysis
     csvContent += 'CHANNEL PERFORMANCE ANALYSIS\n';
-    csvContent += 'Channel,Performance,CTR,CPM,Reach,Insights\n';
-    analysisResults.channelAnalysis.forEach(channel => {
+    csvContent += 'Channel,Performance,CTR,CPM,Reach,Verification,Insights\n';
+    verifiedAnalysis.channelAnalysis.forEach(channel => {
       const insights = `"${channel.insights.replace(/"/g, '""')}"`;
-      csvContent += `${channel.channel},${channel.performance},${channel.metrics.ctr || 'N/A'},${channel.metrics.cpm || 'N/A'},${channel.metrics.reach || 'N/A'},${insights}\n`;
+      const metrics = channelMetricsFor(channel);
+      csvContent += `${channel.channel},${channel.performance},${metrics.ctr || 'N/A'},${metrics.cpm || 'N/A'},${metrics.reach || 'N/A'},${VERIFICATION_STYLES[channel.verification.status].label},${insights}\n`;
     });
     csvContent += '\n';
 
@@ -179,9 +715,9 @@ const MediaPlannerApp = () => {
       csvContent += 'BUDGET RECOMMENDATIONS\n';
       csvContent += 'Channel,Current Budget,Recommended Budget,Change %,Reasoning\n';
       recommendations.budgetReallocation.recommendations.forEach(rec => {
-        const changePercent = Math.round(((rec.recommendedBudget - rec.currentBudget) / rec.currentBudget) * 100);
+        const changePercent = rec.currentBudget ? Math.round(((rec.recommendedBudget - rec.currentBudget) / rec.currentBudget) * 100) : 'N/A';
         const reasoning = `"${rec.reasoning.replace(/"/g, '""')}"`;
-        csvContent += `${rec.channel},${rec.currentBudget},${rec.recommendedBudget},${changePercent}%,${reasoning}\n`;
+        csvContent += `${rec.channel},${rec.currentBudget},${rec.recommendedBudget},${changePercent}${rec.currentBudget ? '%' : ''},${reasoning}\n`;
       });
       csvContent += '\n';
 
@@ -246,6 +782,12 @@ const MediaPlannerApp = () => {
         .rec-item { background: #f9fafb; border-left: 4px solid #3b82f6; padding: 15px; margin: 10px 0; }
         .rec-header { font-weight: bold; margin-bottom: 8px; }
         .tag { display: inline-block; background: #e0e7ff; color: #3730a3; padding: 2px 8px; border-radius: 12px; font-size: 11px; margin: 2px; }
+        .check { display: inline-block; padding: 2px 8px; border-radius: 12px; font-size: 11px; font-weight: bold; margin-top: 6px; }
+        .check-verified { background: #d1fae5; color: #065f46; }
+        .check-approximate { background: #fef3c7; color: #92400e; }
+        .check-corrected { background: #ffedd5; color: #9a3412; }
+        .check-unsupported { background: #fee2e2; color: #991b1b; }
+        .check-note { font-size: 11px; color: #6b7280; margin-top: 4px; }
         @media print { body { margin: 20px; } .section { page-break-inside: avoid; } }
       </style>
     </head>
@@ -263,27 +805,37 @@ const MediaPlannerApp = () => {
         </div>
         
         <h3>Key Performance Metrics</h3>
+        <p class="check-note">Fact check: ${describeVerification(verifiedAnalysis.verification)}. Figures are computed from the uploaded data wherever it has them.</p>
         <div class="metrics-grid">
-          ${Object.entries(analysisResults.overallPerformance.keyMetrics).map(([key, value]) => `
+          ${Object.entries(verifiedAnalysis.overallPerformance.keyMetrics).map(([key, value]) => {
+            const check = verifiedAnalysis.verification.keyMetrics[key];
+            return `
             <div class="metric-card">
               <div class="metric-value">${typeof value === 'number' ? value.toLocaleString() : value}</div>
               <div class="metric-label">${key.replace(/([A-Z])/g, ' $1').trim()}</div>
+              ${check ? `<span class="check check-${check.status}">${VERIFICATION_STYLES[check.status].label}</span>` : ''}
+              ${check && check.status !== 'verified' ? `<div class="check-note">${describeCheck(check)}</div>` : ''}
             </div>
-          `).join('')}
+          `;
+          }).join('')}
         </div>
       </div>
 
       <div class="section">
         <h2>📈 Channel Performance Analysis</h2>
-        ${analysisResults.channelAnalysis.map(channel => `
+        ${verifiedAnalysis.channelAnalysis.map(channel => `
           <div class="channel-item">
             <div class="channel-header">
               <span class="channel-name">${channel.channel}</span>
               <span class="performance-badge ${channel.performance}">${channel.performance.toUpperCase()}</span>
             </div>
             <p>${channel.insights}</p>
+            <span class="check check-${channel.verification.status}">Insight: ${VERIFICATION_STYLES[channel.verification.status].label}</span>
+            ${Object.entries(channel.verification.metrics).filter(([, check]) => check.status !== 'verified').map(([metric, check]) => `
+              <div class="check-note">${describeCheck(check, metric.toUpperCase())}</div>
+            `).join('')}
             <div class="channel-metrics">
-              ${Object.entries(channel.metrics).map(([metric, value]) => `
+              ${Object.entries(channelMetricsFor(channel)).map(([metric, value]) => `
                 <div class="channel-metric">
                   <div class="channel-metric-value">${value}</div>
                   <div class="channel-metric-label">${metric.toUpperCase()}</div>
@@ -316,13 +868,13 @@ const MediaPlannerApp = () => {
       <div class="section">
         <h2>💰 Budget Reallocation Recommendations</h2>
         ${recommendations.budgetReallocation.recommendations.map(rec => {
-          const changePercent = Math.round(((rec.recommendedBudget - rec.currentBudget) / rec.currentBudget) * 100);
+          const changePercent = rec.currentBudget ? Math.round(((rec.recommendedBudget - rec.currentBudget) / rec.currentBudget) * 100) : 'N/A';
           const changeColor = changePercent > 0 ? '#059669' : '#dc2626';
           return `
             <div class="rec-item">
               <div class="rec-header">${rec.channel}</div>
               <p>Budget Change: ${rec.currentBudget.toLocaleString()} → ${rec.recommendedBudget.toLocaleString()} 
-              <span style="color: ${changeColor}; font-weight: bold;">(${changePercent > 0 ? '+' : ''}${changePercent}%)</span></p>
+              <span style="color: ${changeColor}; font-weight: bold;">(${changePercent > 0 ? '+' : ''}${changePercent}${rec.currentBudget ? '%' : ''})</span></p>
               <p>${rec.reasoning}</p>
             </div>
           `;
@@ -499,6 +1051,14 @@ const MediaPlannerApp = () => {
                 </div>
               </div>
               <Activity className="h-6 w-6 text-blue-600 animate-pulse" />
+              <button
+                onClick={stopGeneration}
+                className="flex items-center space-x-1 px-3 py-1 text-sm border border-blue-300 rounded-md text-blue-900 hover:bg-blue-100"
+                title="Stop now; anything already received is kept"
+              >
+                <Square className="h-4 w-4" />
+                <span>Cancel</span>
+              </button>
             </div>
           </div>
         </div>
@@ -517,13 +1077,25 @@ const MediaPlannerApp = () => {
         </div>
       )}
 
+      {signInRequired && (
+        <div className="max-w-7xl mx-auto px-6 py-4">
+          <AccessCodeSignIn
+            onSignedIn={() => {
+              setSignInRequired(false);
+              setError(null);
+            }}
+          />
+        </div>
+      )}
+
       {/* Navigation Tabs */}
       <div className="max-w-7xl mx-auto px-6 py-4">
         <div className="flex space-x-1 bg-white rounded-lg p-1 shadow-sm">
           {[
             { id: 'upload', label: 'Upload Data', icon: Upload },
             { id: 'analysis', label: 'Analysis', icon: BarChart3 },
-            { id: 'recommendations', label: 'Recommendations', icon: Target }
+            { id: 'recommendations', label: 'Recommendations', icon: Target },
+            { id: 'ask', label: 'Ask', icon: MessageSquare }
           ].map(({ id, label, icon: Icon }) => (
             <button
               key={id}
@@ -554,11 +1126,14 @@ const MediaPlannerApp = () => {
                 <Upload className="h-12 w-12 text-gray-400 mx-auto mb-4" />
                 <h3 className="text-lg font-medium text-gray-900 mb-2">Upload your media campaign data</h3>
                 <p className="text-gray-600 mb-6">
-                  Upload CSV files containing metrics like CPM, CTR, reach, frequency, demographic data, etc.
+                  Upload one or more CSV, TSV or Excel exports (Google Ads, Meta Ads Manager, DV360, etc.) containing metrics like CPM, CTR, reach, frequency, demographic data, etc.
+                  Multiple files are merged into a single dataset.
                 </p>
                 <input
                   type="file"
-                  accept=".csv"
+                  accept={SUPPORTED_EXTENSIONS.join(',')}
+                  multiple
+                  disabled={Boolean(importProgress)}
                   onChange={handleFileUpload}
                   className="hidden"
                   id="file-upload"
@@ -568,10 +1143,44 @@ const MediaPlannerApp = () => {
                   className="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 cursor-pointer inline-flex items-center space-x-2 transition-colors"
                 >
                   <Upload className="h-4 w-4" />
-                  <span>Choose CSV File</span>
+                  <span>{uploadedFiles.length > 0 ? 'Add More Files' : 'Choose Files'}</span>
                 </label>
               </div>
 
+              {/* Import progress with cancel */}
+              {importProgress && (
+                <div className="mt-6 bg-blue-50 border border-blue-200 rounded-lg p-4">
+                  <div className="flex items-center justify-between mb-2">
+                    <p className="text-sm font-medium text-blue-900">
+                      Parsing {importProgress.filename}
+                      {importProgress.position && importProgress.position.total > 1 && ` (file ${importProgress.position.index} of ${importProgress.position.total})`}
+                    </p>
+                    <button
+                      onClick={cancelImport}
+                      className="px-3 py-1 text-sm text-red-700 border border-red-200 rounded-md hover:bg-red-50"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                  <div className="bg-blue-200 rounded-full h-2 overflow-hidden">
+                    <div
+                      className="bg-blue-600 h-full rounded-full transition-all duration-200"
+                      style={{ width: `${importProgress.totalBytes ? Math.round((importProgress.bytes / importProgress.totalBytes) * 100) : 0}%` }}
+                    ></div>
+                  </div>
+                  <p className="text-xs text-blue-700 mt-2">
+                    {importProgress.rows.toLocaleString()} rows read
+                    {importProgress.totalBytes > 0 && ` · ${(importProgress.bytes / 1048576).toFixed(1)} of ${(importProgress.totalBytes / 1048576).toFixed(1)} MB`}
+                  </p>
+                </div>
+              )}
+
+              {isMerging && !importProgress && (
+                <div className="mt-6 bg-blue-50 border border-blue-200 rounded-lg p-4">
+                  <p className="text-sm font-medium text-blue-900">Merging {uploadedFiles.length} files...</p>
+                </div>
+              )}
+
               {validationResult && !validationResult.isValid && (
                 <div className="mt-6 bg-yellow-50 border border-yellow-200 rounded-lg p-4">
                   <div className="flex items-start space-x-3">
@@ -590,17 +1199,181 @@ const MediaPlannerApp = () => {
               {uploadedData && (
                 <div className="mt-8">
                   <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-6">
-                    <div className="flex items-center space-x-3">
+                    <div className="flex items-center space-x-3 mb-3">
                       <FileText className="h-5 w-5 text-green-600" />
                       <div>
-                        <p className="font-medium text-green-900">File uploaded successfully!</p>
-                        <p className="text-sm text-green-700">
-                          {uploadedData.filename} - {uploadedData.rows.length} rows of data
+                        <p className="font-medium text-green-900">
+                          {uploadedFiles.length > 1 ? `${uploadedFiles.length} files uploaded and merged` : 'File uploaded successfully!'}
                         </p>
+                        <p className="text-sm text-green-700">{uploadedData.rows.length} rows of data in total</p>
                       </div>
                     </div>
+
+                    {/* Uploaded files: select for mapping, replace or remove individually */}
+                    <div className="space-y-2">
+                      {uploadedFiles.map(entry => (
+                        <div
+                          key={entry.id}
+                          className={`flex items-center justify-between bg-white rounded-md px-3 py-2 border ${
+                            activeFile && entry.id === activeFile.id ? 'border-blue-400' : 'border-green-100'
+                          }`}
+                        >
+                          <button
+                            onClick={() => setActiveFileId(entry.id)}
+                            className="text-left text-sm text-gray-800 flex-1"
+                          >
+                            <span className="font-medium">{entry.file.name}</span>
+                            {entry.data.importMeta.sheetNames.length > 1 && ` (${entry.data.importMeta.sheetName})`}
+                            <span className="text-gray-500"> - {entry.data.rows.length} rows</span>
+                          </button>
+                          <div className="flex items-center space-x-2 text-xs">
+                            <input
+                              type="file"
+                              accept={SUPPORTED_EXTENSIONS.join(',')}
+                              onChange={(e) => handleReplaceFile(entry.id, e)}
+                              className="hidden"
+                              id={`replace-file-${entry.id}`}
+                            />
+                            <label htmlFor={`replace-file-${entry.id}`} className="px-2 py-1 text-blue-700 hover:bg-blue-50 rounded cursor-pointer">
+                              Replace
+                            </label>
+                            <button
+                              onClick={() => handleRemoveFile(entry.id)}
+                              className="px-2 py-1 text-red-700 hover:bg-red-50 rounded"
+                            >
+                              Remove
+                            </button>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
                   </div>
 
+                  <CampaignBriefForm brief={campaignBrief} onChange={updateCampaignBrief} />
+
+                  {formatConfirmationMessage && (
+                    <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-6 text-sm text-yellow-800">
+                      {formatConfirmationMessage}
+                    </div>
+                  )}
+
+                  {basicMetrics && !basicMetrics.error && ambiguousFormats.length === 0 && (
+                    <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+                      {[
+                        { label: 'Rows', value: basicMetrics.totalRows.toLocaleString() },
+                        { label: 'Total Spend', value: basicMetrics.totalCost !== undefined ? `$${Math.round(basicMetrics.totalCost).toLocaleString()}` : 'N/A' },
+                        { label: 'Avg CTR', value: basicMetrics.avgCTR !== undefined ? basicMetrics.avgCTR : 'N/A' },
+                        { label: 'Avg CPM', value: basicMetrics.avgCPM !== undefined ? `$${basicMetrics.avgCPM}` : 'N/A' },
+                        reachModel
+                          ? { label: 'Reach (de-duplicated)', value: Math.round(reachModel.reach).toLocaleString() }
+                          : { label: 'Total Reach', value: basicMetrics.totalReach !== undefined ? basicMetrics.totalReach.toLocaleString() : 'N/A' }
+                      ].map(stat => (
+                        <div key={stat.label} className="bg-gray-50 rounded-lg p-3 text-center">
+                          <div className="text-lg font-bold text-blue-600">{stat.value}</div>
+                          <div className="text-xs text-gray-600">{stat.label}</div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {basicMetrics && !basicMetrics.error && ambiguousFormats.length === 0 && (
+                    <DerivedMetricsPanel
+                      derivedMetrics={basicMetrics.derivedMetrics}
+                      customMetricResults={customMetricResults}
+                      onAddCustomMetric={handleAddCustomMetric}
+                      onRemoveCustomMetric={handleRemoveCustomMetric}
+                    />
+                  )}
+
+                  {uploadedData.mergeWarnings && uploadedData.mergeWarnings.length > 0 && (
+                    <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6">
+                      <div className="flex items-start space-x-3">
+                        <AlertCircle className="h-5 w-5 text-yellow-600 mt-0.5" />
+                        <div>
+                          <h4 className="font-medium text-yellow-900">Overlapping Data Across Files</h4>
+                          {uploadedData.mergeWarnings.map((warning, idx) => (
+                            <p key={idx} className="text-sm text-yellow-700 mt-1">{warning.message}</p>
+                          ))}
+                        </div>
+                      </div>
+                    </div>
+                  )}
+
+                  {activeFile && (
+                    <>
+                      {/* Import options: sheet and header row selection */}
+                      <div className="bg-gray-50 rounded-lg p-4 mb-6">
+                        <h4 className="font-medium text-gray-900 mb-3">
+                          Import Settings{uploadedFiles.length > 1 && ` - ${activeFile.file.name}`}
+                        </h4>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                          {activeFile.data.importMeta.sheetNames.length > 1 && (
+                            <label className="text-sm text-gray-700">
+                              <span className="block mb-1 font-medium">Worksheet</span>
+                              <select
+                                value={activeFile.data.importMeta.sheetName}
+                                onChange={(e) => handleImportOptionChange({ sheetName: e.target.value })}
+                                className="w-full border border-gray-300 rounded-md px-3 py-2 bg-white"
+                              >
+                                {activeFile.data.importMeta.sheetNames.map(name => (
+                                  <option key={name} value={name}>{name}</option>
+                                ))}
+                              </select>
+                            </label>
+                          )}
+                          <label className="text-sm text-gray-700">
+                            <span className="block mb-1 font-medium">Header row</span>
+                            <select
+                              value={activeFile.data.importMeta.headerRowIndex}
+                              onChange={(e) => handleImportOptionChange({ headerRowIndex: Number(e.target.value) })}
+                              className="w-full border border-gray-300 rounded-md px-3 py-2 bg-white"
+                            >
+                              {activeFile.data.importMeta.previewRows.map((row, idx) => (
+                                <option key={idx} value={idx}>
+                                  Row {idx + 1}: {row.filter(cell => cell !== '' && cell !== null).slice(0, 4).join(' | ') || '(empty)'}
+                                </option>
+                              ))}
+                            </select>
+                          </label>
+                        </div>
+                        <p className="text-xs text-gray-500 mt-3">
+                          Detected format: {activeFile.data.importMeta.formatLabel}
+                          {activeFile.data.importMeta.preambleRowsRemoved > 0 && ` · ${activeFile.data.importMeta.preambleRowsRemoved} report title row(s) skipped`}
+                          {activeFile.data.importMeta.footerRowsRemoved > 0 && ` · ${activeFile.data.importMeta.footerRowsRemoved} total/footer row(s) removed`}
+                          {activeFile.data.importMeta.repeatedHeaderRowsRemoved > 0 && ` · ${activeFile.data.importMeta.repeatedHeaderRowsRemoved} repeated header row(s) removed`}
+                        </p>
+                      </div>
+
+                      <ColumnMappingEditor
+                        key={`${activeFile.id}-${activeFile.data.importMeta.sheetName}-${activeFile.data.importMeta.headerRowIndex}`}
+                        data={activeFile.data}
+                        profiles={mappingProfiles}
+                        appliedProfileName={activeFile.appliedProfileName}
+                        onOverridesChange={(overrides) => updateColumnOverrides(overrides)}
+                        onSaveProfile={handleSaveMappingProfile}
+                        onApplyProfile={handleApplyMappingProfile}
+                        onDeleteProfile={handleDeleteMappingProfile}
+                      />
+
+                      <NumberFormatPanel
+                        data={activeFile.data}
+                        onOverridesChange={updateNumberFormatOverrides}
+                      />
+
+                      <DataAuditPanel
+                        data={activeFile.data}
+                        onApplyFix={handleApplyAuditFix}
+                        onRestore={handleRestoreAuditFixes}
+                      />
+                    </>
+                  )}
+
+                  <ChannelNormalizationPanel
+                    data={rawData}
+                    aliases={channelAliases}
+                    onAliasesChange={updateChannelAliases}
+                  />
+
                   <div className="bg-gray-50 rounded-lg p-4 mb-6">
                     <h4 className="font-medium text-gray-900 mb-3">Data Preview</h4>
                     <div className="overflow-x-auto">
@@ -630,8 +1403,9 @@ const MediaPlannerApp = () => {
                   </div>
 
                   <button
-                    onClick={analyzeMediaData}
-                    disabled={isAnalyzing}
+                    onClick={() => analyzeMediaData()}
+                    disabled={isAnalyzing || Boolean(formatConfirmationMessage)}
+                    title={formatConfirmationMessage || undefined}
                     className="bg-gradient-to-r from-blue-600 to-indigo-600 text-white px-8 py-3 rounded-lg hover:from-blue-700 hover:to-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed inline-flex items-center space-x-2 transition-all transform hover:scale-105 disabled:transform-none"
                   >
                     {isAnalyzing ? (
@@ -646,6 +1420,9 @@ const MediaPlannerApp = () => {
                       </>
                     )}
                   </button>
+                  {formatConfirmationMessage && (
+                    <p className="text-sm text-yellow-700 mt-2">{formatConfirmationMessage}</p>
+                  )}
                 </div>
               )}
             </div>
@@ -654,9 +1431,9 @@ const MediaPlannerApp = () => {
             <div className="bg-white rounded-xl shadow-lg p-6">
               <div className="flex items-center justify-between mb-4">
                 <h3 className="text-lg font-bold text-gray-900">
-                  {analysisResults ? 'Analysis Results Dashboard' : 'Sample Dashboard Preview'}
+                  {chartData.isLive ? 'Campaign Dashboard' : 'Sample Dashboard Preview'}
                 </h3>
-                {analysisResults && (
+                {chartData.isLive && (
                   <div className="bg-green-100 text-green-800 px-3 py-1 rounded-full text-sm font-medium">
                     ✨ Live Data
                   </div>
@@ -666,12 +1443,12 @@ const MediaPlannerApp = () => {
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
                 <div>
                   <h4 className="font-medium text-gray-700 mb-3">
-                    Channel Performance {analysisResults ? '(CTR %)' : '(Sample CTR %)'}
+                    Channel Performance {chartData.isLive ? '(CTR %)' : '(Sample CTR %)'}
                   </h4>
                   <ResponsiveContainer width="100%" height={250}>
                     <BarChart data={chartData.channelPerformance}>
                       <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="channel" />
+                      <XAxis dataKey="label" />
                       <YAxis />
                       <Tooltip 
                         formatter={(value, name) => [
@@ -679,8 +1456,8 @@ const MediaPlannerApp = () => {
                           name.toUpperCase()
                         ]}
                       />
-                      <Bar dataKey="ctr" fill={analysisResults ? undefined : "#8884d8"}>
-                        {analysisResults && chartData.channelPerformance.map((entry, index) => (
+                      <Bar dataKey="ctr">
+                        {chartData.channelPerformance.map((entry, index) => (
                           <Cell key={`cell-${index}`} fill={entry.color} />
                         ))}
                       </Bar>
@@ -690,10 +1467,10 @@ const MediaPlannerApp = () => {
                 
                 <div>
                   <h4 className="font-medium text-gray-700 mb-3">
-                    {analysisResults ? 'Performance vs Benchmarks' : 'Reach Distribution'}
+                    {chartData.isLive ? 'Performance vs Benchmarks' : 'Reach Distribution'}
                   </h4>
                   <ResponsiveContainer width="100%" height={250}>
-                    {analysisResults ? (
+                    {chartData.isLive ? (
                       <BarChart data={chartData.metricComparison}>
                         <CartesianGrid strokeDasharray="3 3" />
                         <XAxis dataKey="metric" />
@@ -710,7 +1487,7 @@ const MediaPlannerApp = () => {
                           cy="50%"
                           outerRadius={80}
                           dataKey="reach"
-                          nameKey="channel"
+                          nameKey="label"
                         >
                           {chartData.channelPerformance.map((entry, index) => (
                             <Cell key={`cell-${index}`} fill={colors[index % colors.length]} />
@@ -745,41 +1522,86 @@ const MediaPlannerApp = () => {
           <div className="space-y-6">
             {analysisResults ? (
               <>
+                <CacheStatus
+                  cacheInfo={analysisResults.cacheInfo}
+                  onSelectVersion={selectAnalysisVersion}
+                  onRerun={() => analyzeMediaData(true)}
+                  disabled={isAnalyzing}
+                  rerunBlockedReason={formatConfirmationMessage}
+                />
+                <ResponseStatusNotice label="Analysis results" status={analysisResults.responseStatus} />
+                <ResponseStatusNotice
+                  label="Recommendations"
+                  error={recommendationsError}
+                  onRetry={formatConfirmationMessage ? null : retryRecommendations}
+                  isRetrying={isAnalyzing}
+                />
+
                 {/* Performance Overview */}
                 <div className="bg-white rounded-xl shadow-lg p-6">
                   <h2 className="text-xl font-bold text-gray-900 mb-4">Campaign Performance Overview</h2>
-                  <div className="bg-blue-50 rounded-lg p-4 mb-6">
+                  <div className="bg-blue-50 rounded-lg p-4 mb-4">
                     <p className="text-gray-800">{analysisResults.overallPerformance.summary}</p>
                   </div>
+                  <p className="text-xs text-gray-600 mb-4 flex items-center space-x-2">
+                    <VerificationBadge status={verifiedAnalysis.verification.summaryStatus} />
+                    <span>
+                      Fact check: {describeVerification(verifiedAnalysis.verification)}. Figures below are computed from your data wherever it has them.
+                    </span>
+                  </p>
                   
                   <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
-                    {Object.entries(analysisResults.overallPerformance.keyMetrics).map(([key, value]) => (
-                      <div key={key} className="bg-gray-50 rounded-lg p-4 text-center">
-                        <div className="text-2xl font-bold text-blue-600">
-                          {typeof value === 'number' ? value.toLocaleString() : value}
-                        </div>
-                        <div className="text-sm text-gray-600 capitalize">
-                          {key.replace(/([A-Z])/g, ' $1').trim()}
+                    {Object.entries(verifiedAnalysis.overallPerformance.keyMetrics).map(([key, value]) => {
+                      const check = verifiedAnalysis.verification.keyMetrics[key];
+                      return (
+                        <div key={key} className="bg-gray-50 rounded-lg p-4 text-center">
+                          <div className="text-2xl font-bold text-blue-600">
+                            {typeof value === 'number' ? value.toLocaleString() : value}
+                          </div>
+                          <div className="text-sm text-gray-600 capitalize">
+                            {key.replace(/([A-Z])/g, ' $1').trim()}
+                          </div>
+                          {check && (
+                            <div className="mt-2">
+                              <VerificationBadge status={check.status} title={describeCheck(check)} />
+                            </div>
+                          )}
                         </div>
-                      </div>
-                    ))}
+                      );
+                    })}
                   </div>
                 </div>
 
                 {/* Enhanced Visualizations */}
                 <div className="bg-white rounded-xl shadow-lg p-6">
-                  <h3 className="text-lg font-bold text-gray-900 mb-4">Performance Visualizations</h3>
+                  <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-bold text-gray-900">Performance Visualizations</h3>
+                    {availableDimensions.length > 0 && (
+                      <label className="text-sm text-gray-700 flex items-center space-x-2">
+                        <span>Break down by</span>
+                        <select
+                          value={breakdownDimension}
+                          onChange={(e) => setBreakdownDimension(e.target.value)}
+                          className="border border-gray-300 rounded-md px-2 py-1 bg-white"
+                        >
+                          {availableDimensions.map(dimension => (
+                            <option key={dimension.id} value={dimension.id}>{dimension.label}</option>
+                          ))}
+                        </select>
+                      </label>
+                    )}
+                  </div>
                   <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
                     <div>
-                      <h4 className="font-medium text-gray-700 mb-3">Channel CTR Comparison</h4>
+                      <h4 className="font-medium text-gray-700 mb-3">CTR Comparison</h4>
                       <ResponsiveContainer width="100%" height={300}>
-                        <BarChart data={chartData.channelPerformance}>
+                        <BarChart data={chartData.breakdown}>
                           <CartesianGrid strokeDasharray="3 3" />
-                          <XAxis dataKey="channel" />
+                          <XAxis dataKey="label" />
                           <YAxis />
                           <Tooltip formatter={(value) => [`${value}%`, 'CTR']} />
                           <Bar dataKey="ctr">
-                            {chartData.channelPerformance.map((entry, index) => (
+                            {chartData.breakdown.map((entry, index) => (
                               <Cell key={`cell-${index}`} fill={entry.color} />
                             ))}
                           </Bar>
@@ -790,27 +1612,111 @@ const MediaPlannerApp = () => {
                     <div>
                       <h4 className="font-medium text-gray-700 mb-3">CPM vs Reach Analysis</h4>
                       <ResponsiveContainer width="100%" height={300}>
-                        <BarChart data={chartData.channelPerformance}>
+                        <BarChart data={chartData.breakdown}>
                           <CartesianGrid strokeDasharray="3 3" />
-                          <XAxis dataKey="channel" />
+                          <XAxis dataKey="label" />
                           <YAxis yAxisId="left" />
                           <YAxis yAxisId="right" orientation="right" />
                           <Tooltip />
                           <Bar yAxisId="left" dataKey="cpm" fill="#8884d8" name="CPM ($)" />
+                          <Bar yAxisId="right" dataKey="reach" fill="#82ca9d" name="Reach" />
                         </BarChart>
                       </ResponsiveContainer>
                     </div>
                   </div>
+
+                  {selectedBreakdown.length > 0 && (
+                    <div className="mt-6 overflow-x-auto">
+                      <table className="min-w-full text-sm">
+                        <thead>
+                          <tr className="bg-gray-100">
+                            {['', 'Rows', 'Spend', 'Share', 'Impressions', 'Clicks', 'CTR', 'CPM', 'CPC', 'Reach'].map(heading => (
+                              <th key={heading} className="px-3 py-2 text-left font-medium text-gray-700">{heading}</th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {selectedBreakdown.map(group => (
+                            <tr key={group.key} className="border-t">
+                              <td className="px-3 py-2 font-medium text-gray-900">{group.key}</td>
+                              <td className="px-3 py-2 text-gray-700">{group.rowCount.toLocaleString()}</td>
+                              <td className="px-3 py-2 text-gray-700">{group.cost !== undefined ? `$${Math.round(group.cost).toLocaleString()}` : '—'}</td>
+                              <td className="px-3 py-2 text-gray-700">{group.shareOfSpend !== undefined ? `${group.shareOfSpend.toFixed(1)}%` : '—'}</td>
+                              <td className="px-3 py-2 text-gray-700">{group.impressions !== undefined ? Math.round(group.impressions).toLocaleString() : '—'}</td>
+                              <td className="px-3 py-2 text-gray-700">{group.clicks !== undefined ? Math.round(group.clicks).toLocaleString() : '—'}</td>
+                              <td className="px-3 py-2 text-gray-700">{group.ctr !== undefined ? `${group.ctr.toFixed(2)}%` : '—'}</td>
+                              <td className="px-3 py-2 text-gray-700">{group.cpm !== undefined ? `$${group.cpm.toFixed(2)}` : '—'}</td>
+                              <td className="px-3 py-2 text-gray-700">{group.cpc !== undefined ? `$${group.cpc.toFixed(2)}` : '—'}</td>
+                              <td className="px-3 py-2 text-gray-700">{group.reach !== undefined ? Math.round(group.reach).toLocaleString() : '—'}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      <p className="text-xs text-gray-500 mt-2">
+                        Calculated from the uploaded rows. CTR is total clicks ÷ total impressions and CPM is spend-weighted.
+                      </p>
+                    </div>
+                  )}
                 </div>
+              </>
+            ) : (
+              <div className="bg-white rounded-xl shadow-lg p-12 text-center">
+                <BarChart3 className="h-16 w-16 text-gray-400 mx-auto mb-4" />
+                <h3 className="text-lg font-medium text-gray-900 mb-2">No Analysis Available</h3>
+                <p className="text-gray-600">
+                  {uploadedData
+                    ? 'Run analysis to add AI insights. The views below are calculated from your data.'
+                    : 'Upload your campaign data and run analysis to see detailed insights here.'}
+                </p>
+              </div>
+            )}
+
+            {/* Calculated from the uploaded rows, so they don't wait for an analysis */}
+            {uploadedData && (
+              <>
+                {basicMetrics && basicMetrics.totals && (
+                  <FunnelView
+                    overall={{
+                      ...basicMetrics.totals,
+                      ...Object.fromEntries(Object.values(basicMetrics.derivedMetrics).map(metric => [metric.id, metric.value]))
+                    }}
+                    groups={channelBreakdown}
+                  />
+                )}
+
+                <TrendsView data={uploadedData} dailySeries={prepared && prepared.daily} />
 
+                <PacingTracker
+                  data={uploadedData}
+                  dailySeries={prepared && prepared.daily}
+                  plan={pacingPlan}
+                  onPlanChange={updatePacingPlan}
+                  briefFlight={campaignBrief}
+                  briefBudget={activeBrief && activeBrief.budget}
+                />
+
+                <ReachFrequencyPanel model={reachModel} assumptions={reachAssumptions} onAssumptionsChange={setReachAssumptions} />
+              </>
+            )}
+
+            {analysisResults && (
+              <>
                 {/* Channel Analysis */}
                 <div className="bg-white rounded-xl shadow-lg p-6">
                   <h3 className="text-lg font-bold text-gray-900 mb-4">Channel Performance Analysis</h3>
                   <div className="space-y-4">
-                    {analysisResults.channelAnalysis.map((channel, idx) => (
+                    {verifiedAnalysis.channelAnalysis.map((channel, idx) => (
                       <div key={idx} className="border rounded-lg p-4">
                         <div className="flex items-center justify-between mb-2">
-                          <h4 className="font-medium text-gray-900">{channel.channel}</h4>
+                          <div className="flex items-center space-x-2">
+                            <h4 className="font-medium text-gray-900">{channel.channel}</h4>
+                            <VerificationBadge
+                              status={channel.verification.status}
+                              title={channel.verification.inData
+                                ? 'How the numbers behind this insight compare with your data'
+                                : 'This channel does not appear in your data'}
+                            />
+                          </div>
                           <span className={`px-3 py-1 rounded-full text-sm font-medium ${
                             channel.performance === 'excellent' ? 'bg-green-100 text-green-800' :
                             channel.performance === 'good' ? 'bg-blue-100 text-blue-800' :
@@ -821,12 +1727,20 @@ const MediaPlannerApp = () => {
                         </div>
                         <p className="text-gray-600 text-sm mb-3">{channel.insights}</p>
                         <div className="grid grid-cols-3 gap-4 text-sm">
-                          {Object.entries(channel.metrics).map(([metric, value]) => (
-                            <div key={metric} className="text-center">
-                              <div className="font-medium text-gray-900">{value}</div>
-                              <div className="text-gray-500 capitalize">{metric}</div>
-                            </div>
-                          ))}
+                          {Object.entries(channelMetricsFor(channel)).map(([metric, value]) => {
+                            const check = channel.verification.metrics[metric];
+                            return (
+                              <div key={metric} className="text-center">
+                                <div className="font-medium text-gray-900">{value}</div>
+                                <div className="text-gray-500 capitalize">{metric}</div>
+                                {check && check.status !== 'verified' && (
+                                  <div className={`text-xs mt-1 ${check.status === 'approximate' ? 'text-yellow-700' : 'text-red-700'}`}>
+                                    AI said {check.stated.toLocaleString()}
+                                  </div>
+                                )}
+                              </div>
+                            );
+                          })}
                         </div>
                       </div>
                     ))}
@@ -860,12 +1774,6 @@ const MediaPlannerApp = () => {
                   </div>
                 </div>
               </>
-            ) : (
-              <div className="bg-white rounded-xl shadow-lg p-12 text-center">
-                <BarChart3 className="h-16 w-16 text-gray-400 mx-auto mb-4" />
-                <h3 className="text-lg font-medium text-gray-900 mb-2">No Analysis Available</h3>
-                <p className="text-gray-600">Upload your campaign data and run analysis to see detailed insights here.</p>
-              </div>
             )}
           </div>
         )}
@@ -873,8 +1781,40 @@ const MediaPlannerApp = () => {
         {/* Recommendations Tab */}
         {activeTab === 'recommendations' && (
           <div className="space-y-6">
+            <ResponseStatusNotice
+              label="Recommendations"
+              status={recommendations && recommendations.responseStatus}
+              error={recommendationsError}
+              onRetry={analysisResults && !formatConfirmationMessage ? retryRecommendations : null}
+              isRetrying={isAnalyzing}
+            />
             {recommendations ? (
               <>
+                <CacheStatus
+                  cacheInfo={recommendations.cacheInfo}
+                  onSelectVersion={selectRecommendationsVersion}
+                  onRerun={rerunRecommendations}
+                  disabled={isAnalyzing}
+                  rerunBlockedReason={formatConfirmationMessage}
+                />
+                {/* How the plan serves the brief's objective */}
+                {recommendations.objectiveAlignment && recommendations.objectiveAlignment.summary && (
+                  <div className="bg-blue-50 border border-blue-200 rounded-xl p-6">
+                    <h2 className="text-lg font-bold text-blue-900 mb-1 flex items-center space-x-2">
+                      <Target className="h-5 w-5" />
+                      <span>
+                        Serving the objective{recommendations.objectiveAlignment.objective && `: ${recommendations.objectiveAlignment.objective}`}
+                      </span>
+                    </h2>
+                    <p className="text-blue-800 text-sm">{recommendations.objectiveAlignment.summary}</p>
+                    {!activeBrief && (
+                      <p className="text-xs text-blue-700 mt-2">
+                        No campaign brief was given, so the objective was inferred. Add a brief on the Upload tab to set it.
+                      </p>
+                    )}
+                  </div>
+                )}
+
                 {/* Budget Reallocation */}
                 <div className="bg-white rounded-xl shadow-lg p-6">
                   <h2 className="text-xl font-bold text-gray-900 mb-4">Budget Reallocation Recommendations</h2>
@@ -887,12 +1827,14 @@ const MediaPlannerApp = () => {
                             <span className="text-sm text-gray-600">
                               ${rec.currentBudget.toLocaleString()} → ${rec.recommendedBudget.toLocaleString()}
                             </span>
-                            <span className={`px-2 py-1 rounded text-xs font-medium ${
-                              rec.recommendedBudget > rec.currentBudget ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
-                            }`}>
-                              {rec.recommendedBudget > rec.currentBudget ? '+' : ''}
-                              {Math.round(((rec.recommendedBudget - rec.currentBudget) / rec.currentBudget) * 100)}%
-                            </span>
+                            {rec.currentBudget > 0 && (
+                              <span className={`px-2 py-1 rounded text-xs font-medium ${
+                                rec.recommendedBudget > rec.currentBudget ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                              }`}>
+                                {rec.recommendedBudget > rec.currentBudget ? '+' : ''}
+                                {Math.round(((rec.recommendedBudget - rec.currentBudget) / rec.currentBudget) * 100)}%
+                              </span>
+                            )}
                           </div>
                         </div>
                         <p className="text-gray-600 text-sm">{rec.reasoning}</p>
@@ -901,6 +1843,22 @@ const MediaPlannerApp = () => {
                   </div>
                 </div>
 
+                {/* Deterministic split to compare with the AI's */}
+                <BudgetOptimizer
+                  data={uploadedData}
+                  budgetReallocation={recommendations.budgetReallocation}
+                  defaultBudget={optimizerBudget}
+                  constraints={budgetConstraints}
+                  onConstraintsChange={updateBudgetConstraints}
+                />
+                <ScenarioPlanner
+                  data={uploadedData}
+                  channelBreakdown={channelBreakdown}
+                  budgetReallocation={recommendations.budgetReallocation}
+                  scenarios={scenarios}
+                  onScenariosChange={updateScenarios}
+                />
+
                 {/* Channel Recommendations */}
                 <div className="bg-white rounded-xl shadow-lg p-6">
                   <h3 className="text-lg font-bold text-gray-900 mb-4">Channel Strategy Recommendations</h3>
@@ -919,6 +1877,11 @@ const MediaPlannerApp = () => {
                           </span>
                         </div>
                         <p className="text-gray-600 text-sm mb-2">{rec.reasoning}</p>
+                        {rec.objectiveFit && (
+                          <p className="text-gray-700 text-sm mb-2">
+                            <span className="font-medium">Objective fit:</span> {rec.objectiveFit}
+                          </p>
+                        )}
                         <div className="text-xs text-blue-600 font-medium">
                           Expected: {rec.expectedImprovement}
                         </div>
@@ -1003,8 +1966,37 @@ const MediaPlannerApp = () => {
                 <p className="text-gray-600">Complete the analysis step to receive AI-powered campaign recommendations.</p>
               </div>
             )}
+            {!recommendations && uploadedData && (
+              <>
+                <BudgetOptimizer
+                  data={uploadedData}
+                  budgetReallocation={null}
+                  defaultBudget={optimizerBudget}
+                  constraints={budgetConstraints}
+                  onConstraintsChange={updateBudgetConstraints}
+                />
+                <ScenarioPlanner
+                  data={uploadedData}
+                  channelBreakdown={channelBreakdown}
+                  budgetReallocation={null}
+                  scenarios={scenarios}
+                  onScenariosChange={updateScenarios}
+                />
+              </>
+            )}
           </div>
         )}
+
+        {/* Ask Tab */}
+        {activeTab === 'ask' && (
+          <ChatAssistant
+            messages={chatMessages}
+            onMessagesChange={setChatMessages}
+            context={chatContext}
+            suggestions={chatSuggestions}
+            onSignInRequired={() => setSignInRequired(true)}
+          />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,106 @@
+import React from 'react';
+import { Hash, AlertCircle } from 'lucide-react';
+import { COLUMN_LABELS, resolveNumberFormats } from '../utils/dataProcessing';
+
+// Show how each numeric column will be read and let the user settle ambiguous ones
+const NumberFormatPanel = ({ data, onOverridesChange }) => {
+  const formats = Object.values(resolveNumberFormats(data));
+  if (formats.length === 0) return null;
+
+  const ambiguousCount = formats.filter(format => format.ambiguous).length;
+
+  const handleChange = (format, changes) => {
+    const overrides = { ...(data.numberFormatOverrides || {}) };
+    overrides[format.field] = {
+      decimalSeparator: format.decimalSeparator,
+      rateScale: format.rateScale,
+      ...overrides[format.field],
+      ...changes
+    };
+    onOverridesChange(overrides);
+  };
+
+  return (
+    <div className={`rounded-lg p-4 mb-6 ${ambiguousCount > 0 ? 'bg-yellow-50 border border-yellow-200' : 'bg-gray-50'}`}>
+      <h4 className="font-medium text-gray-900 mb-1 flex items-center space-x-2">
+        <Hash className="h-4 w-4" />
+        <span>Number Formats</span>
+      </h4>
+      {ambiguousCount > 0 && (
+        <p className="text-sm text-yellow-800 mb-3 flex items-center space-x-2">
+          <AlertCircle className="h-4 w-4 flex-shrink-0" />
+          <span>
+            {ambiguousCount} column{ambiguousCount > 1 ? 's need' : ' needs'} confirmation before metrics are calculated.
+          </span>
+        </p>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Column</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Unit</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Number Style</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Rate Convention</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {formats.map(format => (
+              <tr key={format.field} className={`border-t ${format.ambiguous ? 'bg-yellow-100' : ''}`}>
+                <td className="px-3 py-2">
+                  <div className="font-medium text-gray-900">{format.header}</div>
+                  <div className="text-xs text-gray-500">{COLUMN_LABELS[format.field]}</div>
+                </td>
+                <td className="px-3 py-2 text-gray-700">
+                  {format.unit}
+                  {format.hasSuffix && <span className="text-xs text-gray-500"> · K/M suffixes</span>}
+                </td>
+                <td className="px-3 py-2">
+                  <select
+                    value={format.decimalSeparator}
+                    onChange={(e) => handleChange(format, { decimalSeparator: e.target.value })}
+                    className="border border-gray-300 rounded-md px-2 py-1 bg-white"
+                  >
+                    <option value=".">1,234.56</option>
+                    <option value=",">1.234,56</option>
+                  </select>
+                </td>
+                <td className="px-3 py-2">
+                  {format.isRate ? (
+                    <select
+                      value={format.rateScale}
+                      onChange={(e) => handleChange(format, { rateScale: e.target.value })}
+                      className="border border-gray-300 rounded-md px-2 py-1 bg-white"
+                    >
+                      <option value="percent">Percent (2.3 = 2.3%)</option>
+                      <option value="fraction">Fraction (0.023 = 2.3%)</option>
+                    </select>
+                  ) : (
+                    <span className="text-gray-400">—</span>
+                  )}
+                </td>
+                <td className="px-3 py-2">
+                  {format.ambiguous ? (
+                    <span className="text-xs text-yellow-800" title={format.ambiguities.join(' ')}>
+                      Ambiguous: {format.ambiguities[0]}
+                    </span>
+                  ) : (
+                    <span className={`px-2 py-1 rounded text-xs font-medium ${
+                      format.confirmed ? 'bg-purple-100 text-purple-800' : 'bg-green-100 text-green-800'
+                    }`}>
+                      {format.confirmed ? 'Confirmed' : 'Detected'}
+                    </span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default NumberFormatPanel;
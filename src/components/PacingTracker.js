@@ -0,0 +1,213 @@
+import React, { useState, useMemo } from 'react';
+import { Gauge, AlertTriangle } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { plannedBudgetsFromData, dailySpend, computePacing, PACING_TOLERANCE } from '../utils/pacing';
+
+const STATUS_STYLES = {
+  onTrack: { label: 'On track', className: 'bg-green-100 text-green-800' },
+  under: { label: 'Under-delivering', className: 'bg-yellow-100 text-yellow-800' },
+  over: { label: 'Over-delivering', className: 'bg-orange-100 text-orange-800' },
+  overspent: { label: 'Overspent', className: 'bg-red-100 text-red-800' },
+  complete: { label: 'Flight ended', className: 'bg-gray-100 text-gray-800' }
+};
+
+const ALL_CHANNELS = '__all__';
+
+const money = (value) => `$${Math.round(value).toLocaleString()}`;
+
+const inputClass = 'border border-gray-300 rounded-md px-3 py-2 text-sm bg-white';
+
+// The alert line for a channel that is off pace
+const describeAlert = (name, pacing) => {
+  const gap = `${pacing.projectedGap > 0 ? '+' : ''}${(pacing.projectedGap * 100).toFixed(0)}%`;
+  if (pacing.status === 'overspent') {
+    return `${name} has spent ${money(pacing.spentToDate)}, already past its ${money(pacing.plannedBudget)} plan.`;
+  }
+  const remaining = `the remaining ${pacing.remainingDays} days`;
+  let needed = `Spend ${money(pacing.requiredDailySpend)}/day for ${remaining} to land on plan.`;
+  if (pacing.status === 'over') {
+    needed = pacing.requiredDailySpend > 0
+      ? `Cut spend to ${money(pacing.requiredDailySpend)}/day for ${remaining} to land on plan.`
+      : `The plan is already spent; pause it for ${remaining}.`;
+  }
+  return `${name} is on course to spend ${money(pacing.projectedSpend)} of ${money(pacing.plannedBudget)} (${gap}). ${needed}`;
+};
+
+// Cumulative actual vs ideal linear spend over the flight for each channel and overall, with the
+// projected end-of-flight spend and what each channel needs per day to land on its planned budget
+const PacingTracker = ({ data, dailySeries, plan, onPlanChange, briefFlight, briefBudget }) => {
+  const [selected, setSelected] = useState(ALL_CHANNELS);
+  const spend = useMemo(() => dailySpend(data, dailySeries), [data, dailySeries]);
+  const { budgets: fileBudgets, ambiguous } = useMemo(() => plannedBudgetsFromData(data), [data]);
+
+  if (!spend) return null;
+
+  const flightStart = plan.flightStart || briefFlight.flightStart || new Date(spend.firstDay).toISOString().split('T')[0];
+  const flightEnd = plan.flightEnd || briefFlight.flightEnd || '';
+  const flight = { flightStart, flightEnd };
+
+  const plannedFor = (channel) => {
+    const entered = plan.budgets[channel];
+    if (entered !== undefined && entered !== '') return Number(entered);
+    return fileBudgets[channel] || 0;
+  };
+  const channelRows = spend.channels.map(channel => ({
+    name: channel,
+    planned: plannedFor(channel),
+    pacing: computePacing(spend.byChannel[channel], { ...flight, plannedBudget: plannedFor(channel) })
+  }));
+  const channelPlanTotal = channelRows.reduce((sum, row) => sum + row.planned, 0);
+  const totalPlanned = channelPlanTotal > 0 ? channelPlanTotal : briefBudget || 0;
+  const totalRow = {
+    name: 'All channels',
+    planned: totalPlanned,
+    pacing: computePacing(spend.total, { ...flight, plannedBudget: totalPlanned })
+  };
+
+  // Budgets the file has but can't attribute to line items, until the planner enters them
+  const unreadBudgets = ambiguous.filter(channel => spend.channels.includes(channel) && !plan.budgets[channel]);
+  const alerts = [totalRow, ...channelRows].filter(row => !row.pacing.error && ['under', 'over', 'overspent'].includes(row.pacing.status));
+  const chartRow = selected === ALL_CHANNELS ? totalRow : channelRows.find(row => row.name === selected) || totalRow;
+
+  const update = (changes) => onPlanChange({ ...plan, ...changes });
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <h3 className="text-lg font-bold text-gray-900 mb-1 flex items-center space-x-2">
+        <Gauge className="h-5 w-5" />
+        <span>Spend Pacing</span>
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Actual spend against an even spread of the planned budget over the flight. Projections run at the last 7 days' average spend;
+        anything more than {PACING_TOLERANCE * 100}% off the plan is flagged.
+      </p>
+
+      <div className="flex flex-wrap items-end gap-4 mb-4">
+        <label className="text-sm text-gray-700">
+          <span className="block mb-1 font-medium">Flight start</span>
+          <input type="date" value={flightStart} onChange={(e) => update({ flightStart: e.target.value })} className={inputClass} />
+        </label>
+        <label className="text-sm text-gray-700">
+          <span className="block mb-1 font-medium">Flight end</span>
+          <input type="date" value={flightEnd} onChange={(e) => update({ flightEnd: e.target.value })} className={inputClass} />
+        </label>
+        <label className="text-sm text-gray-700">
+          <span className="block mb-1 font-medium">Chart</span>
+          <select value={selected} onChange={(e) => setSelected(e.target.value)} className={inputClass}>
+            <option value={ALL_CHANNELS}>All channels</option>
+            {spend.channels.map(channel => (
+              <option key={channel} value={channel}>{channel}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {unreadBudgets.length > 0 && (
+        <div className="flex items-start space-x-2 rounded-lg p-3 text-sm bg-yellow-50 text-yellow-800 mb-4">
+          <AlertTriangle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+          <span>
+            Enter the planned budget for {unreadBudgets.join(', ')}. The file repeats budgets without a line-item or campaign
+            column, so it can't tell one line item's budget from several with the same amount.
+          </span>
+        </div>
+      )}
+
+      {alerts.length > 0 && (
+        <div className="space-y-2 mb-4">
+          {alerts.map(row => (
+            <div
+              key={row.name}
+              className={`flex items-start space-x-2 rounded-lg p-3 text-sm ${
+                row.pacing.status === 'under' ? 'bg-yellow-50 text-yellow-800' : 'bg-red-50 text-red-800'
+              }`}
+            >
+              <AlertTriangle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+              <span>{describeAlert(row.name, row.pacing)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="overflow-x-auto mb-4">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Channel</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Planned budget</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Spent to date</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Ideal to date</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Pacing</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Projected</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Needed per day</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[totalRow, ...channelRows].map((row, idx) => {
+              const { pacing } = row;
+              const style = pacing.error ? null : STATUS_STYLES[pacing.status];
+              return (
+                <tr key={row.name} className={`border-t ${idx === 0 ? 'bg-blue-50' : ''}`}>
+                  <td className="px-3 py-2 font-medium text-gray-900">{row.name}</td>
+                  <td className="px-3 py-2">
+                    {idx === 0 ? (
+                      <span className="text-gray-700">{row.planned > 0 ? money(row.planned) : '—'}</span>
+                    ) : (
+                      <input
+                        type="number"
+                        min="0"
+                        value={plan.budgets[row.name] !== undefined ? plan.budgets[row.name] : ''}
+                        onChange={(e) => update({ budgets: { ...plan.budgets, [row.name]: e.target.value } })}
+                        placeholder={fileBudgets[row.name] ? Math.round(fileBudgets[row.name]).toString() : 'Budget'}
+                        className="border border-gray-300 rounded-md px-2 py-1 text-sm w-28"
+                      />
+                    )}
+                  </td>
+                  {pacing.error ? (
+                    <td colSpan={6} className="px-3 py-2 text-xs text-gray-500">{pacing.error}</td>
+                  ) : (
+                    <>
+                      <td className="px-3 py-2 text-gray-700">{money(pacing.spentToDate)}</td>
+                      <td className="px-3 py-2 text-gray-700">{money(pacing.idealToDate)}</td>
+                      <td className="px-3 py-2 text-gray-700">{pacing.pacing.toFixed(0)}%</td>
+                      <td className="px-3 py-2 text-gray-700">{money(pacing.projectedSpend)}</td>
+                      <td className="px-3 py-2 text-gray-700">
+                        {pacing.requiredDailySpend !== null ? money(pacing.requiredDailySpend) : '—'}
+                      </td>
+                      <td className="px-3 py-2">
+                        <span className={`px-2 py-0.5 rounded text-xs font-medium ${style.className}`}>{style.label}</span>
+                      </td>
+                    </>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {!chartRow.pacing.error && (
+        <>
+          <p className="text-xs text-gray-500 mb-2">
+            {chartRow.name}: day {chartRow.pacing.elapsedDays} of {chartRow.pacing.flightDays}, data through {chartRow.pacing.asOf}
+          </p>
+          <ResponsiveContainer width="100%" height={300}>
+            <LineChart data={chartRow.pacing.series}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="date" />
+              <YAxis tickFormatter={(value) => value.toLocaleString()} />
+              <Tooltip formatter={(value) => (value === null ? '—' : money(value))} />
+              <Legend />
+              <ReferenceLine y={chartRow.pacing.plannedBudget} stroke="#9ca3af" strokeDasharray="3 3" label="Plan" />
+              <Line type="monotone" dataKey="ideal" name="Ideal" stroke="#9ca3af" strokeDasharray="5 5" dot={false} />
+              <Line type="monotone" dataKey="actual" name="Actual" stroke="#3b82f6" strokeWidth={2} dot={false} />
+              <Line type="monotone" dataKey="projected" name="Projected" stroke="#f59e0b" strokeDasharray="2 4" dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PacingTracker;
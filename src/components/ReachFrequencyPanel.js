@@ -0,0 +1,144 @@
+import React from 'react';
+import { Users } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { reachCurvePoints, effectiveReach } from '../utils/reachFrequency';
+
+const LINE_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#8b5cf6', '#ef4444', '#06b6d4', '#ec4899', '#84cc16'];
+
+const count = (value) => Math.round(value).toLocaleString();
+
+const overlapLabel = (value) => {
+  if (value <= 0.15) return 'Exclusive audiences';
+  if (value < 0.4) return 'Low overlap';
+  if (value <= 0.6) return 'Random duplication';
+  if (value < 0.85) return 'High overlap';
+  return 'Fully nested';
+};
+
+const UNIVERSE_NOTES = {
+  data: 'from the universe column',
+  entered: 'as entered',
+  assumed: 'assumed as twice the summed reach; enter the target population for a real estimate'
+};
+
+// De-duplicated reach, frequency and effective reach, with reach curves per channel and combined
+const ReachFrequencyPanel = ({ model, assumptions, onAssumptionsChange }) => {
+  if (!model) return null;
+
+  const points = reachCurvePoints(model, assumptions);
+  const share = (value) => `${(value / model.universe * 100).toFixed(1)}%`;
+
+  const overlapSlider = (field, label) => (
+    <label className="text-sm text-gray-700">
+      <span className="block mb-1 font-medium">{label}</span>
+      <input
+        type="range"
+        min="0"
+        max="1"
+        step="0.05"
+        value={assumptions[field]}
+        onChange={(e) => onAssumptionsChange({ ...assumptions, [field]: Number(e.target.value) })}
+        className="w-48"
+      />
+      <span className="block text-xs text-gray-500">{overlapLabel(assumptions[field])}</span>
+    </label>
+  );
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <h3 className="text-lg font-bold text-gray-900 mb-1 flex items-center space-x-2">
+        <Users className="h-5 w-5" />
+        <span>Reach &amp; Frequency</span>
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Reach is de-duplicated across rows and channels rather than summed; effective reach comes from a negative binomial exposure model.
+      </p>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4">
+        <div className="bg-blue-50 rounded-lg p-3">
+          <div className="text-lg font-bold text-blue-700">{count(model.reach)}</div>
+          <div className="text-xs text-gray-600">De-duplicated reach ({share(model.reach)})</div>
+          <div className="text-xs text-gray-500">Summed: {count(model.summedReach)}</div>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-lg font-bold text-gray-900">{model.frequency !== null ? model.frequency.toFixed(1) : 'N/A'}</div>
+          <div className="text-xs text-gray-600">Average frequency</div>
+        </div>
+        {model.effectiveReach.map(entry => (
+          <div key={entry.threshold} className="bg-gray-50 rounded-lg p-3">
+            <div className="text-lg font-bold text-gray-900">{count(entry.reach)}</div>
+            <div className="text-xs text-gray-600">Reach at {entry.threshold}+ ({share(entry.reach)})</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-start gap-6 mb-4 bg-gray-50 rounded-lg p-4">
+        <label className="text-sm text-gray-700">
+          <span className="block mb-1 font-medium">Universe (target population)</span>
+          <input
+            type="number"
+            min="0"
+            value={assumptions.universe}
+            onChange={(e) => onAssumptionsChange({ ...assumptions, universe: e.target.value })}
+            placeholder={Math.round(model.universe).toString()}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm w-44"
+          />
+          <span className="block text-xs text-gray-500 max-w-xs">
+            {count(model.universe)} people, {UNIVERSE_NOTES[model.universeSource]}
+          </span>
+        </label>
+        {overlapSlider('withinChannelOverlap', 'Overlap within a channel')}
+        {overlapSlider('acrossChannelOverlap', 'Overlap across channels')}
+      </div>
+
+      <div className="overflow-x-auto mb-4">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Channel</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Summed reach</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">De-duplicated reach</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Frequency</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Reach at 3+</th>
+            </tr>
+          </thead>
+          <tbody>
+            {model.channels.map(channel => (
+              <tr key={channel.channel} className="border-t">
+                <td className="px-3 py-2 font-medium text-gray-900">{channel.channel}</td>
+                <td className="px-3 py-2 text-gray-700">{count(channel.summedReach)}</td>
+                <td className="px-3 py-2 text-gray-700">{count(channel.reach)}</td>
+                <td className="px-3 py-2 text-gray-700">{channel.frequency !== null ? channel.frequency.toFixed(1) : '—'}</td>
+                <td className="px-3 py-2 text-gray-700">{channel.curve ? count(effectiveReach(channel.curve, 3)) : '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <h4 className="font-medium text-gray-900 mb-2">Reach curves</h4>
+      <ResponsiveContainer width="100%" height={300}>
+        <LineChart data={points}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="budget" tickFormatter={(value) => `${value}%`} />
+          <YAxis tickFormatter={(value) => value.toLocaleString()} />
+          <Tooltip labelFormatter={(value) => `${value}% of current budget`} formatter={(value) => value.toLocaleString()} />
+          <Legend />
+          {model.channels.map((channel, idx) => (
+            <Line
+              key={channel.channel}
+              type="monotone"
+              dataKey={(point) => point.channels[channel.channel]}
+              name={channel.channel}
+              stroke={LINE_COLORS[idx % LINE_COLORS.length]}
+              dot={false}
+            />
+          ))}
+          <Line type="monotone" dataKey="combined" name="All channels (de-duplicated)" stroke="#111827" strokeWidth={3} dot={false} />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default ReachFrequencyPanel;
@@ -0,0 +1,42 @@
+import React from 'react';
+import { AlertCircle, RefreshCw } from 'lucide-react';
+import { describeIssues } from '../utils/responseSchemas';
+
+// Explains why a step's results are incomplete: generation was stopped, the model's reply failed
+// validation even after a repair attempt, or the step failed outright. The rest stays usable.
+const ResponseStatusNotice = ({ label, status, error, onRetry, isRetrying }) => {
+  const isPartial = status && status.partial;
+  if (!isPartial && !error) return null;
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 flex items-start justify-between">
+      <div className="flex items-start space-x-3">
+        <AlertCircle className="h-5 w-5 text-yellow-600 mt-0.5 flex-shrink-0" />
+        <div>
+          <h4 className="font-medium text-yellow-900">
+            {error ? `${label} could not be generated` : status.stopped ? `${label} were stopped early` : `${label} are incomplete`}
+          </h4>
+          <p className="text-sm text-yellow-800">
+            {error
+              ? error
+              : status.stopped
+                ? 'Generation was stopped; showing what arrived before that.'
+                : `${status.truncated ? 'The response was cut off. ' : ''}Some fields were missing or invalid and were filled with defaults: ${describeIssues(status.issues, 4)}.`}
+          </p>
+        </div>
+      </div>
+      {onRetry && (
+        <button
+          onClick={onRetry}
+          disabled={isRetrying}
+          className="flex items-center space-x-1 px-3 py-1 text-sm border border-yellow-300 rounded-md text-yellow-900 hover:bg-yellow-100 disabled:opacity-50 flex-shrink-0 ml-3"
+        >
+          <RefreshCw className={`h-4 w-4 ${isRetrying ? 'animate-spin' : ''}`} />
+          <span>Retry</span>
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ResponseStatusNotice;
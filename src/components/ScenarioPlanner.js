@@ -0,0 +1,228 @@
+import React, { useState, useMemo } from 'react';
+import { SlidersHorizontal, Save, RotateCcw, Trash2, Pencil } from 'lucide-react';
+import { formatMetricValue } from '../utils/derivedMetrics';
+import { aiSplit } from '../utils/budgetOptimizer';
+import { channelEfficiencies, baselineBudgets, projectScenario, upsertScenario, MAX_SCENARIOS } from '../utils/scenarioPlanner';
+
+const COMPARISON_ROWS = [
+  { field: 'budget', label: 'Budget', unit: 'currency' },
+  { field: 'impressions', label: 'Impressions', unit: 'number' },
+  { field: 'reach', label: 'Reach', unit: 'number' },
+  { field: 'clicks', label: 'Clicks', unit: 'number' },
+  { field: 'cpm', label: 'CPM', unit: 'currency', lowerIsBetter: true },
+  { field: 'ctr', label: 'CTR', unit: 'percent' }
+];
+
+const format = (value, unit) => {
+  if (value === null || value === undefined) return '—';
+  return formatMetricValue(unit === 'number' ? Math.round(value) : value, unit);
+};
+
+const Delta = ({ value, baseline, lowerIsBetter = false }) => {
+  if (value === null || baseline === null || !(baseline > 0) || Math.abs(value - baseline) / baseline < 0.0005) return null;
+  const change = (value - baseline) / baseline * 100;
+  return (
+    <span className={`ml-1 text-xs ${(change > 0) !== lowerIsBetter ? 'text-green-700' : 'text-red-700'}`}>
+      {change > 0 ? '+' : ''}{change.toFixed(1)}%
+    </span>
+  );
+};
+
+// What-if workspace: edit each channel's budget, see projected delivery at the channel's observed
+// efficiency, and compare saved scenarios with the baseline and the AI's suggested split
+const ScenarioPlanner = ({ data, channelBreakdown, budgetReallocation, scenarios, onScenariosChange }) => {
+  const efficiencies = useMemo(() => channelEfficiencies(data, channelBreakdown), [data, channelBreakdown]);
+  const baseline = useMemo(() => baselineBudgets(efficiencies), [efficiencies]);
+  const aiBudgets = useMemo(() => aiSplit(efficiencies, budgetReallocation), [efficiencies, budgetReallocation]);
+  const [draft, setDraft] = useState(null);
+  const [name, setName] = useState('');
+
+  if (!efficiencies.some(entry => entry.spend > 0)) return null;
+
+  const budgets = draft || baseline;
+  const projection = projectScenario(efficiencies, budgets);
+  const baselineProjection = projectScenario(efficiencies, baseline);
+  const hasReach = baselineProjection.totals.reach !== null;
+
+  const columns = [
+    { name: 'Baseline', projection: baselineProjection },
+    ...(aiBudgets ? [{ name: 'AI recommendation', projection: projectScenario(efficiencies, aiBudgets) }] : []),
+    { name: 'Working scenario', projection, working: true },
+    ...scenarios.map(scenario => ({ name: scenario.name, projection: projectScenario(efficiencies, scenario.budgets), scenario }))
+  ];
+
+  const setBudget = (channel, value) => setDraft({ ...budgets, [channel]: value === '' ? 0 : Number(value) });
+
+  const saveScenario = () => {
+    onScenariosChange(upsertScenario(scenarios, name, budgets));
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <h2 className="text-xl font-bold text-gray-900 mb-1 flex items-center space-x-2">
+        <SlidersHorizontal className="h-5 w-5" />
+        <span>What-if Scenarios</span>
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Projections use each channel's CPM and CTR from the data; reach follows the channel's diminishing-returns curve.
+        Total reach adds channels together, so people reached by several channels count more than once.
+      </p>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        <button
+          onClick={() => setDraft(null)}
+          className="flex items-center space-x-1 px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100"
+        >
+          <RotateCcw className="h-3 w-3" />
+          <span>Reset to baseline</span>
+        </button>
+        {aiBudgets && (
+          <button
+            onClick={() => setDraft({ ...baseline, ...aiBudgets })}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100"
+          >
+            Start from AI recommendation
+          </button>
+        )}
+      </div>
+
+      <div className="overflow-x-auto mb-4">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Channel</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Budget</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Impressions</th>
+              {hasReach && <th className="px-3 py-2 text-left font-medium text-gray-700">Reach</th>}
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Clicks</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">CPM</th>
+            </tr>
+          </thead>
+          <tbody>
+            {projection.channels.map((channel, idx) => {
+              const entry = efficiencies[idx];
+              const sliderMax = Math.max(Math.round(entry.spend * 3), 1000);
+              return (
+                <tr key={channel.channel} className="border-t">
+                  <td className="px-3 py-2 font-medium text-gray-900">{channel.channel}</td>
+                  <td className="px-3 py-2">
+                    <div className="flex items-center space-x-2">
+                      <input
+                        type="range"
+                        min="0"
+                        max={sliderMax}
+                        step={Math.max(1, Math.round(sliderMax / 100))}
+                        value={Math.min(channel.budget, sliderMax)}
+                        onChange={(e) => setBudget(channel.channel, e.target.value)}
+                        className="w-32"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        value={Math.round(channel.budget)}
+                        onChange={(e) => setBudget(channel.channel, e.target.value)}
+                        className="border border-gray-300 rounded-md px-2 py-1 text-sm w-28"
+                      />
+                      <Delta value={channel.budget} baseline={entry.spend} />
+                    </div>
+                  </td>
+                  <td className="px-3 py-2 text-gray-700">{format(channel.impressions, 'number')}</td>
+                  {hasReach && <td className="px-3 py-2 text-gray-700">{format(channel.reach, 'number')}</td>}
+                  <td className="px-3 py-2 text-gray-700">{format(channel.clicks, 'number')}</td>
+                  <td className="px-3 py-2 text-gray-700">{format(channel.cpm, 'currency')}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center gap-2 mb-6">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Scenario name"
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm w-64"
+        />
+        <button
+          onClick={saveScenario}
+          disabled={!name.trim()}
+          className="flex items-center space-x-1 px-3 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          <Save className="h-4 w-4" />
+          <span>Save scenario</span>
+        </button>
+        {scenarios.length >= MAX_SCENARIOS && (
+          <span className="text-xs text-gray-500">Saving another drops the oldest of {MAX_SCENARIOS} scenarios.</span>
+        )}
+      </div>
+
+      <h3 className="font-medium text-gray-900 mb-2">Compare</h3>
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="px-3 py-2 text-left font-medium text-gray-700"></th>
+              {columns.map(column => (
+                <th
+                  key={column.scenario ? `saved-${column.name}` : column.name}
+                  className={`px-3 py-2 text-left font-medium ${column.working ? 'text-blue-800 bg-blue-50' : 'text-gray-700'}`}
+                >
+                  <div className="flex items-center space-x-1">
+                    <span>{column.name}</span>
+                    {column.scenario && (
+                      <>
+                        <button
+                          onClick={() => {
+                            setDraft({ ...baseline, ...column.scenario.budgets });
+                            setName(column.scenario.name);
+                          }}
+                          className="p-1 text-gray-400 hover:text-blue-600"
+                          title="Edit this scenario"
+                        >
+                          <Pencil className="h-3 w-3" />
+                        </button>
+                        <button
+                          onClick={() => onScenariosChange(scenarios.filter(scenario => scenario !== column.scenario))}
+                          className="p-1 text-gray-400 hover:text-red-600"
+                          title="Delete this scenario"
+                        >
+                          <Trash2 className="h-3 w-3" />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {COMPARISON_ROWS.filter(row => row.field !== 'reach' || hasReach).map(row => (
+              <tr key={row.field} className="border-t">
+                <td className="px-3 py-2 font-medium text-gray-900">{row.label}</td>
+                {columns.map((column, columnIdx) => (
+                  <td
+                    key={column.scenario ? `saved-${column.name}` : column.name}
+                    className={`px-3 py-2 text-gray-700 ${column.working ? 'bg-blue-50' : ''}`}
+                  >
+                    {format(column.projection.totals[row.field], row.unit)}
+                    {columnIdx > 0 && (
+                      <Delta
+                        value={column.projection.totals[row.field]}
+                        baseline={baselineProjection.totals[row.field]}
+                        lowerIsBetter={row.lowerIsBetter}
+                      />
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ScenarioPlanner;
@@ -0,0 +1,165 @@
+import React, { useState, useMemo } from 'react';
+import { TrendingUp } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { formatMetricValue } from '../utils/derivedMetrics';
+import { GRANULARITIES, TREND_METRICS, aggregateTimeSeries, rollingAverage, periodOverPeriod } from '../utils/timeSeries';
+
+const LINE_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#8b5cf6', '#ef4444', '#06b6d4', '#ec4899', '#84cc16'];
+
+const ROLLING_WINDOWS = [0, 3, 7];
+
+// Periods beyond which a finer granularity is too dense to read, used to pick the default
+const MAX_DEFAULT_POINTS = 90;
+
+const selectClass = 'border border-gray-300 rounded-md px-3 py-2 text-sm bg-white';
+
+const valueOf = (summary, metric) => (summary && summary[metric] !== undefined ? summary[metric] : null);
+
+// The latest period's value, with its change from the last earlier period that has data
+const latestChange = (values) => {
+  const last = values.length - 1;
+  if (values[last] === null) return null;
+  return { value: values[last], change: periodOverPeriod(values)[last] };
+};
+
+// Spend, impressions, CTR and CPM over time from the date column, per channel and overall,
+// with a rolling average and the latest period-over-period change. `dailySeries` is the daily
+// aggregation when the import worker already built it.
+const TrendsView = ({ data, dailySeries }) => {
+  const [granularity, setGranularity] = useState(null);
+  const [metricId, setMetricId] = useState('cost');
+  const [rollingWindow, setRollingWindow] = useState(3);
+
+  const daily = useMemo(() => dailySeries || aggregateTimeSeries(data, 'day'), [data, dailySeries]);
+  const defaultGranularity = useMemo(() => {
+    if (!daily || daily.points.length <= MAX_DEFAULT_POINTS) return 'day';
+    return daily.points.length / 7 <= MAX_DEFAULT_POINTS ? 'week' : 'month';
+  }, [daily]);
+  const activeGranularity = granularity || defaultGranularity;
+  const series = useMemo(
+    () => (activeGranularity === 'day' ? daily : aggregateTimeSeries(data, activeGranularity)),
+    [data, daily, activeGranularity]
+  );
+
+  if (!series || series.points.length === 0) return null;
+
+  const metric = TREND_METRICS.find(candidate => candidate.id === metricId);
+  const totals = series.points.map(point => valueOf(point.total, metric.id));
+  const rolling = rollingWindow > 0 ? rollingAverage(totals, rollingWindow) : null;
+  const chartData = series.points.map((point, idx) => ({
+    period: point.period,
+    total: totals[idx],
+    rolling: rolling ? rolling[idx] : null,
+    channels: Object.fromEntries(series.channels.map(channel => [channel, valueOf(point.byChannel[channel], metric.id)]))
+  }));
+
+  const changeRows = [
+    { name: 'All channels', latest: latestChange(totals) },
+    ...series.channels.map(channel => ({
+      name: channel,
+      latest: latestChange(series.points.map(point => valueOf(point.byChannel[channel], metric.id)))
+    }))
+  ].filter(row => row.latest);
+  const changeClass = (change) => {
+    if (!metric.better || change === 0) return 'text-gray-700';
+    return (change > 0) === (metric.better === 'higher') ? 'text-green-700' : 'text-red-700';
+  };
+  const format = (value) => formatMetricValue(metric.unit === 'number' ? Math.round(value) : value, metric.unit);
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <h3 className="text-lg font-bold text-gray-900 mb-4 flex items-center space-x-2">
+        <TrendingUp className="h-5 w-5" />
+        <span>Trends</span>
+      </h3>
+
+      <div className="flex flex-wrap items-end gap-4 mb-4">
+        <select value={metric.id} onChange={(e) => setMetricId(e.target.value)} className={selectClass}>
+          {TREND_METRICS.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+        <select value={activeGranularity} onChange={(e) => setGranularity(e.target.value)} className={selectClass}>
+          {GRANULARITIES.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+        <select value={rollingWindow} onChange={(e) => setRollingWindow(Number(e.target.value))} className={selectClass}>
+          {ROLLING_WINDOWS.map(window => (
+            <option key={window} value={window}>{window > 0 ? `${window}-${activeGranularity} rolling average` : 'No rolling average'}</option>
+          ))}
+        </select>
+      </div>
+
+      {series.unparsed > 0 && (
+        <p className="text-xs text-yellow-700 mb-2">
+          {series.unparsed} row(s) have dates we couldn't read and are left out of the trends.
+        </p>
+      )}
+
+      <ResponsiveContainer width="100%" height={320}>
+        <LineChart data={chartData}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="period" />
+          <YAxis tickFormatter={(value) => value.toLocaleString()} />
+          <Tooltip formatter={(value) => (value === null ? 'No data' : format(value))} />
+          <Legend />
+          {series.channels.map((channel, idx) => (
+            <Line
+              key={channel}
+              type="monotone"
+              dataKey={(point) => point.channels[channel]}
+              name={channel}
+              stroke={LINE_COLORS[idx % LINE_COLORS.length]}
+              dot={false}
+              connectNulls
+            />
+          ))}
+          <Line type="monotone" dataKey="total" name="All channels" stroke="#111827" strokeWidth={2} dot={false} connectNulls />
+          {rolling && (
+            <Line
+              type="monotone"
+              dataKey="rolling"
+              name={`All channels, ${rollingWindow}-${activeGranularity} average`}
+              stroke="#6b7280"
+              strokeDasharray="5 5"
+              dot={false}
+              connectNulls
+            />
+          )}
+        </LineChart>
+      </ResponsiveContainer>
+
+      <div className="overflow-x-auto mt-4">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="px-3 py-2 text-left font-medium text-gray-700"></th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Latest {activeGranularity} ({metric.label})</th>
+              <th className="px-3 py-2 text-left font-medium text-gray-700">Change vs previous {activeGranularity}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {changeRows.map(row => (
+              <tr key={row.name} className="border-t">
+                <td className="px-3 py-2 font-medium text-gray-900">{row.name}</td>
+                <td className="px-3 py-2 text-gray-700">{format(row.latest.value)}</td>
+                <td className="px-3 py-2">
+                  {row.latest.change === null ? (
+                    <span className="text-gray-400">—</span>
+                  ) : (
+                    <span className={changeClass(row.latest.change)}>
+                      {row.latest.change >= 0 ? '+' : ''}{row.latest.change.toFixed(1)}%
+                    </span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default TrendsView;
@@ -0,0 +1,36 @@
+import React from 'react';
+import { CheckCircle, AlertTriangle, XCircle } from 'lucide-react';
+
+export const VERIFICATION_STYLES = {
+  verified: { label: 'Verified', icon: CheckCircle, className: 'bg-green-100 text-green-800' },
+  approximate: { label: 'Approximate', icon: AlertTriangle, className: 'bg-yellow-100 text-yellow-800' },
+  corrected: { label: 'Corrected', icon: AlertTriangle, className: 'bg-orange-100 text-orange-800' },
+  unsupported: { label: 'Unsupported', icon: XCircle, className: 'bg-red-100 text-red-800' }
+};
+
+// What the AI stated next to what the data says, for tooltips and reports
+export const describeCheck = (check, label) => {
+  if (!check) return '';
+  const prefix = label ? `${label}: ` : '';
+  if (check.computed === null) return `${prefix}AI stated ${check.stated.toLocaleString()}; the data has no figure to check it against`;
+  return `${prefix}AI stated ${check.stated.toLocaleString()}; computed from the data: ${check.value.toLocaleString()}`;
+};
+
+// Whether a model-stated number or insight holds up against the metrics computed from the data
+const VerificationBadge = ({ status, title }) => {
+  const style = VERIFICATION_STYLES[status];
+  if (!style) return null;
+  const Icon = style.icon;
+
+  return (
+    <span
+      className={`inline-flex items-center space-x-1 px-2 py-0.5 rounded text-xs font-medium ${style.className}`}
+      title={title}
+    >
+      <Icon className="h-3 w-3" />
+      <span>{style.label}</span>
+    </span>
+  );
+};
+
+export default VerificationBadge;
@@ -1,127 +1,273 @@
+import { prepareDataForAI } from '../utils/aiSummary';
+import { ANALYSIS_SCHEMA, RECOMMENDATIONS_SCHEMA, parseModelResponse, parsePartialResponse, describeIssues } from '../utils/responseSchemas';
+import { createProvider } from './llm';
+import { PROMPT_VERSIONS } from './llm/promptTemplates';
+import { buildChatData, toApiMessages } from '../utils/chatAssistant';
+import { fingerprintDataset, hashValue, getCachedVersion, listCachedVersions, storeCachedVersion } from '../utils/analysisCache';
+import { withRetries, withTimeout } from '../utils/requestRetry';
+
+// Ceiling for the larger token allowance used when retrying a cut-off response
+const MAX_RESPONSE_TOKENS = 4000;
+
+// Minimum gap between partial-result updates while a response streams in
+const PREVIEW_INTERVAL_MS = 250;
+
+// Token allowances for the first attempt at each answer; a different allowance can change the answer
+const ANALYSIS_RESPONSE_TOKENS = 2000;
+const RECOMMENDATIONS_RESPONSE_TOKENS = 2000;
+const CHAT_RESPONSE_TOKENS = 1500;
+
+// How long one attempt may go without hearing from the model (for streams, the gap between
+// chunks), and how many times busy, overloaded or timed-out requests are tried again
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_RETRIES = 3;
+
 class ClaudeApiService {
   constructor() {
-    // Use your Vercel domain or relative path for production
-    this.baseUrl = '/api/claude';
-    this.model = 'claude-sonnet-4-20250514';
+    // The proxy by default; REACT_APP_LLM_PROVIDER=mock answers from fixtures for offline work
+    this.provider = createProvider();
+    // REACT_APP_LLM_TIMEOUT_MS and REACT_APP_LLM_MAX_RETRIES override the defaults
+    this.timeoutMs = Number(process.env.REACT_APP_LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+    const maxRetries = parseInt(process.env.REACT_APP_LLM_MAX_RETRIES, 10);
+    this.maxRetries = maxRetries >= 0 ? maxRetries : DEFAULT_MAX_RETRIES;
+  }
+
+  // `request` names a server-side prompt template plus its data: { template, data, messages }.
+  // `cache` lets the proxy answer from its own cache when it has one; `refresh` skips that cache.
+  toBody(request, maxTokens, { cache = false, refresh = false } = {}) {
+    return {
+      ...request,
+      maxTokens,
+      ...(cache ? { cache, refresh } : {})
+    };
   }
 
-  async makeRequest(prompt, maxTokens = 2000) {
+  // Each attempt gets its own timeout; retryable failures are retried with backoff, reported via onRetry
+  withRetryPolicy(attempt, { signal, onRetry }) {
+    return withRetries(
+      () => withTimeout(attempt, { timeoutMs: this.timeoutMs, signal }),
+      { retries: this.maxRetries, signal, onRetry }
+    );
+  }
+
+  async makeRequest(request, maxTokens = 2000, { signal, onRetry, ...options } = {}) {
+    const body = this.toBody(request, maxTokens, options);
     try {
-      const response = await fetch(this.baseUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          prompt: prompt,
-          maxTokens: maxTokens
-        })
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(`API Error: ${response.status} - ${errorData.error}`);
-      }
+      return await this.withRetryPolicy(
+        (attemptSignal) => this.provider.request(body, { signal: attemptSignal }),
+        { signal, onRetry }
+      );
+    } catch (error) {
+      console.error('Claude API Error:', error);
+      throw error;
+    }
+  }
 
-      const data = await response.json();
-      let responseText = data.content[0].text;
-      
-      // Clean up any markdown formatting
-      responseText = responseText.replace(/```json\n?/g, "").replace(/```\n?/g, "").trim();
-      
-      return responseText;
+  // Stream a completion, calling onText with the text received so far. Aborting the signal
+  // stops generation and resolves with whatever arrived, marked as stopped.
+  async streamRequest(request, maxTokens = 2000, { onText, signal, onRetry, ...options } = {}) {
+    const body = this.toBody(request, maxTokens, options);
+    try {
+      return await this.withRetryPolicy(
+        (attemptSignal, touch) => this.provider.stream(body, {
+          signal: attemptSignal,
+          onText: (text) => {
+            touch();
+            if (onText) onText(text);
+          }
+        }),
+        { signal, onRetry }
+      );
     } catch (error) {
       console.error('Claude API Error:', error);
       throw error;
     }
   }
 
-  async analyzeMediaData(uploadedData) {
-    const prompt = `
-    As an expert media planner and data analyst, analyze this advertising campaign data and provide comprehensive insights.
-
-    Campaign Data Headers: ${JSON.stringify(uploadedData.headers)}
-    Sample Data Rows (first 10): ${JSON.stringify(uploadedData.rows.slice(0, 10))}
-    Total Rows: ${uploadedData.rows.length}
-
-    Please analyze this data and respond with a JSON object containing:
-    {
-      "overallPerformance": {
-        "summary": "brief performance summary",
-        "topChannels": ["channel1", "channel2", "channel3"],
-        "keyMetrics": {
-          "avgCTR": number,
-          "avgCPM": number,
-          "totalReach": number,
-          "avgFrequency": number
-        }
-      },
-      "channelAnalysis": [
-        {
-          "channel": "channel name",
-          "performance": "excellent/good/poor",
-          "metrics": {"ctr": number, "cpm": number, "reach": number},
-          "insights": "key insights about this channel"
-        }
-      ],
-      "demographicInsights": {
-        "bestPerformingDemo": "demographic segment",
-        "insights": "demographic analysis"
-      },
-      "optimizationOpportunities": [
-        "opportunity 1",
-        "opportunity 2",
-        "opportunity 3"
-      ]
+  countTokens(text) {
+    return this.provider.countTokens(text);
+  }
+
+  // Access-code sign-in for proxies that answer 401; the offline mock never asks for it
+  async signIn(accessCode) {
+    if (!this.provider.signIn) return;
+    await this.provider.signIn(accessCode);
+  }
+
+  // Ask for JSON matching a schema. Invalid or cut-off replies get one repair round-trip; if that
+  // still falls short, whatever could be salvaged is returned with responseStatus.partial set.
+  // With onPartial the reply is streamed and onPartial receives the parsed result as it grows;
+  // stopping via the signal returns what arrived so far (or null if nothing usable did).
+  async requestStructured({ template, data }, schema, { maxTokens = 2000, onPartial, onRetry, signal, refresh = false } = {}) {
+    let lastPreview = 0;
+    const onText = (textSoFar) => {
+      const now = Date.now();
+      if (now - lastPreview < PREVIEW_INTERVAL_MS) return;
+      lastPreview = now;
+      const preview = parsePartialResponse(textSoFar, schema);
+      if (preview) onPartial(preview);
+    };
+    const request = (templateData, tokens) => (onPartial
+      ? this.streamRequest({ template, data: templateData }, tokens, { cache: true, refresh, onText, onRetry, signal })
+      : this.makeRequest({ template, data: templateData }, tokens, { cache: true, refresh, onRetry, signal }));
+
+    const first = await request(data, maxTokens);
+    const firstResult = parseModelResponse(first.text, schema, { truncated: first.truncated });
+    if (first.stopped) {
+      return this.stoppedResult(firstResult);
+    }
+    if (!firstResult.needsRepair) {
+      return { ...firstResult.data, responseStatus: { partial: false, repaired: false, issues: firstResult.issues } };
+    }
+
+    // The template turns these into the repair instructions appended to the prompt
+    const repair = {
+      truncated: firstResult.truncated,
+      issues: firstResult.issues.map(({ path, message }) => ({ path, message }))
+    };
+    const retryTokens = firstResult.truncated ? Math.min(maxTokens * 2, MAX_RESPONSE_TOKENS) : maxTokens;
+
+    let secondResult = null;
+    try {
+      const second = await request({ ...data, repair }, retryTokens);
+      secondResult = parseModelResponse(second.text, schema, { truncated: second.truncated });
+      if (second.stopped) {
+        return this.stoppedResult(secondResult.data ? secondResult : firstResult);
+      }
+    } catch (error) {
+      if (!firstResult.data) throw error;
+    }
+
+    // Prefer the retry unless it came back worse than the first attempt
+    const countRequired = (result) => result.issues.filter(issue => issue.required).length;
+    const best = secondResult && secondResult.data && (!firstResult.data || countRequired(secondResult) <= countRequired(firstResult))
+      ? secondResult
+      : firstResult;
+    if (!best.data) {
+      throw new Error(`The model's response could not be read (${describeIssues(best.issues, 3)})`);
     }
 
-    Respond ONLY with valid JSON. Do not include any text outside the JSON structure.
-    `;
-
-    const response = await this.makeRequest(prompt);
-    return JSON.parse(response);
-  }
-
-  async generateRecommendations(analysisData) {
-    const prompt = `
-    Based on this media campaign analysis, provide strategic recommendations for future campaigns.
-
-    Analysis Results: ${JSON.stringify(analysisData)}
-
-    Please respond with a JSON object containing:
-    {
-      "budgetReallocation": {
-        "recommendations": [
-          {"channel": "channel name", "currentBudget": number, "recommendedBudget": number, "reasoning": "explanation"}
-        ]
-      },
-      "channelRecommendations": [
-        {
-          "channel": "channel name",
-          "action": "increase/decrease/maintain/test",
-          "reasoning": "detailed reasoning",
-          "expectedImprovement": "percentage or metric improvement"
-        }
-      ],
-      "targetingRecommendations": {
-        "demographics": ["demo1", "demo2"],
-        "geography": ["geo1", "geo2"],
-        "reasoning": "targeting strategy explanation"
-      },
-      "creativeTesting": [
-        "creative test suggestion 1",
-        "creative test suggestion 2"
-      ],
-      "nextSteps": [
-        {"action": "action item", "priority": "high/medium/low", "timeline": "timeframe"}
-      ]
+    return {
+      ...best.data,
+      responseStatus: {
+        partial: best.needsRepair,
+        repaired: true,
+        truncated: best.truncated,
+        issues: best.issues
+      }
+    };
+  }
+
+  // Follow-up question in the "ask your data" thread. `messages` is the whole thread so far
+  // (ending with the new question); `context` grounds it in the dataset and earlier results.
+  async askQuestion(messages, context, { onText, signal } = {}) {
+    return this.streamRequest({
+      template: 'chat',
+      data: buildChatData(context),
+      messages: toApiMessages(messages)
+    }, CHAT_RESPONSE_TOKENS, { onText, signal });
+  }
+
+  // Results carry their cache details under `cacheInfo`, next to `responseStatus`
+  withCacheInfo(key, version, cached) {
+    return {
+      ...version.result,
+      cacheInfo: {
+        key,
+        versionId: version.id,
+        createdAt: version.createdAt,
+        cached,
+        versions: listCachedVersions(key)
+      }
+    };
+  }
+
+  // Serve the newest cached version unless refreshing. Complete fresh results are stored as a new
+  // version next to the older ones; partial or stopped results are never cached.
+  async withCache(key, refresh, run) {
+    if (!refresh) {
+      const hit = getCachedVersion(key);
+      if (hit) return this.withCacheInfo(key, hit, true);
     }
+    const result = await run();
+    if (!result || result.responseStatus.partial) return result;
+    return this.withCacheInfo(key, storeCachedVersion(key, result), false);
+  }
+
+  // A specific stored version, e.g. to compare an older run with a re-run
+  loadCachedVersion(key, versionId) {
+    const version = getCachedVersion(key, versionId);
+    return version ? this.withCacheInfo(key, version, true) : null;
+  }
+
+  // Request settings that decide an answer besides its inputs. The model is picked by the proxy, so
+  // the endpoint stands in for it here (the proxy's own cache keys on the model itself).
+  cacheSettings(maxTokens) {
+    return { provider: this.provider.name, endpoint: this.provider.endpoint || null, maxTokens };
+  }
+
+  // `brief` is the cleaned campaign brief (or null); a changed brief means a fresh answer
+  analysisCacheKey(uploadedData, customMetrics = [], brief = null) {
+    return hashValue({
+      dataset: fingerprintDataset(uploadedData),
+      prompt: PROMPT_VERSIONS.analysis,
+      settings: this.cacheSettings(ANALYSIS_RESPONSE_TOKENS),
+      customMetrics: customMetrics.map(metric => [metric.name, metric.expression, metric.unit]),
+      brief
+    });
+  }
+
+  recommendationsCacheKey(analysisData, brief = null) {
+    const { responseStatus, cacheInfo, ...analysis } = analysisData;
+    return hashValue({
+      analysis,
+      prompt: PROMPT_VERSIONS.recommendations,
+      settings: this.cacheSettings(RECOMMENDATIONS_RESPONSE_TOKENS),
+      brief
+    });
+  }
+
+  // Recommendations already stored for an analysis and brief, if any
+  getCachedRecommendations(analysisData, brief = null) {
+    const key = this.recommendationsCacheKey(analysisData, brief);
+    const version = getCachedVersion(key);
+    return version ? this.withCacheInfo(key, version, true) : null;
+  }
 
-    Respond ONLY with valid JSON.
-    `;
+  stoppedResult(result) {
+    if (!result.data) return null;
+    return {
+      ...result.data,
+      responseStatus: { partial: true, stopped: true, repaired: false, truncated: true, issues: result.issues }
+    };
+  }
+
+  async analyzeMediaData(uploadedData, { basicMetrics, customMetrics = [], brief = null, onPartial, onRetry, signal, refresh = false } = {}) {
+    return this.withCache(this.analysisCacheKey(uploadedData, customMetrics, brief), refresh, () =>
+      this.runAnalysis(uploadedData, { basicMetrics, customMetrics, brief, onPartial, onRetry, signal, refresh })
+    );
+  }
+
+  async runAnalysis(uploadedData, { basicMetrics, customMetrics, brief, onPartial, onRetry, signal, refresh }) {
+    // The model sees aggregates over every row, trimmed to a token budget, rather than a few sample rows
+    const { summary } = prepareDataForAI(uploadedData, { basicMetrics, customMetrics });
+    return this.requestStructured({ template: 'analysis', data: { summary, ...(brief ? { brief } : {}) } }, ANALYSIS_SCHEMA, {
+      maxTokens: ANALYSIS_RESPONSE_TOKENS, onPartial, onRetry, signal, refresh
+    });
+  }
+
+  async generateRecommendations(analysisData, { brief = null, onPartial, onRetry, signal, refresh = false } = {}) {
+    return this.withCache(this.recommendationsCacheKey(analysisData, brief), refresh, () =>
+      this.runRecommendations(analysisData, { brief, onPartial, onRetry, signal, refresh })
+    );
+  }
 
-    const response = await this.makeRequest(prompt);
-    return JSON.parse(response);
+  async runRecommendations(analysisData, { brief, onPartial, onRetry, signal, refresh }) {
+    // Validation and cache notes are for the UI, not for the model
+    const { responseStatus, cacheInfo, ...analysis } = analysisData;
+    return this.requestStructured({ template: 'recommendations', data: { analysis, ...(brief ? { brief } : {}) } }, RECOMMENDATIONS_SCHEMA, {
+      maxTokens: RECOMMENDATIONS_RESPONSE_TOKENS, onPartial, onRetry, signal, refresh
+    });
   }
 }
 
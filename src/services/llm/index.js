@@ -0,0 +1,20 @@
+import { createProxyProvider } from './proxyProvider';
+import { createMockProvider } from './mockProvider';
+
+export const PROVIDERS = ['proxy', 'mock'];
+
+// Client-side provider from build-time configuration:
+//   REACT_APP_LLM_PROVIDER  - 'proxy' (default) or 'mock' for offline demos
+//   REACT_APP_LLM_PROXY_URL - proxy endpoint, default /api/claude
+//   REACT_APP_LLM_SESSION_URL - access-code sign-in endpoint, default /api/session
+export const createProvider = (env = process.env) => {
+  const name = (env.REACT_APP_LLM_PROVIDER || 'proxy').toLowerCase();
+  if (name === 'mock') return createMockProvider();
+  if (name !== 'proxy') {
+    console.warn(`Unknown REACT_APP_LLM_PROVIDER "${name}", falling back to the proxy`);
+  }
+  return createProxyProvider({
+    baseUrl: env.REACT_APP_LLM_PROXY_URL || '/api/claude',
+    sessionUrl: env.REACT_APP_LLM_SESSION_URL || '/api/session'
+  });
+};
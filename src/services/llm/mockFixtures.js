@@ -0,0 +1,154 @@
+// Canned model replies for the offline mock provider. Replies are deterministic: the same request
+// always gets the same answer, built from the channel figures already present in the prompt so the
+// demo results line up with the charts. Kept dependency-free so the serverless proxy can share it.
+
+const FALLBACK_CHANNELS = [
+  { name: 'Search', ctr: 3.2, cpm: 12.5, reach: 120000 },
+  { name: 'Social', ctr: 1.4, cpm: 8.1, reach: 210000 },
+  { name: 'Display', ctr: 0.3, cpm: 3.9, reach: 340000 }
+];
+
+const round = (value, digits = 2) => (typeof value === 'number' && isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+// Parse the JSON that follows a "Label: " marker on a single line of the prompt
+const readEmbeddedJson = (text, label) => {
+  const line = (text || '').split('\n').find(candidate => candidate.includes(`${label}: `));
+  if (!line) return null;
+  try {
+    return JSON.parse(line.slice(line.indexOf(`${label}: `) + label.length + 2));
+  } catch (error) {
+    return null;
+  }
+};
+
+const channelsFromSummary = (summary) => {
+  const groups = summary && summary.breakdowns && summary.breakdowns.channel;
+  return groups && groups.length > 0 ? groups : FALLBACK_CHANNELS;
+};
+
+// Best third of channels (by CPA when known, otherwise CTR) are excellent, worst third poor
+const rateChannels = (channels) => {
+  const useCpa = channels.every(channel => typeof channel.cpa === 'number');
+  const ranked = [...channels].sort((a, b) => (useCpa ? a.cpa - b.cpa : (b.ctr || 0) - (a.ctr || 0)));
+  const band = Math.max(1, Math.floor(ranked.length / 3));
+  return new Map(ranked.map((channel, idx) => [
+    channel.name,
+    idx < band ? 'excellent' : idx >= ranked.length - band && ranked.length > 2 ? 'poor' : 'good'
+  ]));
+};
+
+const mockAnalysis = (prompt) => {
+  const summary = readEmbeddedJson(prompt, 'Dataset Summary');
+  const channels = channelsFromSummary(summary);
+  const ratings = rateChannels(channels);
+  const kpis = summary ? summary.totals || {} : {};
+  const best = channels.filter(channel => ratings.get(channel.name) === 'excellent').map(channel => channel.name);
+  const poor = channels.filter(channel => ratings.get(channel.name) === 'poor').map(channel => channel.name);
+
+  return {
+    overallPerformance: {
+      summary: `[Mock analysis] ${channels.length} channels reviewed. ${best.join(', ')} lead on efficiency${poor.length ? `, while ${poor.join(', ')} trail` : ''}.`,
+      topChannels: channels.slice(0, 3).map(channel => channel.name),
+      keyMetrics: {
+        avgCTR: round(kpis.impressions > 0 ? kpis.clicks / kpis.impressions * 100 : FALLBACK_CHANNELS[0].ctr),
+        avgCPM: round(kpis.impressions > 0 ? kpis.cost / kpis.impressions * 1000 : FALLBACK_CHANNELS[0].cpm),
+        totalReach: round(kpis.reach || channels.reduce((sum, channel) => sum + (channel.reach || 0), 0), 0),
+        avgFrequency: round(kpis.reach > 0 && kpis.impressions > 0 ? kpis.impressions / kpis.reach : 2.5, 1),
+        totalConversions: kpis.conversions === undefined ? null : round(kpis.conversions, 0),
+        avgCPA: kpis.conversions > 0 ? round(kpis.cost / kpis.conversions) : null,
+        roas: kpis.cost > 0 && kpis.revenue !== undefined ? round(kpis.revenue / kpis.cost) : null
+      }
+    },
+    channelAnalysis: channels.map(channel => ({
+      channel: channel.name,
+      performance: ratings.get(channel.name),
+      metrics: {
+        ctr: round(channel.ctr),
+        cpm: round(channel.cpm),
+        reach: round(channel.reach, 0),
+        cpa: round(channel.cpa),
+        roas: round(channel.roas)
+      },
+      insights: `[Mock] ${channel.name} is rated ${ratings.get(channel.name)} relative to the other channels.`
+    })),
+    demographicInsights: {
+      bestPerformingDemo: 'Not available (mock provider)',
+      insights: 'The mock provider does not analyse demographics.'
+    },
+    optimizationOpportunities: [
+      poor.length ? `Review creative and targeting on ${poor.join(', ')}` : 'Keep testing new creative on every channel',
+      best.length ? `Scale ${best[0]} while its efficiency holds` : 'Scale the most efficient channel',
+      'Tighten frequency caps where reach has plateaued'
+    ]
+  };
+};
+
+const mockRecommendations = (prompt) => {
+  const analysis = readEmbeddedJson(prompt, 'Analysis Results');
+  const channels = analysis && Array.isArray(analysis.channelAnalysis) && analysis.channelAnalysis.length > 0
+    ? analysis.channelAnalysis
+    : mockAnalysis('').channelAnalysis;
+  const shift = { excellent: 1.2, good: 1, poor: 0.8 };
+  const action = { excellent: 'increase', good: 'maintain', poor: 'decrease' };
+  const brief = readEmbeddedJson(prompt, 'Campaign Brief') || {};
+  const objective = brief.objective || 'conversion (assumed)';
+
+  return {
+    objectiveAlignment: {
+      objective,
+      summary: `[Mock] Budget moves toward the channels rated best for ${objective}${brief.budget ? ` within the ${brief.budget} budget` : ''}.`
+    },
+    budgetReallocation: {
+      recommendations: channels.map(channel => ({
+        channel: channel.channel,
+        currentBudget: 10000,
+        recommendedBudget: Math.round(10000 * (shift[channel.performance] || 1)),
+        reasoning: `[Mock] ${channel.channel} is rated ${channel.performance}.`
+      }))
+    },
+    channelRecommendations: channels.map(channel => ({
+      channel: channel.channel,
+      action: action[channel.performance] || 'maintain',
+      reasoning: `[Mock] Follows from the ${channel.performance} rating.`,
+      expectedImprovement: channel.performance === 'poor' ? '10% lower CPA' : '5% more conversions',
+      objectiveFit: `[Mock] ${action[channel.performance] === 'increase' ? 'Adds' : 'Keeps'} spend where it serves ${objective} best.`
+    })),
+    targetingRecommendations: {
+      demographics: ['25-34', '35-44'],
+      geography: ['Top-performing regions'],
+      reasoning: '[Mock] Placeholder targeting guidance.'
+    },
+    creativeTesting: ['Test a shorter video cut', 'Test benefit-led headlines'],
+    nextSteps: [
+      { action: 'Apply the budget shifts above', priority: 'high', timeline: 'This week' },
+      { action: 'Review results after two weeks', priority: 'medium', timeline: '2 weeks' }
+    ]
+  };
+};
+
+const mockChatReply = (system, messages) => {
+  const question = messages.length > 0 ? messages[messages.length - 1].content : '';
+  const channels = channelsFromSummary(readEmbeddedJson(system, 'Dataset Summary'));
+  const rows = channels.slice(0, 5).map(channel => [channel.name, round(channel.ctr), round(channel.cpm)]);
+  return [
+    `[Mock reply] You asked: "${question}". The mock provider cannot reason about the data, but here are the channel figures from the summary.`,
+    '```table',
+    JSON.stringify({ columns: ['Channel', 'CTR (%)', 'CPM'], rows }),
+    '```'
+  ].join('\n');
+};
+
+// Reply text for a rendered template request: { template, system, messages }
+export const mockResponseFor = ({ template, system, messages = [] } = {}) => {
+  const lastMessage = messages.length > 0 ? messages[messages.length - 1].content : '';
+  if (template === 'analysis') return JSON.stringify(mockAnalysis(lastMessage), null, 2);
+  if (template === 'recommendations') return JSON.stringify(mockRecommendations(lastMessage), null, 2);
+  return mockChatReply(system, messages);
+};
+
+// Split a reply into the pieces the mock streams out
+export const chunkText = (text, size = 40) => {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += size) chunks.push(text.slice(i, i + size));
+  return chunks;
+};
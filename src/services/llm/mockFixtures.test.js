@@ -0,0 +1,42 @@
+import { mockResponseFor } from './mockFixtures';
+import { renderPromptRequest } from './promptTemplates';
+import { ANALYSIS_SCHEMA, RECOMMENDATIONS_SCHEMA, parseModelResponse } from '../../utils/responseSchemas';
+
+const summary = {
+  overview: { totalRows: 3, outcomeColumns: ['conversions'] },
+  totals: { impressions: 10000, clicks: 150, cost: 200, conversions: 10 },
+  breakdowns: {
+    channel: [
+      { name: 'TV', ctr: 0.5, cpm: 25, cpa: 40 },
+      { name: 'Search', ctr: 3.1, cpm: 12, cpa: 8 },
+      { name: 'Radio', ctr: 0.2, cpm: 6, cpa: 90 }
+    ]
+  }
+};
+const render = (template, data) => ({ template, ...renderPromptRequest({ template, data }) });
+
+test('mock analysis is built from the summary in the rendered prompt and passes schema validation', () => {
+  const text = mockResponseFor(render('analysis', { summary }));
+  const result = parseModelResponse(text, ANALYSIS_SCHEMA);
+
+  expect(result.issues).toEqual([]);
+  expect(result.data.channelAnalysis.map(channel => [channel.channel, channel.performance])).toEqual([
+    ['TV', 'good'], ['Search', 'excellent'], ['Radio', 'poor']
+  ]);
+  expect(result.data.overallPerformance.keyMetrics.avgCPA).toBe(20);
+  expect(mockResponseFor(render('analysis', { summary }))).toBe(text);
+});
+
+test('mock recommendations follow the analysis ratings', () => {
+  const analysis = JSON.parse(mockResponseFor(render('analysis', { summary })));
+  const text = mockResponseFor(render('recommendations', { analysis }));
+  const result = parseModelResponse(text, RECOMMENDATIONS_SCHEMA);
+
+  expect(result.issues).toEqual([]);
+  expect(result.data.channelRecommendations.map(rec => rec.action)).toEqual(['maintain', 'increase', 'decrease']);
+  expect(result.data.objectiveAlignment.objective).toBe('conversion (assumed)');
+
+  const briefed = JSON.parse(mockResponseFor(render('recommendations', { analysis, brief: { objective: 'awareness', budget: 9000 } })));
+  expect(briefed.objectiveAlignment.objective).toBe('awareness');
+  expect(briefed.objectiveAlignment.summary).toContain('9000');
+});
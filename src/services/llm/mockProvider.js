@@ -0,0 +1,56 @@
+import { estimateTokens } from '../../utils/aiSummary';
+import { mockResponseFor, chunkText } from './mockFixtures';
+import { renderPromptRequest } from './promptTemplates';
+
+const createAbortError = () => {
+  const error = new Error('Generation stopped');
+  error.name = 'AbortError';
+  return error;
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    }, { once: true });
+  }
+});
+
+// Renders the template the same way the proxy does, so bad requests fail here too
+const replyFor = (body) => mockResponseFor({ template: body.template, ...renderPromptRequest(body) });
+
+// Offline stand-in for the proxy: answers from fixtures without any network or API key,
+// streaming the reply in small chunks so the UI behaves as it does against a real model.
+export const createMockProvider = ({ chunkDelayMs = 15 } = {}) => ({
+  name: 'mock',
+
+  async request(body, { signal } = {}) {
+    await wait(chunkDelayMs * 10, signal);
+    return { text: replyFor(body), truncated: false };
+  },
+
+  async stream(body, { onText, signal } = {}) {
+    let text = '';
+    try {
+      for (const chunk of chunkText(replyFor(body))) {
+        await wait(chunkDelayMs, signal);
+        text += chunk;
+        if (onText) onText(text);
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return { text, truncated: true, stopped: true };
+      }
+      throw error;
+    }
+    return { text, truncated: false, stopped: false };
+  },
+
+  countTokens: (text) => estimateTokens(text)
+});
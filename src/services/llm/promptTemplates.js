@@ -0,0 +1,379 @@
+// Prompt templates rendered by the proxy (and by the offline mock in the browser). Clients send a
+// template id plus the data it needs, never free-form prompt text, so the proxy decides exactly
+// what is sent to the model. Kept dependency-free so both sides can import it.
+
+// Bump a version when its prompt changes so answers cached for the old prompt are not reused
+export const PROMPT_VERSIONS = { analysis: 2, recommendations: 2, chat: 2 };
+
+// Caps on what a client can send for the conversational template, per message and for the whole
+// thread, so a long history cannot carry a prompt of its own
+export const MAX_CHAT_MESSAGES = 24;
+export const MAX_CHAT_MESSAGE_LENGTH = 4000;
+export const MAX_CHAT_TOTAL_LENGTH = 12000;
+const MAX_REPAIR_ISSUES = 8;
+const MAX_ISSUE_TEXT = 200;
+
+export const CAMPAIGN_OBJECTIVES = ['awareness', 'consideration', 'conversion'];
+const BRIEF_TEXT_FIELDS = ['vertical', 'audience', 'markets', 'constraints', 'flightStart', 'flightEnd'];
+const MAX_BRIEF_TEXT = 1000;
+const MAX_KPI_TARGETS = 12;
+
+// Sections of the dataset summary built by prepareDataForAI, in the order it builds them
+const SUMMARY_SECTIONS = {
+  overview: 'object',
+  totals: 'object',
+  kpis: 'object',
+  breakdowns: 'object',
+  distributions: 'object',
+  representativeRows: 'array',
+  notes: 'array'
+};
+// Summary text is labels, column names and cell values; earlier results are the model's own prose
+const MAX_SUMMARY_TEXT = 200;
+const MAX_SUMMARY_LENGTH = 60000;
+const MAX_RESULT_TEXT = 2000;
+const MAX_RESULT_LENGTH = 30000;
+const MAX_NESTING = 6;
+
+const OBJECTIVE_GUIDANCE = {
+  awareness: 'The campaign objective is awareness. Judge channels first on reach, frequency, CPM, viewability and video completion; conversion metrics are secondary.',
+  consideration: 'The campaign objective is consideration. Judge channels first on engagement (CTR, CPC, site visits, video views and cost per engagement), with CPM for efficiency and conversions as a secondary signal.',
+  conversion: 'The campaign objective is conversion. Judge channels first on CPA, conversion rate and ROAS; CTR and CPM are supporting diagnostics.'
+};
+
+const templateError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Copy of a JSON value with every string, keys included, cut to maxText characters
+const cleanValue = (value, maxText, label, depth = 0) => {
+  if (depth > MAX_NESTING) {
+    throw templateError(`${label} is nested too deeply`);
+  }
+  if (typeof value === 'string') return value.slice(0, maxText);
+  if (typeof value === 'number') return isFinite(value) ? value : null;
+  if (value === null || value === undefined || typeof value === 'boolean') return value;
+  if (Array.isArray(value)) return value.map(item => cleanValue(item, maxText, label, depth + 1));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+      [key.slice(0, maxText), cleanValue(item, maxText, label, depth + 1)]
+    ));
+  }
+  throw templateError(`${label} must be plain JSON`);
+};
+
+const checkLength = (value, maxLength, label) => {
+  if (JSON.stringify(value).length > maxLength) {
+    throw templateError(`${label} is limited to ${maxLength} characters`);
+  }
+  return value;
+};
+
+// The dataset summary: only its known sections get through, with short text and a cap on the whole,
+// so it can carry numbers and labels but not instructions of any length
+const checkSummary = (summary, template) => {
+  if (!isPlainObject(summary) || !isPlainObject(summary.overview)) {
+    throw templateError(`${template} requires data.summary`);
+  }
+  const { totalRows, outcomeColumns } = summary.overview;
+  if (!Number.isInteger(totalRows) || totalRows < 0) {
+    throw templateError('data.summary.overview.totalRows must be a row count');
+  }
+  if (outcomeColumns !== undefined && (!Array.isArray(outcomeColumns) || !outcomeColumns.every(column => typeof column === 'string'))) {
+    throw templateError('data.summary.overview.outcomeColumns must be a list of column names');
+  }
+
+  const checked = {};
+  Object.entries(SUMMARY_SECTIONS).forEach(([section, type]) => {
+    const value = summary[section];
+    if (value === undefined) return;
+    if (type === 'array' ? !Array.isArray(value) : !isPlainObject(value)) {
+      throw templateError(`data.summary.${section} must be ${type === 'array' ? 'a list' : 'an object'}`);
+    }
+    checked[section] = cleanValue(value, MAX_SUMMARY_TEXT, `data.summary.${section}`);
+  });
+  return checkLength(checked, MAX_SUMMARY_LENGTH, 'data.summary');
+};
+
+// An earlier analysis or set of recommendations sent back as context
+const checkResult = (result, label) => {
+  if (!isPlainObject(result)) {
+    throw templateError(`${label} must be an object`);
+  }
+  return checkLength(cleanValue(result, MAX_RESULT_TEXT, label), MAX_RESULT_LENGTH, label);
+};
+
+// Note appended when asking the model to fix an unusable reply; built from structured issues so
+// no client-supplied prose reaches the prompt unchecked
+const repairInstructions = (repair) => {
+  if (!repair) return '';
+  const note = repair.truncated
+    ? 'Your previous answer was cut off before the JSON was complete. Keep every text field short so the whole object fits.'
+    : `Your previous answer could not be used: ${(Array.isArray(repair.issues) ? repair.issues : [])
+      .slice(0, MAX_REPAIR_ISSUES)
+      .map(issue => `${String(issue.path).slice(0, MAX_ISSUE_TEXT)} ${String(issue.message).slice(0, MAX_ISSUE_TEXT)}`)
+      .join('; ')}.`;
+  return `\n\n    ${note} Return the complete JSON object again, with every required field, and nothing else.`;
+};
+
+// The campaign brief as entered by the planner; only known fields of the expected types get through
+const checkBrief = (brief) => {
+  if (brief === undefined || brief === null) return null;
+  if (!isPlainObject(brief)) {
+    throw templateError('data.brief must be an object');
+  }
+  const checked = {};
+  if (brief.objective !== undefined) {
+    if (!CAMPAIGN_OBJECTIVES.includes(brief.objective)) {
+      throw templateError(`data.brief.objective must be one of ${CAMPAIGN_OBJECTIVES.join(', ')}`);
+    }
+    checked.objective = brief.objective;
+  }
+  BRIEF_TEXT_FIELDS.forEach(field => {
+    if (brief[field] === undefined) return;
+    if (typeof brief[field] !== 'string') {
+      throw templateError(`data.brief.${field} must be text`);
+    }
+    checked[field] = brief[field].slice(0, MAX_BRIEF_TEXT);
+  });
+  if (brief.budget !== undefined) {
+    if (typeof brief.budget !== 'number' || !(brief.budget > 0) || !isFinite(brief.budget)) {
+      throw templateError('data.brief.budget must be a positive number');
+    }
+    checked.budget = brief.budget;
+  }
+  if (brief.kpiTargets !== undefined) {
+    if (!Array.isArray(brief.kpiTargets) || brief.kpiTargets.length > MAX_KPI_TARGETS) {
+      throw templateError(`data.brief.kpiTargets must be a list of up to ${MAX_KPI_TARGETS} targets`);
+    }
+    checked.kpiTargets = brief.kpiTargets.map(target => {
+      if (!isPlainObject(target) || typeof target.metric !== 'string' || typeof target.target !== 'number' || !isFinite(target.target)) {
+        throw templateError('each KPI target needs a metric name and a numeric target');
+      }
+      return { metric: target.metric.slice(0, 50), target: target.target, better: target.better === 'lower' ? 'lower' : 'higher' };
+    });
+  }
+  return checked;
+};
+
+// Brief plus the guidance it implies; `forPlan` adds the rules that only apply to recommendations
+const briefSection = (brief, forPlan) => {
+  if (!brief) {
+    return forPlan
+      ? 'No campaign brief was given. State the objective you assumed in objectiveAlignment.'
+      : '';
+  }
+  return [
+    `Campaign Brief: ${JSON.stringify(brief)}`,
+    '',
+    brief.objective
+      ? `${OBJECTIVE_GUIDANCE[brief.objective]} This takes precedence over the general guidance above.`
+      : 'The brief gives no objective; infer the most likely one from the data and say which you assumed.',
+    brief.kpiTargets
+      ? 'Compare results with each KPI target in the brief ("better" says whether lower or higher beats the target) and say which are met and which are missed.'
+      : '',
+    forPlan && brief.budget
+      ? `Recommended budgets must add up to the brief's total budget of ${brief.budget} for the flight.`
+      : '',
+    forPlan && brief.constraints
+      ? 'Respect the constraints in the brief and do not recommend anything they rule out.'
+      : ''
+  ].filter(Boolean).join('\n    ');
+};
+
+const analysisPrompt = ({ summary: rawSummary, brief, repair }) => {
+  const summary = checkSummary(rawSummary, 'analysis');
+  const outcomeColumns = Array.isArray(summary.overview.outcomeColumns) ? summary.overview.outcomeColumns : [];
+  const outcomeGuidance = outcomeColumns.length > 0
+    ? `This data includes outcome metrics (${outcomeColumns.join(', ')}). Judge channel efficiency primarily on cost per outcome (CPA, cost per lead/install/view), conversion rate, ROAS, video completion rate and viewability; treat CTR and CPM as supporting diagnostics. A channel with a weak CTR but a strong CPA or ROAS is performing well.`
+    : 'This data has no conversion or revenue columns, so efficiency can only be judged on upper-funnel metrics. Say so where it limits the conclusions.';
+
+  return `
+    As an expert media planner and data analyst, analyze this advertising campaign data and provide comprehensive insights.
+
+    The dataset summary below was computed over all ${summary.overview.totalRows} rows. KPIs are volume-weighted
+    (CTR = total clicks / total impressions, CPM is spend-weighted). "breakdowns" holds per-channel and per-segment
+    totals, "distributions" the spread of each column, and "representativeRows" a few real rows for context.
+    Base every number you report on this summary; do not extrapolate from the representative rows.
+
+    Dataset Summary: ${JSON.stringify(summary)}
+
+    ${outcomeGuidance}
+
+    ${briefSection(checkBrief(brief), false)}
+
+    Please analyze this data and respond with a JSON object containing:
+    {
+      "overallPerformance": {
+        "summary": "brief performance summary",
+        "topChannels": ["channel1", "channel2", "channel3"],
+        "keyMetrics": {
+          "avgCTR": number,
+          "avgCPM": number,
+          "totalReach": number,
+          "avgFrequency": number,
+          "totalConversions": number or null,
+          "avgCPA": number or null,
+          "roas": number or null
+        }
+      },
+      "channelAnalysis": [
+        {
+          "channel": "channel name",
+          "performance": "excellent/good/poor",
+          "metrics": {"ctr": number, "cpm": number, "reach": number, "cpa": number or null, "roas": number or null},
+          "insights": "key insights about this channel"
+        }
+      ],
+      "demographicInsights": {
+        "bestPerformingDemo": "demographic segment",
+        "insights": "demographic analysis"
+      },
+      "optimizationOpportunities": [
+        "opportunity 1",
+        "opportunity 2",
+        "opportunity 3"
+      ]
+    }
+
+    Use the computed channel breakdown for channelAnalysis metrics; do not estimate them from the representative rows.
+    Respond ONLY with valid JSON. Do not include any text outside the JSON structure.
+    ${repairInstructions(repair)}`;
+};
+
+const recommendationsPrompt = ({ analysis: rawAnalysis, brief, repair }) => {
+  if (!isPlainObject(rawAnalysis)) {
+    throw templateError('recommendations requires data.analysis');
+  }
+  const analysis = checkResult(rawAnalysis, 'data.analysis');
+  const checkedBrief = checkBrief(brief);
+  return `
+    Based on this media campaign analysis, provide strategic recommendations for future campaigns.
+
+    Analysis Results: ${JSON.stringify(analysis)}
+
+    Where the analysis reports CPA, ROAS or other outcome metrics, base budget shifts on outcome efficiency
+    (cost per conversion and return on spend), not on CTR or CPM alone. Move budget toward channels with the
+    best marginal cost per outcome and explain the trade-off against reach.
+
+    ${briefSection(checkedBrief, true)}
+
+    Every recommendation must serve the campaign objective: say how in objectiveAlignment for the plan as a
+    whole and in objectiveFit for each channel action.
+
+    Please respond with a JSON object containing:
+    {
+      "objectiveAlignment": {
+        "objective": "the objective this plan serves",
+        "summary": "how the plan as a whole serves that objective and any KPI targets in the brief"
+      },
+      "budgetReallocation": {
+        "recommendations": [
+          {"channel": "channel name", "currentBudget": number, "recommendedBudget": number, "reasoning": "explanation"}
+        ]
+      },
+      "channelRecommendations": [
+        {
+          "channel": "channel name",
+          "action": "increase/decrease/maintain/test",
+          "reasoning": "detailed reasoning",
+          "expectedImprovement": "percentage or metric improvement",
+          "objectiveFit": "how this action serves the objective"
+        }
+      ],
+      "targetingRecommendations": {
+        "demographics": ["demo1", "demo2"],
+        "geography": ["geo1", "geo2"],
+        "reasoning": "targeting strategy explanation"
+      },
+      "creativeTesting": [
+        "creative test suggestion 1",
+        "creative test suggestion 2"
+      ],
+      "nextSteps": [
+        {"action": "action item", "priority": "high/medium/low", "timeline": "timeframe"}
+      ]
+    }
+
+    Respond ONLY with valid JSON.
+    ${repairInstructions(repair)}`;
+};
+
+// System prompt grounding the "ask your data" thread in the dataset summary and earlier results
+const chatSystemPrompt = ({ summary: rawSummary, brief, analysis: rawAnalysis, recommendations: rawPlan }) => {
+  const summary = checkSummary(rawSummary, 'chat');
+  const checkedBrief = checkBrief(brief);
+  const analysis = rawAnalysis ? checkResult(rawAnalysis, 'data.analysis') : null;
+  const plan = rawPlan ? checkResult(rawPlan, 'data.recommendations') : null;
+  return `You are an expert media planner answering follow-up questions about an advertising campaign dataset.
+Ground every answer in the context below. KPIs in the dataset summary are volume-weighted and computed over all ${summary.overview.totalRows} rows; quote them rather than estimating. If the data cannot answer a question, say what is missing.
+For what-if questions, state your assumptions (e.g. constant CPM, diminishing returns) and show the arithmetic briefly.
+
+Dataset Summary: ${JSON.stringify(summary)}
+${checkedBrief ? `\nCampaign Brief: ${JSON.stringify(checkedBrief)}\nAnswer with the brief's objective and KPI targets in mind.\n` : ''}${analysis ? `\nEarlier analysis: ${JSON.stringify(analysis)}\n` : '\nNo analysis has been run yet.\n'}${plan ? `\nEarlier recommendations: ${JSON.stringify(plan)}\n` : ''}
+Answer concisely in plain text. When a small table or chart makes the answer clearer, include it as a fenced block:
+\`\`\`table
+{"columns": ["Channel", "Spend"], "rows": [["Search", 1200], ["Radio", 300]]}
+\`\`\`
+\`\`\`chart
+{"type": "bar", "title": "Spend by channel", "valueLabel": "Spend", "data": [{"label": "Search", "value": 1200}]}
+\`\`\`
+Use "type": "line" for trends over time. Keep tables under 15 rows and charts under 20 points.`;
+};
+
+const checkMessages = (messages) => {
+  if (!Array.isArray(messages) || messages.length === 0 || messages.length > MAX_CHAT_MESSAGES) {
+    throw templateError(`messages must be a list of 1-${MAX_CHAT_MESSAGES} turns`);
+  }
+  messages.forEach(message => {
+    if (!isPlainObject(message) || !['user', 'assistant'].includes(message.role) || typeof message.content !== 'string') {
+      throw templateError('each message needs a user/assistant role and text content');
+    }
+    if (message.content.length > MAX_CHAT_MESSAGE_LENGTH) {
+      throw templateError(`messages are limited to ${MAX_CHAT_MESSAGE_LENGTH} characters`);
+    }
+  });
+  if (messages.reduce((total, message) => total + message.content.length, 0) > MAX_CHAT_TOTAL_LENGTH) {
+    throw templateError(`the conversation is limited to ${MAX_CHAT_TOTAL_LENGTH} characters in all`);
+  }
+  if (messages[messages.length - 1].role !== 'user') {
+    throw templateError('the last message must be from the user');
+  }
+  return messages.map(({ role, content }) => ({ role, content }));
+};
+
+// Fixed prompts around validated data: no text of the client's own choosing reaches the model
+export const PROMPT_TEMPLATES = {
+  analysis: (data) => ({ messages: [{ role: 'user', content: analysisPrompt(data) }] }),
+  recommendations: (data) => ({ messages: [{ role: 'user', content: recommendationsPrompt(data) }] })
+};
+
+// The "ask your data" thread forwards the planner's own questions, so it is kept out of the
+// allow-list above and can be turned off on its own
+export const CHAT_TEMPLATE = 'chat';
+const renderChat = (data, messages) => ({ system: chatSystemPrompt(data), messages: checkMessages(messages) });
+
+// Turn a { template, data, messages } request into the { system, messages } sent to the model.
+// Throws an error with status 400 for unknown templates or data they cannot use, and 403 for the
+// chat template when `allowChat` is off.
+export const renderPromptRequest = ({ template, data, messages } = {}, { allowChat = true } = {}) => {
+  const isChat = template === CHAT_TEMPLATE;
+  const render = isChat ? renderChat :
+    Object.prototype.hasOwnProperty.call(PROMPT_TEMPLATES, template) ? PROMPT_TEMPLATES[template] : null;
+  if (!render) {
+    throw templateError(`Unknown prompt template "${template}"`);
+  }
+  if (isChat && !allowChat) {
+    const error = new Error('The chat template is turned off on this proxy');
+    error.status = 403;
+    throw error;
+  }
+  if (!isPlainObject(data)) {
+    throw templateError('data must be an object');
+  }
+  return render(data, messages);
+};
@@ -0,0 +1,89 @@
+import { createSseParser } from '../../utils/sse';
+import { estimateTokens } from '../../utils/aiSummary';
+
+// Talks to the serverless proxy, which forwards to whichever model provider it is configured for
+// and always answers in Anthropic's message format (JSON, or server-sent events when streaming).
+// The proxy authenticates the browser by the HttpOnly session cookie that signIn obtains.
+export const createProxyProvider = ({ baseUrl = '/api/claude', sessionUrl = '/api/session' } = {}) => {
+  const headers = { 'Content-Type': 'application/json' };
+
+  const post = async (url, body, signal) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      // Sends and accepts the session cookie, also when the proxy is on an allowed other origin
+      credentials: 'include',
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      // Gateways in front of the proxy may answer with HTML, so the JSON body is optional
+      const errorData = await response.json().catch(() => ({ error: response.statusText }));
+      const error = new Error(`API Error: ${response.status} - ${errorData.error}`);
+      // Status and Retry-After let the caller decide whether and when to try again
+      error.status = response.status;
+      error.retryAfter = response.headers.get('retry-after');
+      throw error;
+    }
+    return response;
+  };
+
+  return {
+    name: 'proxy',
+    endpoint: baseUrl,
+
+    async request(body, { signal } = {}) {
+      const response = await post(baseUrl, body, signal);
+      const data = await response.json();
+      return {
+        text: data.content && data.content[0] ? data.content[0].text : '',
+        truncated: data.stop_reason === 'max_tokens'
+      };
+    },
+
+    // Resolves with { text, truncated, stopped }; aborting the signal resolves with the text so far
+    async stream(body, { onText, signal } = {}) {
+      let text = '';
+      let stopReason = null;
+
+      try {
+        const response = await post(baseUrl, { ...body, stream: true }, signal);
+        const parser = createSseParser(({ data }) => {
+          const payload = JSON.parse(data);
+          if (payload.type === 'content_block_delta' && payload.delta.type === 'text_delta') {
+            text += payload.delta.text;
+            if (onText) onText(text);
+          } else if (payload.type === 'message_delta') {
+            stopReason = payload.delta.stop_reason;
+          } else if (payload.type === 'error') {
+            throw new Error(`API Error: ${payload.error.message}`);
+          }
+        });
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          parser.push(decoder.decode(value, { stream: true }));
+        }
+        parser.flush();
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          return { text, truncated: true, stopped: true };
+        }
+        throw error;
+      }
+
+      return { text, truncated: stopReason === 'max_tokens', stopped: false };
+    },
+
+    // Trade the deployment's access code for a session cookie; the code itself is not kept
+    async signIn(accessCode) {
+      await post(sessionUrl, { accessCode });
+    },
+
+    countTokens: (text) => estimateTokens(text)
+  };
+};
@@ -0,0 +1,55 @@
+// The proxy's handlers live under api/, outside the Jest roots, so their tests sit next to the client
+const env = {
+  PROXY_SESSION_SECRET: 'test-secret',
+  PROXY_ACCESS_CODE: 'letmein',
+  RATE_LIMIT_PER_USER: '2'
+};
+
+const loadHandler = () => {
+  let handler;
+  jest.isolateModules(() => {
+    Object.assign(process.env, env);
+    handler = require('../../../api/session.js').default;
+  });
+  return handler;
+};
+
+afterEach(() => {
+  Object.keys(env).forEach(key => { delete process.env[key]; });
+});
+
+const createResponse = () => {
+  const res = { statusCode: 200, headers: {} };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.json = () => res;
+  res.end = () => res;
+  return res;
+};
+
+const signIn = (handler, headers, accessCode = 'wrong') => {
+  const res = createResponse();
+  handler({ method: 'POST', headers, body: { accessCode }, socket: { remoteAddress: '10.0.0.1' } }, res);
+  return res;
+};
+
+test('spoofed X-Forwarded-For entries share the rate limit of the address the platform appended', () => {
+  const handler = loadHandler();
+  const statuses = ['1.1.1.1', '2.2.2.2', '3.3.3.3'].map(spoofed =>
+    signIn(handler, { 'x-forwarded-for': `${spoofed}, 203.0.113.7` }).statusCode
+  );
+
+  expect(statuses).toEqual([401, 401, 429]);
+  expect(signIn(handler, { 'x-forwarded-for': '1.1.1.1, 198.51.100.4' }).statusCode).toBe(401);
+});
+
+test('X-Real-IP counts ahead of X-Forwarded-For, and the socket address without either', () => {
+  const handler = loadHandler();
+  signIn(handler, { 'x-real-ip': '203.0.113.7', 'x-forwarded-for': '1.1.1.1' });
+  signIn(handler, { 'x-real-ip': '203.0.113.7', 'x-forwarded-for': '2.2.2.2' });
+  expect(signIn(handler, { 'x-real-ip': '203.0.113.7' }).statusCode).toBe(429);
+
+  signIn(handler, {});
+  signIn(handler, {});
+  expect(signIn(handler, {}).statusCode).toBe(429);
+});
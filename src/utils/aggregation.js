@@ -0,0 +1,89 @@
+import { COLUMN_LABELS, resolveColumnMappings, resolveNumberFormats, parseNumericValue } from './dataProcessing';
+import { BASE_METRIC_FIELDS, createKpiAccumulator } from './derivedMetrics';
+import { inferDateOrder, parseDate } from './timeSeries';
+
+// Mapped columns a dataset can be broken down by
+export const AGGREGATION_DIMENSIONS = ['channel', 'demographic', 'geography', 'date'];
+
+const BLANK_KEY = '(blank)';
+
+// Group key for a cell of the channel (or any other dimension) column: the trimmed text, with blank
+// cells grouped together. Every per-channel view uses it so their channels line up.
+export const channelGroupKey = (value) =>
+  (value === null || value === undefined || value.toString().trim() === '' ? BLANK_KEY : value.toString().trim());
+
+// Numeric columns read for every row: base counts plus reported rates used for back-filling
+const VALUE_FIELDS = [...BASE_METRIC_FIELDS, 'ctr', 'cpm', 'frequency', 'viewability'];
+
+export const getAvailableDimensions = (data) => {
+  if (!data) return [];
+  const mappings = resolveColumnMappings(data);
+  return AGGREGATION_DIMENSIONS
+    .filter(dimension => mappings[dimension])
+    .map(dimension => ({ id: dimension, label: COLUMN_LABELS[dimension], header: mappings[dimension].originalName }));
+};
+
+const summarizeGroup = ({ key, rowCount, kpis }) => {
+  const { totals, derivedMetrics, frequency } = kpis.result();
+  return {
+    key,
+    rowCount,
+    ...totals,
+    ...Object.fromEntries(Object.values(derivedMetrics).map(metric => [metric.id, metric.value])),
+    frequency,
+    totals,
+    derivedMetrics
+  };
+};
+
+// Group rows by one mapped dimension and compute volume-weighted KPIs for each group.
+// Groups are ordered by spend (then impressions), except dates which stay chronological.
+export const aggregateByDimension = (data, dimension) => {
+  if (!data || !data.rows) return [];
+  const mappings = resolveColumnMappings(data);
+  if (!mappings[dimension]) return [];
+
+  const formats = resolveNumberFormats(data, mappings);
+  const fields = VALUE_FIELDS.filter(field => mappings[field]);
+  const keyIndex = mappings[dimension].index;
+  const groups = new Map();
+
+  data.rows.forEach(row => {
+    const key = channelGroupKey(row[keyIndex]);
+    if (!groups.has(key)) {
+      groups.set(key, { key, rowCount: 0, kpis: createKpiAccumulator() });
+    }
+
+    const values = {};
+    fields.forEach(field => {
+      values[field] = parseNumericValue(row[mappings[field].index], formats[field]);
+    });
+
+    const group = groups.get(key);
+    group.rowCount++;
+    group.kpis.add(values);
+  });
+
+  const summaries = [...groups.values()].map(summarizeGroup);
+  const totalCost = summaries.reduce((sum, group) => sum + (group.cost || 0), 0);
+  summaries.forEach(group => {
+    group.shareOfSpend = totalCost > 0 && group.cost ? group.cost / totalCost * 100 : undefined;
+  });
+
+  if (dimension === 'date') {
+    // By the dates themselves, read in the column's day/month order; unreadable dates go last
+    const order = inferDateOrder(summaries.map(group => group.key));
+    const times = new Map(summaries.map(group => [group.key, parseDate(group.key, order)]));
+    const timeOf = (group) => (times.get(group.key) === null ? Infinity : times.get(group.key));
+    return summaries.sort((a, b) =>
+      (timeOf(a) - timeOf(b)) || a.key.localeCompare(b.key, undefined, { numeric: true })
+    );
+  }
+  return summaries.sort((a, b) =>
+    (b.cost || 0) - (a.cost || 0) || (b.impressions || 0) - (a.impressions || 0) || b.rowCount - a.rowCount
+  );
+};
+
+// Every available breakdown at once, keyed by dimension
+export const aggregateAllDimensions = (data) =>
+  Object.fromEntries(getAvailableDimensions(data).map(({ id }) => [id, aggregateByDimension(data, id)]));
@@ -0,0 +1,47 @@
+import { aggregateByDimension, getAvailableDimensions, channelGroupKey } from './aggregation';
+
+const data = {
+  headers: ['Date', 'Channel', 'Impressions', 'CTR', 'CPM', 'Spend'],
+  rows: [
+    ['2024-01-02', 'Search', '1000', '10%', '', '10'],
+    ['2024-01-01', 'Search', '9000', '1%', '', '90'],
+    ['2024-01-01', 'Social', '', '2%', '5', '50']
+  ]
+};
+
+test('weights CTR by impressions and CPM by spend within each group', () => {
+  const [search, social] = aggregateByDimension(data, 'channel');
+
+  expect(search.key).toBe('Search');
+  expect(search.ctr).toBeCloseTo(1.9, 5);
+  expect(search.cpm).toBeCloseTo(10, 5);
+  expect(search.shareOfSpend).toBeCloseTo(200 / 3, 5);
+
+  // Impressions are implied from spend and reported CPM
+  expect(social.impressions).toBeCloseTo(10000, 5);
+  expect(social.ctr).toBeCloseTo(2, 5);
+});
+
+test('groups by any mapped dimension, keeping dates in order', () => {
+  expect(getAvailableDimensions(data).map(dimension => dimension.id)).toEqual(['channel', 'date']);
+  expect(aggregateByDimension(data, 'date').map(group => group.key)).toEqual(['2024-01-01', '2024-01-02']);
+  expect(aggregateByDimension(data, 'geography')).toEqual([]);
+});
+
+test('orders US and written-out dates by date rather than by their text', () => {
+  const dated = (dates) => ({
+    headers: ['Date', 'Spend'],
+    rows: dates.map(date => [date, '10'])
+  });
+
+  expect(aggregateByDimension(dated(['1/5/2024', '12/1/2023', '2/10/2024']), 'date').map(group => group.key))
+    .toEqual(['12/1/2023', '1/5/2024', '2/10/2024']);
+  expect(aggregateByDimension(dated(['Feb 1, 2024', 'Dec 15, 2023', 'Jan 3, 2024']), 'date').map(group => group.key))
+    .toEqual(['Dec 15, 2023', 'Jan 3, 2024', 'Feb 1, 2024']);
+});
+
+test('groups blank channel cells together under one key', () => {
+  expect(channelGroupKey('  Search ')).toBe('Search');
+  expect(channelGroupKey(42)).toBe('42');
+  expect([null, undefined, '', '   '].map(channelGroupKey)).toEqual(['(blank)', '(blank)', '(blank)', '(blank)']);
+});
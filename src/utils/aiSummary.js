@@ -0,0 +1,233 @@
+import { COLUMN_LABELS, NUMERIC_FIELDS, validateMediaData, calculateBasicMetrics, resolveNumberFormats, parseNumericValue } from './dataProcessing';
+import { aggregateByDimension, getAvailableDimensions } from './aggregation';
+import { calculateDerivedMetrics, formatMetricValue } from './derivedMetrics';
+
+// Rough size of the dataset summary we send with the analysis prompt (the instructions come on top)
+export const DEFAULT_TOKEN_BUDGET = 6000;
+
+// Roughly four characters per token for JSON-heavy English text
+export const estimateTokens = (value) => Math.ceil((typeof value === 'string' ? value : JSON.stringify(value)).length / 4);
+
+// Detail levels tried in order until the summary fits the budget
+const DETAIL_LEVELS = [
+  { maxGroups: 20, sampleRows: 8, distributions: 'all' },
+  { maxGroups: 12, sampleRows: 5, distributions: 'all' },
+  { maxGroups: 8, sampleRows: 3, distributions: 'core' },
+  { maxGroups: 5, sampleRows: 0, distributions: 'core' },
+  { maxGroups: 3, sampleRows: 0, distributions: 'none' }
+];
+
+const CORE_DISTRIBUTION_FIELDS = ['cost', 'impressions', 'ctr', 'cpm', 'conversions'];
+
+// Fields included for each group, with the number of decimals to keep
+const GROUP_FIELDS = [
+  ['cost', 2], ['shareOfSpend', 1], ['impressions', 0], ['clicks', 0], ['reach', 0], ['conversions', 0],
+  ['leads', 0], ['installs', 0], ['revenue', 2], ['ctr', 2], ['cpm', 2], ['cpc', 2], ['cpa', 2],
+  ['conversionRate', 2], ['roas', 2], ['cpl', 2], ['cpi', 2], ['cpv', 3], ['vcr', 1], ['viewability', 1],
+  ['frequency', 1]
+];
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+const compactGroup = (group) => {
+  const compact = { name: group.key, rows: group.rowCount };
+  GROUP_FIELDS.forEach(([field, digits]) => {
+    const value = group[field];
+    if (typeof value === 'number' && isFinite(value)) compact[field] = round(value, digits);
+  });
+  return compact;
+};
+
+// Combine several groups into one, recomputing KPIs from their summed totals
+const combineGroups = (key, groups) => {
+  const totals = {};
+  let rowCount = 0;
+  let shareOfSpend;
+  groups.forEach(group => {
+    rowCount += group.rowCount;
+    Object.entries(group.totals).forEach(([field, value]) => {
+      totals[field] = (totals[field] || 0) + value;
+    });
+    if (group.shareOfSpend !== undefined) shareOfSpend = (shareOfSpend || 0) + group.shareOfSpend;
+  });
+  const derivedMetrics = calculateDerivedMetrics(totals);
+  return {
+    key,
+    rowCount,
+    ...totals,
+    ...Object.fromEntries(Object.values(derivedMetrics).map(metric => [metric.id, metric.value])),
+    shareOfSpend
+  };
+};
+
+// Keep the biggest groups and roll the tail into "Other"; dates are merged into consecutive periods instead
+const limitGroups = (dimension, groups, maxGroups) => {
+  if (groups.length <= maxGroups) {
+    return { groups: groups.map(compactGroup), note: null };
+  }
+
+  const label = COLUMN_LABELS[dimension].toLowerCase();
+  if (dimension === 'date') {
+    const size = Math.ceil(groups.length / maxGroups);
+    const periods = [];
+    for (let i = 0; i < groups.length; i += size) {
+      const chunk = groups.slice(i, i + size);
+      const key = chunk.length > 1 ? `${chunk[0].key} to ${chunk[chunk.length - 1].key}` : chunk[0].key;
+      periods.push(compactGroup(combineGroups(key, chunk)));
+    }
+    return { groups: periods, note: `${groups.length} ${label} values were merged into ${periods.length} consecutive periods.` };
+  }
+
+  const kept = groups.slice(0, maxGroups - 1);
+  const other = combineGroups(`Other (${groups.length - kept.length})`, groups.slice(maxGroups - 1));
+  return {
+    groups: [...kept.map(compactGroup), compactGroup(other)],
+    note: `${COLUMN_LABELS[dimension]} breakdown shows the top ${kept.length} of ${groups.length} by spend; the rest are combined as "Other".`
+  };
+};
+
+const percentile = (sorted, share) => {
+  const position = (sorted.length - 1) * share;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Spread of every mapped numeric column across all rows
+const buildDistributions = (data, mappings, formats, fields) => {
+  const distributions = {};
+  fields.forEach(field => {
+    const values = [];
+    data.rows.forEach(row => {
+      const value = parseNumericValue(row[mappings[field].index], formats[field]);
+      if (!isNaN(value)) values.push(value);
+    });
+    if (values.length === 0) return;
+
+    values.sort((a, b) => a - b);
+    const digits = ['ctr', 'cpm', 'viewability', 'frequency'].includes(field) ? 2 : 0;
+    distributions[field] = {
+      count: values.length,
+      min: round(values[0], digits),
+      p25: round(percentile(values, 0.25), digits),
+      median: round(percentile(values, 0.5), digits),
+      p75: round(percentile(values, 0.75), digits),
+      max: round(values[values.length - 1], digits),
+      mean: round(values.reduce((sum, value) => sum + value, 0) / values.length, digits)
+    };
+  });
+  return distributions;
+};
+
+// A handful of rows that show the range of the data: biggest spend, typical spend, best and worst efficiency
+const pickRepresentativeRows = (data, mappings, formats, count) => {
+  if (count === 0 || data.rows.length === 0) return [];
+
+  const read = (row, field) => (mappings[field] ? parseNumericValue(row[mappings[field].index], formats[field]) : NaN);
+  const scored = data.rows.map((row, index) => {
+    const cost = read(row, 'cost');
+    const impressions = read(row, 'impressions');
+    const clicks = read(row, 'clicks');
+    const conversions = read(row, 'conversions');
+    const ctr = impressions > 0 && clicks >= 0 ? clicks / impressions * 100 : read(row, 'ctr');
+    return { index, cost, impressions, ctr, cpa: conversions > 0 && cost > 0 ? cost / conversions : NaN };
+  });
+
+  const byCost = scored.filter(entry => !isNaN(entry.cost)).sort((a, b) => b.cost - a.cost);
+  const impressionFloor = percentile(scored.map(entry => entry.impressions).filter(value => !isNaN(value)).sort((a, b) => a - b), 0.5) || 0;
+  const byCtr = scored.filter(entry => !isNaN(entry.ctr) && !(entry.impressions < impressionFloor)).sort((a, b) => b.ctr - a.ctr);
+  const byCpa = scored.filter(entry => !isNaN(entry.cpa)).sort((a, b) => a.cpa - b.cpa);
+
+  const candidates = [
+    ['Highest spend', byCost[0]],
+    ['Lowest CPA', byCpa[0]],
+    ['Highest CTR (above-median volume)', byCtr[0]],
+    ['Median spend', byCost[Math.floor(byCost.length / 2)]],
+    ['Highest CPA', byCpa[byCpa.length - 1]],
+    ['Lowest CTR (above-median volume)', byCtr[byCtr.length - 1]],
+    ['First row', scored[0]],
+    ['Last row', scored[scored.length - 1]]
+  ];
+
+  const mappedFields = Object.values(mappings).sort((a, b) => a.index - b.index);
+  const picked = new Set();
+  const rows = [];
+  candidates.forEach(([reason, entry]) => {
+    if (!entry || picked.has(entry.index) || rows.length >= count) return;
+    picked.add(entry.index);
+    const row = data.rows[entry.index];
+    rows.push({
+      reason,
+      row: Object.fromEntries(mappedFields.map(match => [match.originalName, row[match.index]]))
+    });
+  });
+  return rows;
+};
+
+// Summarize the whole dataset for the analysis prompt: overview, weighted KPIs, per-dimension
+// breakdowns, distributions and representative rows, trimmed level by level to fit the token budget.
+export const prepareDataForAI = (data, { basicMetrics, customMetrics = [], tokenBudget = DEFAULT_TOKEN_BUDGET } = {}) => {
+  const validation = validateMediaData(data);
+  const mappings = validation.columnMappings;
+  const formats = resolveNumberFormats(data, mappings);
+  const metrics = basicMetrics || calculateBasicMetrics(data) || {};
+  const numericFields = NUMERIC_FIELDS.filter(field => mappings[field]);
+
+  const overview = {
+    totalRows: data.rows.length,
+    columnMapping: Object.fromEntries(Object.entries(mappings).map(([field, match]) => [field, match.originalName])),
+    dataQuality: validation.dataQuality,
+    outcomeColumns: validation.outcomeColumns,
+    columnUnits: metrics.columnUnits
+  };
+
+  const kpis = {
+    ...Object.fromEntries(Object.values(metrics.derivedMetrics || {}).map(metric => [metric.label, formatMetricValue(metric.value, metric.unit)])),
+    ...Object.fromEntries(customMetrics.filter(metric => metric.value !== null).map(metric => [metric.name, formatMetricValue(metric.value, metric.unit)]))
+  };
+  const totals = Object.fromEntries(Object.entries(metrics.totals || {}).map(([field, value]) => [field, round(value, 2)]));
+
+  const fullBreakdowns = Object.fromEntries(
+    getAvailableDimensions(data).map(({ id }) => [id, aggregateByDimension(data, id)])
+  );
+  const allDistributions = buildDistributions(data, mappings, formats, numericFields);
+  const maxSampleRows = DETAIL_LEVELS[0].sampleRows;
+  const allSampleRows = pickRepresentativeRows(data, mappings, formats, maxSampleRows);
+
+  const build = (level) => {
+    const notes = [];
+    const breakdowns = {};
+    Object.entries(fullBreakdowns).forEach(([dimension, groups]) => {
+      const limited = limitGroups(dimension, groups, level.maxGroups);
+      breakdowns[dimension] = limited.groups;
+      if (limited.note) notes.push(limited.note);
+    });
+
+    const distributionFields = level.distributions === 'all' ? numericFields :
+      level.distributions === 'core' ? numericFields.filter(field => CORE_DISTRIBUTION_FIELDS.includes(field)) : [];
+    const distributions = Object.fromEntries(distributionFields.filter(field => allDistributions[field]).map(field => [field, allDistributions[field]]));
+    if (distributionFields.length < numericFields.length) notes.push('Distributions are only included for the main columns.');
+
+    const representativeRows = allSampleRows.slice(0, level.sampleRows);
+    if (representativeRows.length < allSampleRows.length) notes.push(`Only ${representativeRows.length} representative rows are included.`);
+
+    return { overview, totals, kpis, breakdowns, distributions, representativeRows, notes };
+  };
+
+  let summary = null;
+  let estimatedTokens = 0;
+  let levelIndex = 0;
+  for (; levelIndex < DETAIL_LEVELS.length; levelIndex++) {
+    summary = build(DETAIL_LEVELS[levelIndex]);
+    estimatedTokens = estimateTokens(summary);
+    if (estimatedTokens <= tokenBudget) break;
+  }
+
+  return {
+    summary,
+    estimatedTokens,
+    tokenBudget,
+    detailLevel: Math.min(levelIndex, DETAIL_LEVELS.length - 1),
+    overBudget: estimatedTokens > tokenBudget
+  };
+};
@@ -0,0 +1,35 @@
+import { prepareDataForAI, estimateTokens } from './aiSummary';
+
+const rows = Array.from({ length: 400 }, (_, idx) => [
+  `2024-01-${String((idx % 28) + 1).padStart(2, '0')}`,
+  `Channel ${idx % 40}`,
+  String(1000 + idx * 10),
+  String(10 + (idx % 7)),
+  String(50 + idx)
+]);
+const data = { headers: ['Date', 'Channel', 'Impressions', 'Clicks', 'Spend'], rows };
+
+test('summarizes every row with top groups, an "Other" rollup and representative rows', () => {
+  const { summary, overBudget, detailLevel } = prepareDataForAI(data, { tokenBudget: 100000 });
+
+  expect(overBudget).toBe(false);
+  expect(detailLevel).toBe(0);
+  expect(summary.overview.totalRows).toBe(400);
+  expect(summary.breakdowns.channel).toHaveLength(20);
+  expect(summary.breakdowns.channel[19].name).toBe('Other (21)');
+  expect(summary.breakdowns.channel.reduce((sum, group) => sum + group.rows, 0)).toBe(400);
+  expect(summary.breakdowns.date).toHaveLength(14);
+  expect(summary.distributions.cost.max).toBe(449);
+  expect(summary.representativeRows[0].reason).toBe('Highest spend');
+  expect(summary.notes.length).toBeGreaterThan(0);
+});
+
+test('drops detail until the summary fits the token budget', () => {
+  const generous = prepareDataForAI(data, { tokenBudget: 100000 });
+  const tight = prepareDataForAI(data, { tokenBudget: 1500 });
+
+  expect(tight.detailLevel).toBeGreaterThan(generous.detailLevel);
+  expect(tight.estimatedTokens).toBeLessThan(generous.estimatedTokens);
+  expect(tight.estimatedTokens).toBe(estimateTokens(tight.summary));
+  expect(tight.overBudget).toBe(tight.estimatedTokens > 1500);
+});
@@ -0,0 +1,96 @@
+import { resolveColumnMappings, resolveNumberFormats } from './dataProcessing';
+import { loadStored, saveStored } from './storage';
+
+const STORAGE_KEY = 'mediaPlanner.analysisCache';
+
+// Versions kept per cache key, and keys kept overall (least recently written dropped first)
+const MAX_VERSIONS_PER_KEY = 3;
+const MAX_CACHE_KEYS = 20;
+
+// Small incremental 64-bit (two 32-bit FNV-1a lanes) hash; collisions only cost a stale cache hit
+export const createHasher = () => {
+  let h1 = 0x811c9dc5;
+  let h2 = 0x9747b28c;
+  return {
+    update(text) {
+      const value = String(text);
+      for (let i = 0; i < value.length; i++) {
+        const code = value.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 16777619);
+        h2 = Math.imul(h2 ^ code, 2246822507);
+      }
+      // Separator so ['ab', 'c'] and ['a', 'bc'] hash differently
+      h1 = Math.imul(h1 ^ 0x1f, 16777619);
+      h2 = Math.imul(h2 ^ 0x1f, 2246822507);
+      return this;
+    },
+    digest() {
+      return (h1 >>> 0).toString(16).padStart(8, '0') + (h2 >>> 0).toString(16).padStart(8, '0');
+    }
+  };
+};
+
+export const hashValue = (value) => createHasher().update(JSON.stringify(value)).digest();
+
+const fingerprints = new WeakMap();
+
+// Fingerprint of the normalized dataset: headers, resolved column mapping, how each number column
+// is read (a corrected decimal separator or rate scale changes every figure) and every cell.
+// Memoized per dataset object, since a new object is created whenever the data changes.
+export const fingerprintDataset = (data) => {
+  if (!data) return null;
+  if (fingerprints.has(data)) return fingerprints.get(data);
+
+  const hasher = createHasher();
+  hasher.update(JSON.stringify(data.headers));
+  const mappings = resolveColumnMappings(data);
+  hasher.update(JSON.stringify(Object.entries(mappings).map(([field, match]) => [field, match.index]).sort()));
+  hasher.update(JSON.stringify(Object.entries(resolveNumberFormats(data, mappings)).sort()));
+  data.rows.forEach(row => {
+    row.forEach(cell => hasher.update(cell === null || cell === undefined ? '' : cell));
+    hasher.update('\n');
+  });
+
+  const fingerprint = hasher.digest();
+  fingerprints.set(data, fingerprint);
+  return fingerprint;
+};
+
+const loadCache = () => loadStored(STORAGE_KEY, {}, 'analysis cache');
+
+const saveCache = (cache) => {
+  const keys = Object.keys(cache).sort((a, b) => cache[b].updatedAt.localeCompare(cache[a].updatedAt));
+  let kept = keys.slice(0, MAX_CACHE_KEYS);
+  // Cached results can be large; drop the oldest keys until the cache fits in storage
+  while (kept.length > 0) {
+    if (saveStored(STORAGE_KEY, Object.fromEntries(kept.map(key => [key, cache[key]])))) return;
+    kept = kept.slice(0, Math.floor(kept.length / 2));
+  }
+  console.error('Could not save analysis cache: storage is full');
+};
+
+const toVersionInfo = ({ id, createdAt }) => ({ id, createdAt });
+
+// Stored versions for a key, newest first, without their results
+export const listCachedVersions = (key) => {
+  const entry = loadCache()[key];
+  return entry ? entry.versions.map(toVersionInfo) : [];
+};
+
+// A stored version ({ id, createdAt, result }); the newest one unless an id is given
+export const getCachedVersion = (key, versionId) => {
+  const entry = loadCache()[key];
+  if (!entry || entry.versions.length === 0) return null;
+  return versionId ? entry.versions.find(version => version.id === versionId) || null : entry.versions[0];
+};
+
+// Store a new version of a result, keeping older ones alongside it
+export const storeCachedVersion = (key, result) => {
+  const cache = loadCache();
+  const createdAt = new Date().toISOString();
+  const version = { id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, createdAt, result };
+  const previous = cache[key] ? cache[key].versions : [];
+  cache[key] = { updatedAt: createdAt, versions: [version, ...previous].slice(0, MAX_VERSIONS_PER_KEY) };
+  saveCache(cache);
+  return version;
+};
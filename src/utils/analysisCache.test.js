@@ -0,0 +1,44 @@
+import { fingerprintDataset, hashValue, getCachedVersion, listCachedVersions, storeCachedVersion } from './analysisCache';
+
+const dataset = (rows) => ({
+  headers: ['Channel', 'Impressions', 'Spend'],
+  rows
+});
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('fingerprints depend on every cell but not on object identity', () => {
+  const rows = [['Search', 1000, 20], ['Social', 2000, 15]];
+  const fingerprint = fingerprintDataset(dataset(rows));
+
+  expect(fingerprintDataset(dataset(rows.map(row => [...row])))).toBe(fingerprint);
+  expect(fingerprintDataset(dataset([['Search', 1000, 20], ['Social', 2000, 16]]))).not.toBe(fingerprint);
+  expect(fingerprintDataset(dataset([['Search', 1000, 2], ['0Social', 2000, 15]]))).not.toBe(fingerprint);
+  expect(hashValue({ a: 1 })).not.toBe(hashValue({ a: 2 }));
+});
+
+test('fingerprints change when a number column is read differently', () => {
+  const rows = [['Search', '1.234', '20,5'], ['Social', '2.000', '15,0']];
+  const fingerprint = fingerprintDataset(dataset(rows));
+  const corrected = { ...dataset(rows), numberFormatOverrides: { impressions: { decimalSeparator: ',' } } };
+
+  expect(fingerprintDataset(corrected)).not.toBe(fingerprint);
+  expect(fingerprintDataset({ ...corrected, numberFormatOverrides: { impressions: { decimalSeparator: '.' } } })).not.toBe(fingerprintDataset(corrected));
+});
+
+test('re-runs are stored as new versions next to the old ones', () => {
+  const first = storeCachedVersion('key', { summary: 'first' });
+  const second = storeCachedVersion('key', { summary: 'second' });
+
+  expect(getCachedVersion('key').result).toEqual({ summary: 'second' });
+  expect(getCachedVersion('key', first.id).result).toEqual({ summary: 'first' });
+  expect(listCachedVersions('key').map(version => version.id)).toEqual([second.id, first.id]);
+
+  storeCachedVersion('key', { summary: 'third' });
+  storeCachedVersion('key', { summary: 'fourth' });
+  expect(listCachedVersions('key')).toHaveLength(3);
+  expect(getCachedVersion('key', first.id)).toBeNull();
+  expect(getCachedVersion('other')).toBeNull();
+});
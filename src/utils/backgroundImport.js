@@ -0,0 +1,70 @@
+import { loadDataset, loadMergedDataset, withoutDerivedData } from './datasetLoader';
+
+export const isAbortError = (error) => error && error.name === 'AbortError';
+
+const createAbortError = () => {
+  const error = new Error('Import cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Run an import worker task (see importWorker.js) so large exports don't freeze the tab. Cancelling
+// the signal terminates the worker immediately. `runHere` stands in where workers aren't available.
+const runInBackground = async (message, runHere, { onProgress, signal } = {}) => {
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+
+  if (typeof Worker === 'undefined') {
+    const result = await runHere(onProgress);
+    if (signal && signal.aborted) throw createAbortError();
+    return result;
+  }
+
+  const { createImportWorker } = await import('../workers/createImportWorker');
+
+  return new Promise((resolve, reject) => {
+    const worker = createImportWorker();
+
+    const cleanup = () => {
+      worker.terminate();
+      if (signal) signal.removeEventListener('abort', handleAbort);
+    };
+
+    const handleAbort = () => {
+      cleanup();
+      reject(createAbortError());
+    };
+
+    worker.onmessage = (event) => {
+      const { type } = event.data;
+      if (type === 'progress') {
+        if (onProgress) onProgress(event.data.progress);
+      } else if (type === 'done') {
+        cleanup();
+        resolve(event.data.result);
+      } else if (type === 'error') {
+        cleanup();
+        reject(new Error(event.data.message));
+      }
+    };
+
+    worker.onerror = (event) => {
+      cleanup();
+      reject(new Error(event.message || 'The file could not be parsed.'));
+    };
+
+    if (signal) signal.addEventListener('abort', handleAbort);
+    worker.postMessage(message);
+  });
+};
+
+// Parse a file, apply a matching mapping profile and pre-compute its metrics and views
+export const loadDatasetInBackground = (file, options = {}, callbacks = {}) =>
+  runInBackground({ task: 'load', file, options }, onProgress => loadDataset(file, { ...options, onProgress }), callbacks);
+
+// Merge parsed files into one dataset and pre-compute it. Only the files' own data is sent over.
+export const mergeDatasetsInBackground = (datasets, options = {}, callbacks = {}) => {
+  const inputs = datasets.map(withoutDerivedData);
+  return runInBackground({ task: 'merge', datasets: inputs, options }, () => loadMergedDataset(inputs, options), callbacks);
+};
@@ -0,0 +1,203 @@
+import { resolveColumnMappings, resolveNumberFormats, parseNumericValue } from './dataProcessing';
+import { channelKey } from './channelTaxonomy';
+import { channelGroupKey } from './aggregation';
+import { loadStored, saveStored } from './storage';
+
+const STORAGE_KEY = 'mediaPlanner.budgetConstraints';
+
+// KPIs the optimizer can maximize; each needs its column mapped alongside cost
+export const OPTIMIZER_KPIS = [
+  { id: 'reach', label: 'Reach' },
+  { id: 'clicks', label: 'Clicks' },
+  { id: 'conversions', label: 'Conversions' }
+];
+
+// Response curves are KPI = a * spend^elasticity. Elasticity 1 is linear (no diminishing returns),
+// and fits below 0.2 are treated as noise rather than a sign that spend barely matters.
+const MIN_ELASTICITY = 0.2;
+const MAX_ELASTICITY = 1;
+
+// Used when a channel has too few rows, or too little spread in spend, to fit its own curve
+export const DEFAULT_ELASTICITY = 0.7;
+const MIN_FIT_POINTS = 4;
+
+// The budget left after minimums is handed out in this many steps, each to the channel with the
+// best marginal return; for concave curves that converges on the optimal split
+const ALLOCATION_STEPS = 1000;
+
+const clampElasticity = (value) => Math.min(MAX_ELASTICITY, Math.max(MIN_ELASTICITY, value));
+
+// Log-log least squares of KPI on spend across a channel's rows: the slope is the elasticity
+export const fitElasticity = (points) => {
+  const usable = points.filter(([spend, kpi]) => spend > 0 && kpi > 0);
+  const fallback = { elasticity: DEFAULT_ELASTICITY, points: usable.length, r2: null, fitted: false };
+  if (usable.length < MIN_FIT_POINTS) return fallback;
+
+  const xs = usable.map(([spend]) => Math.log(spend));
+  const ys = usable.map(([, kpi]) => Math.log(kpi));
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  xs.forEach((x, idx) => {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (ys[idx] - meanY);
+    syy += (ys[idx] - meanY) ** 2;
+  });
+  if (sxx < 1e-9) return fallback;
+
+  return {
+    elasticity: clampElasticity(sxy / sxx),
+    points: usable.length,
+    r2: syy === 0 ? 1 : (sxy * sxy) / (sxx * syy),
+    fitted: true
+  };
+};
+
+// One response curve per channel for the chosen KPI, anchored at what the channel delivered for
+// its current spend. Empty when channel, cost or the KPI column isn't mapped.
+export const fitResponseCurves = (data, kpi) => {
+  if (!data || !data.rows) return [];
+  const mappings = resolveColumnMappings(data);
+  if (!mappings.channel || !mappings.cost || !mappings[kpi]) return [];
+
+  const formats = resolveNumberFormats(data, mappings);
+  const channels = new Map();
+  data.rows.forEach(row => {
+    const key = channelGroupKey(row[mappings.channel.index]);
+    if (!channels.has(key)) channels.set(key, { channel: key, currentSpend: 0, currentKpi: 0, points: [] });
+
+    const spend = parseNumericValue(row[mappings.cost.index], formats.cost);
+    const value = parseNumericValue(row[mappings[kpi].index], formats[kpi]);
+    const entry = channels.get(key);
+    if (isFinite(spend)) entry.currentSpend += spend;
+    if (isFinite(value)) entry.currentKpi += value;
+    entry.points.push([spend, value]);
+  });
+
+  return [...channels.values()]
+    .map(({ points, ...entry }) => ({ ...entry, ...fitElasticity(points) }))
+    .sort((a, b) => b.currentSpend - a.currentSpend);
+};
+
+// KPI a channel is expected to deliver at `spend`. Channels that spent nothing have no curve to
+// extrapolate from, so they are expected to deliver nothing.
+export const predictKpi = (curve, spend) => {
+  if (!(curve.currentSpend > 0) || !(spend > 0)) return 0;
+  return curve.currentKpi * Math.pow(spend / curve.currentSpend, curve.elasticity);
+};
+
+const toAmount = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+// Spend limits for one channel from its user-entered constraint ({ min, max, locked }); a locked
+// line item is held at its current spend
+const channelLimits = (curve, constraint = {}) => {
+  if (constraint.locked) return { min: curve.currentSpend, max: curve.currentSpend, locked: true };
+  const min = toAmount(constraint.min);
+  const max = toAmount(constraint.max);
+  return {
+    min: min !== null && min > 0 ? min : 0,
+    max: max !== null && max >= 0 ? max : Infinity,
+    locked: false
+  };
+};
+
+const sumOf = (values) => values.reduce((sum, value) => sum + value, 0);
+
+// Split `totalBudget` across the channels to maximize the summed KPI, within each channel's
+// min/max and with locked channels held where they are. Returns { error } when the constraints
+// can't be met, otherwise per-channel allocations, the expected KPI and any budget left over
+// because every channel hit its maximum.
+export const optimizeBudget = (curves, { totalBudget, constraints = {} }) => {
+  if (!(totalBudget > 0)) return { error: 'Enter a total budget to optimize.' };
+  if (curves.length === 0) return { error: 'Map channel, cost and the KPI columns to optimize the budget.' };
+
+  const limits = curves.map(curve => channelLimits(curve, constraints[curve.channel]));
+  const inverted = curves.find((curve, idx) => limits[idx].min > limits[idx].max);
+  if (inverted) return { error: `The minimum for ${inverted.channel} is above its maximum.` };
+
+  const committed = sumOf(limits.map(limit => limit.min));
+  if (committed > totalBudget + 0.01) {
+    return {
+      error: `Minimums and locked line items add up to $${Math.round(committed).toLocaleString()}, more than the $${Math.round(totalBudget).toLocaleString()} budget.`
+    };
+  }
+
+  const budgets = limits.map(limit => limit.min);
+  let remaining = totalBudget - committed;
+  const step = remaining / ALLOCATION_STEPS;
+  while (remaining > step * 1e-6) {
+    const amount = Math.min(step, remaining);
+    let best = -1;
+    let bestGain = -Infinity;
+    curves.forEach((curve, idx) => {
+      const add = Math.min(amount, limits[idx].max - budgets[idx]);
+      if (add <= 0) return;
+      const gain = (predictKpi(curve, budgets[idx] + add) - predictKpi(curve, budgets[idx])) / add;
+      if (gain > bestGain) {
+        best = idx;
+        bestGain = gain;
+      }
+    });
+    // Every channel is at its maximum
+    if (best < 0) break;
+
+    const add = Math.min(amount, limits[best].max - budgets[best]);
+    budgets[best] += add;
+    remaining -= add;
+  }
+
+  const allocations = curves.map((curve, idx) => ({
+    channel: curve.channel,
+    currentSpend: curve.currentSpend,
+    currentKpi: curve.currentKpi,
+    elasticity: curve.elasticity,
+    fitted: curve.fitted,
+    locked: limits[idx].locked,
+    optimalBudget: budgets[idx],
+    expectedKpi: predictKpi(curve, budgets[idx])
+  }));
+
+  return {
+    allocations,
+    totalBudget,
+    expectedKpi: sumOf(allocations.map(allocation => allocation.expectedKpi)),
+    unallocated: remaining > 0.01 ? remaining : 0
+  };
+};
+
+// Expected KPI for any split ({ [channel]: budget }); channels it leaves out keep their current spend
+export const predictSplit = (curves, budgets) =>
+  sumOf(curves.map(curve => predictKpi(curve, budgets[curve.channel] !== undefined ? budgets[curve.channel] : curve.currentSpend)));
+
+// Today's channel mix scaled to `totalBudget`, the baseline the optimal split is compared with
+export const currentSplit = (curves, totalBudget) => {
+  const spent = sumOf(curves.map(curve => curve.currentSpend));
+  return Object.fromEntries(curves.map(curve => [
+    curve.channel,
+    spent > 0 ? curve.currentSpend / spent * totalBudget : totalBudget / curves.length
+  ]));
+};
+
+// The model's recommendedBudget per channel, matched to the data's channels by normalized name;
+// null when it suggested nothing for any channel in the data
+export const aiSplit = (curves, budgetReallocation) => {
+  const suggestions = budgetReallocation && Array.isArray(budgetReallocation.recommendations)
+    ? budgetReallocation.recommendations
+    : [];
+  const budgets = {};
+  curves.forEach(curve => {
+    const match = suggestions.find(rec => channelKey(rec.channel) === channelKey(curve.channel));
+    if (match && isFinite(Number(match.recommendedBudget))) budgets[curve.channel] = Number(match.recommendedBudget);
+  });
+  return Object.keys(budgets).length > 0 ? budgets : null;
+};
+
+export const loadBudgetConstraints = () => loadStored(STORAGE_KEY, {}, 'budget constraints');
+
+// Constraints are kept per channel name, so contractual minimums carry over between uploads
+export const saveBudgetConstraints = (constraints) => {
+  saveStored(STORAGE_KEY, constraints, 'budget constraints');
+  return constraints;
+};
@@ -0,0 +1,94 @@
+import {
+  fitElasticity, fitResponseCurves, predictKpi, optimizeBudget, predictSplit, currentSplit, aiSplit, DEFAULT_ELASTICITY
+} from './budgetOptimizer';
+
+// Search converts at spend^0.5, Social linearly at a lower rate
+const data = {
+  headers: ['Channel', 'Spend', 'Conversions'],
+  rows: [
+    ['Search', '100', '10'],
+    ['Search', '400', '20'],
+    ['Search', '900', '30'],
+    ['Search', '1600', '40'],
+    ['Social', '500', '5'],
+    ['Social', '1000', '10'],
+    ['Social', '1500', '15'],
+    ['Social', '2000', '20']
+  ]
+};
+
+test('fits the elasticity from log spend against log KPI', () => {
+  const fit = fitElasticity([[100, 10], [400, 20], [900, 30], [1600, 40]]);
+  expect(fit.fitted).toBe(true);
+  expect(fit.elasticity).toBeCloseTo(0.5, 5);
+  expect(fit.r2).toBeCloseTo(1, 5);
+
+  // Too few rows, or no spread in spend, falls back to the default
+  expect(fitElasticity([[100, 10], [200, 15]])).toMatchObject({ elasticity: DEFAULT_ELASTICITY, fitted: false });
+  expect(fitElasticity([[100, 10], [100, 12], [100, 9], [100, 11]]).fitted).toBe(false);
+  // Increasing returns are capped at linear
+  expect(fitElasticity([[1, 1], [2, 4], [3, 9], [4, 16]]).elasticity).toBe(1);
+});
+
+test('builds one curve per channel anchored at its current spend and KPI', () => {
+  const [social, search] = fitResponseCurves(data, 'conversions');
+
+  expect(social).toMatchObject({ channel: 'Social', currentSpend: 5000, currentKpi: 50 });
+  expect(social.elasticity).toBeCloseTo(1, 5);
+  expect(search).toMatchObject({ channel: 'Search', currentSpend: 3000, currentKpi: 100 });
+  expect(predictKpi(search, 3000)).toBeCloseTo(100, 5);
+  expect(predictKpi(search, 12000)).toBeCloseTo(200, 5);
+
+  expect(fitResponseCurves(data, 'reach')).toEqual([]);
+});
+
+const curves = [
+  { channel: 'Search', currentSpend: 1000, currentKpi: 100, elasticity: 0.5, fitted: true },
+  { channel: 'Display', currentSpend: 1000, currentKpi: 50, elasticity: 0.5, fitted: true }
+];
+
+test('splits the budget where marginal returns are equal', () => {
+  const result = optimizeBudget(curves, { totalBudget: 2000 });
+
+  // With equal elasticities the split is proportional to KPI squared: 4:1
+  expect(result.allocations[0].optimalBudget).toBeCloseTo(1600, -1);
+  expect(result.allocations[1].optimalBudget).toBeCloseTo(400, -1);
+  expect(result.allocations[0].optimalBudget + result.allocations[1].optimalBudget).toBeCloseTo(2000, 5);
+  expect(result.expectedKpi).toBeGreaterThan(predictSplit(curves, currentSplit(curves, 2000)));
+  expect(result.unallocated).toBe(0);
+});
+
+test('respects minimums, maximums and locked line items', () => {
+  const withMinimum = optimizeBudget(curves, { totalBudget: 2000, constraints: { Display: { min: '800' } } });
+  expect(withMinimum.allocations[1].optimalBudget).toBeCloseTo(800, 5);
+  expect(withMinimum.allocations[0].optimalBudget).toBeCloseTo(1200, 5);
+
+  const locked = optimizeBudget(curves, { totalBudget: 3000, constraints: { Display: { locked: true } } });
+  expect(locked.allocations[1]).toMatchObject({ optimalBudget: 1000, locked: true });
+  expect(locked.allocations[0].optimalBudget).toBeCloseTo(2000, 5);
+
+  const capped = optimizeBudget(curves, { totalBudget: 2000, constraints: { Search: { max: '500' }, Display: { max: '500' } } });
+  expect(capped.unallocated).toBeCloseTo(1000, 5);
+});
+
+test('reports constraints that cannot be met', () => {
+  expect(optimizeBudget(curves, { totalBudget: 1000, constraints: { Search: { min: '800' }, Display: { locked: true } } }).error)
+    .toMatch(/more than the \$1,000 budget/);
+  expect(optimizeBudget(curves, { totalBudget: 2000, constraints: { Search: { min: '900', max: '500' } } }).error)
+    .toMatch(/minimum for Search/);
+  expect(optimizeBudget(curves, { totalBudget: 0 }).error).toBeTruthy();
+  expect(optimizeBudget([], { totalBudget: 1000 }).error).toBeTruthy();
+});
+
+test('matches the AI suggestion to channels by name', () => {
+  const split = aiSplit(curves, {
+    recommendations: [
+      { channel: 'search', currentBudget: 1000, recommendedBudget: 1500 },
+      { channel: 'TikTok', currentBudget: 0, recommendedBudget: 500 }
+    ]
+  });
+  expect(split).toEqual({ Search: 1500 });
+  // Display keeps its current spend
+  expect(predictSplit(curves, split)).toBeCloseTo(100 * Math.sqrt(1.5) + 50, 5);
+  expect(aiSplit(curves, null)).toBeNull();
+});
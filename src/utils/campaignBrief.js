@@ -0,0 +1,109 @@
+import { hashValue } from './analysisCache';
+import { loadStored, saveStored } from './storage';
+
+const STORAGE_KEY = 'mediaPlanner.campaignBriefs';
+
+// Briefs kept in storage, most recently edited first
+const MAX_STORED_BRIEFS = 50;
+
+export const OBJECTIVES = [
+  { id: 'awareness', label: 'Awareness', description: 'Reach the target audience at an efficient CPM and frequency' },
+  { id: 'consideration', label: 'Consideration', description: 'Drive engagement: clicks, site visits, video views' },
+  { id: 'conversion', label: 'Conversion', description: 'Drive sales, leads or installs at a target CPA or ROAS' }
+];
+
+// KPIs a brief can set targets for; `better` says which direction beats the target
+export const KPI_TARGET_METRICS = [
+  { id: 'cpa', label: 'CPA', better: 'lower' },
+  { id: 'roas', label: 'ROAS', better: 'higher' },
+  { id: 'conversions', label: 'Conversions', better: 'higher' },
+  { id: 'ctr', label: 'CTR (%)', better: 'higher' },
+  { id: 'cpc', label: 'CPC', better: 'lower' },
+  { id: 'cpm', label: 'CPM', better: 'lower' },
+  { id: 'reach', label: 'Reach', better: 'higher' },
+  { id: 'frequency', label: 'Frequency', better: 'higher' },
+  { id: 'vcr', label: 'Video completion rate (%)', better: 'higher' }
+];
+
+export const EMPTY_BRIEF = {
+  objective: '',
+  vertical: '',
+  kpiTargets: [],
+  budget: '',
+  flightStart: '',
+  flightEnd: '',
+  audience: '',
+  markets: '',
+  constraints: ''
+};
+
+const TEXT_FIELDS = ['vertical', 'audience', 'markets', 'constraints'];
+
+// Problems that make a brief contradict itself; an incomplete brief is fine
+export const validateBrief = (brief) => {
+  const errors = [];
+  if (brief.budget !== '' && !(Number(brief.budget) > 0)) {
+    errors.push('Budget must be a positive number.');
+  }
+  if (brief.flightStart && brief.flightEnd && brief.flightEnd < brief.flightStart) {
+    errors.push('The flight must end after it starts.');
+  }
+  brief.kpiTargets.forEach(target => {
+    if (target.value !== '' && !(Number(target.value) >= 0)) {
+      const metric = KPI_TARGET_METRICS.find(candidate => candidate.id === target.metric);
+      errors.push(`The ${metric ? metric.label : target.metric} target must be a number.`);
+    }
+  });
+  return errors;
+};
+
+// The filled-in parts of a brief, as sent to the prompts and used in cache keys; null when empty
+export const cleanBrief = (brief) => {
+  if (!brief) return null;
+  const cleaned = {};
+  if (OBJECTIVES.some(objective => objective.id === brief.objective)) cleaned.objective = brief.objective;
+  TEXT_FIELDS.forEach(field => {
+    const value = (brief[field] || '').trim();
+    if (value) cleaned[field] = value;
+  });
+  if (Number(brief.budget) > 0) cleaned.budget = Number(brief.budget);
+  if (brief.flightStart) cleaned.flightStart = brief.flightStart;
+  if (brief.flightEnd && !(brief.flightStart && brief.flightEnd < brief.flightStart)) cleaned.flightEnd = brief.flightEnd;
+
+  const targets = (brief.kpiTargets || [])
+    .filter(target => target.value !== '' && Number(target.value) >= 0)
+    .map(target => {
+      const metric = KPI_TARGET_METRICS.find(candidate => candidate.id === target.metric);
+      return metric ? { metric: metric.label, target: Number(target.value), better: metric.better } : null;
+    })
+    .filter(Boolean);
+  if (targets.length > 0) cleaned.kpiTargets = targets;
+
+  return Object.keys(cleaned).length > 0 ? cleaned : null;
+};
+
+// Briefs are saved per set of uploaded files (by name and size), so edits to column mappings or
+// fixes keep the brief while a different upload starts from a blank one
+export const briefKeyForFiles = (files) =>
+  (files.length > 0 ? hashValue(files.map(file => [file.name, file.size]).sort()) : null);
+
+export const loadCampaignBriefs = () => loadStored(STORAGE_KEY, {}, 'campaign briefs');
+
+// Save the brief for a dataset and return every stored brief
+export const saveCampaignBrief = (key, brief) => {
+  const briefs = { ...loadCampaignBriefs(), [key]: { ...brief, savedAt: new Date().toISOString() } };
+  const kept = Object.fromEntries(
+    Object.entries(briefs)
+      .sort(([, a], [, b]) => (b.savedAt || '').localeCompare(a.savedAt || ''))
+      .slice(0, MAX_STORED_BRIEFS)
+  );
+  saveStored(STORAGE_KEY, kept, 'campaign brief');
+  return kept;
+};
+
+// The stored brief for a dataset, without storage bookkeeping
+export const briefFor = (briefs, key) => {
+  if (!key || !briefs[key]) return EMPTY_BRIEF;
+  const { savedAt, ...brief } = briefs[key];
+  return { ...EMPTY_BRIEF, ...brief };
+};
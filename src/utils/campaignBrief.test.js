@@ -0,0 +1,57 @@
+import { EMPTY_BRIEF, validateBrief, cleanBrief, briefKeyForFiles, saveCampaignBrief, loadCampaignBriefs, briefFor } from './campaignBrief';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('an empty brief is sent as nothing at all', () => {
+  expect(cleanBrief(EMPTY_BRIEF)).toBeNull();
+  expect(cleanBrief({ ...EMPTY_BRIEF, vertical: '   ', kpiTargets: [{ metric: 'cpa', value: '' }] })).toBeNull();
+});
+
+test('keeps only the filled-in parts of a brief, with numbers as numbers', () => {
+  const brief = {
+    ...EMPTY_BRIEF,
+    objective: 'conversion',
+    budget: '120000',
+    flightStart: '2024-03-01',
+    flightEnd: '2024-03-31',
+    markets: ' US, CA ',
+    kpiTargets: [{ metric: 'cpa', value: '25' }, { metric: 'roas', value: '' }]
+  };
+
+  expect(cleanBrief(brief)).toEqual({
+    objective: 'conversion',
+    budget: 120000,
+    flightStart: '2024-03-01',
+    flightEnd: '2024-03-31',
+    markets: 'US, CA',
+    kpiTargets: [{ metric: 'CPA', target: 25, better: 'lower' }]
+  });
+});
+
+test('flags briefs that contradict themselves', () => {
+  expect(validateBrief(EMPTY_BRIEF)).toEqual([]);
+  const problems = validateBrief({
+    ...EMPTY_BRIEF,
+    budget: '-5',
+    flightStart: '2024-03-10',
+    flightEnd: '2024-03-01',
+    kpiTargets: [{ metric: 'ctr', value: 'abc' }]
+  });
+  expect(problems).toHaveLength(3);
+  expect(cleanBrief({ ...EMPTY_BRIEF, flightStart: '2024-03-10', flightEnd: '2024-03-01' })).toEqual({ flightStart: '2024-03-10' });
+});
+
+test('briefs are saved per set of files, whatever their order', () => {
+  const files = [{ name: 'meta.csv', size: 100 }, { name: 'google.csv', size: 200 }];
+  const key = briefKeyForFiles(files);
+
+  expect(briefKeyForFiles([...files].reverse())).toBe(key);
+  expect(briefKeyForFiles([files[0]])).not.toBe(key);
+  expect(briefKeyForFiles([])).toBeNull();
+
+  saveCampaignBrief(key, { ...EMPTY_BRIEF, objective: 'awareness' });
+  expect(briefFor(loadCampaignBriefs(), key)).toEqual({ ...EMPTY_BRIEF, objective: 'awareness' });
+  expect(briefFor(loadCampaignBriefs(), 'other')).toEqual(EMPTY_BRIEF);
+});
@@ -0,0 +1,296 @@
+import { IGNORED_COLUMN, resolveColumnMappings } from './dataProcessing';
+import { loadStored, saveStored } from './storage';
+
+const STORAGE_KEY = 'mediaPlanner.channelAliases';
+
+// Similarity above which two unrecognised channel names are suggested as the same channel
+const FUZZY_GROUP_THRESHOLD = 0.8;
+
+// Built-in taxonomy: channel → sub-channel → placement. Aliases are matched as whole words (or
+// joined words, e.g. "googleads"); generic aliases only count when nothing more specific matches.
+export const CHANNEL_TAXONOMY = [
+  {
+    channel: 'Paid Social',
+    subChannels: [
+      { name: 'Facebook', aliases: ['facebook', 'fb', 'facebook ads'], genericAliases: ['meta'], placements: ['feed', 'stories', 'reels', 'marketplace', 'right column', 'in-stream', 'audience network'] },
+      { name: 'Instagram', aliases: ['instagram', 'ig', 'insta'], placements: ['feed', 'stories', 'reels', 'explore'] },
+      { name: 'TikTok', aliases: ['tiktok', 'tik tok', 'tt'], placements: ['for you', 'topview', 'in-feed'] },
+      { name: 'LinkedIn', aliases: ['linkedin', 'li'], placements: ['sponsored content', 'inmail', 'message ads'] },
+      { name: 'X (Twitter)', aliases: ['twitter', 'x ads', 'tw'], placements: ['timeline', 'promoted tweets'] },
+      { name: 'Snapchat', aliases: ['snapchat', 'snap'], placements: ['stories', 'discover', 'spotlight'] },
+      { name: 'Pinterest', aliases: ['pinterest', 'pin'], placements: ['feed', 'search'] },
+      { name: 'Reddit', aliases: ['reddit'], placements: ['feed', 'conversation'] }
+    ],
+    genericAliases: ['social', 'paid social']
+  },
+  {
+    channel: 'Paid Search',
+    subChannels: [
+      { name: 'Google Search', aliases: ['google search', 'adwords', 'google ads', 'sem', 'ppc'], genericAliases: ['google'], placements: ['search', 'shopping', 'pmax', 'performance max'] },
+      { name: 'Microsoft Ads', aliases: ['bing', 'microsoft ads', 'microsoft advertising'], placements: ['search', 'shopping'] }
+    ],
+    genericAliases: ['search', 'paid search']
+  },
+  {
+    channel: 'Online Video',
+    subChannels: [
+      { name: 'YouTube', aliases: ['youtube', 'yt'], placements: ['in-stream', 'bumper', 'shorts', 'discovery'] },
+      { name: 'Connected TV', aliases: ['ctv', 'connected tv', 'ott', 'hulu', 'roku'], placements: ['streaming'] }
+    ],
+    genericAliases: ['olv', 'online video', 'video']
+  },
+  {
+    channel: 'Programmatic Display',
+    subChannels: [
+      { name: 'DV360', aliases: ['dv360', 'display & video 360', 'display and video 360', 'dbm'], placements: ['display', 'native', 'video'] },
+      { name: 'The Trade Desk', aliases: ['the trade desk', 'trade desk', 'ttd'], placements: ['display', 'native', 'video'] },
+      { name: 'Google Display Network', aliases: ['gdn', 'google display', 'google display network'], placements: ['display', 'responsive'] }
+    ],
+    genericAliases: ['display', 'programmatic', 'banner', 'native']
+  },
+  {
+    channel: 'TV',
+    subChannels: [
+      { name: 'Linear TV', aliases: ['linear tv', 'broadcast', 'cable', 'tv', 'television'], placements: ['prime time', 'daytime', 'late night', 'sports'] }
+    ],
+    genericAliases: []
+  },
+  {
+    channel: 'Audio',
+    subChannels: [
+      { name: 'Radio', aliases: ['radio', 'am/fm', 'broadcast radio'], placements: ['drive time', 'midday', 'evening'] },
+      { name: 'Streaming Audio', aliases: ['spotify', 'pandora', 'podcast', 'podcasts', 'streaming audio', 'iheart'], placements: ['audio', 'podcast'] }
+    ],
+    genericAliases: ['audio']
+  },
+  {
+    channel: 'Out of Home',
+    subChannels: [
+      { name: 'Billboard', aliases: ['billboard', 'billboards', 'ooh', 'out of home', 'outdoor'], placements: ['bulletin', 'poster', 'transit'] },
+      { name: 'Digital OOH', aliases: ['dooh', 'digital ooh', 'digital out of home', 'digital billboard'], placements: ['screens', 'transit'] }
+    ],
+    genericAliases: []
+  },
+  {
+    channel: 'Print',
+    subChannels: [
+      { name: 'Print', aliases: ['print', 'newspaper', 'magazine', 'press'], placements: ['full page', 'half page', 'insert'] }
+    ],
+    genericAliases: []
+  }
+];
+
+// Lowercase, unify separators, so "Meta - FB Feed" and "meta_fb_feed" look alike
+export const channelKey = (value) =>
+  (value === null || value === undefined ? '' : value.toString())
+    .toLowerCase()
+    .replace(/[_\-–—|:/>,.()[\]]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const titleCase = (text) => text.replace(/\b\w/g, letter => letter.toUpperCase());
+
+// Whole-word match of a (possibly multi-word) alias, also accepting the words run together
+const aliasMatches = (key, alias) => {
+  const aliasKey = channelKey(alias);
+  if (!aliasKey) return false;
+  const padded = ` ${key} `;
+  return padded.includes(` ${aliasKey} `) || (aliasKey.includes(' ') && key.replace(/ /g, '').includes(aliasKey.replace(/ /g, '')));
+};
+
+// Place a raw channel label in the taxonomy, or return null when nothing matches
+export const classifyChannel = (raw) => {
+  const key = channelKey(raw);
+  if (!key) return null;
+
+  let best = null;
+  CHANNEL_TAXONOMY.forEach(group => {
+    group.subChannels.forEach(sub => {
+      // Longer and more specific aliases win, e.g. "Meta - IG Stories" is Instagram, not Facebook
+      const specific = sub.aliases.filter(alias => aliasMatches(key, alias));
+      const generic = (sub.genericAliases || []).filter(alias => aliasMatches(key, alias));
+      const score = specific.reduce((sum, alias) => sum + 10 + alias.length, 0) +
+        generic.reduce((sum, alias) => sum + 1 + alias.length / 10, 0);
+      if (score > 0 && (!best || score > best.score)) {
+        best = { score, group, sub };
+      }
+    });
+  });
+
+  if (!best) {
+    // Only a channel-level word such as "Paid Social" or "Display"
+    const group = CHANNEL_TAXONOMY.find(candidate => candidate.genericAliases.some(alias => aliasMatches(key, alias)));
+    return group ? { channel: group.channel, subChannel: null, placement: null, label: group.channel } : null;
+  }
+
+  const placement = best.sub.placements.find(candidate => aliasMatches(key, candidate));
+  return {
+    channel: best.group.channel,
+    subChannel: best.sub.name,
+    placement: placement ? titleCase(placement) : null,
+    label: best.sub.name
+  };
+};
+
+// Resolve a raw label: the user's alias table wins, then the taxonomy, then a tidied version of the raw text
+export const normalizeChannelName = (raw, aliasTable = {}) => {
+  const key = channelKey(raw);
+  if (!key) return { raw, label: 'Unknown', channel: null, subChannel: null, placement: null, source: 'empty' };
+
+  if (aliasTable[key]) {
+    const classified = classifyChannel(aliasTable[key]);
+    return {
+      raw,
+      ...(classified || { channel: null, subChannel: null, placement: null }),
+      label: aliasTable[key],
+      source: 'alias'
+    };
+  }
+
+  const classified = classifyChannel(raw);
+  if (classified) return { raw, ...classified, source: 'taxonomy' };
+
+  return { raw, label: raw.toString().trim(), channel: null, subChannel: null, placement: null, source: 'unmatched' };
+};
+
+export const loadChannelAliases = () => loadStored(STORAGE_KEY, {}, 'channel aliases');
+
+export const saveChannelAliases = (aliases) => {
+  saveStored(STORAGE_KEY, aliases, 'channel aliases');
+  return aliases;
+};
+
+// Distinct raw channel values in a dataset with their row counts
+export const getChannelValues = (data) => {
+  const mappings = resolveColumnMappings(data);
+  if (!mappings.channel) return [];
+
+  const counts = {};
+  data.rows.forEach(row => {
+    const value = row[mappings.channel.index];
+    const raw = value === null || value === undefined ? '' : value.toString().trim();
+    if (!raw) return;
+    counts[raw] = (counts[raw] || 0) + 1;
+  });
+
+  return Object.entries(counts)
+    .map(([raw, count]) => ({ raw, count }))
+    .sort((a, b) => b.count - a.count);
+};
+
+const levenshtein = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, idx) => idx);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+};
+
+const similarity = (a, b) => {
+  const left = channelKey(a).replace(/ /g, '');
+  const right = channelKey(b).replace(/ /g, '');
+  if (!left || !right) return 0;
+  if (left.includes(right) || right.includes(left)) return Math.min(left.length, right.length) / Math.max(left.length, right.length) >= 0.5 ? 1 : 0;
+  return 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+};
+
+// Suggest groupings after upload: raw labels the taxonomy puts together, plus fuzzy clusters of
+// labels it doesn't know. Values already covered by the alias table are left alone.
+export const suggestChannelGroups = (channelValues, aliasTable = {}) => {
+  const pending = channelValues.filter(({ raw }) => !aliasTable[channelKey(raw)]);
+  const suggestions = [];
+
+  const byLabel = {};
+  const unmatched = [];
+  pending.forEach(value => {
+    const normalized = normalizeChannelName(value.raw, aliasTable);
+    if (normalized.source === 'taxonomy') {
+      byLabel[normalized.label] = byLabel[normalized.label] || [];
+      byLabel[normalized.label].push(value);
+    } else {
+      unmatched.push(value);
+    }
+  });
+
+  Object.entries(byLabel).forEach(([label, members]) => {
+    if (members.length > 1) {
+      suggestions.push({ label, members: members.map(member => member.raw), source: 'taxonomy' });
+    }
+  });
+
+  // Greedy clustering of unknown labels, most frequent label first
+  const clustered = new Set();
+  unmatched.forEach(value => {
+    if (clustered.has(value.raw)) return;
+    const members = unmatched.filter(other =>
+      !clustered.has(other.raw) && (other.raw === value.raw || similarity(value.raw, other.raw) >= FUZZY_GROUP_THRESHOLD)
+    );
+    members.forEach(member => clustered.add(member.raw));
+    if (members.length > 1) {
+      suggestions.push({ label: value.raw, members: members.map(member => member.raw), source: 'fuzzy' });
+    }
+  });
+
+  return suggestions;
+};
+
+// Column added next to the normalized channel holding the vendor / sub-channel label
+export const SUB_CHANNEL_HEADER = 'Sub-channel';
+
+// Rewrite the channel column with the taxonomy channel (e.g. "Paid Social") so every downstream
+// metric rolls up to it, and keep the finer label (e.g. "Facebook") in a sub-channel column.
+// Labels the taxonomy can't place stay in the channel column as they are. Only rows whose label
+// changes are copied, and totals already computed carry through since channel labels don't affect
+// them. Returns the dataset itself when no label changes.
+export const normalizeDatasetChannels = (data, aliasTable = {}) => {
+  if (!data) return data;
+  const mappings = resolveColumnMappings(data);
+  if (!mappings.channel) return data;
+
+  const index = mappings.channel.index;
+  const rawValue = (row) => {
+    const value = row[index];
+    return value === null || value === undefined ? '' : value.toString().trim();
+  };
+  const lookup = new Map();
+  data.rows.forEach(row => {
+    const raw = rawValue(row);
+    if (!raw || lookup.has(raw)) return;
+    const normalized = normalizeChannelName(raw, aliasTable);
+    const channel = normalized.channel || normalized.label;
+    const subChannel = channel === normalized.label ? '' : normalized.label;
+    lookup.set(raw, channel !== raw || subChannel ? { channel, subChannel } : null);
+  });
+  if (![...lookup.values()].some(Boolean)) return data;
+
+  const width = data.headers.length;
+  const subChannelHeader = data.headers.includes(SUB_CHANNEL_HEADER) ? `${SUB_CHANNEL_HEADER} (normalized)` : SUB_CHANNEL_HEADER;
+  const rows = data.rows.map(row => {
+    const change = lookup.get(rawValue(row));
+    if (!change) return row;
+    const next = row.slice();
+    // Short rows are padded so the sub-channel lines up with its header
+    for (let idx = next.length; idx < width; idx++) next.push('');
+    next[index] = change.channel;
+    next[width] = change.subChannel;
+    return next;
+  });
+
+  return {
+    ...data,
+    headers: [...data.headers, subChannelHeader],
+    rows,
+    // The added column is ours; keep it out of the field mapping
+    columnOverrides: { ...(data.columnOverrides || {}), [subChannelHeader]: IGNORED_COLUMN }
+  };
+};
@@ -0,0 +1,56 @@
+import { normalizeChannelName, suggestChannelGroups, normalizeDatasetChannels, SUB_CHANNEL_HEADER } from './channelTaxonomy';
+import { IGNORED_COLUMN } from './dataProcessing';
+import { aggregateByDimension } from './aggregation';
+
+test('places vendor and placement labels in the taxonomy', () => {
+  expect(normalizeChannelName('FB')).toMatchObject({ label: 'Facebook', channel: 'Paid Social', source: 'taxonomy' });
+  expect(normalizeChannelName('Meta - IG Stories')).toMatchObject({ label: 'Instagram', placement: 'Stories' });
+  expect(normalizeChannelName('facebook_paid_social').label).toBe('Facebook');
+  expect(normalizeChannelName('Acme Network').source).toBe('unmatched');
+  expect(normalizeChannelName('Acme Network', { 'acme network': 'Acme' })).toMatchObject({ label: 'Acme', source: 'alias' });
+});
+
+test('suggests groups and rewrites the channel column', () => {
+  const values = ['FB', 'Facebook', 'Acme Network', 'ACME Netwrk', 'Radio'].map(raw => ({ raw, count: 1 }));
+  expect(suggestChannelGroups(values)).toEqual([
+    { label: 'Facebook', members: ['FB', 'Facebook'], source: 'taxonomy' },
+    { label: 'Acme Network', members: ['Acme Network', 'ACME Netwrk'], source: 'fuzzy' }
+  ]);
+
+  const data = { headers: ['Channel', 'Cost'], rows: [['FB', '10'], ['Facebook', '5']] };
+  const normalized = normalizeDatasetChannels(data);
+  expect(normalized.rows.map(row => row[0])).toEqual(['Paid Social', 'Paid Social']);
+  expect(normalized.rows.map(row => row[2])).toEqual(['Facebook', 'Facebook']);
+});
+
+test('rolls channels up to the taxonomy level and keeps the sub-channel alongside', () => {
+  const data = {
+    headers: ['Channel', 'Cost'],
+    rows: [['FB', '10'], ['Meta - IG Stories', '5'], ['Google Ads', '7'], ['Acme Network', '1'], ['Paid Social', '2'], ['', '3']]
+  };
+  const normalized = normalizeDatasetChannels(data, { 'acme network': 'Acme' });
+
+  expect(normalized.headers).toEqual(['Channel', 'Cost', SUB_CHANNEL_HEADER]);
+  expect(normalized.rows).toEqual([
+    ['Paid Social', '10', 'Facebook'],
+    ['Paid Social', '5', 'Instagram'],
+    ['Paid Search', '7', 'Google Search'],
+    ['Acme', '1', ''],
+    ['Paid Social', '2'],
+    ['', '3']
+  ]);
+  // Rows whose label stays are not copied
+  expect(normalized.rows[4]).toBe(data.rows[4]);
+  expect(normalized.columnOverrides[SUB_CHANNEL_HEADER]).toBe(IGNORED_COLUMN);
+  expect(aggregateByDimension(normalized, 'channel').map(group => [group.key, group.cost])).toEqual([
+    ['Paid Social', 17], ['Paid Search', 7], ['(blank)', 3], ['Acme', 1]
+  ]);
+});
+
+test('returns the dataset itself when no label changes and keeps computed totals otherwise', () => {
+  const data = { headers: ['Channel', 'Cost'], rows: [['Paid Social', '10'], ['Acme Network', '5']], basicMetrics: { totals: { cost: 15 } } };
+  expect(normalizeDatasetChannels(data)).toBe(data);
+
+  const normalized = normalizeDatasetChannels({ ...data, rows: [...data.rows, ['FB', '1']] });
+  expect(normalized.basicMetrics).toBe(data.basicMetrics);
+});
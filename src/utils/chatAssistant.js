@@ -0,0 +1,111 @@
+import { prepareDataForAI } from './aiSummary';
+import { MAX_CHAT_MESSAGE_LENGTH, MAX_CHAT_TOTAL_LENGTH } from '../services/llm/promptTemplates';
+
+// Most recent messages sent with each question; older turns drop out of the model's view
+export const CHAT_HISTORY_LIMIT = 12;
+
+// Smaller than the analysis budget so long conversations still fit
+const CHAT_CONTEXT_TOKEN_BUDGET = 4000;
+
+const BLOCK_PATTERN = /```(table|chart)[^\S\n]*\n([\s\S]*?)```/g;
+const OPEN_BLOCK_PATTERN = /```(table|chart)\b/;
+
+const stripStatus = (result) => {
+  if (!result) return null;
+  const { responseStatus, cacheInfo, ...rest } = result;
+  return rest;
+};
+
+// Data for the proxy's chat template: the dataset summary, the campaign brief (cleaned, or null)
+// and any analysis already run
+export const buildChatData = ({ data, basicMetrics, customMetrics = [], brief = null, analysisResults, recommendations }) => ({
+  summary: prepareDataForAI(data, { basicMetrics, customMetrics, tokenBudget: CHAT_CONTEXT_TOKEN_BUDGET }).summary,
+  ...(brief ? { brief } : {}),
+  analysis: stripStatus(analysisResults),
+  recommendations: stripStatus(recommendations)
+});
+
+// The conversation as API messages: recent turns only, starting with a user message and
+// alternating roles (failed replies leave two user turns in a row, which are merged). Older turns
+// also drop out once the thread is longer than the proxy accepts in all.
+export const toApiMessages = (messages, limit = CHAT_HISTORY_LIMIT) => {
+  const merged = [];
+  messages
+    .filter(message => message.content && message.content.trim())
+    .slice(-limit)
+    .forEach(({ role, content }) => {
+      const previous = merged[merged.length - 1];
+      if (previous && previous.role === role) previous.content += `\n\n${content}`;
+      else merged.push({ role, content });
+    });
+  const recent = merged.map(message => ({ ...message, content: message.content.slice(0, MAX_CHAT_MESSAGE_LENGTH) }));
+  let total = recent.reduce((sum, message) => sum + message.content.length, 0);
+  while (recent.length > 0 && (recent[0].role !== 'user' || total > MAX_CHAT_TOTAL_LENGTH)) {
+    total -= recent.shift().content.length;
+  }
+  return recent;
+};
+
+const toCell = (value) => (value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : value);
+
+const parseBlock = (type, body) => {
+  let spec;
+  try {
+    spec = JSON.parse(body);
+  } catch (error) {
+    return null;
+  }
+  if (!spec || typeof spec !== 'object') return null;
+
+  if (type === 'table') {
+    if (!Array.isArray(spec.columns) || !Array.isArray(spec.rows)) return null;
+    return {
+      type: 'table',
+      columns: spec.columns.map(String),
+      rows: spec.rows.filter(Array.isArray).map(row => spec.columns.map((column, idx) => toCell(row[idx])))
+    };
+  }
+
+  if (!Array.isArray(spec.data)) return null;
+  const data = spec.data
+    .map(point => ({ label: String(point.label), value: Number(point.value) }))
+    .filter(point => isFinite(point.value));
+  if (data.length === 0) return null;
+  return {
+    type: 'chart',
+    chartType: spec.type === 'line' ? 'line' : 'bar',
+    title: spec.title ? String(spec.title) : '',
+    valueLabel: spec.valueLabel ? String(spec.valueLabel) : 'Value',
+    data
+  };
+};
+
+// Split a reply into text, table and chart segments. Blocks that fail to parse stay as text; a
+// block still streaming in becomes a 'pending' placeholder.
+export const parseChatReply = (text) => {
+  const segments = [];
+  const pushText = (value) => {
+    if (value.trim()) segments.push({ type: 'text', text: value.trim() });
+  };
+
+  let cursor = 0;
+  let match;
+  BLOCK_PATTERN.lastIndex = 0;
+  while ((match = BLOCK_PATTERN.exec(text)) !== null) {
+    pushText(text.slice(cursor, match.index));
+    const block = parseBlock(match[1], match[2]);
+    if (block) segments.push(block);
+    else pushText(match[0]);
+    cursor = match.index + match[0].length;
+  }
+
+  const rest = text.slice(cursor);
+  const open = rest.match(OPEN_BLOCK_PATTERN);
+  if (open) {
+    pushText(rest.slice(0, open.index));
+    segments.push({ type: 'pending', blockType: open[1] });
+  } else {
+    pushText(rest);
+  }
+  return segments;
+};
@@ -0,0 +1,67 @@
+import { parseChatReply, toApiMessages } from './chatAssistant';
+import { MAX_CHAT_MESSAGE_LENGTH, MAX_CHAT_TOTAL_LENGTH } from '../services/llm/promptTemplates';
+
+describe('parseChatReply', () => {
+  test('splits text, tables and charts', () => {
+    const reply = [
+      'Radio has the highest CPM.',
+      '```table',
+      '{"columns": ["Channel", "CPM"], "rows": [["Radio", 22.5], ["Search", 8]]}',
+      '```',
+      'Spend trend:',
+      '```chart',
+      '{"type": "line", "title": "Spend", "data": [{"label": "Jan", "value": "100"}, {"label": "Feb", "value": 120}]}',
+      '```'
+    ].join('\n');
+
+    expect(parseChatReply(reply)).toEqual([
+      { type: 'text', text: 'Radio has the highest CPM.' },
+      { type: 'table', columns: ['Channel', 'CPM'], rows: [['Radio', 22.5], ['Search', 8]] },
+      { type: 'text', text: 'Spend trend:' },
+      {
+        type: 'chart',
+        chartType: 'line',
+        title: 'Spend',
+        valueLabel: 'Value',
+        data: [{ label: 'Jan', value: 100 }, { label: 'Feb', value: 120 }]
+      }
+    ]);
+  });
+
+  test('keeps malformed blocks as text and marks unfinished ones as pending', () => {
+    expect(parseChatReply('```table\nnot json\n```')).toEqual([{ type: 'text', text: '```table\nnot json\n```' }]);
+    expect(parseChatReply('Here it is:\n```chart\n{"data": [')).toEqual([
+      { type: 'text', text: 'Here it is:' },
+      { type: 'pending', blockType: 'chart' }
+    ]);
+  });
+});
+
+test('toApiMessages keeps recent alternating turns starting with the user', () => {
+  const messages = [
+    { role: 'user', content: 'first' },
+    { role: 'assistant', content: 'answer' },
+    { role: 'user', content: 'failed question' },
+    { role: 'assistant', content: '', status: 'error' },
+    { role: 'user', content: 'retry' }
+  ];
+
+  expect(toApiMessages(messages)).toEqual([
+    { role: 'user', content: 'first' },
+    { role: 'assistant', content: 'answer' },
+    { role: 'user', content: 'failed question\n\nretry' }
+  ]);
+  expect(toApiMessages(messages, 3)).toEqual([{ role: 'user', content: 'failed question\n\nretry' }]);
+});
+
+test('toApiMessages drops older turns until the thread fits the proxy cap', () => {
+  const long = (role) => ({ role, content: 'x'.repeat(MAX_CHAT_MESSAGE_LENGTH + 100) });
+  const messages = [long('user'), long('assistant'), long('user'), long('assistant'), { role: 'user', content: 'and now?' }];
+  const sent = toApiMessages(messages);
+
+  expect(sent[0].role).toBe('user');
+  expect(sent[sent.length - 1].content).toBe('and now?');
+  expect(sent.every(message => message.content.length <= MAX_CHAT_MESSAGE_LENGTH)).toBe(true);
+  expect(sent.reduce((total, message) => total + message.content.length, 0)).toBeLessThanOrEqual(MAX_CHAT_TOTAL_LENGTH);
+  expect(sent).toHaveLength(3);
+});
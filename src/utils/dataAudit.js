@@ -0,0 +1,374 @@
+import { COLUMN_LABELS, NUMERIC_FIELDS, RATE_FIELDS, resolveColumnMappings, resolveNumberFormats, parseNumericValue } from './dataProcessing';
+
+// Relative difference tolerated between reported cost and CPM × impressions / 1000
+const RECONCILE_TOLERANCE = 0.05;
+
+// Outlier fences are Q1/Q3 ± this many interquartile ranges, within a channel
+const OUTLIER_IQR_MULTIPLIER = 3;
+const MIN_GROUP_SIZE_FOR_OUTLIERS = 5;
+
+// Date styles we recognise when checking a column for mixed formats
+const DATE_STYLES = [
+  { id: 'iso', label: 'YYYY-MM-DD', pattern: /^\d{4}-\d{1,2}-\d{1,2}/ },
+  { id: 'slash', label: 'MM/DD/YYYY or DD/MM/YYYY', pattern: /^\d{1,2}\/\d{1,2}\/\d{2,4}$/ },
+  { id: 'dot', label: 'DD.MM.YYYY', pattern: /^\d{1,2}\.\d{1,2}\.\d{2,4}$/ },
+  { id: 'dash', label: 'DD-MM-YYYY', pattern: /^\d{1,2}-\d{1,2}-\d{2,4}$/ },
+  { id: 'text', label: 'Month name', pattern: /[a-z]{3,}/i },
+  { id: 'serial', label: 'Spreadsheet serial number', pattern: /^\d{5}(\.\d+)?$/ }
+];
+
+const isBlank = (value) => value === null || value === undefined || value.toString().trim() === '';
+
+const median = (values) => {
+  if (values.length === 0) return NaN;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const quantile = (sorted, q) => {
+  const pos = (sorted.length - 1) * q;
+  const base = Math.floor(pos);
+  const next = sorted[base + 1] !== undefined ? sorted[base + 1] : sorted[base];
+  return sorted[base] + (pos - base) * (next - sorted[base]);
+};
+
+// Shared accessors for one dataset: mapped indexes, number formats and a parsed-value reader
+const createAuditContext = (data) => {
+  const mappings = resolveColumnMappings(data);
+  const formats = resolveNumberFormats(data, mappings);
+  const read = (row, field) => (mappings[field] ? parseNumericValue(row[mappings[field].index], formats[field]) : NaN);
+  const channelOf = (row) => (mappings.channel ? (row[mappings.channel.index] || '').toString().trim() || 'Unknown' : 'All rows');
+
+  // Write a canonical number back in the column's own convention (rates stored as fractions stay fractions)
+  const toCellValue = (field, value) => {
+    const format = formats[field];
+    const rounded = Math.round(value * 10000) / 10000;
+    return format && format.isRate && format.rateScale === 'fraction' ? rounded / 100 : rounded;
+  };
+
+  return { mappings, formats, read, channelOf, toCellValue };
+};
+
+const fieldLabel = (field) => COLUMN_LABELS[field] || field;
+
+const findDuplicateRows = (data) => {
+  const seen = new Set();
+  const duplicates = [];
+  data.rows.forEach((row, idx) => {
+    const key = JSON.stringify(row);
+    if (seen.has(key)) duplicates.push(idx);
+    else seen.add(key);
+  });
+  return duplicates;
+};
+
+const findMissingValues = (data, { mappings }) => {
+  const mappedFieldByIndex = {};
+  Object.values(mappings).forEach(match => {
+    mappedFieldByIndex[match.index] = match.mappedTo;
+  });
+
+  return data.headers.map((header, columnIndex) => {
+    const rowIndexes = [];
+    data.rows.forEach((row, idx) => {
+      if (isBlank(row[columnIndex])) rowIndexes.push(idx);
+    });
+    return { header, columnIndex, field: mappedFieldByIndex[columnIndex] || null, rowIndexes };
+  });
+};
+
+const findOutliers = (data, context, field) => {
+  const groups = {};
+  data.rows.forEach((row, idx) => {
+    const value = context.read(row, field);
+    if (isNaN(value)) return;
+    const channel = context.channelOf(row);
+    groups[channel] = groups[channel] || [];
+    groups[channel].push({ idx, value });
+  });
+
+  const outliers = [];
+  const fences = {};
+  Object.entries(groups).forEach(([channel, entries]) => {
+    if (entries.length < MIN_GROUP_SIZE_FOR_OUTLIERS) return;
+
+    const sorted = entries.map(entry => entry.value).sort((a, b) => a - b);
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    const iqr = q3 - q1;
+    if (iqr === 0) return;
+
+    const fence = { low: q1 - OUTLIER_IQR_MULTIPLIER * iqr, high: q3 + OUTLIER_IQR_MULTIPLIER * iqr };
+    fences[channel] = fence;
+    entries.forEach(({ idx, value }) => {
+      if (value < fence.low || value > fence.high) outliers.push(idx);
+    });
+  });
+
+  return { rowIndexes: outliers, fences };
+};
+
+const findMixedDateFormats = (data, { mappings }) => {
+  if (!mappings.date) return null;
+
+  const byStyle = {};
+  data.rows.forEach((row, idx) => {
+    const value = row[mappings.date.index];
+    if (isBlank(value)) return;
+    const text = value.toString().trim();
+    const style = DATE_STYLES.find(candidate => candidate.pattern.test(text)) || { id: 'unknown', label: 'Unrecognised' };
+    byStyle[style.id] = byStyle[style.id] || { label: style.label, rowIndexes: [] };
+    byStyle[style.id].rowIndexes.push(idx);
+  });
+
+  const styles = Object.values(byStyle).sort((a, b) => b.rowIndexes.length - a.rowIndexes.length);
+  if (styles.length <= 1) return null;
+
+  // The most common style is treated as correct; everything else is flagged
+  return {
+    dominant: styles[0].label,
+    others: styles.slice(1),
+    rowIndexes: styles.slice(1).flatMap(style => style.rowIndexes)
+  };
+};
+
+// Run every data quality check. Each issue lists the affected rows and the fixes that apply to it.
+export const auditDataset = (data) => {
+  const issues = [];
+  if (!data || !data.rows || data.rows.length === 0) {
+    return { issues, rowsChecked: 0, missingByColumn: [] };
+  }
+
+  const context = createAuditContext(data);
+  const { mappings, read } = context;
+  const numericFields = NUMERIC_FIELDS.filter(field => mappings[field]);
+
+  const duplicates = findDuplicateRows(data);
+  if (duplicates.length > 0) {
+    issues.push({
+      id: 'duplicates',
+      type: 'duplicates',
+      severity: 'warning',
+      message: `${duplicates.length} row(s) are exact duplicates of an earlier row.`,
+      rowIndexes: duplicates,
+      fixes: ['drop']
+    });
+  }
+
+  const missingByColumn = findMissingValues(data, context);
+  missingByColumn.forEach(({ header, field, columnIndex, rowIndexes }) => {
+    if (rowIndexes.length === 0) return;
+    issues.push({
+      id: `missing:${columnIndex}`,
+      type: 'missing',
+      severity: field ? 'warning' : 'info',
+      columnIndex,
+      field,
+      message: `${header}${field ? ` (${fieldLabel(field)})` : ''} is empty in ${rowIndexes.length} row(s).`,
+      rowIndexes,
+      fixes: field ? ['drop', 'impute'] : ['drop']
+    });
+  });
+
+  numericFields.forEach(field => {
+    const negatives = [];
+    data.rows.forEach((row, idx) => {
+      if (read(row, field) < 0) negatives.push(idx);
+    });
+    if (negatives.length > 0) {
+      issues.push({
+        id: `negative:${field}`,
+        type: 'negative',
+        severity: 'error',
+        field,
+        message: `${fieldLabel(field)} is negative in ${negatives.length} row(s).`,
+        rowIndexes: negatives,
+        fixes: ['drop', 'clamp'],
+        clampTo: { min: 0 }
+      });
+    }
+  });
+
+  RATE_FIELDS.filter(field => mappings[field]).forEach(field => {
+    const overHundred = [];
+    data.rows.forEach((row, idx) => {
+      if (read(row, field) > 100) overHundred.push(idx);
+    });
+    if (overHundred.length > 0) {
+      issues.push({
+        id: `impossible:${field}`,
+        type: 'impossible',
+        severity: 'error',
+        field,
+        message: `${fieldLabel(field)} is above 100% in ${overHundred.length} row(s).`,
+        rowIndexes: overHundred,
+        fixes: ['drop', 'clamp'],
+        clampTo: { max: 100 }
+      });
+    }
+  });
+
+  // Count metrics that can never exceed another column in the same row
+  [['clicks', 'impressions'], ['reach', 'impressions'], ['videoCompletions', 'videoViews']].forEach(([field, ceilingField]) => {
+    if (!mappings[field] || !mappings[ceilingField]) return;
+    const rows = [];
+    data.rows.forEach((row, idx) => {
+      if (read(row, field) > read(row, ceilingField)) rows.push(idx);
+    });
+    if (rows.length > 0) {
+      issues.push({
+        id: `impossible:${field}`,
+        type: 'impossible',
+        severity: 'error',
+        field,
+        message: `${fieldLabel(field)} exceeds ${fieldLabel(ceilingField)} in ${rows.length} row(s).`,
+        rowIndexes: rows,
+        fixes: ['drop', 'clamp'],
+        clampTo: { maxField: ceilingField }
+      });
+    }
+  });
+
+  numericFields.forEach(field => {
+    const { rowIndexes, fences } = findOutliers(data, context, field);
+    if (rowIndexes.length > 0) {
+      issues.push({
+        id: `outlier:${field}`,
+        type: 'outlier',
+        severity: 'warning',
+        field,
+        message: `${rowIndexes.length} row(s) have an unusual ${fieldLabel(field)} compared with the rest of their channel.`,
+        rowIndexes,
+        fixes: ['drop', 'clamp'],
+        clampTo: { fences }
+      });
+    }
+  });
+
+  const mixedDates = findMixedDateFormats(data, context);
+  if (mixedDates) {
+    issues.push({
+      id: 'dates',
+      type: 'dateFormat',
+      severity: 'warning',
+      field: 'date',
+      message: `Most dates use ${mixedDates.dominant}, but ${mixedDates.rowIndexes.length} row(s) use ` +
+        `${mixedDates.others.map(style => style.label).join(', ')}.`,
+      rowIndexes: mixedDates.rowIndexes,
+      fixes: ['drop']
+    });
+  }
+
+  if (mappings.cost && mappings.cpm && mappings.impressions) {
+    const mismatched = [];
+    data.rows.forEach((row, idx) => {
+      const cost = read(row, 'cost');
+      const expected = read(row, 'cpm') * read(row, 'impressions') / 1000;
+      if (isNaN(cost) || isNaN(expected) || cost <= 0) return;
+      if (Math.abs(cost - expected) / cost > RECONCILE_TOLERANCE) mismatched.push(idx);
+    });
+    if (mismatched.length > 0) {
+      issues.push({
+        id: 'reconcile:cpm',
+        type: 'reconcile',
+        severity: 'error',
+        field: 'cpm',
+        message: `Cost doesn't match CPM × impressions / 1000 in ${mismatched.length} row(s).`,
+        rowIndexes: mismatched,
+        fixes: ['drop', 'impute']
+      });
+    }
+  }
+
+  return { issues, rowsChecked: data.rows.length, missingByColumn };
+};
+
+// Build a function that gives the replacement value for an empty or inconsistent cell
+const createImputer = (data, context, issue) => {
+  if (issue.type === 'reconcile') {
+    // Cost and impressions are the base figures, so the CPM is recomputed from them
+    return (row) => context.toCellValue('cpm', (context.read(row, 'cost') / context.read(row, 'impressions')) * 1000);
+  }
+  if (!issue.field || !NUMERIC_FIELDS.includes(issue.field)) return () => 'Unknown';
+
+  // Median of the same channel, falling back to the whole column
+  const byChannel = {};
+  const all = [];
+  data.rows.forEach(row => {
+    const value = context.read(row, issue.field);
+    if (isNaN(value)) return;
+    const channel = context.channelOf(row);
+    byChannel[channel] = byChannel[channel] || [];
+    byChannel[channel].push(value);
+    all.push(value);
+  });
+  const channelMedians = {};
+  Object.entries(byChannel).forEach(([channel, values]) => {
+    channelMedians[channel] = median(values);
+  });
+  const overallMedian = median(all);
+
+  return (row) => {
+    const value = channelMedians[context.channelOf(row)] !== undefined ? channelMedians[context.channelOf(row)] : overallMedian;
+    return isNaN(value) ? '' : context.toCellValue(issue.field, value);
+  };
+};
+
+const clampValue = (context, issue, row) => {
+  const value = context.read(row, issue.field);
+  const { min, max, maxField, fences } = issue.clampTo || {};
+  let clamped = value;
+
+  if (min !== undefined) clamped = Math.max(min, clamped);
+  if (max !== undefined) clamped = Math.min(max, clamped);
+  if (maxField) clamped = Math.min(context.read(row, maxField), clamped);
+  if (fences) {
+    const fence = fences[context.channelOf(row)];
+    if (fence) clamped = Math.min(Math.max(clamped, fence.low), fence.high);
+  }
+
+  return context.toCellValue(issue.field, clamped);
+};
+
+// Apply one fix ('drop', 'impute' or 'clamp') to the rows an issue points at. Returns a new dataset
+// and keeps the original rows so every fix can be undone.
+export const applyAuditFix = (data, issue, fix) => {
+  const affected = new Set(issue.rowIndexes);
+  const context = createAuditContext(data);
+  let rows;
+
+  if (fix === 'drop') {
+    rows = data.rows.filter((_, idx) => !affected.has(idx));
+  } else {
+    const impute = fix === 'impute' ? createImputer(data, context, issue) : null;
+    const targetIndex = issue.type === 'reconcile' ? context.mappings.cpm.index :
+      issue.columnIndex !== undefined ? issue.columnIndex : context.mappings[issue.field].index;
+
+    rows = data.rows.map((row, idx) => {
+      if (!affected.has(idx)) return row;
+      const next = [...row];
+      next[targetIndex] = impute ? impute(row) : clampValue(context, issue, row);
+      return next;
+    });
+  }
+
+  return {
+    ...data,
+    rows,
+    originalRows: data.originalRows || data.rows,
+    auditLog: [...(data.auditLog || []), { issueId: issue.id, fix, rowCount: issue.rowIndexes.length, message: issue.message }],
+    basicMetrics: undefined,
+    audit: undefined,
+    channelValues: undefined,
+    prepared: undefined
+  };
+};
+
+// Undo every applied fix
+export const restoreOriginalRows = (data) => {
+  if (!data.originalRows) return data;
+
+  const { originalRows, auditLog, ...rest } = data;
+  return { ...rest, rows: originalRows, basicMetrics: undefined, audit: undefined, channelValues: undefined, prepared: undefined };
+};
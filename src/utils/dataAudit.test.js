@@ -0,0 +1,38 @@
+import { auditDataset, applyAuditFix, restoreOriginalRows } from './dataAudit';
+
+const data = {
+  headers: ['Channel', 'Impressions', 'Clicks', 'CTR', 'CPM', 'Cost'],
+  rows: [
+    ['Search', '1000', '50', '5%', '20', '20'],
+    ['Search', '1000', '50', '5%', '20', '20'],
+    ['Social', '100', '150', '150%', '10', '1'],
+    ['Display', '2000', '', '0.5%', '5', '40']
+  ]
+};
+
+const findIssue = (audit, id) => audit.issues.find(issue => issue.id === id);
+
+test('finds duplicates, impossible values, gaps and unreconciled cost', () => {
+  const audit = auditDataset(data);
+
+  expect(findIssue(audit, 'duplicates').rowIndexes).toEqual([1]);
+  expect(findIssue(audit, 'impossible:ctr').rowIndexes).toEqual([2]);
+  expect(findIssue(audit, 'impossible:clicks').rowIndexes).toEqual([2]);
+  expect(findIssue(audit, 'missing:2').rowIndexes).toEqual([3]);
+  expect(findIssue(audit, 'reconcile:cpm').rowIndexes).toEqual([3]);
+});
+
+test('fixes produce a cleaned dataset that can be restored', () => {
+  const audit = auditDataset(data);
+  const clamped = applyAuditFix(data, findIssue(audit, 'impossible:clicks'), 'clamp');
+  expect(clamped.rows[2][2]).toBe(100);
+
+  const recomputed = applyAuditFix(clamped, findIssue(audit, 'reconcile:cpm'), 'impute');
+  expect(recomputed.rows[3][4]).toBe(20);
+
+  const dropped = applyAuditFix(recomputed, findIssue(audit, 'duplicates'), 'drop');
+  expect(dropped.rows).toHaveLength(3);
+  expect(dropped.auditLog).toHaveLength(3);
+
+  expect(restoreOriginalRows(dropped).rows).toEqual(data.rows);
+});
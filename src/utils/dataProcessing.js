@@ -1,34 +1,7 @@
-import Papa from 'papaparse';
-
-export const processCSVFile = (file) => {
-  return new Promise((resolve, reject) => {
-    Papa.parse(file, {
-      complete: (results) => {
-        try {
-          const processedData = {
-            filename: file.name,
-            data: results.data,
-            headers: results.data[0] || [],
-            rows: results.data.slice(1) || [],
-            errors: results.errors
-          };
-          resolve(processedData);
-        } catch (error) {
-          reject(error);
-        }
-      },
-      error: (error) => {
-        reject(error);
-      },
-      header: false,
-      skipEmptyLines: true,
-      dynamicTyping: true
-    });
-  });
-};
+import { BASE_METRIC_FIELDS, createKpiAccumulator, createRowDerivationCheck } from './derivedMetrics';
 
 // Enhanced column mapping for flexible data handling
-const COLUMN_MAPPINGS = {
+export const COLUMN_MAPPINGS = {
   // Channel/Platform identifiers
   channel: [
     'channel', 'platform', 'media', 'source', 'campaign_type', 'ad_platform',
@@ -64,7 +37,7 @@ const COLUMN_MAPPINGS = {
   
   // Impressions variations
   impressions: [
-    'impressions', 'total_impressions', 'impression', 'views', 'total_views',
+    'impressions', 'total_impressions', 'impression', 'impr', 'views', 'total_views',
     'ad_impressions', 'served_impressions', 'delivered_impressions'
   ],
   
@@ -76,7 +49,7 @@ const COLUMN_MAPPINGS = {
   
   // Cost variations
   cost: [
-    'cost', 'total_cost', 'spend', 'budget', 'investment', 'media_cost',
+    'cost', 'total_cost', 'spend', 'media_cost',
     'advertising_cost', 'campaign_cost', 'total_spend', 'amount_spent'
   ],
   
@@ -85,6 +58,52 @@ const COLUMN_MAPPINGS = {
     'budget', 'planned_budget', 'allocated_budget', 'budget_allocation',
     'investment', 'spend_target', 'budget_amount'
   ],
+
+  // Conversion variations
+  conversions: [
+    'conversions', 'total_conversions', 'conversion', 'conv', 'purchases', 'acquisitions',
+    'orders', 'results', 'actions'
+  ],
+
+  // Revenue / conversion value variations
+  revenue: [
+    'revenue', 'total_revenue', 'conversion_value', 'conv_value', 'purchase_value',
+    'sales_revenue', 'sales', 'total_conversion_value'
+  ],
+
+  // Lead variations
+  leads: [
+    'leads', 'total_leads', 'lead', 'form_fills', 'form_submissions', 'signups', 'sign_ups',
+    'registrations', 'on_facebook_leads'
+  ],
+
+  // App install variations
+  installs: [
+    'installs', 'app_installs', 'mobile_app_installs', 'install', 'app_downloads', 'downloads'
+  ],
+
+  // Video view variations
+  videoViews: [
+    'video_views', 'video_plays', 'video_starts', 'thruplays', 'plays', 'views_video', 'video_view'
+  ],
+
+  // Completed video view variations
+  videoCompletions: [
+    'video_completions', 'completed_views', 'complete_views', 'completions', 'video_completes',
+    'views_100%', '100%_views', 'video_plays_at_100%', 'video_watches_at_100%', 'video_played_to_100%'
+  ],
+
+  // Viewability rate variations
+  viewability: [
+    'viewability', 'viewability_rate', 'viewable_rate', '%_viewable', 'viewable_%', 'in_view_rate',
+    'in-view_rate', 'viewable_impressions_%', 'measured_viewability'
+  ],
+
+  // Target audience size, used for reach points
+  universe: [
+    'universe', 'target_universe', 'population', 'target_population', 'audience_size',
+    'universe_estimate'
+  ],
   
   // Demographic variations
   demographic: [
@@ -101,38 +120,203 @@ const COLUMN_MAPPINGS = {
   // Date/Time variations
   date: [
     'date', 'time', 'period', 'week', 'month', 'quarter', 'campaign_date',
-    'flight_date', 'run_date', 'start_date', 'end_date'
+    'flight_date', 'run_date', 'day', 'report_date', 'reporting_starts', 'start_date'
   ]
 };
 
-// Function to normalize column names and find matches
-const findColumnMatch = (headers, targetColumn) => {
-  const normalizedHeaders = headers.map(h => h.toString().toLowerCase().trim().replace(/\s+/g, '_'));
-  const possibleNames = COLUMN_MAPPINGS[targetColumn] || [];
-  
-  for (let possibleName of possibleNames) {
-    const normalizedPossible = possibleName.toLowerCase().trim();
-    const matchIndex = normalizedHeaders.findIndex(header => 
-      header === normalizedPossible || 
-      header.includes(normalizedPossible) ||
-      normalizedPossible.includes(header) ||
-      // Handle percentage symbols
-      header.replace(/%/g, '').includes(normalizedPossible) ||
-      // Handle underscores and dashes
-      header.replace(/[-_]/g, '').includes(normalizedPossible.replace(/[-_]/g, ''))
-    );
-    
-    if (matchIndex !== -1) {
-      return {
+// Human-readable labels for the mapping editor
+export const COLUMN_LABELS = {
+  channel: 'Channel / Platform',
+  ctr: 'CTR',
+  cpm: 'CPM',
+  reach: 'Reach',
+  frequency: 'Frequency',
+  impressions: 'Impressions',
+  clicks: 'Clicks',
+  cost: 'Cost / Spend',
+  budget: 'Planned Budget',
+  conversions: 'Conversions',
+  revenue: 'Revenue',
+  leads: 'Leads',
+  installs: 'App Installs',
+  videoViews: 'Video Views',
+  videoCompletions: 'Video Completions',
+  viewability: 'Viewability Rate',
+  universe: 'Audience Universe',
+  demographic: 'Demographic',
+  geography: 'Geography',
+  date: 'Date'
+};
+
+// Marker used in mapping overrides for headers the user wants left out of the analysis
+export const IGNORED_COLUMN = '__ignore__';
+
+// Minimum score for an automatic match to be accepted
+const MIN_MATCH_CONFIDENCE = 0.45;
+
+// Words that make a header a particular variant of a field ("End Date", "Last Click Date"). A partial
+// match carrying one of these is kept below the auto-match threshold so the user has to confirm it.
+const QUALIFIER_TOKENS = ['start', 'end', 'last', 'first', 'created', 'modified', 'updated'];
+const QUALIFIED_MATCH_SCORE = 0.3;
+
+export const normalizeHeader = (header) =>
+  (header === null || header === undefined ? '' : header.toString())
+    .toLowerCase()
+    .trim()
+    .replace(/[()[\]]/g, '')
+    .replace(/\s+/g, '_');
+
+const compactName = (name) => name.replace(/[-_%.\s]/g, '');
+
+const tokenize = (name) => name.split(/[-_\s./]+/).filter(Boolean);
+
+// Score how well a header matches one alias: 1 for an exact match, lower for partial matches.
+// Partial matches must line up on whole words so "cost" doesn't claim "cost_per_impression" as
+// strongly as the CPM aliases do.
+const scoreAlias = (header, alias) => {
+  const normalizedAlias = alias.toLowerCase().trim();
+  if (header === normalizedAlias) return 1;
+  if (compactName(header) === compactName(normalizedAlias)) return 0.95;
+
+  const headerTokens = tokenize(header.replace(/%/g, ''));
+  const aliasTokens = tokenize(normalizedAlias.replace(/%/g, ''));
+  if (headerTokens.length === 0 || aliasTokens.length === 0) return 0;
+  const isQualified = headerTokens.some(token => QUALIFIER_TOKENS.includes(token) && !aliasTokens.includes(token));
+
+  // Alias appears as a run of whole words inside the header, e.g. "total_spend_usd" vs "spend"
+  const runIndex = headerTokens.findIndex((_, idx) =>
+    aliasTokens.every((token, offset) => headerTokens[idx + offset] === token)
+  );
+  if (runIndex !== -1) {
+    const coverage = aliasTokens.length / headerTokens.length;
+    // Headers like "cost_per_x", "x_per_y" or "x_rate" describe a rate, not the base metric
+    const nextToken = headerTokens[runIndex + aliasTokens.length];
+    const isRateOfAlias = nextToken === 'per' || nextToken === 'rate' || headerTokens[runIndex - 1] === 'per';
+    const score = (isRateOfAlias ? 0.35 : 0.6) + 0.3 * coverage;
+    return isQualified ? Math.min(score, QUALIFIED_MATCH_SCORE) : score;
+  }
+
+  // Loose substring match on the compacted names as a last resort
+  const compactHeader = compactName(header);
+  const compactAlias = compactName(normalizedAlias);
+  if (compactAlias.length >= 4 && compactHeader.includes(compactAlias)) return isQualified ? QUALIFIED_MATCH_SCORE : 0.5;
+
+  return 0;
+};
+
+// Best score for a header against every alias of a field, with the alias rank used to break ties
+const scoreField = (header, field) => {
+  const aliases = COLUMN_MAPPINGS[field] || [];
+  let best = { score: 0, rank: Infinity };
+
+  aliases.forEach((alias, rank) => {
+    const score = scoreAlias(header, alias);
+    if (score > best.score) {
+      best = { score, rank };
+    }
+  });
+
+  return best;
+};
+
+// Assign headers to semantic fields. Every header is scored against every field and the best
+// pairs are taken first, so each header maps to at most one field and vice versa.
+export const detectColumnMappings = (headers) => {
+  const normalizedHeaders = headers.map(normalizeHeader);
+  const candidates = [];
+
+  normalizedHeaders.forEach((header, index) => {
+    Object.keys(COLUMN_MAPPINGS).forEach(field => {
+      const { score, rank } = scoreField(header, field);
+      if (score >= MIN_MATCH_CONFIDENCE) {
+        candidates.push({ index, field, score, rank });
+      }
+    });
+  });
+
+  candidates.sort((a, b) => b.score - a.score || a.rank - b.rank || a.index - b.index);
+
+  const mappings = {};
+  const claimedHeaders = new Set();
+  candidates.forEach(({ index, field, score }) => {
+    if (mappings[field] || claimedHeaders.has(index)) return;
+
+    claimedHeaders.add(index);
+    mappings[field] = {
+      found: true,
+      originalName: headers[index],
+      index,
+      mappedTo: field,
+      confidence: Math.round(score * 100) / 100,
+      source: 'auto'
+    };
+  });
+
+  return mappings;
+};
+
+// Apply user overrides ({ [header]: field | IGNORED_COLUMN }) on top of the automatic mapping.
+// Overrides are keyed by header name so saved profiles carry over to later files.
+export const applyMappingOverrides = (headers, autoMappings, overrides = {}, source = 'manual') => {
+  const mappings = {};
+  const overriddenHeaders = new Set();
+  const manuallyMappedFields = new Set();
+
+  headers.forEach((header, index) => {
+    const override = overrides[header];
+    if (override === undefined) return;
+
+    overriddenHeaders.add(index);
+    if (override !== IGNORED_COLUMN && COLUMN_MAPPINGS[override] && !manuallyMappedFields.has(override)) {
+      manuallyMappedFields.add(override);
+      mappings[override] = {
         found: true,
-        originalName: headers[matchIndex],
-        index: matchIndex,
-        mappedTo: targetColumn
+        originalName: header,
+        index,
+        mappedTo: override,
+        confidence: 1,
+        source
       };
     }
-  }
-  
-  return { found: false, originalName: null, index: -1, mappedTo: targetColumn };
+  });
+
+  // Keep automatic matches that don't collide with anything the user decided
+  Object.entries(autoMappings).forEach(([field, match]) => {
+    if (!mappings[field] && !overriddenHeaders.has(match.index)) {
+      mappings[field] = match;
+    }
+  });
+
+  return mappings;
+};
+
+// Resolve the mapping for a dataset, honouring any overrides chosen in the mapping editor
+export const resolveColumnMappings = (data) => {
+  const autoMappings = detectColumnMappings(data.headers || []);
+  if (!data.columnOverrides) return autoMappings;
+
+  return applyMappingOverrides(data.headers, autoMappings, data.columnOverrides, data.mappingSource || 'manual');
+};
+
+// One entry per header for the mapping editor: which field it feeds and how sure we are
+export const describeHeaderMappings = (data) => {
+  const mappings = resolveColumnMappings(data);
+  const byIndex = {};
+  Object.values(mappings).forEach(match => {
+    byIndex[match.index] = match;
+  });
+
+  return (data.headers || []).map((header, index) => {
+    const match = byIndex[index];
+    return {
+      header,
+      index,
+      field: match ? match.mappedTo : null,
+      confidence: match ? match.confidence : 0,
+      source: match ? match.source : (data.columnOverrides && data.columnOverrides[header] === IGNORED_COLUMN ? 'ignored' : 'none'),
+      samples: (data.rows || []).slice(0, 3).map(row => row[index])
+    };
+  });
 };
 
 // Enhanced validation that's much more flexible
@@ -141,7 +325,7 @@ export const validateMediaData = (data) => {
     return {
       isValid: false,
       missingColumns: [],
-      suggestions: 'No headers found in the CSV file. Please ensure the first row contains column headers.',
+      suggestions: 'No headers found in the file. Please ensure the first row contains column headers.',
       columnMappings: {},
       recommendedColumns: []
     };
@@ -149,36 +333,34 @@ export const validateMediaData = (data) => {
 
   // Core columns we ideally want (but don't require all)
   const idealColumns = ['channel', 'ctr', 'cpm', 'reach', 'frequency', 'impressions', 'clicks', 'cost'];
-  const foundMappings = {};
-  const missingColumns = [];
-  const foundColumns = [];
-
-  // Try to map each ideal column
-  idealColumns.forEach(column => {
-    const match = findColumnMatch(data.headers, column);
-    if (match.found) {
-      foundMappings[column] = match;
-      foundColumns.push(column);
-    } else {
-      missingColumns.push(column);
-    }
-  });
+  const foundMappings = resolveColumnMappings(data);
+  const missingColumns = idealColumns.filter(column => !foundMappings[column]);
+  const foundColumns = idealColumns.filter(column => foundMappings[column]);
 
   // We're flexible - if we have at least 2 columns that could be useful, we're good
   const hasMinimumData = foundColumns.length >= 2;
   
   // Special case: if we have any channel/platform identifier, that's great
-  const hasChannelData = foundMappings.channel || 
-    data.headers.some(h => h.toString().toLowerCase().includes('platform') || 
-                          h.toString().toLowerCase().includes('source'));
+  const hasChannelData = Boolean(foundMappings.channel);
+
+  const outcomeColumns = OUTCOME_FIELDS.filter(column => foundMappings[column]);
+
+  // Low-confidence automatic matches are worth a second look in the mapping editor
+  const uncertainColumns = Object.values(foundMappings)
+    .filter(match => match.source === 'auto' && match.confidence < 0.8)
+    .map(match => match.mappedTo);
 
   return {
     isValid: hasMinimumData,
     missingColumns: missingColumns,
     foundColumns: foundColumns,
     columnMappings: foundMappings,
+    uncertainColumns: uncertainColumns,
+    outcomeColumns: outcomeColumns,
+    hasOutcomeData: outcomeColumns.length > 0,
     suggestions: hasMinimumData ? 
-      `Great! Found ${foundColumns.length} relevant columns. The AI can analyze this data.` :
+      `Great! Found ${foundColumns.length} relevant columns. The AI can analyze this data.` +
+        (outcomeColumns.length === 0 ? ' Add conversions, leads or revenue to judge campaigns on outcomes, not just reach and clicks.' : '') :
       `Found ${foundColumns.length} relevant columns. For best results, include columns for channel, metrics like CTR/CPM, and performance data.`,
     hasChannelData: hasChannelData,
     recommendedColumns: foundColumns,
@@ -186,83 +368,344 @@ export const validateMediaData = (data) => {
   };
 };
 
-// Enhanced basic metrics calculation using flexible column mapping
-export const calculateBasicMetrics = (data) => {
-  if (!data.rows || data.rows.length === 0) {
-    return null;
+// Numeric columns that go through locale/format normalization before any math is done
+export const NUMERIC_FIELDS = [
+  'ctr', 'cpm', 'reach', 'frequency', 'impressions', 'clicks', 'cost', 'budget', 'conversions', 'revenue',
+  'leads', 'installs', 'videoViews', 'videoCompletions', 'viewability', 'universe'
+];
+
+// Lower-funnel outcomes; campaigns should be judged on these when a file has them
+export const OUTCOME_FIELDS = ['conversions', 'leads', 'installs', 'revenue', 'videoViews', 'videoCompletions'];
+
+// Rate columns can be reported as a percent (2.3) or a fraction (0.023); we normalize to percent
+export const RATE_FIELDS = ['ctr', 'viewability'];
+const CURRENCY_FIELDS = ['cpm', 'cost', 'budget', 'revenue'];
+
+const CURRENCY_SYMBOLS = { $: 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR' };
+const CURRENCY_PATTERN = /[$€£¥₹]|\b(USD|EUR|GBP|JPY|CAD|AUD|INR|CHF|SEK|NOK|DKK|BRL|MXN)\b/i;
+const CURRENCY_PATTERN_GLOBAL = new RegExp(CURRENCY_PATTERN.source, 'gi');
+const SUFFIX_PATTERN = /(k|m|mm|b|bn)$/i;
+const SUFFIX_MULTIPLIERS = { k: 1e3, m: 1e6, mm: 1e6, b: 1e9, bn: 1e9 };
+
+// How many cells per column we inspect when inferring its format
+const FORMAT_SAMPLE_SIZE = 500;
+
+export const DEFAULT_NUMBER_FORMAT = { decimalSeparator: '.', rateScale: 'percent' };
+
+const isBlankValue = (value) => value === null || value === undefined || value.toString().trim() === '';
+
+// Strip currency, percent signs, grouping spaces/apostrophes and K/M suffixes, keeping digits and separators
+const splitNumberText = (raw) => {
+  let text = raw.toString().trim();
+  let negative = false;
+
+  // Accounting style negatives: (1,234.00)
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
   }
 
+  const isPercent = text.includes('%');
+  text = text.replace(CURRENCY_PATTERN_GLOBAL, '').replace(/%/g, '').replace(/[\s\u00a0\u202f']/g, '');
+
+  if (text.startsWith('-')) {
+    negative = !negative;
+    text = text.slice(1);
+  }
+
+  let multiplier = 1;
+  const suffix = text.match(SUFFIX_PATTERN);
+  if (suffix && /\d/.test(text.slice(0, -suffix[0].length))) {
+    multiplier = SUFFIX_MULTIPLIERS[suffix[0].toLowerCase()];
+    text = text.slice(0, -suffix[0].length);
+  }
+
+  return { core: text, negative, isPercent, multiplier };
+};
+
+// Parse one raw cell using a column's number format. Returns NaN for anything non-numeric.
+export const parseNumericValue = (raw, format = DEFAULT_NUMBER_FORMAT) => {
+  if (isBlankValue(raw)) return NaN;
+
+  let value;
+  let isPercent = false;
+  if (typeof raw === 'number') {
+    value = raw;
+  } else {
+    const parts = splitNumberText(raw);
+    isPercent = parts.isPercent;
+
+    const core = format.decimalSeparator === ','
+      ? parts.core.replace(/\./g, '').replace(',', '.')
+      : parts.core.replace(/,/g, '');
+    if (!/^\d*\.?\d+(e[-+]?\d+)?$/i.test(core)) return NaN;
+
+    value = Number(core) * parts.multiplier * (parts.negative ? -1 : 1);
+  }
+
+  // Fractions like 0.023 become 2.3 so every rate column is expressed in percent
+  if (format.isRate && !isPercent && format.rateScale === 'fraction') {
+    value *= 100;
+  }
+  return value;
+};
+
+// Spread the sample across the whole column so late-file format changes are still seen
+const sampleColumn = (rows, index) => {
+  const step = Math.max(1, Math.floor(rows.length / FORMAT_SAMPLE_SIZE));
+  const values = [];
+  for (let i = 0; i < rows.length && values.length < FORMAT_SAMPLE_SIZE; i += step) {
+    const value = rows[i][index];
+    if (!isBlankValue(value)) values.push(value);
+  }
+  return values;
+};
+
+// Vote on the decimal separator used by one cell's digits, or 'ambiguous' for "1,234" / "1.234"
+const separatorVote = (core) => {
+  const commas = (core.match(/,/g) || []).length;
+  const points = (core.match(/\./g) || []).length;
+
+  if (commas > 0 && points > 0) return core.lastIndexOf(',') > core.lastIndexOf('.') ? ',' : '.';
+  if (commas > 1) return '.';
+  if (points > 1) return ',';
+  if (commas === 1) return /^\d{1,3},\d{3}$/.test(core) ? 'ambiguous' : ',';
+  if (points === 1) return /^\d{1,3}\.\d{3}$/.test(core) ? 'ambiguous' : '.';
+  return null;
+};
+
+// Infer currency, separators, percent/fraction convention and suffix use for one column
+export const inferNumberFormat = (values, field, header = '') => {
+  const votes = { ',': 0, '.': 0, ambiguous: 0 };
+  let currency = null;
+  let percentCount = 0;
+  let suffixCount = 0;
+  let numericCount = 0;
+
+  const headerCurrency = header.toString().match(CURRENCY_PATTERN);
+  if (headerCurrency) {
+    currency = CURRENCY_SYMBOLS[headerCurrency[0]] || headerCurrency[0].toUpperCase();
+  }
+
+  values.forEach(value => {
+    if (typeof value === 'number') {
+      numericCount++;
+      return;
+    }
+    const text = value.toString();
+    const currencyMatch = text.match(CURRENCY_PATTERN);
+    if (currencyMatch && !currency) {
+      currency = CURRENCY_SYMBOLS[currencyMatch[0]] || currencyMatch[0].toUpperCase();
+    }
+
+    const parts = splitNumberText(text);
+    if (!/\d/.test(parts.core)) return;
+    numericCount++;
+    if (parts.isPercent) percentCount++;
+    if (parts.multiplier !== 1) suffixCount++;
+
+    const vote = separatorVote(parts.core);
+    if (vote) votes[vote]++;
+  });
+
+  const ambiguities = [];
+  let decimalSeparator = votes[','] > votes['.'] ? ',' : '.';
+  if (votes[','] > 0 && votes['.'] > 0) {
+    ambiguities.push('Both "1,234.56" and "1.234,56" style numbers appear in this column.');
+  } else if (votes[','] === 0 && votes['.'] === 0 && votes.ambiguous > 0) {
+    ambiguities.push('Values like "1,234" or "1.234" could use either a thousands or a decimal separator.');
+  }
+
+  const format = {
+    field,
+    currency,
+    decimalSeparator,
+    thousandsSeparator: decimalSeparator === ',' ? '.' : ',',
+    hasPercent: percentCount > 0,
+    hasSuffix: suffixCount > 0,
+    isRate: RATE_FIELDS.includes(field),
+    rateScale: null,
+    numericCount,
+    sampleSize: values.length
+  };
+
+  if (format.isRate) {
+    if (percentCount > 0 || header.toString().includes('%')) {
+      format.rateScale = 'percent';
+    } else {
+      const parsed = values
+        .map(value => parseNumericValue(value, { decimalSeparator, isRate: false }))
+        .filter(value => !isNaN(value))
+        .sort((a, b) => a - b);
+      const max = parsed.length > 0 ? parsed[parsed.length - 1] : 0;
+      if (max > 1) {
+        format.rateScale = 'percent';
+      } else if (parsed.length > 0) {
+        // Everything is between 0 and 1: either fractions or very low percentages
+        const median = parsed[Math.floor(parsed.length / 2)];
+        format.rateScale = median < 0.05 ? 'fraction' : 'percent';
+        ambiguities.push('All values are 1 or below, so they could be fractions (0.023 = 2.3%) or percentages.');
+      } else {
+        format.rateScale = 'percent';
+      }
+    }
+  }
+
+  format.unit = format.isRate ? 'percent' :
+    CURRENCY_FIELDS.includes(field) ? `currency${currency ? ` (${currency})` : ''}` :
+    field === 'frequency' ? 'average per person' : 'count';
+  format.ambiguities = ambiguities;
+  format.ambiguous = ambiguities.length > 0;
+
+  return format;
+};
+
+// Infer number formats for every mapped numeric column and apply user choices from
+// data.numberFormatOverrides ({ [field]: { decimalSeparator, rateScale } }).
+export const resolveNumberFormats = (data, mappings = resolveColumnMappings(data)) => {
+  const formats = {};
+  const overrides = data.numberFormatOverrides || {};
+
+  NUMERIC_FIELDS.forEach(field => {
+    const match = mappings[field];
+    if (!match) return;
+
+    const inferred = inferNumberFormat(sampleColumn(data.rows || [], match.index), field, match.originalName);
+    const override = overrides[field];
+    formats[field] = override ? {
+      ...inferred,
+      ...override,
+      thousandsSeparator: (override.decimalSeparator || inferred.decimalSeparator) === ',' ? '.' : ',',
+      ambiguous: false,
+      confirmed: true
+    } : inferred;
+    formats[field].header = match.originalName;
+  });
+
+  return formats;
+};
+
+// Columns whose format we couldn't settle and that the user should confirm before metrics run
+export const findAmbiguousFormats = (data) =>
+  Object.values(resolveNumberFormats(data)).filter(format => format.ambiguous);
+
+// Running sum/count/min/max for one metric, so large files never need an intermediate array
+const createRunningStat = () => ({ sum: 0, count: 0, min: Infinity, max: -Infinity });
+
+const addToRunningStat = (stat, value) => {
+  if (isNaN(value) || value <= 0) return;
+  stat.sum += value;
+  stat.count++;
+  if (value < stat.min) stat.min = value;
+  if (value > stat.max) stat.max = value;
+};
+
+// Metrics summarised by the basic accumulator
+const BASIC_METRIC_FIELDS = ['ctr', 'cpm', 'reach', 'frequency', 'cost', 'viewability'];
+
+// Single-pass metric aggregation. Feed rows one at a time with add(), then call result().
+// KPIs are weighted by volume (see createKpiAccumulator); reported KPIs are re-checked per row.
+export const createMetricsAccumulator = (data) => {
   const validation = validateMediaData(data);
   const mappings = validation.columnMappings;
-  
-  const totalRows = data.rows.length;
-  
-  try {
-    let metrics = {
-      totalCampaigns: totalRows,
-      totalRows: totalRows,
-      columnsFound: validation.foundColumns,
-      dataQuality: validation.dataQuality
-    };
+  const formats = resolveNumberFormats(data, mappings);
+  const rowCheck = createRowDerivationCheck(mappings);
+  const trackedFields = [...new Set([...BASIC_METRIC_FIELDS, ...BASE_METRIC_FIELDS, ...rowCheck.fields])]
+    .filter(field => mappings[field]);
+  const stats = {};
+  trackedFields.forEach(field => {
+    stats[field] = createRunningStat();
+  });
+  const kpis = createKpiAccumulator();
+  const rowValues = {};
+  let totalRows = 0;
 
-    // Calculate metrics based on what columns we actually found
-    if (mappings.ctr) {
-      const ctrValues = data.rows
-        .map(row => parseFloat(row[mappings.ctr.index]))
-        .filter(val => !isNaN(val) && val > 0);
-      
-      if (ctrValues.length > 0) {
-        metrics.avgCTR = (ctrValues.reduce((sum, val) => sum + val, 0) / ctrValues.length).toFixed(2);
-        metrics.maxCTR = Math.max(...ctrValues).toFixed(2);
-        metrics.minCTR = Math.min(...ctrValues).toFixed(2);
+  return {
+    add: (row) => {
+      totalRows++;
+      for (let i = 0; i < trackedFields.length; i++) {
+        const field = trackedFields[i];
+        const value = parseNumericValue(row[mappings[field].index], formats[field]);
+        rowValues[field] = value;
+        addToRunningStat(stats[field], value);
       }
-    }
+      rowCheck.add(rowValues);
+      kpis.add(rowValues);
+    },
+    result: () => {
+      if (totalRows === 0) return null;
+
+      const metrics = {
+        totalCampaigns: totalRows,
+        totalRows: totalRows,
+        columnsFound: validation.foundColumns,
+        dataQuality: validation.dataQuality,
+        columnUnits: Object.fromEntries(Object.entries(formats).map(([field, format]) => [field, format.unit]))
+      };
 
-    if (mappings.cpm) {
-      const cpmValues = data.rows
-        .map(row => parseFloat(row[mappings.cpm.index]))
-        .filter(val => !isNaN(val) && val > 0);
-      
-      if (cpmValues.length > 0) {
-        metrics.avgCPM = (cpmValues.reduce((sum, val) => sum + val, 0) / cpmValues.length).toFixed(2);
-        metrics.maxCPM = Math.max(...cpmValues).toFixed(2);
-        metrics.minCPM = Math.min(...cpmValues).toFixed(2);
+      const reportedAverages = {};
+      ['ctr', 'cpm', 'viewability'].forEach(field => {
+        if (stats[field] && stats[field].count > 0) reportedAverages[field] = stats[field].sum / stats[field].count;
+      });
+      const rowChecks = rowCheck.result();
+      const { totals, derivedMetrics: derived, frequency } = kpis.result(reportedAverages, rowChecks);
+      metrics.totals = totals;
+      metrics.derivedMetrics = derived;
+
+      // Weighted CTR/CPM win over the plain averages of reported columns
+      if (derived.ctr) {
+        const range = rowChecks.ctr && rowChecks.ctr.min !== undefined ? rowChecks.ctr : stats.ctr;
+        metrics.avgCTR = derived.ctr.value.toFixed(2);
+        if (range) {
+          metrics.maxCTR = range.max.toFixed(2);
+          metrics.minCTR = range.min.toFixed(2);
+        }
       }
-    }
 
-    if (mappings.reach) {
-      const reachValues = data.rows
-        .map(row => parseInt(row[mappings.reach.index]))
-        .filter(val => !isNaN(val) && val > 0);
-      
-      if (reachValues.length > 0) {
-        metrics.totalReach = reachValues.reduce((sum, val) => sum + val, 0);
-        metrics.avgReach = Math.round(metrics.totalReach / reachValues.length);
+      if (derived.cpm) {
+        const range = rowChecks.cpm && rowChecks.cpm.min !== undefined ? rowChecks.cpm : stats.cpm;
+        metrics.avgCPM = derived.cpm.value.toFixed(2);
+        if (range) {
+          metrics.maxCPM = range.max.toFixed(2);
+          metrics.minCPM = range.min.toFixed(2);
+        }
       }
-    }
 
-    if (mappings.frequency) {
-      const freqValues = data.rows
-        .map(row => parseFloat(row[mappings.frequency.index]))
-        .filter(val => !isNaN(val) && val > 0);
-      
-      if (freqValues.length > 0) {
-        metrics.avgFrequency = (freqValues.reduce((sum, val) => sum + val, 0) / freqValues.length).toFixed(1);
+      if (stats.reach && stats.reach.count > 0) {
+        metrics.totalReach = Math.round(stats.reach.sum);
+        metrics.avgReach = Math.round(stats.reach.sum / stats.reach.count);
+      }
+
+      if (frequency !== undefined) {
+        metrics.avgFrequency = frequency.toFixed(1);
+      } else if (stats.frequency && stats.frequency.count > 0) {
+        metrics.avgFrequency = (stats.frequency.sum / stats.frequency.count).toFixed(1);
       }
-    }
 
-    if (mappings.cost) {
-      const costValues = data.rows
-        .map(row => parseFloat(row[mappings.cost.index]))
-        .filter(val => !isNaN(val) && val > 0);
-      
-      if (costValues.length > 0) {
-        metrics.totalCost = costValues.reduce((sum, val) => sum + val, 0);
-        metrics.avgCost = (metrics.totalCost / costValues.length).toFixed(2);
+      if (stats.cost && stats.cost.count > 0) {
+        metrics.totalCost = stats.cost.sum;
+        metrics.avgCost = (stats.cost.sum / stats.cost.count).toFixed(2);
       }
+
+      return metrics;
     }
+  };
+};
+
+// Enhanced basic metrics calculation using flexible column mapping
+export const calculateBasicMetrics = (data) => {
+  if (!data.rows || data.rows.length === 0) {
+    return null;
+  }
 
-    return metrics;
+  const totalRows = data.rows.length;
+  
+  try {
+    const accumulator = createMetricsAccumulator(data);
+    for (let i = 0; i < totalRows; i++) {
+      accumulator.add(data.rows[i]);
+    }
+    return accumulator.result();
 
   } catch (error) {
     console.error('Error calculating metrics:', error);
@@ -290,19 +733,3 @@ export const getDataSummary = (data) => {
     }
   };
 };
-
-// Helper function to format data for AI analysis with flexible column mapping
-export const prepareDataForAI = (data) => {
-  const validation = validateMediaData(data);
-  
-  return {
-    originalHeaders: data.headers,
-    mappedColumns: validation.columnMappings,
-    foundColumns: validation.foundColumns,
-    dataQuality: validation.dataQuality,
-    sampleRows: data.rows.slice(0, 10), // Send first 10 rows as sample
-    totalRows: data.rows.length,
-    basicMetrics: calculateBasicMetrics(data),
-    hasChannelData: validation.hasChannelData
-  };
-};
@@ -0,0 +1,100 @@
+import { detectColumnMappings, applyMappingOverrides, validateMediaData, calculateBasicMetrics, parseNumericValue, inferNumberFormat, findAmbiguousFormats, IGNORED_COLUMN } from './dataProcessing';
+
+test('keeps budget, cost and CPM columns apart', () => {
+  const mappings = detectColumnMappings(['Channel', 'Budget', 'Spend', 'Cost per impression']);
+
+  expect(mappings.budget.originalName).toBe('Budget');
+  expect(mappings.cost.originalName).toBe('Spend');
+  expect(mappings.cpm.originalName).toBe('Cost per impression');
+});
+
+test('prefers start dates over end dates', () => {
+  const mappings = detectColumnMappings(['End Date', 'Start Date', 'Clicks']);
+  expect(mappings.date.originalName).toBe('Start Date');
+});
+
+test('leaves a lone end or created date for the user to confirm', () => {
+  expect(detectColumnMappings(['End Date', 'Clicks']).date).toBeUndefined();
+  expect(detectColumnMappings(['Created Date', 'Clicks']).date).toBeUndefined();
+  expect(detectColumnMappings(['Flight Start Date', 'Clicks']).date.originalName).toBe('Flight Start Date');
+  expect(detectColumnMappings(['Report Date', 'Clicks']).date.confidence).toBe(1);
+});
+
+test('detects outcome columns without claiming rate columns for them', () => {
+  const mappings = detectColumnMappings([
+    'Campaign', 'Impressions', 'Video Views', 'Video Plays at 100%', 'Leads', 'App Installs',
+    'Viewability Rate', 'Conversion Rate', 'Cost per Conversion', 'Conversions', 'Conversion Value'
+  ]);
+
+  expect(mappings.impressions.originalName).toBe('Impressions');
+  expect(mappings.videoViews.originalName).toBe('Video Views');
+  expect(mappings.videoCompletions.originalName).toBe('Video Plays at 100%');
+  expect(mappings.leads.originalName).toBe('Leads');
+  expect(mappings.installs.originalName).toBe('App Installs');
+  expect(mappings.viewability.originalName).toBe('Viewability Rate');
+  expect(mappings.conversions.originalName).toBe('Conversions');
+  expect(mappings.revenue.originalName).toBe('Conversion Value');
+  expect(validateMediaData({ headers: ['Channel', 'Spend', 'Leads'], rows: [] }).outcomeColumns).toEqual(['leads']);
+});
+
+test('overrides replace and ignore automatic matches', () => {
+  const headers = ['Platform', 'Spend', 'Investment'];
+  const mappings = applyMappingOverrides(headers, detectColumnMappings(headers), {
+    Platform: IGNORED_COLUMN,
+    Investment: 'cost'
+  });
+
+  expect(mappings.channel).toBeUndefined();
+  expect(mappings.cost.originalName).toBe('Investment');
+  expect(mappings.cost.source).toBe('manual');
+});
+
+test('validation honours column overrides on the dataset', () => {
+  const data = {
+    headers: ['Media', 'Amount', 'Impressions'],
+    rows: [['Search', 10, 1000]],
+    columnOverrides: { Amount: 'cost' }
+  };
+
+  expect(validateMediaData(data).foundColumns).toEqual(['channel', 'impressions', 'cost']);
+});
+
+test('aggregates large files without spreading values onto the stack', () => {
+  const rows = Array.from({ length: 200000 }, (_, idx) => ['Search', (idx % 5) + 1, 10]);
+  const metrics = calculateBasicMetrics({ headers: ['Channel', 'CTR', 'Cost'], rows });
+
+  expect(metrics.totalRows).toBe(200000);
+  expect(metrics.maxCTR).toBe('5.00');
+  expect(metrics.minCTR).toBe('1.00');
+  expect(metrics.totalCost).toBe(2000000);
+});
+
+test('parses currency, separators and suffixes', () => {
+  expect(parseNumericValue('$1,234.50')).toBe(1234.5);
+  expect(parseNumericValue('1.234,56', { decimalSeparator: ',' })).toBeCloseTo(1234.56);
+  expect(parseNumericValue('45K')).toBe(45000);
+  expect(parseNumericValue('(12.00)')).toBe(-12);
+  expect(parseNumericValue('n/a')).toBeNaN();
+});
+
+test('infers EU number formats and rate conventions per column', () => {
+  expect(inferNumberFormat(['1.234,56', '€ 980,10'], 'cost').decimalSeparator).toBe(',');
+  expect(inferNumberFormat(['1.234,56', '€ 980,10'], 'cost').currency).toBe('EUR');
+
+  const percentCtr = inferNumberFormat(['2.3%', '1.1%'], 'ctr');
+  expect(percentCtr.rateScale).toBe('percent');
+  expect(percentCtr.ambiguous).toBe(false);
+
+  const fractionCtr = inferNumberFormat(['0.023', '0.011'], 'ctr');
+  expect(fractionCtr.rateScale).toBe('fraction');
+  expect(fractionCtr.ambiguous).toBe(true);
+  expect(parseNumericValue('0.023', fractionCtr)).toBeCloseTo(2.3);
+});
+
+test('flags "1,234" style columns as ambiguous until confirmed', () => {
+  const data = { headers: ['Channel', 'Impressions'], rows: [['Search', '1,234'], ['Social', '2,500']] };
+  expect(findAmbiguousFormats(data).map(format => format.field)).toEqual(['impressions']);
+
+  const confirmed = { ...data, numberFormatOverrides: { impressions: { decimalSeparator: '.' } } };
+  expect(findAmbiguousFormats(confirmed)).toEqual([]);
+});
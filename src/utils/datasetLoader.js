@@ -0,0 +1,66 @@
+import { importFile } from './importers';
+import { calculateBasicMetrics } from './dataProcessing';
+import { findMatchingProfile, profileToOverrides } from './mappingProfiles';
+import { getChannelValues, normalizeDatasetChannels } from './channelTaxonomy';
+import { aggregateByDimension } from './aggregation';
+import { aggregateTimeSeries } from './timeSeries';
+import { modelReachFrequency, DEFAULT_REACH_ASSUMPTIONS } from './reachFrequency';
+import { auditDataset } from './dataAudit';
+import { mergeDatasets } from './datasetMerge';
+
+// What the app shows first, built off the main thread so it doesn't re-scan every row: the
+// channel-normalized dataset (null when no label changes), its channel breakdown, daily series and
+// reach model at the default assumptions. They only hold for the aliases they were built with.
+const prepareViews = (data, channelAliases) => {
+  const normalized = normalizeDatasetChannels(data, channelAliases);
+  return {
+    channelAliases,
+    normalized: normalized === data ? null : normalized,
+    channel: aggregateByDimension(normalized, 'channel'),
+    daily: aggregateTimeSeries(normalized, 'day'),
+    reach: modelReachFrequency(normalized, DEFAULT_REACH_ASSUMPTIONS)
+  };
+};
+
+// Metrics, raw channel labels and views for a freshly loaded or merged dataset
+const prepareDataset = (data, channelAliases) => {
+  data.basicMetrics = calculateBasicMetrics(data);
+  data.channelValues = getChannelValues(data);
+  data.prepared = prepareViews(data, channelAliases);
+  return data;
+};
+
+// Views that came with a dataset, or null once they no longer match it: mapping, number-format
+// and audit changes drop them, and they only hold for the aliases they were built with
+export const preparedViews = (data, channelAliases = {}) => {
+  if (!data || !data.prepared) return null;
+  return JSON.stringify(data.prepared.channelAliases) === JSON.stringify(channelAliases) ? data.prepared : null;
+};
+
+// Everything derived from a dataset's rows. Merging only needs what the files hold, and this keeps
+// the copies sent to the worker down to the rows themselves.
+export const withoutDerivedData = ({ basicMetrics, audit, channelValues, prepared, originalRows, auditLog, ...data }) => data;
+
+// Import a file, auto-apply a matching saved mapping profile and pre-compute its metrics, audit
+// and views. Runs inside the import worker, or on the main thread when workers are unavailable.
+export const loadDataset = async (file, { sheetName, headerRowIndex, profiles = [], channelAliases = {}, onProgress } = {}) => {
+  let data = await importFile(file, { sheetName, headerRowIndex, onProgress });
+
+  const profile = findMatchingProfile(data.headers, profiles);
+  if (profile) {
+    data = {
+      ...data,
+      columnOverrides: profileToOverrides(profile, data.headers),
+      mappingSource: 'profile'
+    };
+  }
+
+  // Only single files are audited; the audit panel reviews one file at a time
+  data.audit = auditDataset(data);
+  return { data: prepareDataset(data, channelAliases), appliedProfileName: profile ? profile.name : null };
+};
+
+// Merge several mapped files into one dataset and pre-compute it like a single file
+export const loadMergedDataset = async (datasets, { channelAliases = {} } = {}) => ({
+  data: prepareDataset(mergeDatasets(datasets), channelAliases)
+});
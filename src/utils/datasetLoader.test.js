@@ -0,0 +1,43 @@
+import { loadMergedDataset, preparedViews, withoutDerivedData } from './datasetLoader';
+
+const meta = {
+  filename: 'meta.csv',
+  headers: ['Date', 'Channel', 'Spend', 'Impressions'],
+  rows: [
+    ['2024-01-05', 'FB', '100', '1000'],
+    ['2024-01-06', 'Facebook', '120', '1500']
+  ]
+};
+
+const google = {
+  filename: 'google.csv',
+  headers: ['Date', 'Channel', 'Cost', 'Impressions'],
+  rows: [['2024-01-05', 'Google Search', '80', '900']]
+};
+
+test('merges files and prepares the views the app shows first', async () => {
+  const { data } = await loadMergedDataset([meta, google], { channelAliases: {} });
+
+  expect(data.rows).toHaveLength(3);
+  expect(data.basicMetrics.totals.cost).toBe(300);
+  expect(data.channelValues.map(value => value.raw)).toEqual(['FB', 'Facebook', 'Google Search']);
+
+  const prepared = preparedViews(data, {});
+  expect(prepared.normalized.basicMetrics).toBe(data.basicMetrics);
+  expect(prepared.channel.map(group => group.key).sort()).toEqual(['Paid Search', 'Paid Social']);
+  expect(prepared.daily.points.map(point => point.period)).toHaveLength(2);
+  expect(prepared.reach).not.toBeUndefined();
+});
+
+test('prepared views only hold for the aliases they were built with', async () => {
+  const { data } = await loadMergedDataset([meta, google], { channelAliases: {} });
+
+  expect(preparedViews(data, {})).not.toBeNull();
+  expect(preparedViews(data, { fb: 'Facebook' })).toBeNull();
+  expect(preparedViews(null, {})).toBeNull();
+});
+
+test('only the files themselves are sent for merging', () => {
+  const input = withoutDerivedData({ ...meta, basicMetrics: {}, audit: {}, channelValues: [], prepared: {}, originalRows: [], auditLog: [] });
+  expect(input).toEqual(meta);
+});
@@ -0,0 +1,150 @@
+import { COLUMN_MAPPINGS, COLUMN_LABELS, IGNORED_COLUMN, NUMERIC_FIELDS, resolveColumnMappings, resolveNumberFormats, parseNumericValue } from './dataProcessing';
+import { inferDateOrder, parseDate } from './timeSeries';
+
+export const SOURCE_FILE_HEADER = 'Source File';
+
+const normalizeKeyPart = (value) =>
+  (value === null || value === undefined ? '' : value.toString()).trim().toLowerCase();
+
+const toIsoDay = (time) => new Date(time).toISOString().split('T')[0];
+
+// A date cell as an ISO day using the file's own day/month order, or the raw text when it can't be read
+const normalizeDate = (value, dateOrder) => {
+  const time = parseDate(value, dateOrder);
+  return time === null ? value : toIsoDay(time);
+};
+
+// Rows from different files that describe the same date/channel are likely double-counted.
+// Dates are compared as calendar days, so "2024-01-05" in one export matches "1/5/2024" in another.
+export const findOverlappingRows = (entries) => {
+  const seen = {};
+
+  entries.forEach(({ filename, mappings, dateOrder, rows }) => {
+    if (!mappings.date || !mappings.channel) return;
+
+    rows.forEach(row => {
+      const date = normalizeKeyPart(normalizeDate(row[mappings.date.index], dateOrder));
+      const channel = normalizeKeyPart(row[mappings.channel.index]);
+      if (!date || !channel) return;
+
+      const key = `${date}|${channel}`;
+      if (!seen[key]) {
+        seen[key] = { date: row[mappings.date.index], channel: row[mappings.channel.index], files: new Set() };
+      }
+      seen[key].files.add(filename);
+    });
+  });
+
+  return Object.values(seen)
+    .filter(entry => entry.files.size > 1)
+    .map(entry => ({ ...entry, files: [...entry.files] }));
+};
+
+const describeOverlaps = (overlaps) => {
+  if (overlaps.length === 0) return [];
+
+  // Group by the set of files involved so the warning stays readable
+  const byFiles = {};
+  overlaps.forEach(overlap => {
+    const key = overlap.files.join(' + ');
+    byFiles[key] = byFiles[key] || [];
+    byFiles[key].push(overlap);
+  });
+
+  return Object.entries(byFiles).map(([files, entries]) => ({
+    type: 'overlap',
+    files: entries[0].files,
+    rows: entries,
+    message: `${entries.length} date/channel combination(s) appear in both ${files} ` +
+      `(e.g. ${entries[0].channel} on ${entries[0].date}). Totals may be double-counted.`
+  }));
+};
+
+// Merge several parsed files into one dataset. Each file is mapped independently and its
+// columns are projected onto the shared semantic fields, with a source file column added.
+// Columns a file doesn't map are carried along after the semantic ones, shared by header name.
+export const mergeDatasets = (datasets) => {
+  const entries = datasets.map(data => {
+    const mappings = resolveColumnMappings(data);
+    const mappedIndexes = new Set(Object.values(mappings).map(match => match.index));
+    return {
+      filename: data.filename,
+      headers: data.headers,
+      rows: data.rows,
+      errors: data.errors || [],
+      mappings,
+      formats: resolveNumberFormats(data, mappings),
+      dateOrder: mappings.date ? inferDateOrder(data.rows.map(row => row[mappings.date.index])) : 'mdy',
+      unmappedIndexes: data.headers.map((_, idx) => idx).filter(idx => !mappedIndexes.has(idx))
+    };
+  });
+
+  const fields = Object.keys(COLUMN_MAPPINGS).filter(field =>
+    entries.some(entry => entry.mappings[field])
+  );
+  const fieldHeaders = [SOURCE_FILE_HEADER, ...fields.map(field => COLUMN_LABELS[field] || field)];
+
+  // One extra column per distinct unmapped header, renamed if it clashes with a semantic header
+  const extraHeaders = [];
+  entries.forEach(entry => {
+    entry.extraColumns = entry.unmappedIndexes.map(idx => {
+      const header = String(entry.headers[idx]).trim();
+      const name = fieldHeaders.includes(header) ? `${header} (${entry.filename})` : header;
+      if (!extraHeaders.includes(name)) extraHeaders.push(name);
+      return { index: idx, column: fieldHeaders.length + extraHeaders.indexOf(name) };
+    });
+  });
+  const headers = [...fieldHeaders, ...extraHeaders];
+
+  // Numbers are normalized with each file's own format, since locales can differ between exports
+  const readCell = (row, field, { mappings, formats, dateOrder }) => {
+    if (!mappings[field]) return '';
+    const raw = row[mappings[field].index];
+    if (field === 'date') return normalizeDate(raw, dateOrder);
+    if (!NUMERIC_FIELDS.includes(field)) return raw;
+
+    const value = parseNumericValue(raw, formats[field]);
+    return isNaN(value) ? '' : value;
+  };
+
+  const rows = entries.flatMap(entry =>
+    entry.rows.map(row => {
+      const merged = [entry.filename, ...fields.map(field => readCell(row, field, entry))];
+      for (let idx = fieldHeaders.length; idx < headers.length; idx++) merged.push('');
+      entry.extraColumns.forEach(({ index, column }) => {
+        merged[column] = row[index] === undefined ? '' : row[index];
+      });
+      return merged;
+    })
+  );
+
+  // The merged headers are ours, so pin their mapping instead of re-guessing it. Carried columns
+  // weren't mapped in their own file and stay out of the analysis here too.
+  const columnOverrides = { [SOURCE_FILE_HEADER]: IGNORED_COLUMN };
+  fields.forEach((field, idx) => {
+    columnOverrides[fieldHeaders[idx + 1]] = field;
+  });
+  extraHeaders.forEach(header => {
+    columnOverrides[header] = IGNORED_COLUMN;
+  });
+
+  const unmappedColumns = entries.flatMap(({ filename, headers: fileHeaders, unmappedIndexes }) =>
+    unmappedIndexes.map(idx => ({ filename, header: fileHeaders[idx] }))
+  );
+
+  return {
+    filename: `${datasets.length} files merged`,
+    headers,
+    rows,
+    errors: entries.flatMap(entry => entry.errors),
+    columnOverrides,
+    mappingSource: 'merged',
+    // Merged numbers are already canonical: plain decimals with rates in percent
+    numberFormatOverrides: Object.fromEntries(
+      fields.filter(field => NUMERIC_FIELDS.includes(field)).map(field => [field, { decimalSeparator: '.', rateScale: 'percent' }])
+    ),
+    sourceFiles: entries.map(entry => ({ filename: entry.filename, rowCount: entry.rows.length })),
+    mergeWarnings: describeOverlaps(findOverlappingRows(entries)),
+    unmappedColumns
+  };
+};
@@ -0,0 +1,65 @@
+import { mergeDatasets, SOURCE_FILE_HEADER } from './datasetMerge';
+import { resolveColumnMappings, IGNORED_COLUMN } from './dataProcessing';
+
+const meta = {
+  filename: 'meta.csv',
+  headers: ['Date', 'Channel', 'Spend', 'Ad Set Name'],
+  rows: [
+    ['2024-01-05', 'Facebook', '100', 'Prospecting'],
+    ['2024-01-06', 'Facebook', '120', 'Retargeting']
+  ]
+};
+
+const google = {
+  filename: 'google.csv',
+  headers: ['Day', 'Channel', 'Cost', 'Ad Set Name', 'Keyword'],
+  rows: [
+    ['1/5/2024', 'facebook', '1,000.50', 'Brand', 'shoes'],
+    ['1/7/2024', 'Search', '80', 'Generic', 'boots']
+  ]
+};
+
+test('projects each file onto the shared fields with a source column', () => {
+  const merged = mergeDatasets([meta, google]);
+  const mappings = resolveColumnMappings(merged);
+
+  expect(merged.headers.slice(0, 4)).toEqual([SOURCE_FILE_HEADER, 'Channel / Platform', 'Cost / Spend', 'Date']);
+  expect(merged.rows).toHaveLength(4);
+  expect(merged.rows[2][mappings.cost.index]).toBe(1000.5);
+  expect(merged.sourceFiles).toEqual([{ filename: 'meta.csv', rowCount: 2 }, { filename: 'google.csv', rowCount: 2 }]);
+});
+
+test('matches overlapping rows on the calendar day, whatever the date format', () => {
+  const merged = mergeDatasets([meta, google]);
+  const mappings = resolveColumnMappings(merged);
+
+  expect(merged.rows.map(row => row[mappings.date.index])).toEqual(['2024-01-05', '2024-01-06', '2024-01-05', '2024-01-07']);
+  expect(merged.mergeWarnings).toHaveLength(1);
+  expect(merged.mergeWarnings[0].rows).toHaveLength(1);
+  expect(merged.mergeWarnings[0].files).toEqual(['meta.csv', 'google.csv']);
+});
+
+test('reads each file with its own day/month order', () => {
+  const european = { ...google, filename: 'eu.csv', rows: [['05/01/2024', 'Facebook', '10', '', ''], ['13/01/2024', 'Search', '5', '', '']] };
+  const merged = mergeDatasets([meta, european]);
+  const mappings = resolveColumnMappings(merged);
+
+  expect(merged.rows.slice(2).map(row => row[mappings.date.index])).toEqual(['2024-01-05', '2024-01-13']);
+  expect(merged.mergeWarnings).toHaveLength(1);
+});
+
+test('carries unmapped columns instead of dropping them', () => {
+  const merged = mergeDatasets([meta, google]);
+  const adSet = merged.headers.indexOf('Ad Set Name');
+  const keyword = merged.headers.indexOf('Keyword');
+
+  expect(adSet).toBeGreaterThan(0);
+  expect(merged.rows.map(row => row[adSet])).toEqual(['Prospecting', 'Retargeting', 'Brand', 'Generic']);
+  expect(merged.rows.map(row => row[keyword])).toEqual(['', '', 'shoes', 'boots']);
+  expect(merged.columnOverrides.Keyword).toBe(IGNORED_COLUMN);
+  expect(merged.unmappedColumns).toEqual([
+    { filename: 'meta.csv', header: 'Ad Set Name' },
+    { filename: 'google.csv', header: 'Ad Set Name' },
+    { filename: 'google.csv', header: 'Keyword' }
+  ]);
+});
@@ -0,0 +1,311 @@
+import { loadStored, saveStored } from './storage';
+
+const STORAGE_KEY = 'mediaPlanner.customMetrics';
+
+// Relative gap between a reported and a recomputed value before the row counts as disagreeing
+const DISAGREEMENT_TOLERANCE = 0.05;
+
+// Column totals the formulas work from. viewableImpressions is never a column; it is implied
+// from the viewability rate so viewability can be weighted by impressions.
+export const BASE_METRIC_FIELDS = [
+  'impressions', 'clicks', 'cost', 'reach', 'conversions', 'revenue', 'leads', 'installs',
+  'videoViews', 'videoCompletions', 'viewableImpressions', 'budget', 'universe'
+];
+
+// Built-in KPIs, written in the same expression syntax users have for custom metrics.
+// `reportedField` is the column that may already carry the KPI in the file.
+export const DERIVED_METRICS = [
+  { id: 'ctr', label: 'CTR', expression: 'clicks / impressions * 100', unit: 'percent', reportedField: 'ctr' },
+  { id: 'cpm', label: 'CPM', expression: 'cost / impressions * 1000', unit: 'currency', reportedField: 'cpm' },
+  { id: 'cpc', label: 'CPC', expression: 'cost / clicks', unit: 'currency' },
+  { id: 'cpa', label: 'CPA', expression: 'cost / conversions', unit: 'currency' },
+  { id: 'conversionRate', label: 'Conversion Rate', expression: 'conversions / clicks * 100', unit: 'percent' },
+  { id: 'roas', label: 'ROAS', expression: 'revenue / cost', unit: 'ratio' },
+  { id: 'cpl', label: 'Cost per Lead', expression: 'cost / leads', unit: 'currency' },
+  { id: 'cpi', label: 'Cost per Install', expression: 'cost / installs', unit: 'currency' },
+  { id: 'cpv', label: 'Cost per View', expression: 'cost / videoViews', unit: 'currency' },
+  { id: 'vcr', label: 'Video Completion Rate', expression: 'videoCompletions / videoViews * 100', unit: 'percent' },
+  { id: 'viewability', label: 'Viewability', expression: 'viewableImpressions / impressions * 100', unit: 'percent', reportedField: 'viewability' },
+  { id: 'costPerReachPoint', label: 'Cost per Reach Point', expression: 'cost / (reach / universe * 100)', unit: 'currency' }
+];
+
+export const METRIC_UNITS = {
+  number: 'Number',
+  currency: 'Currency',
+  percent: 'Percent',
+  ratio: 'Ratio (x)'
+};
+
+const tokenizeExpression = (text) => {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|(\S))/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[1]) {
+      tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    } else if (match[2]) {
+      tokens.push({ type: 'name', value: match[2] });
+    } else if ('+-*/()'.includes(match[3])) {
+      tokens.push({ type: 'op', value: match[3] });
+    } else {
+      throw new Error(`Unexpected character "${match[3]}"`);
+    }
+  }
+  return tokens;
+};
+
+// Compile an arithmetic expression (numbers, names, + - * / and parentheses) into a function of
+// a scope object. Missing names and division by zero evaluate to NaN rather than throwing.
+export const compileExpression = (text) => {
+  const tokens = tokenizeExpression(text || '');
+  if (tokens.length === 0) throw new Error('Expression is empty');
+
+  const variables = new Set();
+  let position = 0;
+  const peek = () => tokens[position];
+  const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (!token) throw new Error('Expression ends unexpectedly');
+
+    if (token.type === 'number') return () => token.value;
+    if (token.type === 'name') {
+      variables.add(token.value);
+      return (scope) => {
+        const value = scope[token.value];
+        return typeof value === 'number' ? value : NaN;
+      };
+    }
+    if (token.value === '-') {
+      const operand = parsePrimary();
+      return (scope) => -operand(scope);
+    }
+    if (token.value === '(') {
+      const inner = parseSum();
+      if (!isOp(')')) throw new Error('Missing closing parenthesis');
+      position++;
+      return inner;
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  const parseProduct = () => {
+    let left = parsePrimary();
+    while (isOp('*') || isOp('/')) {
+      const op = tokens[position++].value;
+      const lhs = left;
+      const rhs = parsePrimary();
+      left = op === '*'
+        ? (scope) => lhs(scope) * rhs(scope)
+        : (scope) => {
+          const divisor = rhs(scope);
+          return divisor === 0 ? NaN : lhs(scope) / divisor;
+        };
+    }
+    return left;
+  };
+
+  const parseSum = () => {
+    let left = parseProduct();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[position++].value;
+      const lhs = left;
+      const rhs = parseProduct();
+      left = op === '+' ? (scope) => lhs(scope) + rhs(scope) : (scope) => lhs(scope) - rhs(scope);
+    }
+    return left;
+  };
+
+  const evaluate = parseSum();
+  if (position < tokens.length) throw new Error(`Unexpected "${tokens[position].value}"`);
+
+  return { evaluate, variables: [...variables] };
+};
+
+const COMPILED_METRICS = DERIVED_METRICS.map(metric => ({ ...metric, ...compileExpression(metric.expression) }));
+
+// Built-in metrics whose inputs are all mapped in a dataset
+export const getAvailableDerivedMetrics = (mappings) =>
+  COMPILED_METRICS.filter(metric => metric.variables.every(variable => mappings[variable]));
+
+// Per-row recomputation for KPIs the file also reports, so min/max come from consistent values
+// and rows whose reported number doesn't match their own base columns are counted.
+export const createRowDerivationCheck = (mappings) => {
+  const checks = getAvailableDerivedMetrics(mappings)
+    .filter(metric => metric.reportedField)
+    .map(metric => ({ metric, min: Infinity, max: -Infinity, count: 0, compared: 0, mismatched: 0 }));
+
+  return {
+    fields: [...new Set(checks.flatMap(check => check.metric.variables))],
+    add: (rowValues) => {
+      for (let i = 0; i < checks.length; i++) {
+        const check = checks[i];
+        const computed = check.metric.evaluate(rowValues);
+        if (!isFinite(computed) || computed <= 0) continue;
+
+        check.count++;
+        if (computed < check.min) check.min = computed;
+        if (computed > check.max) check.max = computed;
+
+        const reported = rowValues[check.metric.reportedField];
+        if (mappings[check.metric.reportedField] && isFinite(reported) && reported > 0) {
+          check.compared++;
+          if (Math.abs(reported - computed) / computed > DISAGREEMENT_TOLERANCE) check.mismatched++;
+        }
+      }
+    },
+    result: () => Object.fromEntries(checks.map(check => [check.metric.id, {
+      min: check.count > 0 ? check.min : undefined,
+      max: check.count > 0 ? check.max : undefined,
+      comparedRows: check.compared,
+      mismatchedRows: check.mismatched
+    }]))
+  };
+};
+
+// Evaluate the built-in metrics on column totals, which weights every row by its volume.
+// When the file also reports a KPI, the recomputed value is preferred and the reported average
+// is kept next to it; the reported value is only used when it can't be recomputed.
+export const calculateDerivedMetrics = (totals, reportedAverages = {}, rowChecks = {}) => {
+  const results = {};
+
+  COMPILED_METRICS.forEach(metric => {
+    const value = metric.evaluate(totals);
+    const reported = metric.reportedField ? reportedAverages[metric.reportedField] : undefined;
+    const base = { id: metric.id, label: metric.label, unit: metric.unit, expression: metric.expression };
+
+    if (isFinite(value)) {
+      results[metric.id] = {
+        ...base,
+        value,
+        source: 'computed',
+        reported,
+        ...(rowChecks[metric.id] || {})
+      };
+    } else if (reported !== undefined && isFinite(reported)) {
+      results[metric.id] = { ...base, value: reported, source: 'reported', reported };
+    }
+  });
+
+  return results;
+};
+
+const isPositive = (value) => typeof value === 'number' && isFinite(value) && value > 0;
+
+// Fill in base counts a row only reports as a rate, so every row can be weighted by volume:
+// impressions from cost and CPM, cost from CPM and impressions, clicks from CTR and impressions,
+// viewable impressions from the viewability rate.
+export const backfillBaseValues = (values) => {
+  const base = {};
+  BASE_METRIC_FIELDS.forEach(field => {
+    if (isPositive(values[field])) base[field] = values[field];
+  });
+
+  if (!base.impressions && base.cost && isPositive(values.cpm)) {
+    base.impressions = base.cost / values.cpm * 1000;
+  }
+  if (!base.cost && base.impressions && isPositive(values.cpm)) {
+    base.cost = values.cpm * base.impressions / 1000;
+  }
+  if (!base.clicks && base.impressions && isPositive(values.ctr)) {
+    base.clicks = values.ctr / 100 * base.impressions;
+  }
+  if (base.impressions && isPositive(values.viewability)) {
+    base.viewableImpressions = values.viewability / 100 * base.impressions;
+  }
+  return base;
+};
+
+// Volume-weighted KPIs for a set of rows: base counts are summed (after back-filling) and the
+// ratios are taken on the sums, so CTR is total clicks / total impressions and CPM is spend-weighted.
+export const createKpiAccumulator = () => {
+  const totals = {};
+  let frequencyWeight = 0;
+  let weightedFrequency = 0;
+
+  return {
+    add: (values) => {
+      const base = backfillBaseValues(values);
+      Object.keys(base).forEach(field => {
+        totals[field] = (totals[field] || 0) + base[field];
+      });
+      if (isPositive(values.frequency) && base.reach) {
+        weightedFrequency += values.frequency * base.reach;
+        frequencyWeight += base.reach;
+      }
+    },
+    result: (reportedAverages = {}, rowChecks = {}) => {
+      let frequency;
+      if (frequencyWeight > 0) {
+        frequency = weightedFrequency / frequencyWeight;
+      } else if (totals.impressions && totals.reach) {
+        frequency = totals.impressions / totals.reach;
+      }
+
+      return {
+        totals: { ...totals },
+        derivedMetrics: calculateDerivedMetrics(totals, reportedAverages, rowChecks),
+        frequency
+      };
+    }
+  };
+};
+
+export const loadCustomMetrics = () => loadStored(STORAGE_KEY, [], 'custom metrics');
+
+export const saveCustomMetrics = (metrics) => {
+  saveStored(STORAGE_KEY, metrics, 'custom metrics');
+  return metrics;
+};
+
+// Names a custom metric may reference: base column totals and the built-in KPIs
+export const CUSTOM_METRIC_VARIABLES = [...BASE_METRIC_FIELDS, ...DERIVED_METRICS.map(metric => metric.id)];
+
+// Returns an error message for an invalid custom metric, or null when it can be saved
+export const validateCustomMetric = ({ name, expression }, existing = []) => {
+  if (!name || !name.trim()) return 'Give the metric a name.';
+  if (existing.some(metric => metric.name.toLowerCase() === name.trim().toLowerCase())) {
+    return `A metric called "${name.trim()}" already exists.`;
+  }
+
+  try {
+    const { variables } = compileExpression(expression);
+    const unknown = variables.filter(variable => !CUSTOM_METRIC_VARIABLES.includes(variable));
+    if (unknown.length > 0) return `Unknown name${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`;
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+};
+
+// Evaluate saved custom metrics against the totals and built-in KPIs of the current dataset
+export const calculateCustomMetrics = (totals = {}, derivedMetrics = {}, customMetrics = []) => {
+  const scope = { ...totals };
+  Object.values(derivedMetrics).forEach(metric => {
+    scope[metric.id] = metric.value;
+  });
+
+  return customMetrics.map(metric => {
+    try {
+      const { evaluate, variables } = compileExpression(metric.expression);
+      const value = evaluate(scope);
+      const missing = variables.filter(variable => scope[variable] === undefined);
+      return {
+        ...metric,
+        value: isFinite(value) ? value : null,
+        missing
+      };
+    } catch (error) {
+      return { ...metric, value: null, missing: [], error: error.message };
+    }
+  });
+};
+
+export const formatMetricValue = (value, unit) => {
+  if (value === null || value === undefined || !isFinite(value)) return 'N/A';
+  if (unit === 'percent') return `${value.toFixed(2)}%`;
+  if (unit === 'currency') return `$${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  if (unit === 'ratio') return `${value.toFixed(2)}x`;
+  return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+};
@@ -0,0 +1,56 @@
+import { compileExpression, calculateCustomMetrics, validateCustomMetric } from './derivedMetrics';
+import { calculateBasicMetrics } from './dataProcessing';
+
+test('compiles arithmetic expressions with precedence and safe division', () => {
+  const { evaluate, variables } = compileExpression('(revenue - cost) / cost * 100');
+  expect(variables).toEqual(['revenue', 'cost']);
+  expect(evaluate({ revenue: 150, cost: 100 })).toBe(50);
+  expect(evaluate({ revenue: 150, cost: 0 })).toBeNaN();
+  expect(compileExpression('-2 + 3 * 4').evaluate({})).toBe(10);
+  expect(() => compileExpression('cost / (clicks')).toThrow('Missing closing parenthesis');
+  expect(() => compileExpression('cost $ 2')).toThrow('Unexpected character');
+});
+
+test('derives KPIs from base columns and prefers them over reported values', () => {
+  const metrics = calculateBasicMetrics({
+    headers: ['Channel', 'Impressions', 'Clicks', 'Spend', 'Conversions', 'Revenue', 'CTR'],
+    rows: [
+      ['Search', '1000', '50', '100', '5', '400', '5%'],
+      ['Social', '3000', '30', '60', '3', '90', '9%']
+    ]
+  });
+
+  expect(metrics.derivedMetrics.ctr).toMatchObject({ value: 2, source: 'computed', reported: 7, mismatchedRows: 1, comparedRows: 2 });
+  expect(metrics.avgCTR).toBe('2.00');
+  expect(metrics.avgCPM).toBe('40.00');
+  expect(metrics.derivedMetrics.cpc.value).toBe(2);
+  expect(metrics.derivedMetrics.cpa.value).toBe(20);
+  expect(metrics.derivedMetrics.roas.value).toBeCloseTo(3.06, 2);
+  expect(metrics.derivedMetrics.costPerReachPoint).toBeUndefined();
+
+  const [custom] = calculateCustomMetrics(metrics.totals, metrics.derivedMetrics, [
+    { name: 'Profit per Click', expression: '(revenue - cost) / clicks', unit: 'currency' }
+  ]);
+  expect(custom.value).toBeCloseTo(4.125, 3);
+});
+
+test('rejects custom metrics with unknown names', () => {
+  expect(validateCustomMetric({ name: 'Cost per Store Visit', expression: 'cost / storeVisits' })).toBe('Unknown name: storeVisits');
+  expect(validateCustomMetric({ name: 'ROI', expression: 'revenue / cost - 1' })).toBeNull();
+});
+
+test('weights viewability by impressions and derives video and lead costs', () => {
+  const metrics = calculateBasicMetrics({
+    headers: ['Channel', 'Impressions', 'Spend', 'Viewability', 'Video Views', 'Video Completions', 'Leads'],
+    rows: [
+      ['Video', '1000', '100', '80%', '500', '250', '4'],
+      ['Display', '3000', '60', '40%', '', '', '1']
+    ]
+  });
+
+  expect(metrics.derivedMetrics.viewability.value).toBeCloseTo(50, 5);
+  expect(metrics.derivedMetrics.viewability.reported).toBeCloseTo(60, 5);
+  expect(metrics.derivedMetrics.vcr.value).toBe(50);
+  expect(metrics.derivedMetrics.cpv.value).toBeCloseTo(0.32, 5);
+  expect(metrics.derivedMetrics.cpl.value).toBe(32);
+});
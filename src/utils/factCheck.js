@@ -0,0 +1,122 @@
+import { channelKey } from './channelTaxonomy';
+
+// Relative gap to the computed value within which a model-stated number is a match, and within
+// which it is still a fair approximation (e.g. rounded); anything further off is replaced
+const VERIFIED_TOLERANCE = 0.02;
+const APPROXIMATE_TOLERANCE = 0.1;
+
+// Where the computed counterpart of each overall key metric lives in calculateBasicMetrics output
+const derived = (id) => (metrics) => (metrics.derivedMetrics && metrics.derivedMetrics[id] ? metrics.derivedMetrics[id].value : null);
+const KEY_METRIC_SOURCES = {
+  avgCTR: derived('ctr'),
+  avgCPM: derived('cpm'),
+  totalReach: (metrics) => metrics.totalReach,
+  avgFrequency: (metrics) => metrics.avgFrequency,
+  totalConversions: (metrics) => (metrics.totals ? metrics.totals.conversions : null),
+  avgCPA: derived('cpa'),
+  roas: derived('roas')
+};
+
+// Channel metrics the model states, named as on aggregateByDimension groups
+const CHANNEL_METRIC_FIELDS = ['ctr', 'cpm', 'reach', 'cpa', 'roas'];
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+};
+
+// One model-stated number against the value computed from the rows, or null when the model stated
+// nothing. `value` is what to display: the computed number whenever there is one.
+//   verified    - within 2% of the computed value
+//   approximate - within 10%
+//   corrected   - further off; the computed value replaces it
+//   unsupported - the data has nothing to check it against
+export const checkMetric = (stated, computed) => {
+  const statedNumber = toNumber(stated);
+  if (stated === null || stated === undefined || !isFinite(statedNumber)) return null;
+
+  const computedNumber = toNumber(computed);
+  if (computed === null || computed === undefined || !isFinite(computedNumber)) {
+    return { status: 'unsupported', stated: statedNumber, computed: null, value: statedNumber };
+  }
+
+  const gap = computedNumber === 0
+    ? (statedNumber === 0 ? 0 : Infinity)
+    : Math.abs(statedNumber - computedNumber) / Math.abs(computedNumber);
+  const status = gap <= VERIFIED_TOLERANCE ? 'verified' : gap <= APPROXIMATE_TOLERANCE ? 'approximate' : 'corrected';
+  return { status, stated: statedNumber, computed: computedNumber, value: Number(computedNumber.toFixed(2)) };
+};
+
+// An insight is only as good as its weakest number; one with no numbers to check is unsupported
+export const insightStatus = (checks) => {
+  const statuses = checks.filter(Boolean).map(check => check.status);
+  if (statuses.length === 0 || statuses.some(status => status === 'corrected' || status === 'unsupported')) {
+    return 'unsupported';
+  }
+  return statuses.includes('approximate') ? 'approximate' : 'verified';
+};
+
+// Check every number the analysis states against the metrics computed from the data. Returns the
+// analysis with computed numbers swapped in, each channel's `verification` ({ status, metrics }),
+// and an overall `verification` report with per-metric checks and counts by status.
+export const verifyAnalysis = (analysis, { basicMetrics, channelBreakdown = [] } = {}) => {
+  if (!analysis) return null;
+  const overall = basicMetrics && !basicMetrics.error ? basicMetrics : {};
+
+  const keyMetrics = { ...analysis.overallPerformance.keyMetrics };
+  const keyChecks = {};
+  Object.entries(KEY_METRIC_SOURCES).forEach(([key, source]) => {
+    const check = checkMetric(keyMetrics[key], source(overall));
+    if (!check) return;
+    keyChecks[key] = check;
+    keyMetrics[key] = check.value;
+  });
+
+  const channelAnalysis = analysis.channelAnalysis.map(channel => {
+    const group = channelBreakdown.find(entry => channelKey(entry.key) === channelKey(channel.channel));
+    const metrics = { ...channel.metrics };
+    const checks = {};
+    CHANNEL_METRIC_FIELDS.forEach(field => {
+      const check = checkMetric(metrics[field], group ? group[field] : null);
+      if (!check) return;
+      checks[field] = check;
+      metrics[field] = check.value;
+    });
+    return {
+      ...channel,
+      metrics,
+      verification: { status: insightStatus(Object.values(checks)), metrics: checks, inData: Boolean(group) }
+    };
+  });
+
+  const allChecks = [
+    ...Object.values(keyChecks),
+    ...channelAnalysis.flatMap(channel => Object.values(channel.verification.metrics))
+  ];
+  const counts = { verified: 0, approximate: 0, corrected: 0, unsupported: 0 };
+  allChecks.forEach(check => {
+    counts[check.status]++;
+  });
+
+  return {
+    ...analysis,
+    overallPerformance: { ...analysis.overallPerformance, keyMetrics },
+    channelAnalysis,
+    verification: {
+      summaryStatus: insightStatus(Object.values(keyChecks)),
+      keyMetrics: keyChecks,
+      counts,
+      total: allChecks.length
+    }
+  };
+};
+
+// One line for reports, e.g. "9 of 12 AI-stated numbers verified, 1 approximate, 2 corrected"
+export const describeVerification = ({ counts, total }) => {
+  if (total === 0) return 'the AI stated no numbers that could be checked';
+  const others = ['approximate', 'corrected', 'unsupported']
+    .filter(status => counts[status] > 0)
+    .map(status => `${counts[status]} ${status}`);
+  return [`${counts.verified} of ${total} AI-stated numbers verified`, ...others].join(', ');
+};
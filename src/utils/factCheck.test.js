@@ -0,0 +1,57 @@
+import { checkMetric, insightStatus, verifyAnalysis, describeVerification } from './factCheck';
+
+test('grades a stated number by its distance from the computed one', () => {
+  expect(checkMetric(3.1, 3.14)).toMatchObject({ status: 'verified', value: 3.14 });
+  expect(checkMetric('3.4', 3.14)).toMatchObject({ status: 'approximate', stated: 3.4 });
+  expect(checkMetric(0.031, 3.14)).toMatchObject({ status: 'corrected', stated: 0.031, value: 3.14 });
+  expect(checkMetric(12, undefined)).toEqual({ status: 'unsupported', stated: 12, computed: null, value: 12 });
+  expect(checkMetric(0, 0).status).toBe('verified');
+  expect(checkMetric(null, 5)).toBeNull();
+});
+
+test('an insight is only as good as its weakest number', () => {
+  const verified = { status: 'verified' };
+  const approximate = { status: 'approximate' };
+  expect(insightStatus([verified, verified])).toBe('verified');
+  expect(insightStatus([verified, approximate])).toBe('approximate');
+  expect(insightStatus([approximate, { status: 'corrected' }])).toBe('unsupported');
+  expect(insightStatus([])).toBe('unsupported');
+});
+
+test('verifies key metrics and channel metrics against the computed data', () => {
+  const analysis = {
+    overallPerformance: {
+      summary: 'Search leads.',
+      keyMetrics: { avgCTR: 2, avgCPM: 10.4, totalReach: 5000, avgFrequency: null, totalConversions: 40, avgCPA: null, roas: null }
+    },
+    channelAnalysis: [
+      { channel: 'search', performance: 'excellent', metrics: { ctr: 3, cpm: 12, reach: 1000 }, insights: '' },
+      { channel: 'Podcasts', performance: 'poor', metrics: { ctr: 0.5 }, insights: '' }
+    ]
+  };
+  const basicMetrics = {
+    totalReach: 4000,
+    totals: { conversions: 40 },
+    derivedMetrics: { ctr: { value: 2.02 }, cpm: { value: 10 } }
+  };
+  const channelBreakdown = [{ key: 'Search', ctr: 3.05, cpm: 12.1 }];
+
+  const result = verifyAnalysis(analysis, { basicMetrics, channelBreakdown });
+
+  expect(result.verification.keyMetrics.avgCTR.status).toBe('verified');
+  expect(result.verification.keyMetrics.avgCPM.status).toBe('approximate');
+  expect(result.verification.keyMetrics.totalReach).toMatchObject({ status: 'corrected', stated: 5000 });
+  expect(result.overallPerformance.keyMetrics.totalReach).toBe(4000);
+  expect(result.verification.summaryStatus).toBe('unsupported');
+
+  const [search, podcasts] = result.channelAnalysis;
+  expect(search.verification.metrics.ctr.status).toBe('verified');
+  expect(search.verification.metrics.reach.status).toBe('unsupported');
+  expect(search.verification.status).toBe('unsupported');
+  expect(podcasts.verification).toMatchObject({ status: 'unsupported', inData: false });
+
+  expect(result.verification.counts).toEqual({ verified: 4, approximate: 1, corrected: 1, unsupported: 2 });
+  expect(result.verification.total).toBe(8);
+  expect(describeVerification(result.verification)).toBe('4 of 8 AI-stated numbers verified, 1 approximate, 1 corrected, 2 unsupported');
+  expect(analysis.overallPerformance.keyMetrics.totalReach).toBe(5000);
+});
@@ -0,0 +1,318 @@
+import Papa from 'papaparse';
+import * as XLSX from 'xlsx';
+
+// How many leading rows we look through when hunting for the real header row
+const HEADER_SCAN_LIMIT = 25;
+
+// Labels of a totals row at the bottom of a report: the word on its own or followed by a colon or
+// dash ("Total", "Grand Total", "Total: Account"), never the start of a name like "Total Video"
+const TOTAL_LABEL_PATTERNS = [
+  /^(grand\s+|sub-?)?totals?(\s*[:-].*)?$/i,
+  /^(sum|summary|overall)(\s*[:-].*)?$/i
+];
+
+// First-cell patterns of the notes report tools append under the table
+const NOTE_PATTERNS = [
+  /^(report\s+)?(generated|downloaded|exported)\b/i,
+  /^[©]|^copyright\b/i
+];
+
+// Parse errors beyond this are counted but not kept, so a malformed log export can't balloon memory
+const MAX_KEPT_ERRORS = 100;
+
+// Size of each slice read from disk while streaming delimited files
+const STREAM_CHUNK_SIZE = 1024 * 1024;
+
+// Google Ads exports UTF-16 text; sniff the byte order mark so the streamer decodes it correctly
+const detectTextEncoding = async (file) => {
+  const bytes = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+  return 'utf-8';
+};
+
+// Stream a delimited file chunk by chunk into a dataset builder, reporting progress as rows come in
+const streamDelimitedFile = async (file, { delimiter, builder, onProgress } = {}) => {
+  const encoding = await detectTextEncoding(file);
+
+  return new Promise((resolve, reject) => {
+    const errors = [];
+    let errorCount = 0;
+
+    Papa.parse(file, {
+      header: false,
+      skipEmptyLines: true,
+      // Keep cells as text: numbers are normalized later with per-column locale detection
+      dynamicTyping: false,
+      encoding,
+      delimiter: delimiter || '',
+      delimitersToGuess: [',', '\t', ';', '|'],
+      chunkSize: STREAM_CHUNK_SIZE,
+      chunk: (results) => {
+        for (let i = 0; i < results.data.length; i++) {
+          const row = results.data[i];
+          // Strip a UTF-8 byte order mark from the very first cell
+          if (builder.rowCount() === 0 && typeof row[0] === 'string') {
+            row[0] = row[0].replace(/^\uFEFF/, '');
+          }
+          builder.add(row);
+        }
+        results.errors.forEach(error => {
+          errorCount++;
+          if (errors.length < MAX_KEPT_ERRORS) errors.push(error);
+        });
+        if (onProgress) {
+          onProgress({ rows: builder.rowCount(), bytes: Math.min(results.meta.cursor, file.size), totalBytes: file.size });
+        }
+      },
+      complete: () => {
+        if (errorCount > errors.length) {
+          errors.push({ type: 'Summary', message: `${errorCount - errors.length} further parse errors were not shown` });
+        }
+        resolve({ sheetNames: [file.name], sheetName: file.name, errors });
+      },
+      error: (error) => {
+        reject(error);
+      }
+    });
+  });
+};
+
+const formatSheetCell = (cell) => {
+  if (cell instanceof Date) {
+    return isNaN(cell.getTime()) ? '' : cell.toISOString().split('T')[0];
+  }
+  return cell;
+};
+
+const sheetHasData = (sheet) => {
+  if (!sheet || !sheet['!ref']) return false;
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+  return range.e.r > range.s.r;
+};
+
+// Registry of supported formats. Each importer feeds the rows of a File (or of one of its
+// worksheets) into a dataset builder and reports the sheets it found.
+export const IMPORTERS = [
+  {
+    id: 'csv',
+    label: 'CSV',
+    extensions: ['.csv'],
+    mimeTypes: ['text/csv', 'application/csv'],
+    read: (file, { builder, onProgress } = {}) => streamDelimitedFile(file, { builder, onProgress })
+  },
+  {
+    id: 'tsv',
+    label: 'TSV',
+    extensions: ['.tsv', '.tab', '.txt'],
+    mimeTypes: ['text/tab-separated-values', 'text/plain'],
+    // .txt exports may use any delimiter, so only force tabs for real TSV files
+    read: (file, { builder, onProgress } = {}) =>
+      streamDelimitedFile(file, { delimiter: /\.(tsv|tab)$/i.test(file.name) ? '\t' : '', builder, onProgress })
+  },
+  {
+    id: 'xlsx',
+    label: 'Excel workbook',
+    extensions: ['.xlsx', '.xlsm', '.xls'],
+    mimeTypes: [
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-excel'
+    ],
+    read: async (file, { builder, sheetName, onProgress } = {}) => {
+      const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+      const sheetNames = workbook.SheetNames;
+
+      // Default to the first sheet that actually has data; only the chosen sheet is converted
+      const selectedSheet = sheetNames.includes(sheetName) ? sheetName :
+        (sheetNames.find(name => sheetHasData(workbook.Sheets[name])) || sheetNames[0]);
+      const rows = selectedSheet ? XLSX.utils.sheet_to_json(workbook.Sheets[selectedSheet], {
+        header: 1,
+        raw: true,
+        blankrows: false,
+        defval: ''
+      }) : [];
+      rows.forEach(row => {
+        for (let idx = 0; idx < row.length; idx++) row[idx] = formatSheetCell(row[idx]);
+        builder.add(row);
+      });
+      if (onProgress) {
+        onProgress({ rows: rows.length, bytes: file.size, totalBytes: file.size });
+      }
+      return { sheetNames, sheetName: selectedSheet, errors: [] };
+    }
+  }
+];
+
+export const SUPPORTED_EXTENSIONS = IMPORTERS.flatMap(importer => importer.extensions);
+
+// Pick an importer by extension first, falling back to the browser-reported MIME type
+export const detectFileFormat = (file) => {
+  const name = (file.name || '').toLowerCase();
+  const byExtension = IMPORTERS.find(importer => importer.extensions.some(ext => name.endsWith(ext)));
+  if (byExtension) return byExtension;
+
+  return IMPORTERS.find(importer => importer.mimeTypes.includes(file.type)) || null;
+};
+
+const isBlankCell = (cell) => cell === null || cell === undefined || cell.toString().trim() === '';
+
+const countFilled = (row) => row.filter(cell => !isBlankCell(cell)).length;
+
+const isTextCell = (cell) => typeof cell === 'string' && cell.trim() !== '' && isNaN(Number(cell.replace(/[,%$€£]/g, '')));
+
+// Google Ads writes "--" in cells that have no value, including the dimensions of its totals rows
+const isNoValueMarker = (cell) => typeof cell === 'string' && cell.trim() === '--';
+
+// Report exports put titles, date ranges and filters above the table. The header row is the first
+// row that is (nearly) as wide as the table body and made up of text labels.
+export const detectHeaderRow = (grid) => {
+  const scanned = grid.slice(0, HEADER_SCAN_LIMIT);
+  if (scanned.length === 0) return 0;
+
+  const tableWidth = Math.max(...scanned.map(countFilled));
+  if (tableWidth <= 1) return 0;
+
+  const index = scanned.findIndex((row, idx) => {
+    const filled = countFilled(row);
+    const textCells = row.filter(isTextCell).length;
+    const next = grid[idx + 1];
+
+    return filled >= Math.max(2, Math.ceil(tableWidth * 0.6)) &&
+      textCells >= Math.ceil(filled * 0.8) &&
+      (!next || countFilled(next) >= Math.ceil(filled * 0.5));
+  });
+
+  return index === -1 ? 0 : index;
+};
+
+// Whether a row at the bottom of the table is a footer: a note under the table, or a totals row.
+// A totals row carries a total label and otherwise only numbers, its other dimensions left blank.
+export const isFooterRow = (row, headerWidth) => {
+  const labelIndex = row.findIndex(cell => !isBlankCell(cell));
+  if (labelIndex === -1) return true;
+
+  const firstFilled = row[labelIndex];
+  const label = firstFilled.toString().trim();
+  if (NOTE_PATTERNS.some(pattern => pattern.test(label))) return true;
+  if (TOTAL_LABEL_PATTERNS.some(pattern => pattern.test(label)) &&
+    !row.some((cell, idx) => idx !== labelIndex && isTextCell(cell) && !isNoValueMarker(cell))) {
+    return true;
+  }
+
+  // A lone note or disclaimer line under the table
+  return countFilled(row) === 1 && headerWidth > 2 && isTextCell(firstFilled) && label.length > 40;
+};
+
+// Collects rows into the {headers, rows} shape used across the app as they are read, so a large
+// file is never held as a raw grid and then copied. Only the leading rows are buffered, until the
+// header row can be detected; footers are trimmed from the end once the last row is in.
+export const createDatasetBuilder = ({ headerRowIndex } = {}) => {
+  const leadingRows = [];
+  const rows = [];
+  let headers = null;
+  let headerIndex = headerRowIndex;
+  let rowsRead = 0;
+  let repeatedHeaderRows = 0;
+
+  const addBodyRow = (row) => {
+    const cells = new Array(headers.length);
+    let filled = false;
+    let repeatsHeader = true;
+    for (let idx = 0; idx < headers.length; idx++) {
+      const cell = row[idx] === undefined ? '' : row[idx];
+      cells[idx] = cell;
+      if (!isBlankCell(cell)) filled = true;
+      if (String(cell ?? '').trim() !== headers[idx]) repeatsHeader = false;
+    }
+    if (!filled) return;
+
+    // Some platforms also repeat the header row between segments
+    if (repeatsHeader) {
+      repeatedHeaderRows++;
+      return;
+    }
+    rows.push(cells);
+  };
+
+  const startBody = () => {
+    if (headerIndex === undefined) headerIndex = detectHeaderRow(leadingRows);
+    const headerRow = leadingRows[headerIndex] || [];
+
+    // Drop trailing empty header cells so the table width matches real columns
+    let width = headerRow.length;
+    while (width > 0 && isBlankCell(headerRow[width - 1])) width--;
+
+    headers = headerRow.slice(0, width).map((header, idx) =>
+      isBlankCell(header) ? `Column ${idx + 1}` : header.toString().trim()
+    );
+    for (let idx = headerIndex + 1; idx < leadingRows.length; idx++) addBodyRow(leadingRows[idx]);
+  };
+
+  return {
+    add: (row) => {
+      rowsRead++;
+      if (headers) {
+        addBodyRow(row);
+        return;
+      }
+      leadingRows.push(row);
+      // Header detection looks at the scanned rows and the one after them
+      if (leadingRows.length > HEADER_SCAN_LIMIT) startBody();
+    },
+    rowCount: () => rowsRead,
+    finish: ({ filename = '', errors = [] } = {}) => {
+      if (!headers) startBody();
+
+      let end = rows.length;
+      while (end > 0 && isFooterRow(rows[end - 1], headers.length)) end--;
+      const footerRowsRemoved = rows.length - end;
+      rows.length = end;
+
+      return {
+        filename,
+        headers,
+        rows,
+        errors,
+        importMeta: {
+          headerRowIndex: headerIndex,
+          preambleRowsRemoved: headerIndex,
+          footerRowsRemoved,
+          repeatedHeaderRowsRemoved: repeatedHeaderRows,
+          previewRows: leadingRows.slice(0, HEADER_SCAN_LIMIT)
+        }
+      };
+    }
+  };
+};
+
+// Turn a raw grid into the {headers, rows} shape used across the app
+export const buildDataset = (grid, { headerRowIndex, filename = '', errors = [] } = {}) => {
+  const builder = createDatasetBuilder({ headerRowIndex });
+  grid.forEach(row => builder.add(row));
+  return builder.finish({ filename, errors });
+};
+
+// Read any supported file into the {headers, rows, errors} shape the rest of the app consumes.
+// Options let the caller pick a worksheet, override the detected header row and follow progress.
+export const importFile = async (file, { sheetName, headerRowIndex, onProgress } = {}) => {
+  const importer = detectFileFormat(file);
+  if (!importer) {
+    throw new Error(`Unsupported file type. Please upload one of: ${SUPPORTED_EXTENSIONS.join(', ')}`);
+  }
+
+  const builder = createDatasetBuilder({ headerRowIndex });
+  const { sheetNames, sheetName: selectedSheet, errors } = await importer.read(file, { builder, sheetName, onProgress });
+  const dataset = builder.finish({ filename: file.name, errors });
+
+  return {
+    ...dataset,
+    importMeta: {
+      ...dataset.importMeta,
+      format: importer.id,
+      formatLabel: importer.label,
+      sheetNames,
+      sheetName: selectedSheet
+    }
+  };
+};
@@ -0,0 +1,89 @@
+import { buildDataset, createDatasetBuilder, detectHeaderRow, detectFileFormat } from './importers';
+
+const reportGrid = [
+  ['Campaign performance report'],
+  ['Date range: Jan 1, 2025 - Jan 31, 2025', ''],
+  ['Channel', 'Impressions', 'Clicks', 'Cost'],
+  ['Search', 1000, 50, '$20.00'],
+  ['Social', 2000, 30, 15],
+  ['Total: Account', 3000, 80, 35]
+];
+
+test('detects the header row below a report preamble', () => {
+  expect(detectHeaderRow(reportGrid)).toBe(2);
+});
+
+test('strips preamble and totals rows from the dataset', () => {
+  const dataset = buildDataset(reportGrid, { filename: 'report.csv' });
+
+  expect(dataset.headers).toEqual(['Channel', 'Impressions', 'Clicks', 'Cost']);
+  expect(dataset.rows).toHaveLength(2);
+  expect(dataset.importMeta.preambleRowsRemoved).toBe(2);
+  expect(dataset.importMeta.footerRowsRemoved).toBe(1);
+});
+
+test('honours an explicit header row', () => {
+  const dataset = buildDataset(reportGrid, { headerRowIndex: 1 });
+  expect(dataset.headers[0]).toBe('Date range: Jan 1, 2025 - Jan 31, 2025');
+});
+
+test('picks importers by extension', () => {
+  expect(detectFileFormat({ name: 'export.XLSX', type: '' }).id).toBe('xlsx');
+  expect(detectFileFormat({ name: 'export.tsv', type: '' }).id).toBe('tsv');
+  expect(detectFileFormat({ name: 'export', type: 'text/csv' }).id).toBe('csv');
+  expect(detectFileFormat({ name: 'export.pdf', type: 'application/pdf' })).toBeNull();
+});
+
+test('keeps real rows whose names start with "Total" or "Summary"', () => {
+  const grid = [
+    ['Channel', 'Campaign', 'Impressions', 'Cost'],
+    ['Total Video', 'Launch', 1000, 20],
+    ['Search', 'Summary Retargeting', 500, 10],
+    ['Total: Account', '', 1500, 30],
+    ['Summary Retargeting', 'Always on', 200, 5]
+  ];
+  const dataset = buildDataset(grid);
+
+  // Only the tail is checked for footers, and a named row with a dimension filled in is real data
+  expect(dataset.rows.map(row => row[0])).toEqual(['Total Video', 'Search', 'Total: Account', 'Summary Retargeting']);
+  expect(dataset.importMeta.footerRowsRemoved).toBe(0);
+
+  const withFooter = buildDataset([...grid.slice(0, 3), ['Grand Total', '', 1500, 30], ['Report generated 2025-01-31']]);
+  expect(withFooter.rows.map(row => row[0])).toEqual(['Total Video', 'Search']);
+  expect(withFooter.importMeta.footerRowsRemoved).toBe(2);
+});
+
+test('drops a Google Ads totals row whose dimension cells hold "--"', () => {
+  const dataset = buildDataset([
+    ['Campaign', 'Ad group', 'Impressions', 'Cost'],
+    ['Brand', 'Exact', '1000', '20.00'],
+    ['Total: Account', ' --', '1000', '20.00']
+  ]);
+  expect(dataset.rows).toHaveLength(1);
+  expect(dataset.importMeta.footerRowsRemoved).toBe(1);
+});
+
+test('keeps a last row named "Total ..." in a one-dimension table', () => {
+  const dataset = buildDataset([['Channel', 'Impressions'], ['Search', 500], ['Total Video', 1000]]);
+  expect(dataset.rows).toHaveLength(2);
+});
+
+test('builds the dataset row by row, trimming footers once at the end', () => {
+  const builder = createDatasetBuilder();
+  reportGrid.slice(0, 5).forEach(row => builder.add(row));
+  for (let idx = 0; idx < 1000; idx++) builder.add(['Display', idx, 1, '2']);
+  builder.add(['Channel', 'Impressions', 'Clicks', 'Cost']);
+  builder.add(['Video', 10, 1, 3]);
+  builder.add(['Total', 3000, 80, 35]);
+  builder.add(['Report generated 2025-02-01']);
+  builder.add(['', '', '', '']);
+  const dataset = builder.finish({ filename: 'big.csv' });
+
+  expect(builder.rowCount()).toBe(1010);
+  expect(dataset.headers).toEqual(['Channel', 'Impressions', 'Clicks', 'Cost']);
+  expect(dataset.rows).toHaveLength(1003);
+  expect(dataset.rows[dataset.rows.length - 1]).toEqual(['Video', 10, 1, 3]);
+  expect(dataset.importMeta.footerRowsRemoved).toBe(2);
+  expect(dataset.importMeta.repeatedHeaderRowsRemoved).toBe(1);
+  expect(dataset.importMeta.previewRows).toHaveLength(25);
+});
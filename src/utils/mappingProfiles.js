@@ -0,0 +1,69 @@
+import { normalizeHeader } from './dataProcessing';
+import { loadStored, saveStored } from './storage';
+
+const STORAGE_KEY = 'mediaPlanner.mappingProfiles';
+
+// Share of headers two files must have in common for a saved profile to auto-apply
+const PROFILE_MATCH_THRESHOLD = 0.8;
+
+const headerSignature = (headers) => [...new Set(headers.map(normalizeHeader).filter(Boolean))].sort();
+
+export const loadMappingProfiles = () => loadStored(STORAGE_KEY, [], 'mapping profiles');
+
+const storeMappingProfiles = (profiles) => {
+  saveStored(STORAGE_KEY, profiles, 'mapping profiles');
+  return profiles;
+};
+
+// Save (or replace) a named profile. `mapping` is { [header]: field | IGNORED_COLUMN } for every header.
+export const saveMappingProfile = (name, headers, mapping) => {
+  const profile = {
+    name: name.trim(),
+    headers: headerSignature(headers),
+    mapping,
+    savedAt: new Date().toISOString()
+  };
+  const others = loadMappingProfiles().filter(existing => existing.name !== profile.name);
+  return storeMappingProfiles([...others, profile]);
+};
+
+export const deleteMappingProfile = (name) =>
+  storeMappingProfiles(loadMappingProfiles().filter(profile => profile.name !== name));
+
+// Jaccard similarity between the header sets of a file and a saved profile
+const profileSimilarity = (signature, profile) => {
+  const profileHeaders = new Set(profile.headers);
+  const shared = signature.filter(header => profileHeaders.has(header)).length;
+  const union = new Set([...signature, ...profile.headers]).size;
+  return union === 0 ? 0 : shared / union;
+};
+
+// Find the saved profile whose headers best match an uploaded file, if any is close enough
+export const findMatchingProfile = (headers, profiles = loadMappingProfiles()) => {
+  const signature = headerSignature(headers);
+  let best = null;
+
+  profiles.forEach(profile => {
+    const similarity = profileSimilarity(signature, profile);
+    if (similarity >= PROFILE_MATCH_THRESHOLD && (!best || similarity > best.similarity)) {
+      best = { profile, similarity };
+    }
+  });
+
+  return best ? best.profile : null;
+};
+
+// Translate a profile's mapping onto the exact header spelling of a new file
+export const profileToOverrides = (profile, headers) => {
+  const byNormalized = {};
+  Object.entries(profile.mapping).forEach(([header, field]) => {
+    byNormalized[normalizeHeader(header)] = field;
+  });
+
+  const overrides = {};
+  headers.forEach(header => {
+    const field = byNormalized[normalizeHeader(header)];
+    if (field !== undefined) overrides[header] = field;
+  });
+  return overrides;
+};
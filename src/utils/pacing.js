@@ -0,0 +1,166 @@
+import { resolveColumnMappings, resolveNumberFormats, parseNumericValue } from './dataProcessing';
+import { aggregateTimeSeries, parseDate } from './timeSeries';
+import { channelGroupKey } from './aggregation';
+import { loadStored, saveStored } from './storage';
+
+const STORAGE_KEY = 'mediaPlanner.pacingPlans';
+
+export const EMPTY_PACING_PLAN = { flightStart: '', flightEnd: '', budgets: {} };
+
+// Projected end-of-flight spend within this share of the plan counts as on track
+export const PACING_TOLERANCE = 0.05;
+
+// Projections run at the average daily spend over this many most recent days
+const RUN_RATE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toIsoDay = (time) => new Date(time).toISOString().split('T')[0];
+
+// Unmapped headers naming the line item (or campaign) a budget row belongs to
+const LINE_ITEM_HEADER = /^(line[\s_-]*item|insertion[\s_-]*order|io|campaign|ad[\s_-]*(set|group))([\s_-]*(name|id))?$/i;
+
+// Planned budget per channel from the budget column. Exports repeat a line item's budget on each of
+// its daily rows, so every line item counts once, told apart by a line-item or campaign column. A line
+// item whose budget changed keeps its largest. Channels with budget rows that name no line item are
+// listed as `ambiguous` instead: equal budgets could be one line item or several, so the planner
+// enters those budgets.
+export const plannedBudgetsFromData = (data) => {
+  const empty = { budgets: {}, ambiguous: [] };
+  if (!data || !data.rows) return empty;
+  const mappings = resolveColumnMappings(data);
+  if (!mappings.budget || !mappings.channel) return empty;
+
+  const formats = resolveNumberFormats(data, mappings);
+  const mappedIndexes = new Set(Object.values(mappings).map(match => match.index));
+  const lineItemIndex = data.headers.findIndex((header, idx) =>
+    !mappedIndexes.has(idx) && LINE_ITEM_HEADER.test(String(header).trim())
+  );
+
+  const budgets = new Map();
+  const ambiguous = new Set();
+  data.rows.forEach(row => {
+    const budget = parseNumericValue(row[mappings.budget.index], formats.budget);
+    if (!(budget > 0)) return;
+    const channel = channelGroupKey(row[mappings.channel.index]);
+    const lineItem = lineItemIndex === -1 ? '' : String(row[lineItemIndex] ?? '').trim();
+    if (!lineItem) {
+      ambiguous.add(channel);
+      return;
+    }
+
+    if (!budgets.has(channel)) budgets.set(channel, new Map());
+    const lineItems = budgets.get(channel);
+    lineItems.set(lineItem, Math.max(lineItems.get(lineItem) || 0, budget));
+  });
+
+  return {
+    budgets: Object.fromEntries([...budgets.entries()]
+      .filter(([channel]) => !ambiguous.has(channel))
+      .map(([channel, lineItems]) => [channel, [...lineItems.values()].reduce((sum, budget) => sum + budget, 0)])),
+    ambiguous: [...ambiguous]
+  };
+};
+
+// Daily spend per channel and overall, keyed by UTC-midnight timestamp, plus the data's date range.
+// Takes the daily time series when it has already been aggregated.
+export const dailySpend = (data, dailySeries = null) => {
+  const series = dailySeries || aggregateTimeSeries(data, 'day');
+  if (!series || series.points.length === 0) return null;
+
+  const byChannel = Object.fromEntries(series.channels.map(channel => [channel, new Map()]));
+  const total = new Map();
+  series.points.forEach(point => {
+    if (!point.total) return;
+    total.set(point.time, point.total.cost || 0);
+    Object.entries(point.byChannel).forEach(([channel, summary]) => {
+      byChannel[channel].set(point.time, summary.cost || 0);
+    });
+  });
+  return {
+    channels: series.channels,
+    total,
+    byChannel,
+    firstDay: series.points[0].time,
+    lastDay: series.points[series.points.length - 1].time
+  };
+};
+
+// Pacing of one spend series against a planned budget over a flight. "Today" is the last day with
+// data inside the flight. Returns the cumulative actual vs ideal linear spend per flight day, the
+// projection to the end of the flight at the recent run rate, the daily spend still needed to land
+// on the plan and a status: on track, under or over (projected more than 5% off the plan),
+// overspent (already past the plan) or complete (the flight has ended).
+export const computePacing = (spendByDay, { plannedBudget, flightStart, flightEnd }) => {
+  const start = parseDate(flightStart);
+  const end = parseDate(flightEnd);
+  if (start === null || end === null || end < start) return { error: 'Set flight start and end dates to track pacing.' };
+  if (!(plannedBudget > 0)) return { error: 'Enter a planned budget to track pacing.' };
+
+  const flightDays = Math.round((end - start) / DAY_MS) + 1;
+  const daysWithData = [...spendByDay.keys()].filter(time => time >= start && time <= end);
+  if (daysWithData.length === 0) return { error: 'No spend falls inside the flight dates.' };
+
+  const today = Math.max(...daysWithData);
+  const elapsedDays = Math.round((today - start) / DAY_MS) + 1;
+  const remainingDays = flightDays - elapsedDays;
+  const spendOn = (time) => spendByDay.get(time) || 0;
+
+  const series = [];
+  let actual = 0;
+  for (let day = 0; day < flightDays; day++) {
+    const time = start + day * DAY_MS;
+    if (time <= today) actual += spendOn(time);
+    series.push({
+      date: toIsoDay(time),
+      ideal: plannedBudget * (day + 1) / flightDays,
+      actual: time <= today ? actual : null
+    });
+  }
+
+  const runRateWindow = Math.min(RUN_RATE_DAYS, elapsedDays);
+  let recentSpend = 0;
+  for (let day = 0; day < runRateWindow; day++) recentSpend += spendOn(today - day * DAY_MS);
+  const runRate = recentSpend / runRateWindow;
+
+  const spentToDate = actual;
+  const projectedSpend = spentToDate + runRate * remainingDays;
+  series.forEach((point, idx) => {
+    const daysAhead = idx + 1 - elapsedDays;
+    point.projected = daysAhead >= 0 ? spentToDate + runRate * daysAhead : null;
+  });
+
+  const idealToDate = plannedBudget * elapsedDays / flightDays;
+  const projectedGap = (projectedSpend - plannedBudget) / plannedBudget;
+  let status = 'onTrack';
+  if (spentToDate > plannedBudget) status = 'overspent';
+  else if (remainingDays === 0) status = 'complete';
+  else if (projectedGap < -PACING_TOLERANCE) status = 'under';
+  else if (projectedGap > PACING_TOLERANCE) status = 'over';
+
+  return {
+    plannedBudget,
+    flightDays,
+    elapsedDays,
+    remainingDays,
+    asOf: toIsoDay(today),
+    spentToDate,
+    idealToDate,
+    pacing: spentToDate / idealToDate * 100,
+    runRate,
+    projectedSpend,
+    projectedGap,
+    requiredDailySpend: remainingDays > 0 ? Math.max(0, plannedBudget - spentToDate) / remainingDays : null,
+    status,
+    series
+  };
+};
+
+export const loadPacingPlans = () => loadStored(STORAGE_KEY, {}, 'pacing plans');
+
+// Save the flight dates and planned budgets for a dataset and return every stored plan
+export const savePacingPlan = (key, plan) => {
+  const plans = { ...loadPacingPlans(), [key]: plan };
+  saveStored(STORAGE_KEY, plans, 'pacing plan');
+  return plans;
+};
@@ -0,0 +1,83 @@
+import { plannedBudgetsFromData, dailySpend, computePacing } from './pacing';
+
+const data = {
+  headers: ['Date', 'Channel', 'Spend', 'Budget'],
+  rows: [
+    ['2024-03-01', 'Search', '100', '1000'],
+    ['2024-03-02', 'Search', '100', '1000'],
+    ['2024-03-03', 'Search', '100', '1000'],
+    ['2024-03-01', 'Social', '50', '300'],
+    ['2024-03-02', 'Social', '50', '200'],
+    ['2024-03-03', 'Social', '200', '']
+  ]
+};
+
+test('leaves budgets to the planner when no column names their line items', () => {
+  expect(plannedBudgetsFromData(data)).toEqual({ budgets: {}, ambiguous: ['Search', 'Social'] });
+  expect(plannedBudgetsFromData({ headers: ['Channel', 'Spend'], rows: [['Search', '10']] })).toEqual({ budgets: {}, ambiguous: [] });
+});
+
+test('counts each line item\'s budget once, however many daily rows repeat it', () => {
+  const days = Array.from({ length: 30 }, (_, idx) => `2024-03-${String(idx + 1).padStart(2, '0')}`);
+  const lineItems = [['Search', 'Brand', '3000'], ['Search', 'Generic', '1500'], ['Search', 'Competitors', '1500'], ['Social', 'Prospecting', '2000']];
+  const rows = days.flatMap(day => lineItems.map(([channel, item, budget]) => [day, channel, item, '50', budget]));
+
+  expect(plannedBudgetsFromData({ headers: ['Date', 'Channel', 'Line Item', 'Spend', 'Budget'], rows }))
+    .toEqual({ budgets: { Search: 6000, Social: 2000 }, ambiguous: [] });
+
+  // A budget row without a line item makes its channel's budget ambiguous
+  const unnamed = rows.map(row => (row[2] === 'Generic' ? [row[0], row[1], '', row[3], row[4]] : row));
+  expect(plannedBudgetsFromData({ headers: ['Date', 'Channel', 'Line Item', 'Spend', 'Budget'], rows: unnamed }))
+    .toEqual({ budgets: { Social: 2000 }, ambiguous: ['Search'] });
+});
+
+test('collects daily spend per channel and overall', () => {
+  const spend = dailySpend(data);
+  expect(spend.channels).toEqual(['Search', 'Social']);
+  expect(spend.total.get(Date.UTC(2024, 2, 3))).toBe(300);
+  expect(spend.byChannel.Social.get(Date.UTC(2024, 2, 1))).toBe(50);
+  expect(spend.firstDay).toBe(Date.UTC(2024, 2, 1));
+  expect(spend.lastDay).toBe(Date.UTC(2024, 2, 3));
+});
+
+test('compares cumulative spend with the ideal line and projects the flight', () => {
+  const spend = dailySpend(data);
+  const search = computePacing(spend.byChannel.Search, { plannedBudget: 1000, flightStart: '2024-03-01', flightEnd: '2024-03-10' });
+
+  expect(search).toMatchObject({ flightDays: 10, elapsedDays: 3, remainingDays: 7, asOf: '2024-03-03', spentToDate: 300 });
+  expect(search.idealToDate).toBeCloseTo(300, 5);
+  expect(search.pacing).toBeCloseTo(100, 5);
+  expect(search.projectedSpend).toBeCloseTo(1000, 5);
+  expect(search.requiredDailySpend).toBeCloseTo(100, 5);
+  expect(search.status).toBe('onTrack');
+  expect(search.series).toHaveLength(10);
+  expect(search.series[2]).toMatchObject({ date: '2024-03-03', actual: 300 });
+  expect(search.series[3].actual).toBeNull();
+  expect(search.series[9].projected).toBeCloseTo(1000, 5);
+});
+
+test('flags under- and over-delivery and a spent-out plan', () => {
+  const spend = dailySpend(data);
+  const flight = { flightStart: '2024-03-01', flightEnd: '2024-03-10' };
+
+  const under = computePacing(spend.byChannel.Search, { ...flight, plannedBudget: 2000 });
+  expect(under.status).toBe('under');
+  expect(under.requiredDailySpend).toBeCloseTo(1700 / 7, 5);
+
+  // The run rate follows the recent days: Social spent 300 over 3 days, so 100/day
+  const over = computePacing(spend.byChannel.Social, { ...flight, plannedBudget: 500 });
+  expect(over.projectedSpend).toBeCloseTo(1000, 5);
+  expect(over.status).toBe('over');
+
+  expect(computePacing(spend.byChannel.Search, { ...flight, plannedBudget: 250 }).status).toBe('overspent');
+  expect(computePacing(spend.byChannel.Search, { flightStart: '2024-03-01', flightEnd: '2024-03-03', plannedBudget: 300 }).status)
+    .toBe('complete');
+});
+
+test('explains what is missing', () => {
+  const spend = dailySpend(data);
+  expect(computePacing(spend.total, { plannedBudget: 100, flightStart: '', flightEnd: '2024-03-10' }).error).toMatch(/flight/);
+  expect(computePacing(spend.total, { plannedBudget: 0, flightStart: '2024-03-01', flightEnd: '2024-03-10' }).error).toMatch(/budget/);
+  expect(computePacing(spend.total, { plannedBudget: 100, flightStart: '2024-04-01', flightEnd: '2024-04-10' }).error)
+    .toMatch(/No spend/);
+});
@@ -0,0 +1,170 @@
+import { resolveColumnMappings, resolveNumberFormats, parseNumericValue } from './dataProcessing';
+import { backfillBaseValues } from './derivedMetrics';
+import { channelGroupKey } from './aggregation';
+
+// How much audiences overlap when reach figures are combined, from 0 (exclusive audiences: reach
+// adds up) through 0.5 (random duplication: overlap in proportion to each audience's size) to 1
+// (fully nested: the combined reach is the largest one). Rows of one channel are usually the same
+// people on different days or placements; channels are closer to independent.
+export const DEFAULT_REACH_ASSUMPTIONS = {
+  universe: '',
+  withinChannelOverlap: 0.75,
+  acrossChannelOverlap: 0.5
+};
+
+// Effective reach thresholds shown on the Analysis tab
+export const EFFECTIVE_FREQUENCIES = [1, 3, 5];
+
+// Without a universe column or a user-entered one, assume the summed reach covers half the population
+const DEFAULT_UNIVERSE_MULTIPLE = 2;
+
+const ROW_FIELDS = ['impressions', 'cost', 'cpm', 'reach', 'frequency', 'universe'];
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// Combined reach of several audiences out of `universe` people under an overlap assumption
+export const combineReach = (reaches, universe, overlap = 0.5) => {
+  const sizes = reaches.filter(reach => reach > 0).map(reach => Math.min(reach, universe));
+  if (sizes.length === 0) return 0;
+
+  const exclusive = Math.min(universe, sum(sizes));
+  const random = universe * (1 - sizes.reduce((unreached, reach) => unreached * (1 - reach / universe), 1));
+  const nested = sizes.reduce((largest, reach) => Math.max(largest, reach), 0);
+  if (overlap <= 0.5) return exclusive + (random - exclusive) * (overlap / 0.5);
+  return random + (nested - random) * ((overlap - 0.5) / 0.5);
+};
+
+// Share of the universe exposed `n` times under a negative binomial (NBD) exposure distribution
+// with mean `mean` exposures per person and shape `shape`; the classic media reach model
+const nbdDistribution = (mean, shape, maxExposures) => {
+  const probabilities = [Math.pow(shape / (shape + mean), shape)];
+  for (let n = 1; n <= maxExposures; n++) {
+    probabilities.push(probabilities[n - 1] * (shape + n - 1) / n * (mean / (shape + mean)));
+  }
+  return probabilities;
+};
+
+// NBD shapes searched when fitting; very large shapes are Poisson (random) exposure
+const MIN_SHAPE = 1e-4;
+const MAX_SHAPE = 1e4;
+
+// Fit an NBD to a reach (people) and impressions (exposures) pair. The shape is found by bisection
+// so the model reproduces the observed reach exactly; reach beyond what random exposure allows is
+// capped there. Returns null when there is nothing to fit.
+export const fitReachCurve = ({ reach, impressions, universe }) => {
+  if (!(reach > 0) || !(impressions > 0) || !(universe > 0)) return null;
+  const mean = impressions / universe;
+  const poissonReach = universe * (1 - Math.exp(-mean));
+  const target = 1 - Math.min(reach, impressions, poissonReach * 0.999) / universe;
+
+  let low = Math.log(MIN_SHAPE);
+  let high = Math.log(MAX_SHAPE);
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    const unreached = nbdDistribution(mean, Math.exp(mid), 0)[0];
+    // Unreached share falls as the shape grows; move towards the observed share
+    if (unreached > target) low = mid;
+    else high = mid;
+  }
+  return { shape: Math.exp((low + high) / 2), impressions, universe, reach: universe * (1 - target) };
+};
+
+// Reach the curve predicts at another impression volume
+export const reachAt = (curve, impressions) => {
+  if (!curve || !(impressions > 0)) return 0;
+  return curve.universe * (1 - nbdDistribution(impressions / curve.universe, curve.shape, 0)[0]);
+};
+
+// People reached at least `threshold` times at the curve's impression volume
+export const effectiveReach = (curve, threshold) => {
+  if (!curve) return 0;
+  const probabilities = nbdDistribution(curve.impressions / curve.universe, curve.shape, threshold - 1);
+  return curve.universe * Math.max(0, 1 - sum(probabilities));
+};
+
+const readRows = (data) => {
+  const mappings = resolveColumnMappings(data);
+  const formats = resolveNumberFormats(data, mappings);
+  const fields = ROW_FIELDS.filter(field => mappings[field]);
+
+  return data.rows.map(row => {
+    const values = {};
+    fields.forEach(field => {
+      values[field] = parseNumericValue(row[mappings[field].index], formats[field]);
+    });
+    const base = backfillBaseValues(values);
+    const reach = base.reach || (base.impressions && values.frequency > 0 ? base.impressions / values.frequency : 0);
+    return {
+      channel: channelGroupKey(mappings.channel ? row[mappings.channel.index] : null),
+      reach,
+      impressions: base.impressions || 0,
+      universe: base.universe || 0
+    };
+  });
+};
+
+// De-duplicated reach and frequency for the dataset: reach per channel is combined across its rows
+// and then across channels under the overlap assumptions, instead of summed. Each channel and the
+// combined plan get an NBD curve for effective reach and for charting reach against budget.
+// Returns null when the data has no reach (or frequency) to work from.
+export const modelReachFrequency = (data, assumptions = DEFAULT_REACH_ASSUMPTIONS) => {
+  if (!data || !data.rows || data.rows.length === 0) return null;
+  const rows = readRows(data).filter(row => row.reach > 0);
+  if (rows.length === 0) return null;
+
+  const summedReach = sum(rows.map(row => row.reach));
+  const enteredUniverse = Number(assumptions.universe);
+  // A loop rather than Math.max(...): spreading hundreds of thousands of rows overflows the stack
+  const dataUniverse = rows.reduce((largest, row) => Math.max(largest, row.universe), 0);
+  const universe = enteredUniverse > 0 ? enteredUniverse : dataUniverse || summedReach * DEFAULT_UNIVERSE_MULTIPLE;
+  const universeSource = enteredUniverse > 0 ? 'entered' : dataUniverse ? 'data' : 'assumed';
+
+  const byChannel = new Map();
+  rows.forEach(row => {
+    if (!byChannel.has(row.channel)) byChannel.set(row.channel, []);
+    byChannel.get(row.channel).push(row);
+  });
+
+  const channels = [...byChannel.entries()].map(([channel, channelRows]) => {
+    const impressions = sum(channelRows.map(row => row.impressions));
+    const reach = combineReach(channelRows.map(row => row.reach), universe, assumptions.withinChannelOverlap);
+    return {
+      channel,
+      summedReach: sum(channelRows.map(row => row.reach)),
+      reach,
+      impressions,
+      frequency: reach > 0 && impressions > 0 ? impressions / reach : null,
+      curve: fitReachCurve({ reach, impressions, universe })
+    };
+  }).sort((a, b) => b.reach - a.reach);
+
+  const impressions = sum(channels.map(channel => channel.impressions));
+  const reach = combineReach(channels.map(channel => channel.reach), universe, assumptions.acrossChannelOverlap);
+  const curve = fitReachCurve({ reach, impressions, universe });
+
+  return {
+    universe,
+    universeSource,
+    summedReach,
+    reach,
+    impressions,
+    frequency: reach > 0 && impressions > 0 ? impressions / reach : null,
+    effectiveReach: EFFECTIVE_FREQUENCIES.map(threshold => ({
+      threshold,
+      reach: threshold === 1 ? reach : effectiveReach(curve, threshold)
+    })),
+    channels
+  };
+};
+
+// Reach by channel and combined as every channel's budget is scaled by the same factor, for the
+// reach curve chart. Channels keep their CPM, so impressions scale with budget.
+export const reachCurvePoints = (model, assumptions = DEFAULT_REACH_ASSUMPTIONS, multiples = [0, 0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2]) =>
+  multiples.map(multiple => {
+    const reaches = model.channels.map(channel => reachAt(channel.curve, channel.impressions * multiple));
+    return {
+      budget: Math.round(multiple * 100),
+      channels: Object.fromEntries(model.channels.map((channel, idx) => [channel.channel, Math.round(reaches[idx])])),
+      combined: Math.round(combineReach(reaches, model.universe, assumptions.acrossChannelOverlap))
+    };
+  });
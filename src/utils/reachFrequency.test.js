@@ -0,0 +1,91 @@
+import {
+  combineReach, fitReachCurve, reachAt, effectiveReach, modelReachFrequency, reachCurvePoints, DEFAULT_REACH_ASSUMPTIONS
+} from './reachFrequency';
+
+test('combines reach from exclusive through random to fully nested audiences', () => {
+  expect(combineReach([300, 200], 1000, 0)).toBe(500);
+  // Random duplication: 1 - 0.7 * 0.8 of the universe
+  expect(combineReach([300, 200], 1000, 0.5)).toBeCloseTo(440, 5);
+  expect(combineReach([300, 200], 1000, 1)).toBe(300);
+  expect(combineReach([300, 200], 1000, 0.25)).toBeCloseTo(470, 5);
+  expect(combineReach([800, 700], 1000, 0)).toBe(1000);
+  expect(combineReach([], 1000)).toBe(0);
+});
+
+test('fits an NBD curve that reproduces the observed reach', () => {
+  const curve = fitReachCurve({ reach: 400, impressions: 1200, universe: 1000 });
+  expect(reachAt(curve, 1200)).toBeCloseTo(400, 0);
+  // Diminishing returns: doubling impressions less than doubles reach, and reach never passes the universe
+  expect(reachAt(curve, 2400)).toBeGreaterThan(400);
+  expect(reachAt(curve, 2400)).toBeLessThan(800);
+  expect(reachAt(curve, 1e9)).toBeLessThanOrEqual(1000);
+
+  const threePlus = effectiveReach(curve, 3);
+  expect(threePlus).toBeGreaterThan(0);
+  expect(threePlus).toBeLessThan(effectiveReach(curve, 1));
+  expect(effectiveReach(curve, 5)).toBeLessThan(threePlus);
+
+  expect(fitReachCurve({ reach: 0, impressions: 100, universe: 1000 })).toBeNull();
+});
+
+test('caps reach at what random exposure allows', () => {
+  // 100 impressions among 1000 people cannot reach more than ~95 of them
+  const curve = fitReachCurve({ reach: 100, impressions: 100, universe: 1000 });
+  expect(curve.reach).toBeLessThan(96);
+});
+
+const data = {
+  headers: ['Channel', 'Spend', 'Impressions', 'Reach', 'Universe'],
+  rows: [
+    ['Search', '100', '20000', '10000', '100000'],
+    ['Search', '100', '20000', '10000', '100000'],
+    ['Social', '200', '60000', '20000', '100000']
+  ]
+};
+
+test('de-duplicates reach within and across channels instead of summing it', () => {
+  const model = modelReachFrequency(data);
+  expect(model.universe).toBe(100000);
+  expect(model.universeSource).toBe('data');
+  expect(model.summedReach).toBe(40000);
+
+  const search = model.channels.find(channel => channel.channel === 'Search');
+  expect(search.reach).toBeGreaterThan(10000);
+  expect(search.reach).toBeLessThan(20000);
+  expect(model.reach).toBeLessThan(model.summedReach);
+  expect(model.frequency).toBeCloseTo(100000 / model.reach, 5);
+
+  const [one, three, five] = model.effectiveReach;
+  expect(one.reach).toBe(model.reach);
+  expect(three.reach).toBeLessThan(one.reach);
+  expect(five.reach).toBeLessThan(three.reach);
+});
+
+test('follows the overlap assumptions and an entered universe', () => {
+  const exclusive = modelReachFrequency(data, { universe: '', withinChannelOverlap: 0, acrossChannelOverlap: 0 });
+  expect(exclusive.reach).toBeCloseTo(40000, 5);
+
+  const entered = modelReachFrequency(data, { ...DEFAULT_REACH_ASSUMPTIONS, universe: '500000' });
+  expect(entered.universeSource).toBe('entered');
+  expect(entered.reach).toBeGreaterThan(modelReachFrequency(data).reach);
+
+  expect(modelReachFrequency({ headers: ['Channel', 'Spend'], rows: [['Search', '10']] })).toBeNull();
+});
+
+test('charts reach as budgets scale', () => {
+  const model = modelReachFrequency(data);
+  const points = reachCurvePoints(model);
+  const current = points.find(point => point.budget === 100);
+  expect(points[0]).toMatchObject({ budget: 0, combined: 0, channels: { Search: 0, Social: 0 } });
+  expect(current.combined).toBeCloseTo(model.reach, -1);
+  expect(points[points.length - 1].combined).toBeGreaterThan(current.combined);
+});
+
+test('handles exports with hundreds of thousands of rows', () => {
+  const rows = Array.from({ length: 300000 }, (_, idx) => [idx % 2 ? 'Search' : 'Social', '1', '20', '10', String(1000000 + (idx % 7))]);
+  const model = modelReachFrequency({ headers: data.headers, rows });
+
+  expect(model.universe).toBe(1000006);
+  expect(model.reach).toBeGreaterThan(0);
+  expect(combineReach(rows.map(() => 10), 1000000, 1)).toBeCloseTo(10, 5);
+});
@@ -0,0 +1,102 @@
+// Statuses worth another attempt: request timeout, rate limited, gateway trouble and Anthropic's
+// 529 "overloaded". Other errors (bad request, auth, misconfiguration) would fail the same way again.
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504, 529];
+
+// Longest server-requested wait we are willing to sit through before giving up
+const MAX_RETRY_AFTER_MS = 60000;
+
+const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+const timeoutError = (timeoutMs) => {
+  const error = new Error(`No response from the model within ${Math.round(timeoutMs / 1000)}s`);
+  error.name = 'TimeoutError';
+  return error;
+};
+
+export const isRetryableError = (error) =>
+  Boolean(error) && (error.name === 'TimeoutError' || RETRYABLE_STATUSES.includes(error.status));
+
+// Retry-After holds either a number of seconds or an HTTP date; null when absent or unreadable
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const seconds = Number(value);
+  if (isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+};
+
+// Exponential backoff with jitter (half fixed, half random) unless the server said how long to wait
+export const backoffDelay = (attempt, { baseDelayMs = 1000, maxDelayMs = 30000, retryAfterMs = null, random = Math.random } = {}) => {
+  if (retryAfterMs !== null) return retryAfterMs;
+  const exponential = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+  return Math.round(exponential / 2 + random() * exponential / 2);
+};
+
+// Resolves after `ms`, or rejects with an AbortError as soon as the signal aborts
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(abortError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+// Run `run(attempt)` again after retryable failures, up to `retries` more times. onRetry hears about
+// each wait ({ attempt, retries, delayMs, error }); aborting the signal ends the wait at once.
+export const withRetries = async (run, { retries = 3, signal, onRetry, ...delayOptions } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await run(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error) || (signal && signal.aborted)) throw error;
+      const retryAfterMs = parseRetryAfter(error.retryAfter);
+      if (retryAfterMs !== null && retryAfterMs > MAX_RETRY_AFTER_MS) throw error;
+
+      const delayMs = backoffDelay(attempt, { ...delayOptions, retryAfterMs });
+      if (onRetry) onRetry({ attempt: attempt + 1, retries, delayMs, error });
+      await sleep(delayMs, signal);
+    }
+  }
+};
+
+// Run `run(signal, touch)` with a signal that aborts when the caller's does, or once `timeoutMs`
+// passes without progress; `touch` restarts the clock (streams call it for every chunk).
+// A timeout rejects with a TimeoutError rather than looking like a user stop.
+export const withTimeout = async (run, { timeoutMs, signal }) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer = null;
+  const touch = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+  const forwardAbort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener('abort', forwardAbort, { once: true });
+  }
+
+  touch();
+  try {
+    const result = await run(controller.signal, touch);
+    if (timedOut) throw timeoutError(timeoutMs);
+    return result;
+  } catch (error) {
+    if (timedOut) throw timeoutError(timeoutMs);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', forwardAbort);
+  }
+};
@@ -0,0 +1,86 @@
+import { isRetryableError, parseRetryAfter, backoffDelay, withRetries, withTimeout } from './requestRetry';
+
+const statusError = (status, retryAfter = null) => Object.assign(new Error(`API Error: ${status}`), { status, retryAfter });
+
+test('only busy, overloaded, gateway and timeout errors are retried', () => {
+  expect([429, 529, 503, 502, 504, 408].every(status => isRetryableError(statusError(status)))).toBe(true);
+  expect([400, 401, 403, 413, 500].some(status => isRetryableError(statusError(status)))).toBe(false);
+  expect(isRetryableError(Object.assign(new Error('slow'), { name: 'TimeoutError' }))).toBe(true);
+  expect(isRetryableError(new Error('network'))).toBe(false);
+});
+
+test('reads Retry-After as seconds or an HTTP date', () => {
+  const now = Date.parse('2024-05-01T12:00:00Z');
+  expect(parseRetryAfter('7', now)).toBe(7000);
+  expect(parseRetryAfter('Wed, 01 May 2024 12:00:30 GMT', now)).toBe(30000);
+  expect(parseRetryAfter(null, now)).toBeNull();
+  expect(parseRetryAfter('soon', now)).toBeNull();
+});
+
+test('backs off exponentially with jitter unless the server names a delay', () => {
+  expect(backoffDelay(0, { random: () => 0 })).toBe(500);
+  expect(backoffDelay(2, { random: () => 1 })).toBe(4000);
+  expect(backoffDelay(10, { random: () => 1 })).toBe(30000);
+  expect(backoffDelay(0, { retryAfterMs: 12000 })).toBe(12000);
+});
+
+const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('withRetries', () => {
+  test('retries after the Retry-After delay and reports each wait', async () => {
+    const run = jest.fn()
+      .mockRejectedValueOnce(statusError(529, '0.02'))
+      .mockResolvedValueOnce('ok');
+    const onRetry = jest.fn();
+
+    await expect(withRetries(run, { retries: 3, onRetry })).resolves.toBe('ok');
+    expect(run).toHaveBeenCalledTimes(2);
+    expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, retries: 3, delayMs: 20 }));
+  });
+
+  test('gives up on errors that would fail again and when retries run out', async () => {
+    const badRequest = jest.fn().mockRejectedValue(statusError(400));
+    await expect(withRetries(badRequest, { retries: 3 })).rejects.toThrow('API Error: 400');
+    expect(badRequest).toHaveBeenCalledTimes(1);
+
+    const busy = jest.fn().mockRejectedValue(statusError(429, '0'));
+    await expect(withRetries(busy, { retries: 2 })).rejects.toThrow('API Error: 429');
+    expect(busy).toHaveBeenCalledTimes(3);
+
+    const longWait = jest.fn().mockRejectedValue(statusError(429, '3600'));
+    await expect(withRetries(longWait, { retries: 2 })).rejects.toThrow('API Error: 429');
+    expect(longWait).toHaveBeenCalledTimes(1);
+  });
+
+  test('cancelling during the wait rejects straight away', async () => {
+    const controller = new AbortController();
+    const run = jest.fn().mockRejectedValue(statusError(503));
+    const result = withRetries(run, { retries: 3, signal: controller.signal, baseDelayMs: 60000 });
+
+    await tick();
+    controller.abort();
+    await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('withTimeout', () => {
+  // Resolves with 'stopped' when its signal aborts, like a stream that keeps what it has
+  const hangUntilAborted = (signal) => new Promise(resolve => signal.addEventListener('abort', () => resolve('stopped')));
+
+  test('times out a silent attempt with a TimeoutError', async () => {
+    await expect(withTimeout(hangUntilAborted, { timeoutMs: 20 })).rejects.toMatchObject({ name: 'TimeoutError' });
+  });
+
+  test('progress restarts the clock and a user abort is not a timeout', async () => {
+    const controller = new AbortController();
+    const result = withTimeout((signal, touch) => {
+      setTimeout(touch, 30);
+      return hangUntilAborted(signal);
+    }, { timeoutMs: 50, signal: controller.signal });
+
+    await tick(70);
+    controller.abort();
+    await expect(result).resolves.toBe('stopped');
+  });
+});
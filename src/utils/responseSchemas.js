@@ -0,0 +1,323 @@
+import { parseNumericValue } from './dataProcessing';
+
+// Schemas for the JSON the model returns. Each node declares its type, whether the model must
+// supply it (`required`) and the `default` used when it is missing or unusable.
+const text = (extra = {}) => ({ type: 'string', default: '', ...extra });
+const optionalNumber = { type: 'number' };
+const textList = { type: 'array', items: { type: 'string' }, default: [] };
+
+export const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    overallPerformance: {
+      type: 'object',
+      required: true,
+      default: {},
+      properties: {
+        summary: text({ required: true }),
+        topChannels: textList,
+        keyMetrics: {
+          type: 'object',
+          default: {},
+          properties: {
+            avgCTR: optionalNumber,
+            avgCPM: optionalNumber,
+            totalReach: optionalNumber,
+            avgFrequency: optionalNumber,
+            totalConversions: optionalNumber,
+            avgCPA: optionalNumber,
+            roas: optionalNumber
+          }
+        }
+      }
+    },
+    channelAnalysis: {
+      type: 'array',
+      required: true,
+      default: [],
+      items: {
+        type: 'object',
+        properties: {
+          channel: text({ required: true }),
+          performance: text({ enum: ['excellent', 'good', 'poor'], default: 'good' }),
+          metrics: {
+            type: 'object',
+            default: {},
+            properties: {
+              ctr: optionalNumber,
+              cpm: optionalNumber,
+              reach: optionalNumber,
+              cpa: optionalNumber,
+              roas: optionalNumber
+            }
+          },
+          insights: text()
+        }
+      }
+    },
+    demographicInsights: {
+      type: 'object',
+      default: {},
+      properties: {
+        bestPerformingDemo: text({ default: 'Not available' }),
+        insights: text()
+      }
+    },
+    optimizationOpportunities: textList
+  }
+};
+
+export const RECOMMENDATIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    objectiveAlignment: {
+      type: 'object',
+      required: true,
+      default: {},
+      properties: {
+        objective: text(),
+        summary: text({ required: true })
+      }
+    },
+    budgetReallocation: {
+      type: 'object',
+      required: true,
+      default: {},
+      properties: {
+        recommendations: {
+          type: 'array',
+          required: true,
+          default: [],
+          items: {
+            type: 'object',
+            properties: {
+              channel: text({ required: true }),
+              currentBudget: { type: 'number', default: 0 },
+              recommendedBudget: { type: 'number', default: 0 },
+              reasoning: text()
+            }
+          }
+        }
+      }
+    },
+    channelRecommendations: {
+      type: 'array',
+      required: true,
+      default: [],
+      items: {
+        type: 'object',
+        properties: {
+          channel: text({ required: true }),
+          action: text({ enum: ['increase', 'decrease', 'maintain', 'test'], default: 'maintain' }),
+          reasoning: text(),
+          expectedImprovement: text(),
+          objectiveFit: text()
+        }
+      }
+    },
+    targetingRecommendations: {
+      type: 'object',
+      default: {},
+      properties: {
+        demographics: textList,
+        geography: textList,
+        reasoning: text()
+      }
+    },
+    creativeTesting: textList,
+    nextSteps: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        properties: {
+          action: text({ required: true }),
+          priority: text({ enum: ['high', 'medium', 'low'], default: 'medium' }),
+          timeline: text()
+        }
+      }
+    }
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+const coerceScalar = (value, schema) => {
+  if (schema.type === 'number') {
+    if (typeof value === 'number') return isFinite(value) ? { value } : { error: 'is not a finite number' };
+    if (typeof value === 'string') {
+      const parsed = parseNumericValue(value);
+      return isNaN(parsed) ? { error: `"${value}" is not a number` } : { value: parsed };
+    }
+    return { error: 'should be a number' };
+  }
+
+  let result;
+  if (typeof value === 'string') {
+    result = value.trim();
+  } else if (typeof value === 'number' || typeof value === 'boolean') {
+    result = String(value);
+  } else if (Array.isArray(value) && value.every(item => typeof item !== 'object')) {
+    result = value.join(', ');
+  } else {
+    return { error: 'should be text' };
+  }
+
+  if (schema.enum) {
+    const normalized = result.toLowerCase();
+    const option = schema.enum.find(candidate => normalized === candidate) ||
+      schema.enum.find(candidate => normalized.startsWith(candidate));
+    return option ? { value: option } : { error: `"${result}" is not one of ${schema.enum.join('/')}` };
+  }
+  return { value: result };
+};
+
+const cloneDefault = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Coerce a parsed value into the shape of the schema. Problems are collected rather than thrown:
+// `required` problems mean the model left out something we need, the rest were patched silently.
+export const validateAgainstSchema = (value, schema, path = '', issues = []) => {
+  const report = (message, required = false) => issues.push({ path: path || '(root)', message, required });
+
+  if (isMissing(value)) {
+    if (schema.required) report('is missing', true);
+    return { value: cloneDefault(schema.default), issues };
+  }
+
+  if (schema.type === 'object') {
+    if (!isPlainObject(value)) {
+      report('should be an object', Boolean(schema.required));
+      return { value: cloneDefault(schema.default), issues };
+    }
+    const result = {};
+    Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+      const child = validateAgainstSchema(value[key], propertySchema, path ? `${path}.${key}` : key, issues).value;
+      if (child !== undefined) result[key] = child;
+    });
+    return { value: result, issues };
+  }
+
+  if (schema.type === 'array') {
+    const list = Array.isArray(value) ? value : [value];
+    if (!Array.isArray(value)) report('should be a list');
+    const items = [];
+    list.forEach((item, idx) => {
+      const before = issues.length;
+      const checked = validateAgainstSchema(item, schema.items, `${path}[${idx}]`, issues).value;
+      // Drop list entries that are missing their own required fields, e.g. a channel without a name
+      const itemBroken = issues.slice(before).some(issue => issue.required);
+      if (checked !== undefined && !itemBroken) items.push(checked);
+    });
+    return { value: items, issues };
+  }
+
+  const coerced = coerceScalar(value, schema);
+  if (coerced.error) {
+    report(coerced.error, Boolean(schema.required));
+    return { value: cloneDefault(schema.default), issues };
+  }
+  return { value: coerced.value, issues };
+};
+
+// Closing brackets needed to finish a JSON prefix, or null when the prefix ends inside a string
+const closingSequence = (prefix) => {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  for (let i = 0; i < prefix.length; i++) {
+    const char = prefix[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+    }
+  }
+  if (inString) return null;
+  return stack.reverse().join('');
+};
+
+// Most cut-back attempts made when salvaging a truncated response
+const MAX_REPAIR_ATTEMPTS = 2000;
+
+// Cut a truncated response back to its last complete value and close the open brackets
+const repairTruncatedJson = (candidate) => {
+  let attempts = 0;
+  for (let end = candidate.length; end > 1 && attempts < MAX_REPAIR_ATTEMPTS; end--) {
+    if (!/[}\]"\d\w]/.test(candidate[end - 1])) continue;
+    attempts++;
+    const prefix = candidate.slice(0, end);
+    const closers = closingSequence(prefix);
+    if (closers === null) continue;
+    try {
+      return JSON.parse(prefix + closers);
+    } catch (error) {
+      // keep cutting back
+    }
+  }
+  return undefined;
+};
+
+// Pull the JSON object out of a model reply: strip code fences and surrounding prose, and
+// salvage what we can from a reply that was cut off mid-object.
+export const extractJson = (responseText) => {
+  const cleaned = (responseText || '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  const start = cleaned.indexOf('{');
+  if (start === -1) return { value: undefined, truncated: false, error: 'The response contained no JSON object.' };
+
+  const candidate = cleaned.slice(start);
+  try {
+    return { value: JSON.parse(candidate), truncated: false };
+  } catch (error) {
+    // Prose after the object, or a cut-off object
+  }
+
+  const end = cleaned.lastIndexOf('}');
+  if (end > start) {
+    try {
+      return { value: JSON.parse(cleaned.slice(start, end + 1)), truncated: false };
+    } catch (error) {
+      // Fall through to truncation repair
+    }
+  }
+
+  const repaired = repairTruncatedJson(candidate);
+  return repaired === undefined
+    ? { value: undefined, truncated: true, error: 'The response was not valid JSON.' }
+    : { value: repaired, truncated: true };
+};
+
+// Parse and validate a model reply. `needsRepair` is set when a retry is worth asking for.
+export const parseModelResponse = (responseText, schema, { truncated: stoppedEarly = false } = {}) => {
+  const extracted = extractJson(responseText);
+  if (extracted.value === undefined) {
+    return { data: null, issues: [{ path: '(root)', message: extracted.error, required: true }], truncated: extracted.truncated || stoppedEarly, needsRepair: true };
+  }
+
+  const { value, issues } = validateAgainstSchema(extracted.value, schema);
+  const truncated = extracted.truncated || stoppedEarly;
+  return {
+    data: value,
+    issues,
+    truncated,
+    needsRepair: truncated || issues.some(issue => issue.required)
+  };
+};
+
+export const describeIssues = (issues, limit = 8) =>
+  issues.slice(0, limit).map(issue => `${issue.path} ${issue.message}`).join('; ') +
+  (issues.length > limit ? `; and ${issues.length - limit} more` : '');
+
+// Best-effort view of a reply that is still streaming in: whatever parses so far, filled out with
+// schema defaults so it can be rendered like a finished result. Null until the object has started.
+export const parsePartialResponse = (responseText, schema) => {
+  const extracted = extractJson(responseText);
+  if (extracted.value === undefined) return null;
+  return validateAgainstSchema(extracted.value, schema).value;
+};
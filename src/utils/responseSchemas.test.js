@@ -0,0 +1,89 @@
+import {
+  ANALYSIS_SCHEMA,
+  RECOMMENDATIONS_SCHEMA,
+  validateAgainstSchema,
+  extractJson,
+  parseModelResponse,
+  parsePartialResponse
+} from './responseSchemas';
+
+describe('validateAgainstSchema', () => {
+  test('coerces formatted numbers, enum casing and list shapes', () => {
+    const { value, issues } = validateAgainstSchema({
+      overallPerformance: {
+        summary: 'Solid month',
+        topChannels: 'Search',
+        keyMetrics: { avgCTR: '2.3%', avgCPM: '$1,200' }
+      },
+      channelAnalysis: [{ channel: 'Search', performance: 'Excellent!', metrics: { ctr: '3.1' } }]
+    }, ANALYSIS_SCHEMA);
+
+    expect(value.overallPerformance.keyMetrics.avgCTR).toBeCloseTo(2.3);
+    expect(value.overallPerformance.keyMetrics.avgCPM).toBe(1200);
+    expect(value.overallPerformance.topChannels).toEqual(['Search']);
+    expect(value.channelAnalysis[0].performance).toBe('excellent');
+    expect(value.channelAnalysis[0].metrics.ctr).toBeCloseTo(3.1);
+    expect(value.optimizationOpportunities).toEqual([]);
+    expect(issues.some(issue => issue.required)).toBe(false);
+  });
+
+  test('reports missing required fields and drops list items without them', () => {
+    const { value, issues } = validateAgainstSchema({
+      budgetReallocation: {
+        recommendations: [
+          { channel: 'Social', currentBudget: '5000', recommendedBudget: 6000 },
+          { currentBudget: 100 }
+        ]
+      }
+    }, RECOMMENDATIONS_SCHEMA);
+
+    expect(value.budgetReallocation.recommendations).toHaveLength(1);
+    expect(value.budgetReallocation.recommendations[0].currentBudget).toBe(5000);
+    expect(value.channelRecommendations).toEqual([]);
+    expect(issues).toEqual(expect.arrayContaining([
+      expect.objectContaining({ path: 'budgetReallocation.recommendations[1].channel', required: true }),
+      expect.objectContaining({ path: 'channelRecommendations', required: true })
+    ]));
+  });
+});
+
+describe('extractJson', () => {
+  test('strips code fences and surrounding prose', () => {
+    const result = extractJson('Here you go:\n```json\n{"a": 1}\n```\nLet me know!');
+    expect(result).toEqual({ value: { a: 1 }, truncated: false });
+  });
+
+  test('salvages a reply cut off mid-object', () => {
+    const result = extractJson('{"items": [{"channel": "Search"}, {"channel": "Soc');
+    expect(result.truncated).toBe(true);
+    expect(result.value).toEqual({ items: [{ channel: 'Search' }] });
+  });
+});
+
+describe('parseModelResponse', () => {
+  test('asks for a repair when nothing usable came back', () => {
+    const result = parseModelResponse('Sorry, I cannot help with that.', ANALYSIS_SCHEMA);
+    expect(result.data).toBeNull();
+    expect(result.needsRepair).toBe(true);
+  });
+
+  test('flags responses that stopped at the token limit', () => {
+    const complete = JSON.stringify({ overallPerformance: { summary: 'ok' }, channelAnalysis: [] });
+    const result = parseModelResponse(complete, ANALYSIS_SCHEMA, { truncated: true });
+    expect(result.data.overallPerformance.summary).toBe('ok');
+    expect(result.truncated).toBe(true);
+    expect(result.needsRepair).toBe(true);
+  });
+});
+
+describe('parsePartialResponse', () => {
+  test('renders a half-streamed reply with defaults for what has not arrived', () => {
+    const partial = parsePartialResponse('```json\n{"overallPerformance": {"summary": "Search leads', ANALYSIS_SCHEMA);
+    expect(partial).toBeNull();
+
+    const later = parsePartialResponse('{"overallPerformance": {"summary": "Search leads"}, "channelAnalysis": [{"channel": "Sea', ANALYSIS_SCHEMA);
+    expect(later.overallPerformance.summary).toBe('Search leads');
+    expect(later.channelAnalysis).toEqual([]);
+    expect(later.optimizationOpportunities).toEqual([]);
+  });
+});
@@ -0,0 +1,72 @@
+import { fitResponseCurves, predictKpi } from './budgetOptimizer';
+import { loadStored, saveStored } from './storage';
+
+const STORAGE_KEY = 'mediaPlanner.scenarios';
+
+// Saved scenarios per dataset
+export const MAX_SCENARIOS = 10;
+
+// What one dollar buys in each channel, from the channel breakdown. Impressions and clicks scale
+// linearly with budget at the observed CPM and CTR; reach follows the channel's diminishing-returns
+// curve when the data has a reach column.
+export const channelEfficiencies = (data, channelBreakdown) => {
+  const reachCurves = fitResponseCurves(data, 'reach');
+  return channelBreakdown.map(group => {
+    const spend = group.cost || 0;
+    return {
+      channel: group.key,
+      spend,
+      impressionsPerDollar: spend > 0 && group.impressions ? group.impressions / spend : 0,
+      clicksPerDollar: spend > 0 && group.clicks ? group.clicks / spend : 0,
+      reachCurve: reachCurves.find(curve => curve.channel === group.key && curve.currentKpi > 0) || null
+    };
+  });
+};
+
+// Budgets as they were actually spent
+export const baselineBudgets = (efficiencies) =>
+  Object.fromEntries(efficiencies.map(entry => [entry.channel, entry.spend]));
+
+const rates = ({ budget, impressions, clicks }) => ({
+  cpm: impressions > 0 ? budget / impressions * 1000 : null,
+  ctr: impressions > 0 ? clicks / impressions * 100 : null
+});
+
+// Projected delivery for a set of channel budgets ({ [channel]: budget }); channels the budgets
+// leave out keep their current spend. Reach is null when the data has none to project from, and
+// the total reach is a sum across channels, so audiences reached by several channels count twice.
+export const projectScenario = (efficiencies, budgets) => {
+  const hasReach = efficiencies.some(entry => entry.reachCurve);
+  const channels = efficiencies.map(entry => {
+    const budget = budgets[entry.channel] !== undefined ? Math.max(0, Number(budgets[entry.channel]) || 0) : entry.spend;
+    const impressions = budget * entry.impressionsPerDollar;
+    const projected = {
+      channel: entry.channel,
+      budget,
+      impressions,
+      clicks: budget * entry.clicksPerDollar,
+      reach: entry.reachCurve ? Math.min(predictKpi(entry.reachCurve, budget), impressions || Infinity) : null
+    };
+    return { ...projected, ...rates(projected) };
+  });
+
+  const sum = (field) => channels.reduce((total, channel) => total + (channel[field] || 0), 0);
+  const totals = { budget: sum('budget'), impressions: sum('impressions'), clicks: sum('clicks'), reach: hasReach ? sum('reach') : null };
+  return { channels, totals: { ...totals, ...rates(totals) } };
+};
+
+export const loadScenarios = () => loadStored(STORAGE_KEY, {}, 'scenarios');
+
+// Replace the scenarios saved for a dataset and return every stored scenario list
+export const saveScenarios = (key, scenarios) => {
+  const stored = { ...loadScenarios(), [key]: scenarios.slice(0, MAX_SCENARIOS) };
+  if (scenarios.length === 0) delete stored[key];
+  saveStored(STORAGE_KEY, stored, 'scenarios');
+  return stored;
+};
+
+// Add a named scenario, replacing any with the same name (case-insensitive); newest first
+export const upsertScenario = (scenarios, name, budgets) => [
+  { name: name.trim(), budgets, savedAt: new Date().toISOString() },
+  ...scenarios.filter(scenario => scenario.name.toLowerCase() !== name.trim().toLowerCase())
+];
@@ -0,0 +1,48 @@
+import { aggregateByDimension } from './aggregation';
+import { channelEfficiencies, baselineBudgets, projectScenario, upsertScenario } from './scenarioPlanner';
+
+const data = {
+  headers: ['Channel', 'Spend', 'Impressions', 'Clicks', 'Reach'],
+  rows: [
+    ['Search', '100', '10000', '200', '4000'],
+    ['Search', '300', '30000', '600', '12000'],
+    ['Social', '200', '40000', '400', '']
+  ]
+};
+
+const efficiencies = channelEfficiencies(data, aggregateByDimension(data, 'channel'));
+
+test('reads per-dollar efficiency for each channel', () => {
+  const [search, social] = efficiencies;
+  expect(search).toMatchObject({ channel: 'Search', spend: 400, impressionsPerDollar: 100, clicksPerDollar: 2 });
+  expect(search.reachCurve.currentKpi).toBe(16000);
+  expect(social).toMatchObject({ channel: 'Social', spend: 200, impressionsPerDollar: 200, clicksPerDollar: 2 });
+  expect(baselineBudgets(efficiencies)).toEqual({ Search: 400, Social: 200 });
+});
+
+test('the baseline projection reproduces the data', () => {
+  const { channels, totals } = projectScenario(efficiencies, baselineBudgets(efficiencies));
+  expect(channels[0]).toMatchObject({ budget: 400, impressions: 40000, clicks: 800, reach: 16000 });
+  expect(channels[0].cpm).toBeCloseTo(10, 5);
+  expect(channels[0].ctr).toBeCloseTo(2, 5);
+  expect(totals).toMatchObject({ budget: 600, impressions: 80000, clicks: 1200 });
+  expect(totals.cpm).toBeCloseTo(7.5, 5);
+});
+
+test('scales delivery with budget, with reach showing diminishing returns', () => {
+  const { channels, totals } = projectScenario(efficiencies, { Search: 800, Social: '0' });
+  expect(channels[0].impressions).toBe(80000);
+  expect(channels[0].clicks).toBe(1600);
+  // Reach grows, but less than spend does
+  expect(channels[0].reach).toBeGreaterThan(16000);
+  expect(channels[0].reach).toBeLessThan(32000);
+  expect(channels[1]).toMatchObject({ budget: 0, impressions: 0, cpm: null, reach: null });
+  expect(totals.budget).toBe(800);
+});
+
+test('saving a scenario under an existing name replaces it', () => {
+  const first = upsertScenario([], 'Push social', { Social: 400 });
+  const second = upsertScenario(upsertScenario(first, 'Cut search', { Search: 200 }), ' push Social ', { Social: 500 });
+  expect(second.map(scenario => scenario.name)).toEqual(['push Social', 'Cut search']);
+  expect(second[0].budgets).toEqual({ Social: 500 });
+});
@@ -0,0 +1,46 @@
+// Incremental parser for a server-sent events stream. Feed it decoded text chunks as they arrive;
+// onEvent is called with { event, data } for every complete event (multi-line data is joined).
+export const createSseParser = (onEvent) => {
+  let buffer = '';
+  let eventName = '';
+  let dataLines = [];
+
+  const dispatch = () => {
+    if (dataLines.length > 0) {
+      onEvent({ event: eventName || 'message', data: dataLines.join('\n') });
+    }
+    eventName = '';
+    dataLines = [];
+  };
+
+  const processLine = (line) => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(':')) return; // comment / keep-alive
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'event') eventName = value;
+    else if (field === 'data') dataLines.push(value);
+  };
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split(/\r\n|\r|\n/);
+      // The last piece may be an incomplete line; keep it for the next chunk
+      buffer = lines.pop();
+      lines.forEach(processLine);
+    },
+    flush() {
+      if (buffer) processLine(buffer);
+      buffer = '';
+      dispatch();
+    }
+  };
+};
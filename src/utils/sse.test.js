@@ -0,0 +1,17 @@
+import { createSseParser } from './sse';
+
+test('emits events split across arbitrary chunk boundaries', () => {
+  const events = [];
+  const parser = createSseParser(event => events.push(event));
+
+  parser.push('event: content_block_delta\ndata: {"delta":');
+  parser.push('{"text":"Hel"}}\n\n: keep-alive\n\nevent: ping\r\n');
+  parser.push('data: {}\r\n\r\ndata: line one\ndata: line two\n');
+  parser.flush();
+
+  expect(events).toEqual([
+    { event: 'content_block_delta', data: '{"delta":{"text":"Hel"}}' },
+    { event: 'ping', data: '{}' },
+    { event: 'message', data: 'line one\nline two' }
+  ]);
+});
@@ -0,0 +1,25 @@
+// JSON values kept in localStorage across sessions: mapping profiles, aliases, briefs, plans and
+// cached results. Storage can be unavailable (private browsing) or full, so neither call throws.
+
+// The stored value, or `fallback` when nothing is stored or it cannot be read
+export const loadStored = (key, fallback, label) => {
+  try {
+    const stored = window.localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (error) {
+    console.error(`Could not read ${label}:`, error);
+    return fallback;
+  }
+};
+
+// Whether the value was stored. Without a label failures are left to the caller, e.g. to retry
+// with less when storage is full.
+export const saveStored = (key, value, label) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    if (label) console.error(`Could not save ${label}:`, error);
+    return false;
+  }
+};
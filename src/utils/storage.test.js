@@ -0,0 +1,30 @@
+import { loadStored, saveStored } from './storage';
+
+beforeEach(() => {
+  window.localStorage.clear();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('round-trips JSON values and falls back when nothing is stored', () => {
+  expect(loadStored('test.key', [], 'test values')).toEqual([]);
+  expect(saveStored('test.key', { a: [1, 2] }, 'test values')).toBe(true);
+  expect(loadStored('test.key', [], 'test values')).toEqual({ a: [1, 2] });
+});
+
+test('falls back on unreadable values and reports failed writes', () => {
+  window.localStorage.setItem('test.key', '{not json');
+  expect(loadStored('test.key', {}, 'test values')).toEqual({});
+  expect(console.error).toHaveBeenCalledWith('Could not read test values:', expect.any(Error));
+
+  jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+    throw new Error('QuotaExceededError');
+  });
+  expect(saveStored('test.key', {}, 'test values')).toBe(false);
+  expect(console.error).toHaveBeenCalledTimes(2);
+  expect(saveStored('test.key', {})).toBe(false);
+  expect(console.error).toHaveBeenCalledTimes(2);
+});
@@ -0,0 +1,233 @@
+import { resolveColumnMappings, resolveNumberFormats, parseNumericValue } from './dataProcessing';
+import { BASE_METRIC_FIELDS, createKpiAccumulator } from './derivedMetrics';
+import { channelGroupKey } from './aggregation';
+
+export const GRANULARITIES = [
+  { id: 'day', label: 'Daily' },
+  { id: 'week', label: 'Weekly' },
+  { id: 'month', label: 'Monthly' }
+];
+
+// Metrics charted over time: volumes are summed per period, rates are taken on the sums.
+// `better` colours period-over-period changes; spend going up is neither good nor bad.
+export const TREND_METRICS = [
+  { id: 'cost', label: 'Spend', unit: 'currency', better: null },
+  { id: 'impressions', label: 'Impressions', unit: 'number', better: 'higher' },
+  { id: 'ctr', label: 'CTR', unit: 'percent', better: 'higher' },
+  { id: 'cpm', label: 'CPM', unit: 'currency', better: 'lower' }
+];
+
+// Filling gaps beyond this many periods means a stray date, not a real timeline
+const MAX_FILLED_PERIODS = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days between the spreadsheet epoch (1899-12-30) and 1970-01-01
+const SERIAL_EPOCH_OFFSET = 25569;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const VALUE_FIELDS = [...BASE_METRIC_FIELDS, 'ctr', 'cpm', 'frequency', 'viewability'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toIsoDay = (time) => {
+  const date = new Date(time);
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+};
+
+// UTC midnight for a calendar date, or null when the parts don't make a real date
+const utcDay = (year, month, day) => {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const time = Date.UTC(fullYear, month - 1, day);
+  const date = new Date(time);
+  if (month < 1 || month > 12 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return time;
+};
+
+const monthIndex = (text) => MONTHS.indexOf(text.slice(0, 3).toLowerCase()) + 1;
+
+const NUMERIC_DATE = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/;
+
+// Whether day-first or month-first slash/dot/dash dates are meant, judged from the whole column:
+// a first part above 12 can only be a day, a second part above 12 only a month. Dots are a
+// day-first convention; anything else ambiguous is read month-first.
+export const inferDateOrder = (values) => {
+  let dayFirst = 0;
+  let monthFirst = 0;
+  let dotted = 0;
+  values.forEach(value => {
+    const match = NUMERIC_DATE.exec(String(value === null || value === undefined ? '' : value).trim());
+    if (!match) return;
+    if (Number(match[1]) > 12) dayFirst++;
+    if (Number(match[2]) > 12) monthFirst++;
+    if (String(value).includes('.')) dotted++;
+  });
+  if (dayFirst !== monthFirst) return dayFirst > monthFirst ? 'dmy' : 'mdy';
+  return dotted > 0 ? 'dmy' : 'mdy';
+};
+
+// Parse the date formats found in media exports into a UTC-midnight timestamp, or null:
+// ISO days (optionally with a time), YYYY/MM/DD, MM/DD/YYYY or DD/MM/YYYY (per `order`),
+// "Jan 5, 2024", "5 January 2024", months ("2024-01", "Jan 2024"), ISO weeks ("2024-W03")
+// and spreadsheet serial numbers
+export const parseDate = (value, order = 'mdy') => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : utcDay(value.getFullYear(), value.getMonth() + 1, value.getDate());
+  const text = String(value).trim();
+  if (!text) return null;
+
+  let match = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T ].*)?$/.exec(text);
+  if (match) return utcDay(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = NUMERIC_DATE.exec(text);
+  if (match) {
+    const [first, second, year] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    return order === 'dmy' ? utcDay(year, second, first) : utcDay(year, first, second);
+  }
+
+  match = /^(\d{4})-W(\d{1,2})$/i.exec(text);
+  if (match) {
+    // ISO week 1 is the week with January 4th in it; weeks start on Monday
+    const jan4 = Date.UTC(Number(match[1]), 0, 4);
+    const week1Monday = jan4 - ((new Date(jan4).getUTCDay() + 6) % 7) * DAY_MS;
+    return week1Monday + (Number(match[2]) - 1) * 7 * DAY_MS;
+  }
+
+  match = /^(\d{4})-(\d{1,2})$/.exec(text);
+  if (match) return utcDay(Number(match[1]), Number(match[2]), 1);
+
+  match = /^([a-z]{3,})\.? (\d{1,2})(?:st|nd|rd|th)?,? (\d{4})$/i.exec(text);
+  if (match && monthIndex(match[1])) return utcDay(Number(match[3]), monthIndex(match[1]), Number(match[2]));
+
+  match = /^(\d{1,2})(?:st|nd|rd|th)?[ -]([a-z]{3,})\.?,?[ -](\d{2}|\d{4})$/i.exec(text);
+  if (match && monthIndex(match[2])) return utcDay(Number(match[3]), monthIndex(match[2]), Number(match[1]));
+
+  match = /^([a-z]{3,})\.? (\d{4})$/i.exec(text);
+  if (match && monthIndex(match[1])) return utcDay(Number(match[2]), monthIndex(match[1]), 1);
+
+  match = /^\d{5}(\.\d+)?$/.exec(text);
+  if (match) return (Math.floor(Number(text)) - SERIAL_EPOCH_OFFSET) * DAY_MS;
+
+  return null;
+};
+
+// Start of the period a day falls in: the day itself, the Monday of its week, or the 1st of its month
+export const periodStart = (time, granularity) => {
+  if (granularity === 'week') return time - ((new Date(time).getUTCDay() + 6) % 7) * DAY_MS;
+  if (granularity === 'month') {
+    const date = new Date(time);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+  }
+  return time;
+};
+
+const nextPeriod = (time, granularity) => {
+  if (granularity === 'week') return time + 7 * DAY_MS;
+  if (granularity === 'month') {
+    const date = new Date(time);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  }
+  return time + DAY_MS;
+};
+
+export const periodLabel = (time, granularity) => {
+  if (granularity === 'month') {
+    const date = new Date(time);
+    return `${MONTH_LABELS[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+  }
+  return granularity === 'week' ? `Week of ${toIsoDay(time)}` : toIsoDay(time);
+};
+
+const summarize = (kpis) => {
+  const { totals, derivedMetrics } = kpis.result();
+  return {
+    ...totals,
+    ...Object.fromEntries(Object.values(derivedMetrics).map(metric => [metric.id, metric.value]))
+  };
+};
+
+// Rows grouped by period (and by channel within each period) with volume-weighted KPIs. Periods
+// with no rows between the first and last date are kept, empty, so charts show gaps in time.
+// Returns null when no date column is mapped.
+export const aggregateTimeSeries = (data, granularity = 'day') => {
+  if (!data || !data.rows) return null;
+  const mappings = resolveColumnMappings(data);
+  if (!mappings.date) return null;
+
+  const formats = resolveNumberFormats(data, mappings);
+  const fields = VALUE_FIELDS.filter(field => mappings[field]);
+  const dateIndex = mappings.date.index;
+  const order = inferDateOrder(data.rows.map(row => row[dateIndex]));
+  const periods = new Map();
+  const channels = new Set();
+  let unparsed = 0;
+
+  data.rows.forEach(row => {
+    const time = parseDate(row[dateIndex], order);
+    if (time === null) {
+      unparsed++;
+      return;
+    }
+    const start = periodStart(time, granularity);
+    const channel = channelGroupKey(mappings.channel ? row[mappings.channel.index] : null);
+
+    const values = {};
+    fields.forEach(field => {
+      values[field] = parseNumericValue(row[mappings[field].index], formats[field]);
+    });
+
+    if (!periods.has(start)) periods.set(start, { total: createKpiAccumulator(), byChannel: new Map() });
+    const period = periods.get(start);
+    period.total.add(values);
+    if (mappings.channel) {
+      channels.add(channel);
+      if (!period.byChannel.has(channel)) period.byChannel.set(channel, createKpiAccumulator());
+      period.byChannel.get(channel).add(values);
+    }
+  });
+
+  const starts = [...periods.keys()].sort((a, b) => a - b);
+  let timeline = starts;
+  if (starts.length > 1) {
+    const filled = [];
+    for (let time = starts[0]; time <= starts[starts.length - 1] && filled.length <= MAX_FILLED_PERIODS; time = nextPeriod(time, granularity)) {
+      filled.push(time);
+    }
+    if (filled.length <= MAX_FILLED_PERIODS) timeline = filled;
+  }
+
+  return {
+    granularity,
+    dateOrder: order,
+    unparsed,
+    channels: [...channels],
+    points: timeline.map(time => {
+      const period = periods.get(time);
+      return {
+        time,
+        period: periodLabel(time, granularity),
+        total: period ? summarize(period.total) : null,
+        byChannel: period ? Object.fromEntries([...period.byChannel.entries()].map(([channel, kpis]) => [channel, summarize(kpis)])) : {}
+      };
+    })
+  };
+};
+
+// Trailing mean over the last `window` periods that have a value; null until one exists
+export const rollingAverage = (values, window) => values.map((_, idx) => {
+  const recent = values.slice(Math.max(0, idx - window + 1), idx + 1).filter(value => value !== null && value !== undefined);
+  return recent.length > 0 ? recent.reduce((sum, value) => sum + value, 0) / recent.length : null;
+});
+
+// Percentage change from the previous period with data; null when either side is missing or zero
+export const periodOverPeriod = (values) => {
+  let previous = null;
+  return values.map(value => {
+    if (value === null || value === undefined) return null;
+    const change = previous !== null && previous !== 0 ? (value - previous) / previous * 100 : null;
+    previous = value;
+    return change;
+  });
+};
@@ -0,0 +1,77 @@
+import { parseDate, inferDateOrder, periodStart, aggregateTimeSeries, rollingAverage, periodOverPeriod } from './timeSeries';
+
+const day = (iso) => Date.parse(`${iso}T00:00:00Z`);
+
+test('parses the date formats media exports use', () => {
+  expect(parseDate('2024-03-05')).toBe(day('2024-03-05'));
+  expect(parseDate('2024-03-05T10:30:00')).toBe(day('2024-03-05'));
+  expect(parseDate('2024/3/5')).toBe(day('2024-03-05'));
+  expect(parseDate('03/05/2024')).toBe(day('2024-03-05'));
+  expect(parseDate('05/03/2024', 'dmy')).toBe(day('2024-03-05'));
+  expect(parseDate('5.3.24', 'dmy')).toBe(day('2024-03-05'));
+  expect(parseDate('Mar 5, 2024')).toBe(day('2024-03-05'));
+  expect(parseDate('5 March 2024')).toBe(day('2024-03-05'));
+  expect(parseDate('05-Mar-2024')).toBe(day('2024-03-05'));
+  expect(parseDate('March 2024')).toBe(day('2024-03-01'));
+  expect(parseDate('2024-03')).toBe(day('2024-03-01'));
+  expect(parseDate('2024-W10')).toBe(day('2024-03-04'));
+  expect(parseDate('45356')).toBe(day('2024-03-05'));
+
+  expect(parseDate('02/30/2024')).toBeNull();
+  expect(parseDate('Q1 2024')).toBeNull();
+  expect(parseDate('')).toBeNull();
+});
+
+test('infers day-first or month-first from the whole column', () => {
+  expect(inferDateOrder(['03/05/2024', '03/25/2024'])).toBe('mdy');
+  expect(inferDateOrder(['03/05/2024', '25/03/2024'])).toBe('dmy');
+  expect(inferDateOrder(['03.05.2024'])).toBe('dmy');
+  expect(inferDateOrder(['2024-03-05'])).toBe('mdy');
+});
+
+test('buckets days into Monday weeks and calendar months', () => {
+  // 2024-03-07 is a Thursday
+  expect(periodStart(day('2024-03-07'), 'week')).toBe(day('2024-03-04'));
+  expect(periodStart(day('2024-03-07'), 'month')).toBe(day('2024-03-01'));
+  expect(periodStart(day('2024-03-07'), 'day')).toBe(day('2024-03-07'));
+});
+
+const data = {
+  headers: ['Date', 'Channel', 'Impressions', 'Clicks', 'Spend'],
+  rows: [
+    ['04/03/2024', 'Search', '1000', '20', '10'],
+    ['04/03/2024', 'Social', '4000', '20', '20'],
+    ['06/03/2024', 'Search', '3000', '30', '30'],
+    ['13/03/2024', 'Search', '2000', '10', '40'],
+    ['not a date', 'Search', '1000', '10', '10']
+  ]
+};
+
+test('aggregates by period and channel with weighted rates', () => {
+  const daily = aggregateTimeSeries(data, 'day');
+  expect(daily.dateOrder).toBe('dmy');
+  expect(daily.unparsed).toBe(1);
+  expect(daily.channels).toEqual(['Search', 'Social']);
+  // Gaps between the first and last day are kept as empty periods
+  expect(daily.points).toHaveLength(10);
+  expect(daily.points[0].period).toBe('2024-03-04');
+  expect(daily.points[0].total.cost).toBe(30);
+  expect(daily.points[0].total.ctr).toBeCloseTo(0.8, 5);
+  expect(daily.points[0].byChannel.Social.cpm).toBeCloseTo(5, 5);
+  expect(daily.points[1].total).toBeNull();
+
+  const weekly = aggregateTimeSeries(data, 'week');
+  expect(weekly.points.map(point => point.period)).toEqual(['Week of 2024-03-04', 'Week of 2024-03-11']);
+  expect(weekly.points[0].byChannel.Search.impressions).toBe(4000);
+
+  const monthly = aggregateTimeSeries(data, 'month');
+  expect(monthly.points).toHaveLength(1);
+  expect(monthly.points[0]).toMatchObject({ period: 'Mar 2024', total: { cost: 100, impressions: 10000 } });
+
+  expect(aggregateTimeSeries({ headers: ['Channel'], rows: [['Search']] })).toBeNull();
+});
+
+test('computes rolling averages and period-over-period change across gaps', () => {
+  expect(rollingAverage([10, null, 20, 30], 2)).toEqual([10, 10, 20, 25]);
+  expect(periodOverPeriod([10, null, 15, 0, 5])).toEqual([null, null, 50, -100, null]);
+});
@@ -0,0 +1,3 @@
+// Kept in its own module and loaded on demand: `import.meta` is only understood by the bundler,
+// so nothing that runs outside webpack (e.g. the Jest suite) should import this file eagerly.
+export const createImportWorker = () => new Worker(new URL('./importWorker.js', import.meta.url));
@@ -0,0 +1,30 @@
+/* eslint-disable no-restricted-globals */
+import { loadDataset, loadMergedDataset } from '../utils/datasetLoader';
+
+// Progress messages are throttled so a fast parse doesn't flood the UI thread
+const PROGRESS_INTERVAL_MS = 100;
+
+// Parsing a file, or merging files that were already parsed and mapped
+const TASKS = {
+  load: ({ file, options }, onProgress) => loadDataset(file, { ...options, onProgress }),
+  merge: ({ datasets, options }) => loadMergedDataset(datasets, options)
+};
+
+self.onmessage = async (event) => {
+  const { task } = event.data;
+  let lastProgressAt = 0;
+
+  const onProgress = (progress) => {
+    const now = Date.now();
+    if (now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+    lastProgressAt = now;
+    self.postMessage({ type: 'progress', progress });
+  };
+
+  try {
+    const result = await TASKS[task](event.data, onProgress);
+    self.postMessage({ type: 'done', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message || 'Error processing file. Please try again.' });
+  }
+};